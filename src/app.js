@@ -1,14 +1,32 @@
 const express = require('express');
 const cors = require('cors');
+const mongoose = require('mongoose');
 
+const authRoutes = require('./routes/auth.routes');
 const notesRoutes = require('./routes/notes.routes');
+const notebooksRoutes = require('./routes/notebooks.routes');
+const tokensRoutes = require('./routes/tokens.routes');
+const authenticate = require('./middleware/authenticate');
+const { requireSession } = authenticate;
+
+// Dentro de una transacción (noteRepository.transaction) todas las consultas
+// usan su sesión sin tener que pasarla
+mongoose.set('transactionAsyncLocalStorage', true);
 
 const app = express();
 
-app.use(cors());
+// ETag expuesta para que los clientes web puedan enviar If-Match
+app.use(cors({ exposedHeaders: ['ETag'] }));
 app.use(express.json());
 
-app.use('/api/notes', notesRoutes);
+// Rutas públicas
+app.use('/api/auth', authRoutes);
+
+// Rutas protegidas: authenticate deja el usuario en req.user
+// Los tokens de API solo se gestionan con la sesión, nunca con otro token
+app.use('/api/tokens', authenticate, requireSession, tokensRoutes);
+app.use('/api/notes', authenticate, notesRoutes);
+app.use('/api/notebooks', authenticate, notebooksRoutes);
 
 app.get('/api/health', (req, res) => {
     res.json({ status: 'OK' });
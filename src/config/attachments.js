@@ -0,0 +1,40 @@
+// src/config/attachments.js
+
+/**
+ * Adjuntos de notas (leído de variables de entorno)
+ *   ATTACHMENT_STORAGE      → dónde se guardan: 'local' (por defecto) o 's3'
+ *   ATTACHMENT_DIR          → carpeta de los archivos con almacenamiento local
+ *   ATTACHMENT_MAX_FILES    → archivos por petición
+ *   ATTACHMENT_MAX_FILE_MB  → tamaño máximo de cada archivo
+ *   S3_BUCKET, S3_REGION, S3_ENDPOINT, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY
+ *                           → almacenamiento S3; con S3_ENDPOINT sirve
+ *                             cualquier servicio compatible (MinIO, etc.)
+ */
+const path = require('path');
+
+const MB = 1024 * 1024;
+const DRIVERS = ['local', 's3'];
+
+const driver = process.env.ATTACHMENT_STORAGE || 'local';
+
+if (!DRIVERS.includes(driver)) {
+    throw new Error(`ATTACHMENT_STORAGE debe ser uno de: ${DRIVERS.join(', ')}`);
+}
+
+if (driver === 's3' && !process.env.S3_BUCKET) {
+    throw new Error('S3_BUCKET es obligatorio con ATTACHMENT_STORAGE=s3');
+}
+
+module.exports = {
+    driver,
+    localDir: process.env.ATTACHMENT_DIR || path.join(__dirname, '..', '..', 'uploads'),
+    maxFiles: parseInt(process.env.ATTACHMENT_MAX_FILES, 10) || 10,
+    maxFileBytes: (parseInt(process.env.ATTACHMENT_MAX_FILE_MB, 10) || 25) * MB,
+    s3: {
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION || 'us-east-1',
+        endpoint: process.env.S3_ENDPOINT || undefined,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    },
+};
@@ -0,0 +1,14 @@
+// src/config/auth.js
+
+/**
+ * Configuración de autenticación (leída de variables de entorno)
+ */
+if (!process.env.JWT_SECRET && process.env.NODE_ENV === 'production') {
+    throw new Error('JWT_SECRET es obligatorio en producción');
+}
+
+module.exports = {
+    jwtSecret: process.env.JWT_SECRET || 'flashnotes-dev-secret',
+    jwtExpiresIn: process.env.JWT_EXPIRES_IN || '1h',
+    bcryptRounds: parseInt(process.env.BCRYPT_ROUNDS, 10) || 10,
+};
@@ -0,0 +1,15 @@
+// src/config/collab.js
+
+/**
+ * Edición colaborativa en tiempo real (leída de variables de entorno)
+ *   COLLAB_SAVE_INTERVAL_MS → cada cuánto se guarda en BD una sesión abierta
+ *   COLLAB_UNDO_GROUP_MS    → las ediciones seguidas de un usuario dentro de
+ *                             este intervalo se deshacen de una vez
+ *   COLLAB_MAX_LOG          → operaciones recientes que conserva la sesión;
+ *                             un cliente más atrasado debe recargar la nota
+ */
+module.exports = {
+    saveIntervalMs: parseInt(process.env.COLLAB_SAVE_INTERVAL_MS, 10) || 5000,
+    undoGroupMs: parseInt(process.env.COLLAB_UNDO_GROUP_MS, 10) || 1000,
+    maxLog: parseInt(process.env.COLLAB_MAX_LOG, 10) || 1000,
+};
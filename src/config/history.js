@@ -0,0 +1,25 @@
+// src/config/history.js
+
+/**
+ * Retención del historial de versiones (leída de variables de entorno)
+ *   HISTORY_RETENTION=forever  → se conserva todo (por defecto)
+ *   HISTORY_RETENTION=count    → últimas HISTORY_MAX_VERSIONS versiones por nota
+ *   HISTORY_RETENTION=age      → versiones de los últimos HISTORY_MAX_AGE_DAYS días
+ *
+ * Compresión: cada HISTORY_KEYFRAME_INTERVAL snapshots como máximo se guarda
+ * uno completo; el resto son deltas inversos (ver domain/noteDelta)
+ */
+const RETENTION_MODES = ['forever', 'count', 'age'];
+
+const retention = process.env.HISTORY_RETENTION || 'forever';
+
+if (!RETENTION_MODES.includes(retention)) {
+    throw new Error(`HISTORY_RETENTION debe ser uno de: ${RETENTION_MODES.join(', ')}`);
+}
+
+module.exports = {
+    retention,
+    maxVersions: parseInt(process.env.HISTORY_MAX_VERSIONS, 10) || 100,
+    maxAgeDays: parseInt(process.env.HISTORY_MAX_AGE_DAYS, 10) || 90,
+    keyframeInterval: parseInt(process.env.HISTORY_KEYFRAME_INTERVAL, 10) || 10,
+};
@@ -0,0 +1,17 @@
+// src/config/import.js
+
+/**
+ * Importación de notas (leída de variables de entorno)
+ *   IMPORT_MAX_FILES            → archivos por petición
+ *   IMPORT_MAX_FILE_MB          → tamaño máximo de cada archivo subido
+ *   IMPORT_MAX_ARCHIVE_ENTRIES  → archivos dentro de un zip
+ *   IMPORT_MAX_ARCHIVE_MB       → tamaño descomprimido de un zip
+ */
+const MB = 1024 * 1024;
+
+module.exports = {
+    maxFiles: parseInt(process.env.IMPORT_MAX_FILES, 10) || 50,
+    maxFileBytes: (parseInt(process.env.IMPORT_MAX_FILE_MB, 10) || 10) * MB,
+    maxArchiveEntries: parseInt(process.env.IMPORT_MAX_ARCHIVE_ENTRIES, 10) || 1000,
+    maxArchiveBytes: (parseInt(process.env.IMPORT_MAX_ARCHIVE_MB, 10) || 50) * MB,
+};
@@ -0,0 +1,21 @@
+// src/config/trash.js
+
+/**
+ * Papelera (leída de variables de entorno)
+ *   TRASH_RETENTION_DAYS    → días que una nota pasa en la papelera antes de
+ *                             eliminarse definitivamente (por defecto 30;
+ *                             0 = no se eliminan nunca)
+ *   TRASH_PURGE_INTERVAL_MS → cada cuánto se buscan notas caducadas
+ */
+const retentionDays = process.env.TRASH_RETENTION_DAYS === undefined
+    ? 30
+    : Number(process.env.TRASH_RETENTION_DAYS);
+
+if (!Number.isInteger(retentionDays) || retentionDays < 0) {
+    throw new Error('TRASH_RETENTION_DAYS debe ser un entero mayor o igual que 0');
+}
+
+module.exports = {
+    retentionDays,
+    purgeIntervalMs: parseInt(process.env.TRASH_PURGE_INTERVAL_MS, 10) || 60 * 60 * 1000,
+};
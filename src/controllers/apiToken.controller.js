@@ -0,0 +1,60 @@
+// src/controllers/apiToken.controller.js
+
+const apiTokenService = require('../services/apiToken.service');
+const ApiTokenDTO = require('../dto/apiToken.dto');
+
+class ApiTokenController {
+    /**
+     * POST /api/tokens
+     */
+    async create(req, res) {
+        try {
+            // Sanitizar entrada
+            const sanitized = ApiTokenDTO.sanitizeCreate(req.body);
+
+            // Validar
+            const validation = ApiTokenDTO.validateCreate(sanitized);
+            if (!validation.valid) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    details: validation.errors
+                });
+            }
+
+            const { token, apiToken } = await apiTokenService.issueToken(req.user._id, sanitized);
+            res.status(201).json({ ...apiToken.toJSON(), token });
+        } catch (error) {
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+
+    /**
+     * GET /api/tokens
+     */
+    async list(req, res) {
+        try {
+            const tokens = await apiTokenService.listTokens(req.user._id);
+            res.json(tokens);
+        } catch (error) {
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+
+    /**
+     * DELETE /api/tokens/:id
+     */
+    async revoke(req, res) {
+        try {
+            const { id } = req.params;
+            await apiTokenService.revokeToken(id, req.user._id);
+            res.status(204).send();
+        } catch (error) {
+            if (error.message === 'TOKEN_NOT_FOUND') {
+                return res.status(404).json({ error: 'Token not found' });
+            }
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+}
+
+module.exports = new ApiTokenController();
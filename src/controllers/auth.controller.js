@@ -0,0 +1,67 @@
+// src/controllers/auth.controller.js
+
+const authService = require('../services/auth.service');
+const UserDTO = require('../dto/user.dto');
+
+class AuthController {
+    /**
+     * POST /api/auth/register
+     */
+    async register(req, res) {
+        try {
+            // Sanitizar entrada
+            const sanitized = UserDTO.sanitizeRegister(req.body);
+
+            // Validar
+            const validation = UserDTO.validateRegister(sanitized);
+            if (!validation.valid) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    details: validation.errors
+                });
+            }
+
+            const result = await authService.register(sanitized);
+            res.status(201).json(result);
+        } catch (error) {
+            if (error.message === 'EMAIL_TAKEN') {
+                return res.status(409).json({ error: 'Email already registered' });
+            }
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+
+    /**
+     * POST /api/auth/login
+     */
+    async login(req, res) {
+        try {
+            const sanitized = UserDTO.sanitizeLogin(req.body);
+
+            const validation = UserDTO.validateLogin(sanitized);
+            if (!validation.valid) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    details: validation.errors
+                });
+            }
+
+            const result = await authService.login(sanitized);
+            res.json(result);
+        } catch (error) {
+            if (error.message === 'INVALID_CREDENTIALS') {
+                return res.status(401).json({ error: 'Invalid email or password' });
+            }
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+
+    /**
+     * GET /api/auth/me
+     */
+    async me(req, res) {
+        res.json(req.user);
+    }
+}
+
+module.exports = new AuthController();
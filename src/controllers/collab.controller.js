@@ -0,0 +1,161 @@
+// src/controllers/collab.controller.js
+
+const { WebSocket } = require('ws');
+const collabService = require('../services/collab.service');
+const CollabMessageDTO = require('../dto/collab.dto');
+
+// Códigos de cierre propios (4000-4999 quedan para la aplicación)
+const CLOSE_CODES = {
+    NOT_FOUND: 4404,
+    SESSION_CLOSED: 4410
+};
+
+// Latido: sin pong en un intervalo completo se da la conexión por perdida
+const HEARTBEAT_MS = 25000;
+
+// Errores que el cliente resuelve recargando el estado de la sesión
+const RESYNC_ERRORS = ['INVALID_REVISION', 'REVISION_TOO_OLD', 'INVALID_OPERATION'];
+
+/**
+ * Mensaje de error para el cliente, o null si es un error inesperado
+ * type: tipo del mensaje que lo provocó
+ */
+function errorMessage(error, type) {
+    if (error.code === 'FORBIDDEN') {
+        return { type: 'error', error: 'Forbidden', message: error.message };
+    }
+
+    if (error.code === 'NO_HISTORY' || error.code === 'NO_REDO') {
+        return { type: 'error', error: error.code, message: error.message };
+    }
+
+    // Una op rechazada ya estaba aplicada en el cliente: debe recargar la sesión
+    if (error.code === 'INVALID_CONTENT') {
+        return {
+            type: 'error',
+            error: 'Validation failed',
+            message: error.message,
+            details: error.details,
+            resync: type === 'op'
+        };
+    }
+
+    if (RESYNC_ERRORS.includes(error.message)) {
+        return {
+            type: 'error',
+            error: error.message,
+            message: 'Operation does not apply to the session; reconnect to reload it',
+            resync: true
+        };
+    }
+
+    return null;
+}
+
+class CollabController {
+    /**
+     * WebSocket /api/notes/:id/collab
+     * Cliente → servidor: { type: 'op', revision, op } | { type: 'undo' } | { type: 'redo' }
+     * Servidor → cliente: init, ack, op, history, join, leave, saved, error, closed
+     */
+    connection(socket, noteId, user) {
+        const client = {
+            send: message => {
+                if (socket.readyState === WebSocket.OPEN) {
+                    socket.send(JSON.stringify(message));
+                }
+            },
+            close: () => socket.close(CLOSE_CODES.SESSION_CLOSED)
+        };
+
+        const joined = collabService.join(noteId, user._id, client);
+
+        joined.then(
+            init => client.send({ type: 'init', ...init }),
+            error => {
+                if (error.message === 'NOTE_NOT_FOUND') {
+                    client.send({ type: 'error', error: 'Note not found' });
+                    return socket.close(CLOSE_CODES.NOT_FOUND);
+                }
+                console.error('Error abriendo la sesión colaborativa:', error);
+                socket.close(1011);
+            }
+        );
+
+        let alive = true;
+        socket.on('pong', () => {
+            alive = true;
+        });
+        const heartbeat = setInterval(() => {
+            if (!alive) {
+                return socket.terminate();
+            }
+            alive = false;
+            socket.ping();
+        }, HEARTBEAT_MS);
+
+        // Los mensajes se procesan en orden y siempre después del init
+        socket.on('message', async data => {
+            try {
+                await joined;
+            } catch (error) {
+                return;
+            }
+            this.handle(client, data);
+        });
+
+        socket.on('close', async () => {
+            clearInterval(heartbeat);
+
+            try {
+                await joined;
+                await collabService.leave(client);
+            } catch (error) {
+                if (error.message !== 'NOTE_NOT_FOUND') {
+                    console.error('Error cerrando la sesión colaborativa:', error);
+                }
+            }
+        });
+    }
+
+    /**
+     * Procesa un mensaje del cliente
+     */
+    handle(client, data) {
+        let message;
+
+        try {
+            message = JSON.parse(data);
+        } catch (error) {
+            return client.send({ type: 'error', error: 'Invalid JSON' });
+        }
+
+        const validation = CollabMessageDTO.validate(message);
+
+        if (!validation.valid) {
+            return client.send({ type: 'error', error: 'Validation failed', details: validation.errors });
+        }
+
+        const { type, ...payload } = CollabMessageDTO.sanitize(message);
+
+        try {
+            if (type === 'op') {
+                client.send({ type: 'ack', ...collabService.receive(client, payload) });
+            } else {
+                // La operación ya llegó a todos como 'op'; al autor solo le falta su historial
+                const { history } = collabService[type](client);
+                client.send({ type: 'history', history });
+            }
+        } catch (error) {
+            const response = errorMessage(error, type);
+
+            if (!response) {
+                console.error('Error en la sesión colaborativa:', error);
+            }
+
+            client.send(response || { type: 'error', error: 'Internal server error' });
+        }
+    }
+}
+
+module.exports = new CollabController();
@@ -2,6 +2,92 @@
 
 const noteService = require('../services/note.service');
 const NoteDTO = require('../dto/note.dto');
+const NoteRevision = require('../domain/noteRevision');
+const NoteImport = require('../domain/noteImport');
+const NoteExport = require('../domain/noteExport');
+const importConfig = require('../config/import');
+
+/**
+ * Responde con una nota y su revisión como ETag
+ */
+function sendNote(res, note, status = 200) {
+    res.set('ETag', NoteRevision.etag(note.revision));
+    res.status(status).json(note);
+}
+
+/**
+ * 412: If-Match no coincide; devuelve el estado actual del servidor
+ * (current es null si la nota ya no existe)
+ */
+function sendPreconditionFailed(res, error) {
+    if (error.current) {
+        res.set('ETag', NoteRevision.etag(error.current.revision));
+    }
+
+    res.status(412).json({
+        error: 'Precondition failed',
+        message: error.message,
+        current: error.current
+    });
+}
+
+// Estado HTTP de cada fallo en los resultados de POST /api/notes/bulk
+const BULK_ITEM_STATUS = {
+    NOTE_NOT_FOUND: 404,
+    NOTE_NOT_IN_TRASH: 404,
+    NOTEBOOK_NOT_FOUND: 404,
+    FORBIDDEN: 403,
+    CONFLICT: 409,
+    INVALID_STATUS_TRANSITION: 409,
+    ROLLED_BACK: 409,
+    SKIPPED: 409
+};
+
+/**
+ * Resultados de una operación masiva con el estado HTTP de cada nota
+ */
+function bulkResults(results) {
+    return results.map(result => ({
+        ...result,
+        status: result.ok ? 200 : (BULK_ITEM_STATUS[result.error] ?? 500)
+    }));
+}
+
+/**
+ * Sanitiza y valida una entrada de importación como una nota nueva
+ * Las que no pasan quedan con el error y sus detalles
+ */
+function prepareImport({ data, ...entry }) {
+    if (entry.error) {
+        return entry;
+    }
+
+    let sanitized;
+    let validation;
+
+    // Los datos vienen de archivos del usuario: un valor inesperado solo falla esa entrada
+    try {
+        sanitized = NoteDTO.sanitizeCreate(data);
+        validation = NoteDTO.validateCreate(sanitized);
+    } catch (error) {
+        return { ...entry, error: 'Validation failed', details: [error.message] };
+    }
+
+    if (!validation.valid) {
+        return { ...entry, error: 'Validation failed', details: validation.errors };
+    }
+
+    return { ...entry, note: sanitized };
+}
+
+/**
+ * Envía una exportación como archivo descargable
+ */
+function sendExport(res, fileName, type, body) {
+    res.attachment(fileName);
+    res.type(type);
+    res.send(body);
+}
 
 class NoteController {
     /**
@@ -21,8 +107,80 @@ class NoteController {
                 });
             }
 
-            const note = await noteService.createNote(sanitized);
-            res.status(201).json(note);
+            const note = await noteService.createNote(sanitized, req.user._id);
+            sendNote(res, note, 201);
+        } catch (error) {
+            if (error.message === 'NOTEBOOK_NOT_FOUND') {
+                return res.status(404).json({ error: 'Notebook not found' });
+            }
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+
+    /**
+     * POST /api/notes/import (multipart: files[], notebookId opcional)
+     * 200 con un resultado por archivo (o por nota en zip / JSON)
+     */
+    async importNotes(req, res) {
+        try {
+            const files = req.files || [];
+            const { notebookId } = req.body;
+
+            const errors = files.length === 0 ? ['at least one file is required'] : [];
+            if (notebookId !== undefined) {
+                errors.push(...NoteDTO.validateMove({ notebookId }).errors);
+            }
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    details: errors
+                });
+            }
+
+            const entries = NoteImport.read(
+                files.map(file => ({ name: file.originalname, buffer: file.buffer })),
+                importConfig
+            );
+            const results = await noteService.importNotes(entries.map(prepareImport), req.user._id, { notebookId });
+
+            res.json({
+                imported: results.filter(result => result.ok).length,
+                failed: results.filter(result => !result.ok).length,
+                results
+            });
+        } catch (error) {
+            if (error.message === 'NOTEBOOK_NOT_FOUND') {
+                return res.status(404).json({ error: 'Notebook not found' });
+            }
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+
+    /**
+     * GET /api/notes/export?format=json|md|zip&history=true
+     * Todas mis notas (también las de la papelera) como archivo descargable
+     */
+    async exportNotes(req, res) {
+        try {
+            const query = NoteDTO.sanitizeExportQuery(req.query);
+
+            const validation = NoteDTO.validateExportQuery(query, NoteDTO.EXPORT_FORMATS);
+            if (!validation.valid) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    details: validation.errors
+                });
+            }
+
+            const items = await noteService.exportNotes(req.user._id, { history: query.history });
+
+            if (query.format === 'zip') {
+                return sendExport(res, 'flashnotes-export.zip', 'application/zip', NoteExport.archive(items));
+            }
+            if (query.format === 'md') {
+                return sendExport(res, 'flashnotes-export.md', 'text/markdown; charset=utf-8', NoteExport.digest(items));
+            }
+            sendExport(res, 'flashnotes-export.json', 'application/json', JSON.stringify(NoteExport.document(items), null, 2));
         } catch (error) {
             res.status(500).json({ error: 'Internal server error' });
         }
@@ -33,27 +191,292 @@ class NoteController {
      */
     async listActive(req, res) {
         try {
-            const notes = await noteService.listActiveNotes();
+            const query = NoteDTO.sanitizeListQuery(req.query, 'createdAt');
+
+            const validation = NoteDTO.validateListQuery(query, NoteDTO.ACTIVE_SORT_FIELDS);
+            if (!validation.valid) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    details: validation.errors
+                });
+            }
+
+            const page = await noteService.listActiveNotes(req.user._id, query);
+            res.json(page);
+        } catch (error) {
+            if (error.code === 'INVALID_CURSOR') {
+                return res.status(400).json({ error: error.message });
+            }
+            if (error.message === 'NOTEBOOK_NOT_FOUND') {
+                return res.status(404).json({ error: 'Notebook not found' });
+            }
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+
+    /**
+     * GET /api/notes/search?q=
+     */
+    async search(req, res) {
+        return this.runSearch(req, res, { deleted: false });
+    }
+
+    /**
+     * GET /api/notes/trash/search?q=
+     */
+    async searchTrash(req, res) {
+        return this.runSearch(req, res, { deleted: true });
+    }
+
+    async runSearch(req, res, scope) {
+        try {
+            const query = NoteDTO.sanitizeSearchQuery(req.query);
+
+            const validation = NoteDTO.validateSearchQuery(query);
+            if (!validation.valid) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    details: validation.errors
+                });
+            }
+
+            const results = await noteService.searchNotes(req.user._id, query, scope);
+            res.json(results);
+        } catch (error) {
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+
+    /**
+     * GET /api/notes/tags
+     */
+    async listTags(req, res) {
+        try {
+            const tags = await noteService.listTags(req.user._id);
+            res.json(tags);
+        } catch (error) {
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+
+    /**
+     * PATCH /api/notes/tags/:tag
+     */
+    async renameTag(req, res) {
+        try {
+            const from = NoteDTO.normalizeTag(req.params.tag);
+            const name = typeof req.body.name === 'string'
+                ? NoteDTO.normalizeTag(req.body.name)
+                : req.body.name;
+
+            const validation = NoteDTO.validateTagRename({ name });
+            if (!validation.valid) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    details: validation.errors
+                });
+            }
+
+            const result = await noteService.renameTag(req.user._id, from, name);
+            res.json(result);
+        } catch (error) {
+            if (error.message === 'TAG_NOT_FOUND') {
+                return res.status(404).json({ error: 'Tag not found' });
+            }
+            if (error.code === 'CONFLICT') {
+                return res.status(409).json({
+                    error: 'Conflict detected',
+                    message: error.message
+                });
+            }
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+
+    /**
+     * GET /api/notes/shared
+     */
+    async listShared(req, res) {
+        try {
+            const notes = await noteService.listSharedNotes(req.user._id);
             res.json(notes);
         } catch (error) {
             res.status(500).json({ error: 'Internal server error' });
         }
     }
 
+    /**
+     * GET /api/notes/archive
+     */
+    async listArchive(req, res) {
+        try {
+            const query = NoteDTO.sanitizeListQuery(req.query, 'archivedAt');
+
+            const validation = NoteDTO.validateListQuery(query, NoteDTO.ARCHIVE_SORT_FIELDS);
+            if (!validation.valid) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    details: validation.errors
+                });
+            }
+
+            const page = await noteService.listArchive(req.user._id, query);
+            res.json(page);
+        } catch (error) {
+            if (error.code === 'INVALID_CURSOR') {
+                return res.status(400).json({ error: error.message });
+            }
+            if (error.message === 'NOTEBOOK_NOT_FOUND') {
+                return res.status(404).json({ error: 'Notebook not found' });
+            }
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+
     /**
      * GET /api/notes/trash
      */
     async listTrash(req, res) {
         try {
-            const notes = await noteService.listTrash();
-            res.json(notes);
+            const query = NoteDTO.sanitizeListQuery(req.query, 'deletedAt');
+
+            const validation = NoteDTO.validateListQuery(query, NoteDTO.TRASH_SORT_FIELDS);
+            if (!validation.valid) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    details: validation.errors
+                });
+            }
+
+            const page = await noteService.listTrash(req.user._id, query);
+            res.json(page);
+        } catch (error) {
+            if (error.code === 'INVALID_CURSOR') {
+                return res.status(400).json({ error: error.message });
+            }
+            if (error.message === 'NOTEBOOK_NOT_FOUND') {
+                return res.status(404).json({ error: 'Notebook not found' });
+            }
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+
+    /**
+     * GET /api/notes/:id/links
+     */
+    async links(req, res) {
+        try {
+            const links = await noteService.listLinks(req.params.id, req.user._id);
+            res.json(links);
+        } catch (error) {
+            if (error.message === 'NOTE_NOT_FOUND') {
+                return res.status(404).json({ error: 'Note not found' });
+            }
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+
+    /**
+     * GET /api/notes/:id/backlinks
+     */
+    async backlinks(req, res) {
+        try {
+            const backlinks = await noteService.listBacklinks(req.params.id, req.user._id);
+            res.json(backlinks);
+        } catch (error) {
+            if (error.message === 'NOTE_NOT_FOUND') {
+                return res.status(404).json({ error: 'Note not found' });
+            }
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+
+    /**
+     * GET /api/notes/:id/render
+     * HTML saneado del contenido; el ETag es la revisión de la nota
+     */
+    async render(req, res) {
+        try {
+            const { note, html } = await noteService.renderNote(req.params.id, req.user._id);
+
+            res.set('ETag', NoteRevision.etag(note.revision));
+            res.json({
+                _id: note._id,
+                format: note.format,
+                revision: note.revision,
+                html
+            });
+        } catch (error) {
+            if (error.message === 'NOTE_NOT_FOUND') {
+                return res.status(404).json({ error: 'Note not found' });
+            }
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+
+    /**
+     * GET /api/notes/:id/export?format=json|md&history=true
+     */
+    async exportNote(req, res) {
+        try {
+            const query = NoteDTO.sanitizeExportQuery(req.query);
+
+            const validation = NoteDTO.validateExportQuery(query, NoteDTO.NOTE_EXPORT_FORMATS);
+            if (!validation.valid) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    details: validation.errors
+                });
+            }
+
+            const { note, versions } = await noteService.exportNote(req.params.id, req.user._id, { history: query.history });
+            const name = NoteExport.baseName(note);
+
+            if (query.format === 'md') {
+                return sendExport(res, `${name}.md`, 'text/markdown; charset=utf-8', NoteExport.toMarkdown(note, versions));
+            }
+            sendExport(res, `${name}.json`, 'application/json', JSON.stringify(NoteExport.toJSON(note, versions), null, 2));
+        } catch (error) {
+            if (error.message === 'NOTE_NOT_FOUND') {
+                return res.status(404).json({ error: 'Note not found' });
+            }
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+
+    /**
+     * DELETE /api/notes/trash
+     * Vacía la papelera: responde cuántas notas se eliminaron
+     */
+    async emptyTrash(req, res) {
+        try {
+            const result = await noteService.emptyTrash(req.user._id);
+            res.json(result);
         } catch (error) {
             res.status(500).json({ error: 'Internal server error' });
         }
     }
 
+    /**
+     * GET /api/notes/:id
+     */
+    async get(req, res) {
+        try {
+            const { id } = req.params;
+            const note = await noteService.getNote(id, req.user._id);
+            sendNote(res, note);
+        } catch (error) {
+            if (error.message === 'NOTE_NOT_FOUND') {
+                return res.status(404).json({ error: 'Note not found' });
+            }
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+
     /**
      * PATCH /api/notes/:id
+     * Al cambiar el título con notas que enlazan a él, rewriteLinks decide si
+     * se reescriben sus enlaces; si no se indica responde 409 con backlinks
      */
     async update(req, res) {
         try {
@@ -71,18 +494,39 @@ class NoteController {
                 });
             }
 
-            const note = await noteService.updateNote(id, sanitized);
-            res.json(note);
+            const note = await noteService.updateNote(id, sanitized, req.user._id, { ifMatch: req.ifMatch });
+            sendNote(res, note);
         } catch (error) {
             if (error.message === 'NOTE_NOT_FOUND') {
                 return res.status(404).json({ error: 'Note not found' });
             }
+            if (error.code === 'PRECONDITION_FAILED') {
+                return sendPreconditionFailed(res, error);
+            }
+            if (error.code === 'LINKS_AFFECTED') {
+                return res.status(409).json({
+                    error: 'Links affected',
+                    message: error.message,
+                    backlinks: error.backlinks
+                });
+            }
+            if (error.code === 'MERGE_CONFLICT') {
+                res.set('ETag', NoteRevision.etag(error.conflict.revision));
+                return res.status(409).json({
+                    error: 'Merge conflict',
+                    message: error.message,
+                    ...error.conflict
+                });
+            }
             if (error.code === 'CONFLICT') {
                 return res.status(409).json({
                     error: 'Conflict detected',
                     message: error.message
                 });
             }
+            if (error.code === 'FORBIDDEN') {
+                return res.status(403).json({ error: error.message });
+            }
             res.status(500).json({ error: 'Internal server error' });
         }
     }
@@ -93,15 +537,28 @@ class NoteController {
     async undo(req, res) {
         try {
             const { id } = req.params;
-            const note = await noteService.undoNote(id);
-            res.json(note);
+            const note = await noteService.undoNote(id, req.user._id, { ifMatch: req.ifMatch });
+            sendNote(res, note);
         } catch (error) {
             if (error.message === 'NOTE_NOT_FOUND') {
                 return res.status(404).json({ error: 'Note not found' });
             }
+            if (error.code === 'PRECONDITION_FAILED') {
+                return sendPreconditionFailed(res, error);
+            }
+            if (error.code === 'CONFLICT') {
+                return res.status(409).json({
+                    error: 'Conflict detected',
+                    message: error.message,
+                    ...(error.conflicts && { conflicts: error.conflicts })
+                });
+            }
             if (error.code === 'NO_HISTORY') {
                 return res.status(400).json({ error: error.message });
             }
+            if (error.code === 'FORBIDDEN') {
+                return res.status(403).json({ error: error.message });
+            }
             res.status(500).json({ error: 'Internal server error' });
         }
     }
@@ -112,31 +569,376 @@ class NoteController {
     async redo(req, res) {
         try {
             const { id } = req.params;
-            const note = await noteService.redoNote(id);
-            res.json(note);
+            const note = await noteService.redoNote(id, req.user._id, { ifMatch: req.ifMatch });
+            sendNote(res, note);
         } catch (error) {
             if (error.message === 'NOTE_NOT_FOUND') {
                 return res.status(404).json({ error: 'Note not found' });
             }
+            if (error.code === 'PRECONDITION_FAILED') {
+                return sendPreconditionFailed(res, error);
+            }
+            if (error.code === 'CONFLICT') {
+                return res.status(409).json({
+                    error: 'Conflict detected',
+                    message: error.message,
+                    ...(error.conflicts && { conflicts: error.conflicts })
+                });
+            }
             if (error.code === 'NO_REDO') {
                 return res.status(400).json({ error: error.message });
             }
+            if (error.code === 'FORBIDDEN') {
+                return res.status(403).json({ error: error.message });
+            }
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+
+    /**
+     * GET /api/notes/:id/versions
+     */
+    async listVersions(req, res) {
+        try {
+            const { id } = req.params;
+            const versions = await noteService.listVersions(id, req.user._id);
+            res.json(versions);
+        } catch (error) {
+            if (error.message === 'NOTE_NOT_FOUND') {
+                return res.status(404).json({ error: 'Note not found' });
+            }
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+
+    /**
+     * GET /api/notes/:id/versions/:n
+     */
+    async getVersion(req, res) {
+        try {
+            const { id } = req.params;
+            const n = NoteDTO.sanitizeVersion(req.params.n);
+
+            const validation = NoteDTO.validateVersion(n);
+            if (!validation.valid) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    details: validation.errors
+                });
+            }
+
+            const version = await noteService.getVersion(id, n, req.user._id);
+            res.json(version);
+        } catch (error) {
+            if (error.message === 'NOTE_NOT_FOUND') {
+                return res.status(404).json({ error: 'Note not found' });
+            }
+            if (error.message === 'VERSION_NOT_FOUND') {
+                return res.status(404).json({ error: 'Version not found' });
+            }
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+
+    /**
+     * GET /api/notes/:id/diff?from=&to=&format=json|unified
+     */
+    async diff(req, res) {
+        try {
+            const { id } = req.params;
+            const query = NoteDTO.sanitizeDiffQuery(req.query);
+
+            const validation = NoteDTO.validateDiffQuery(query);
+            if (!validation.valid) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    details: validation.errors
+                });
+            }
+
+            const diff = await noteService.diffVersions(id, query, req.user._id);
+
+            if (query.format === 'unified') {
+                return res.type('text/x-diff').send(diff);
+            }
+            res.json(diff);
+        } catch (error) {
+            if (error.message === 'NOTE_NOT_FOUND') {
+                return res.status(404).json({ error: 'Note not found' });
+            }
+            if (error.message === 'VERSION_NOT_FOUND') {
+                return res.status(404).json({ error: 'Version not found' });
+            }
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+
+    /**
+     * POST /api/notes/:id/versions/:n/restore
+     */
+    async restoreVersion(req, res) {
+        try {
+            const { id } = req.params;
+            const n = NoteDTO.sanitizeVersion(req.params.n);
+
+            const validation = NoteDTO.validateVersion(n);
+            if (!validation.valid) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    details: validation.errors
+                });
+            }
+
+            const note = await noteService.restoreVersion(id, n, req.user._id);
+            sendNote(res, note);
+        } catch (error) {
+            if (error.message === 'NOTE_NOT_FOUND') {
+                return res.status(404).json({ error: 'Note not found' });
+            }
+            if (error.code === 'CONFLICT') {
+                return res.status(409).json({
+                    error: 'Conflict detected',
+                    message: error.message
+                });
+            }
+            if (error.message === 'VERSION_NOT_FOUND') {
+                return res.status(404).json({ error: 'Version not found' });
+            }
+            if (error.code === 'FORBIDDEN') {
+                return res.status(403).json({ error: error.message });
+            }
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+
+    /**
+     * POST /api/notes/bulk
+     * 200 con un resultado por nota; en modo atómico, 409 si se revirtió
+     */
+    async bulk(req, res) {
+        try {
+            const sanitized = NoteDTO.sanitizeBulk(req.body);
+
+            const validation = NoteDTO.validateBulk(sanitized);
+            if (!validation.valid) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    details: validation.errors
+                });
+            }
+
+            const { atomic, results } = await noteService.bulk(sanitized, req.user._id);
+
+            res.json({
+                atomic,
+                succeeded: results.filter(result => result.ok).length,
+                failed: results.filter(result => !result.ok).length,
+                results: bulkResults(results)
+            });
+        } catch (error) {
+            if (error.code === 'BULK_ABORTED') {
+                return res.status(409).json({
+                    error: error.message,
+                    atomic: true,
+                    results: bulkResults(error.results)
+                });
+            }
+            if (error.message === 'TRANSACTIONS_UNSUPPORTED') {
+                return res.status(501).json({
+                    error: 'Atomic bulk operations require a MongoDB replica set'
+                });
+            }
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+
+    /**
+     * PATCH /api/notes/:id/notebook
+     */
+    async moveToNotebook(req, res) {
+        try {
+            const { id } = req.params;
+            const data = { notebookId: req.body.notebookId };
+
+            const validation = NoteDTO.validateMove(data);
+            if (!validation.valid) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    details: validation.errors
+                });
+            }
+
+            const note = await noteService.moveNote(id, data, req.user._id);
+            sendNote(res, note);
+        } catch (error) {
+            if (error.message === 'NOTE_NOT_FOUND') {
+                return res.status(404).json({ error: 'Note not found' });
+            }
+            if (error.code === 'CONFLICT') {
+                return res.status(409).json({
+                    error: 'Conflict detected',
+                    message: error.message
+                });
+            }
+            if (error.message === 'NOTEBOOK_NOT_FOUND') {
+                return res.status(404).json({ error: 'Notebook not found' });
+            }
+            if (error.code === 'FORBIDDEN') {
+                return res.status(403).json({ error: error.message });
+            }
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+
+    /**
+     * PATCH /api/notes/:id/pin
+     * Body: { pinned, position? } (position: lugar entre las fijadas, desde 0)
+     */
+    async pin(req, res) {
+        try {
+            const { id } = req.params;
+            const data = { pinned: req.body.pinned, position: req.body.position };
+
+            const validation = NoteDTO.validatePin(data);
+            if (!validation.valid) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    details: validation.errors
+                });
+            }
+
+            const note = await noteService.pinNote(id, data, req.user._id);
+            sendNote(res, note);
+        } catch (error) {
+            if (error.message === 'NOTE_NOT_FOUND') {
+                return res.status(404).json({ error: 'Note not found' });
+            }
+            if (error.code === 'CONFLICT') {
+                return res.status(409).json({
+                    error: 'Conflict detected',
+                    message: error.message
+                });
+            }
+            if (error.code === 'FORBIDDEN') {
+                return res.status(403).json({ error: error.message });
+            }
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+
+    /**
+     * PATCH /api/notes/:id/favorite
+     * Body: { favorite }
+     */
+    async favorite(req, res) {
+        try {
+            const { id } = req.params;
+            const data = { favorite: req.body.favorite };
+
+            const validation = NoteDTO.validateFavorite(data);
+            if (!validation.valid) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    details: validation.errors
+                });
+            }
+
+            const note = await noteService.favoriteNote(id, data, req.user._id);
+            sendNote(res, note);
+        } catch (error) {
+            if (error.message === 'NOTE_NOT_FOUND') {
+                return res.status(404).json({ error: 'Note not found' });
+            }
+            if (error.code === 'CONFLICT') {
+                return res.status(409).json({
+                    error: 'Conflict detected',
+                    message: error.message
+                });
+            }
+            if (error.code === 'FORBIDDEN') {
+                return res.status(403).json({ error: error.message });
+            }
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+
+    /**
+     * PATCH /api/notes/:id/archive
+     */
+    async archive(req, res) {
+        return this.changeStatus(req, res, 'archiveNote');
+    }
+
+    /**
+     * PATCH /api/notes/:id/unarchive
+     */
+    async unarchive(req, res) {
+        return this.changeStatus(req, res, 'unarchiveNote');
+    }
+
+    /**
+     * Archivar / desarchivar con el caso de uso indicado (409 si la nota no
+     * está en el estado de partida)
+     */
+    async changeStatus(req, res, useCase) {
+        try {
+            const { id } = req.params;
+            const note = await noteService[useCase](id, req.user._id, { ifMatch: req.ifMatch });
+            sendNote(res, note);
+        } catch (error) {
+            if (error.message === 'NOTE_NOT_FOUND') {
+                return res.status(404).json({ error: 'Note not found' });
+            }
+            if (error.code === 'INVALID_STATUS_TRANSITION') {
+                return res.status(409).json({
+                    error: 'Invalid status transition',
+                    message: error.message
+                });
+            }
+            if (error.code === 'PRECONDITION_FAILED') {
+                return sendPreconditionFailed(res, error);
+            }
+            if (error.code === 'CONFLICT') {
+                return res.status(409).json({
+                    error: 'Conflict detected',
+                    message: error.message
+                });
+            }
+            if (error.code === 'FORBIDDEN') {
+                return res.status(403).json({ error: error.message });
+            }
             res.status(500).json({ error: 'Internal server error' });
         }
     }
 
     /**
      * PATCH /api/notes/:id/trash
+     * La respuesta incluye danglingLinks: notas activas que enlazan a esta
      */
     async moveToTrash(req, res) {
         try {
             const { id } = req.params;
-            const note = await noteService.moveToTrash(id);
-            res.json(note);
+            const note = await noteService.moveToTrash(id, req.user._id, { ifMatch: req.ifMatch });
+
+            // Enlaces de otras notas que quedan colgando
+            const danglingLinks = await noteService.backlinksOf(note, req.user._id);
+            sendNote(res, { ...note.toJSON(), danglingLinks });
         } catch (error) {
             if (error.message === 'NOTE_NOT_FOUND') {
                 return res.status(404).json({ error: 'Note not found' });
             }
+            if (error.code === 'PRECONDITION_FAILED') {
+                return sendPreconditionFailed(res, error);
+            }
+            if (error.code === 'CONFLICT') {
+                return res.status(409).json({
+                    error: 'Conflict detected',
+                    message: error.message
+                });
+            }
+            if (error.code === 'FORBIDDEN') {
+                return res.status(403).json({ error: error.message });
+            }
             res.status(500).json({ error: 'Internal server error' });
         }
     }
@@ -147,12 +949,24 @@ class NoteController {
     async restore(req, res) {
         try {
             const { id } = req.params;
-            const note = await noteService.restoreFromTrash(id);
-            res.json(note);
+            const note = await noteService.restoreFromTrash(id, req.user._id, { ifMatch: req.ifMatch });
+            sendNote(res, note);
         } catch (error) {
             if (error.message === 'NOTE_NOT_IN_TRASH') {
                 return res.status(404).json({ error: 'Note not found in trash' });
             }
+            if (error.code === 'PRECONDITION_FAILED') {
+                return sendPreconditionFailed(res, error);
+            }
+            if (error.code === 'CONFLICT') {
+                return res.status(409).json({
+                    error: 'Conflict detected',
+                    message: error.message
+                });
+            }
+            if (error.code === 'FORBIDDEN') {
+                return res.status(403).json({ error: error.message });
+            }
             res.status(500).json({ error: 'Internal server error' });
         }
     }
@@ -163,12 +977,18 @@ class NoteController {
     async deletePermanently(req, res) {
         try {
             const { id } = req.params;
-            await noteService.deletePermanently(id);
+            await noteService.deletePermanently(id, req.user._id, { ifMatch: req.ifMatch });
             res.status(204).send();
         } catch (error) {
             if (error.message === 'NOTE_NOT_IN_TRASH') {
                 return res.status(404).json({ error: 'Note not found in trash' });
             }
+            if (error.code === 'PRECONDITION_FAILED') {
+                return sendPreconditionFailed(res, error);
+            }
+            if (error.code === 'FORBIDDEN') {
+                return res.status(403).json({ error: error.message });
+            }
             res.status(500).json({ error: 'Internal server error' });
         }
     }
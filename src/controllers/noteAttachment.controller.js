@@ -0,0 +1,123 @@
+// src/controllers/noteAttachment.controller.js
+
+const noteAttachmentService = require('../services/noteAttachment.service');
+
+class NoteAttachmentController {
+    /**
+     * Antes de POST /api/notes/:id/attachments: sin permiso de edición se
+     * responde sin llegar a leer los archivos en memoria
+     */
+    async authorizeUpload(req, res, next) {
+        try {
+            await noteAttachmentService.assertCanAttach(req.params.id, req.user._id);
+        } catch (error) {
+            if (error.message === 'NOTE_NOT_FOUND') {
+                return res.status(404).json({ error: 'Note not found' });
+            }
+            if (error.code === 'FORBIDDEN') {
+                return res.status(403).json({ error: error.message });
+            }
+            return res.status(500).json({ error: 'Internal server error' });
+        }
+
+        next();
+    }
+
+    /**
+     * POST /api/notes/:id/attachments (multipart: files[])
+     */
+    async create(req, res) {
+        try {
+            const { id } = req.params;
+            const files = req.files || [];
+
+            if (files.length === 0) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    details: ['at least one file is required']
+                });
+            }
+
+            const attachments = await noteAttachmentService.addAttachments(id, files, req.user._id);
+            res.status(201).json(attachments);
+        } catch (error) {
+            if (error.message === 'NOTE_NOT_FOUND') {
+                return res.status(404).json({ error: 'Note not found' });
+            }
+            if (error.code === 'FORBIDDEN') {
+                return res.status(403).json({ error: error.message });
+            }
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+
+    /**
+     * GET /api/notes/:id/attachments
+     */
+    async list(req, res) {
+        try {
+            const { id } = req.params;
+            const attachments = await noteAttachmentService.listAttachments(id, req.user._id);
+            res.json(attachments);
+        } catch (error) {
+            if (error.message === 'NOTE_NOT_FOUND') {
+                return res.status(404).json({ error: 'Note not found' });
+            }
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+
+    /**
+     * GET /api/notes/:id/attachments/:attachmentId
+     * Siempre como descarga (Content-Disposition: attachment) y sin que el
+     * navegador adivine el tipo: un HTML subido no se ejecuta en nuestro origen
+     */
+    async download(req, res) {
+        try {
+            const { id, attachmentId } = req.params;
+            const { attachment, stream } = await noteAttachmentService.openAttachment(id, attachmentId, req.user._id);
+
+            res.attachment(attachment.name);
+            res.set({
+                'Content-Type': attachment.contentType,
+                'Content-Length': attachment.size,
+                'X-Content-Type-Options': 'nosniff'
+            });
+
+            stream.on('error', () => res.destroy());
+            stream.pipe(res);
+        } catch (error) {
+            if (error.message === 'NOTE_NOT_FOUND') {
+                return res.status(404).json({ error: 'Note not found' });
+            }
+            if (error.message === 'ATTACHMENT_NOT_FOUND' || error.message === 'ATTACHMENT_FILE_NOT_FOUND') {
+                return res.status(404).json({ error: 'Attachment not found' });
+            }
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+
+    /**
+     * DELETE /api/notes/:id/attachments/:attachmentId
+     */
+    async remove(req, res) {
+        try {
+            const { id, attachmentId } = req.params;
+            await noteAttachmentService.removeAttachment(id, attachmentId, req.user._id);
+            res.status(204).send();
+        } catch (error) {
+            if (error.message === 'NOTE_NOT_FOUND') {
+                return res.status(404).json({ error: 'Note not found' });
+            }
+            if (error.message === 'ATTACHMENT_NOT_FOUND') {
+                return res.status(404).json({ error: 'Attachment not found' });
+            }
+            if (error.code === 'FORBIDDEN') {
+                return res.status(403).json({ error: error.message });
+            }
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+}
+
+module.exports = new NoteAttachmentController();
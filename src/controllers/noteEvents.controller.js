@@ -0,0 +1,62 @@
+// src/controllers/noteEvents.controller.js
+
+const noteService = require('../services/note.service');
+const noteEventsService = require('../services/noteEvents.service');
+
+// Latido para que proxies y balanceadores no corten la conexión inactiva
+const HEARTBEAT_MS = 25000;
+
+// Espera sugerida al navegador antes de reconectar
+const RETRY_MS = 3000;
+
+/**
+ * Trama SSE de un evento
+ */
+function sseFrame(event) {
+    return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`;
+}
+
+class NoteEventsController {
+    /**
+     * GET /api/notes/events          → cambios en todas mis notas (propias y compartidas)
+     * GET /api/notes/:id/events      → cambios en una nota
+     * Server-Sent Events: la conexión queda abierta hasta que el cliente la cierra
+     */
+    async stream(req, res) {
+        const { id } = req.params;
+
+        if (id) {
+            try {
+                await noteService.getNote(id, req.user._id);
+            } catch (error) {
+                if (error.message === 'NOTE_NOT_FOUND') {
+                    return res.status(404).json({ error: 'Note not found' });
+                }
+                return res.status(500).json({ error: 'Internal server error' });
+            }
+        }
+
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+        res.write(`retry: ${RETRY_MS}\n\n`);
+
+        const unsubscribe = noteEventsService.subscribe(
+            req.user._id,
+            event => res.write(sseFrame(event)),
+            { noteId: id }
+        );
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            unsubscribe();
+        });
+    }
+}
+
+module.exports = new NoteEventsController();
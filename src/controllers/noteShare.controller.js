@@ -0,0 +1,96 @@
+// src/controllers/noteShare.controller.js
+
+const noteShareService = require('../services/noteShare.service');
+const NoteShareDTO = require('../dto/noteShare.dto');
+
+class NoteShareController {
+    /**
+     * POST /api/notes/:id/shares
+     */
+    async create(req, res) {
+        try {
+            const { id } = req.params;
+
+            // Sanitizar entrada
+            const sanitized = NoteShareDTO.sanitizeCreate(req.body);
+
+            // Validar
+            const validation = NoteShareDTO.validateCreate(sanitized);
+            if (!validation.valid) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    details: validation.errors
+                });
+            }
+
+            const shares = await noteShareService.shareNote(id, req.user._id, sanitized);
+            res.status(201).json(shares);
+        } catch (error) {
+            if (error.message === 'NOTE_NOT_FOUND') {
+                return res.status(404).json({ error: 'Note not found' });
+            }
+            if (error.message === 'USER_NOT_FOUND') {
+                return res.status(404).json({ error: 'User not found' });
+            }
+            if (error.code === 'FORBIDDEN') {
+                return res.status(403).json({ error: error.message });
+            }
+            if (error.code === 'CONFLICT') {
+                return res.status(409).json({
+                    error: 'Conflict detected',
+                    message: error.message
+                });
+            }
+            if (error.code === 'INVALID_SHARE') {
+                return res.status(400).json({ error: error.message });
+            }
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+
+    /**
+     * GET /api/notes/:id/shares
+     */
+    async list(req, res) {
+        try {
+            const { id } = req.params;
+            const shares = await noteShareService.listShares(id, req.user._id);
+            res.json(shares);
+        } catch (error) {
+            if (error.message === 'NOTE_NOT_FOUND') {
+                return res.status(404).json({ error: 'Note not found' });
+            }
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+
+    /**
+     * DELETE /api/notes/:id/shares/:userId
+     */
+    async revoke(req, res) {
+        try {
+            const { id, userId } = req.params;
+            await noteShareService.revokeShare(id, req.user._id, userId);
+            res.status(204).send();
+        } catch (error) {
+            if (error.message === 'NOTE_NOT_FOUND') {
+                return res.status(404).json({ error: 'Note not found' });
+            }
+            if (error.message === 'SHARE_NOT_FOUND') {
+                return res.status(404).json({ error: 'Share not found' });
+            }
+            if (error.code === 'FORBIDDEN') {
+                return res.status(403).json({ error: error.message });
+            }
+            if (error.code === 'CONFLICT') {
+                return res.status(409).json({
+                    error: 'Conflict detected',
+                    message: error.message
+                });
+            }
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+}
+
+module.exports = new NoteShareController();
@@ -0,0 +1,130 @@
+// src/controllers/notebook.controller.js
+
+const notebookService = require('../services/notebook.service');
+const NotebookDTO = require('../dto/notebook.dto');
+
+// Errores de jerarquía: movimientos o anidamientos no permitidos
+const INVALID_TREE_CODES = ['ROOT_NOTEBOOK', 'NOTEBOOK_CYCLE', 'NOTEBOOK_TOO_DEEP'];
+
+class NotebookController {
+    /**
+     * POST /api/notebooks
+     */
+    async create(req, res) {
+        try {
+            // Sanitizar entrada
+            const sanitized = NotebookDTO.sanitize(req.body);
+
+            // Validar
+            const validation = NotebookDTO.validateCreate(sanitized);
+            if (!validation.valid) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    details: validation.errors
+                });
+            }
+
+            const notebook = await notebookService.createNotebook(sanitized, req.user._id);
+            res.status(201).json(notebook);
+        } catch (error) {
+            if (error.message === 'PARENT_NOT_FOUND') {
+                return res.status(404).json({ error: 'Parent notebook not found' });
+            }
+            if (INVALID_TREE_CODES.includes(error.code)) {
+                return res.status(400).json({ error: error.message });
+            }
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+
+    /**
+     * GET /api/notebooks
+     */
+    async list(req, res) {
+        try {
+            const tree = await notebookService.listNotebooks(req.user._id);
+            res.json(tree);
+        } catch (error) {
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+
+    /**
+     * PATCH /api/notebooks/:id
+     */
+    async rename(req, res) {
+        try {
+            const { id } = req.params;
+            const sanitized = NotebookDTO.sanitize({ name: req.body.name });
+
+            const validation = NotebookDTO.validateRename(sanitized);
+            if (!validation.valid) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    details: validation.errors
+                });
+            }
+
+            const notebook = await notebookService.renameNotebook(id, sanitized, req.user._id);
+            res.json(notebook);
+        } catch (error) {
+            if (error.message === 'NOTEBOOK_NOT_FOUND') {
+                return res.status(404).json({ error: 'Notebook not found' });
+            }
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+
+    /**
+     * PATCH /api/notebooks/:id/move
+     */
+    async move(req, res) {
+        try {
+            const { id } = req.params;
+            const sanitized = NotebookDTO.sanitize({ parentId: req.body.parentId });
+
+            const validation = NotebookDTO.validateMove(sanitized);
+            if (!validation.valid) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    details: validation.errors
+                });
+            }
+
+            const notebook = await notebookService.moveNotebook(id, sanitized, req.user._id);
+            res.json(notebook);
+        } catch (error) {
+            if (error.message === 'NOTEBOOK_NOT_FOUND') {
+                return res.status(404).json({ error: 'Notebook not found' });
+            }
+            if (error.message === 'PARENT_NOT_FOUND') {
+                return res.status(404).json({ error: 'Parent notebook not found' });
+            }
+            if (INVALID_TREE_CODES.includes(error.code)) {
+                return res.status(400).json({ error: error.message });
+            }
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+
+    /**
+     * DELETE /api/notebooks/:id
+     */
+    async delete(req, res) {
+        try {
+            const { id } = req.params;
+            const result = await notebookService.deleteNotebook(id, req.user._id);
+            res.json(result);
+        } catch (error) {
+            if (error.message === 'NOTEBOOK_NOT_FOUND') {
+                return res.status(404).json({ error: 'Notebook not found' });
+            }
+            if (INVALID_TREE_CODES.includes(error.code)) {
+                return res.status(400).json({ error: error.message });
+            }
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+}
+
+module.exports = new NotebookController();
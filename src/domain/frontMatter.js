@@ -0,0 +1,58 @@
+// src/domain/frontMatter.js
+
+/**
+ * Dominio puro: front-matter YAML de archivos Markdown
+ *
+ *   ---
+ *   title: Lista de la compra
+ *   tags: [casa, compras]
+ *   ---
+ *   Contenido de la nota
+ *
+ * Se usa el esquema core de YAML: las fechas se leen como texto.
+ */
+
+const yaml = require('js-yaml');
+
+const FRONT_MATTER = /^---[ \t]*\r?\n(?:([\s\S]*?)\r?\n)?---[ \t]*(?:\r?\n|$)/;
+
+class FrontMatter {
+    /**
+     * Separa el front-matter del cuerpo: { data, body }
+     * Sin front-matter data es {}; si el YAML no es un objeto lanza INVALID_FRONT_MATTER
+     */
+    static parse(text) {
+        const match = FRONT_MATTER.exec(text);
+
+        if (!match) {
+            return { data: {}, body: text };
+        }
+
+        let data = {};
+        try {
+            // Un bloque vacío no es un documento YAML válido
+            if (match[1] && match[1].trim()) {
+                data = yaml.load(match[1]) ?? {};
+            }
+        } catch (error) {
+            throw new Error('INVALID_FRONT_MATTER');
+        }
+
+        if (typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('INVALID_FRONT_MATTER');
+        }
+
+        return { data, body: text.slice(match[0].length) };
+    }
+
+    /**
+     * Texto con front-matter (se omiten los campos undefined)
+     */
+    static stringify(data, body) {
+        const fields = Object.fromEntries(Object.entries(data).filter(([, value]) => value !== undefined));
+
+        return `---\n${yaml.dump(fields)}---\n${body}`;
+    }
+}
+
+module.exports = FrontMatter;
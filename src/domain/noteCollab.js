@@ -0,0 +1,202 @@
+// src/domain/noteCollab.js
+
+/**
+ * Dominio puro: estado de una sesión de edición colaborativa sobre el contenido
+ *
+ * La sesión guarda el contenido, su revisión (operaciones aplicadas desde que
+ * se abrió), las últimas operaciones para transformar las que llegan
+ * atrasadas y, por usuario, sus pilas de undo/redo.
+ *
+ * Undo selectivo: cada usuario deshace solo sus propias operaciones. Sus
+ * pilas guardan las inversas transformadas contra todo lo que aplicaron
+ * después los demás, de modo que la cima siempre se aplica sobre el
+ * contenido actual sin pisar las ediciones ajenas.
+ *
+ * Las funciones modifican la sesión recibida; no hay E/S.
+ */
+
+const { diff3Merge } = require('node-diff3');
+const NoteOT = require('./noteOT');
+
+/**
+ * Transforma una pila (la cima al final) contra una operación ajena ya aplicada
+ * Cada entrada se aplica tras las de encima; las que quedan vacías se descartan
+ */
+function transformStack(stack, op) {
+    const transformed = [];
+
+    for (let k = stack.length - 1; k >= 0; k--) {
+        const [entryOp, rest] = NoteOT.transform(stack[k].op, op);
+
+        if (!NoteOT.isNoop(entryOp)) {
+            transformed.push({ ...stack[k], op: entryOp });
+        }
+        op = rest;
+    }
+
+    return transformed.reverse();
+}
+
+class NoteCollab {
+    /**
+     * Sesión nueva sobre el contenido guardado
+     */
+    static createSession(content = '') {
+        return {
+            content,
+            revision: 0,
+            logStart: 0,
+            log: [],
+            stacks: {}
+        };
+    }
+
+    /**
+     * Pilas de undo/redo del usuario en la sesión
+     */
+    static stacksOf(session, userId) {
+        const key = String(userId);
+
+        if (!session.stacks[key]) {
+            session.stacks[key] = { undo: [], redo: [] };
+        }
+
+        return session.stacks[key];
+    }
+
+    /**
+     * Cuántos pasos puede deshacer y rehacer el usuario
+     */
+    static historyOf(session, userId) {
+        const { undo, redo } = this.stacksOf(session, userId);
+        return { undo: undo.length, redo: redo.length };
+    }
+
+    /**
+     * Transforma una operación hecha sobre `revision` contra las aplicadas
+     * después, para que se pueda aplicar sobre el contenido actual
+     */
+    static rebase(session, revision, op) {
+        if (!Number.isInteger(revision) || revision < 0 || revision > session.revision) {
+            throw new Error('INVALID_REVISION');
+        }
+
+        // Las operaciones intermedias ya no están en el log
+        if (revision < session.logStart) {
+            throw new Error('REVISION_TOO_OLD');
+        }
+
+        for (const entry of session.log.slice(revision - session.logStart)) {
+            [op] = NoteOT.transform(op, entry.op);
+        }
+
+        return op;
+    }
+
+    /**
+     * Aplica una operación sobre el contenido actual y la registra
+     * userId null: cambio llegado por otra vía (no entra en ninguna pila)
+     * kind: 'edit' | 'undo' | 'redo'
+     * groupMs: ediciones seguidas del mismo usuario que forman un solo paso de undo
+     * Devuelve la nueva revisión de la sesión
+     */
+    static commit(session, userId, op, { kind = 'edit', now = Date.now(), groupMs = 0, maxLog = Infinity } = {}) {
+        const before = session.content;
+        const author = userId ? String(userId) : null;
+
+        session.content = NoteOT.apply(before, op);
+        session.revision++;
+        session.log.push({ op, userId: author });
+
+        if (session.log.length > maxLog) {
+            const excess = session.log.length - maxLog;
+            session.log.splice(0, excess);
+            session.logStart += excess;
+        }
+
+        // Las pilas de los demás pasan a aplicarse sobre el nuevo contenido
+        for (const [key, stacks] of Object.entries(session.stacks)) {
+            if (key !== author) {
+                stacks.undo = transformStack(stacks.undo, op);
+                stacks.redo = transformStack(stacks.redo, op);
+            }
+        }
+
+        if (!author || NoteOT.isNoop(op)) {
+            return session.revision;
+        }
+
+        const own = this.stacksOf(session, author);
+        const inverse = NoteOT.invert(op, before);
+
+        if (kind === 'undo') {
+            own.redo.push({ op: inverse, at: null });
+        } else if (kind === 'redo') {
+            own.undo.push({ op: inverse, at: null });
+        } else {
+            const top = own.undo[own.undo.length - 1];
+
+            // at null: la entrada viene de un undo/redo y no se agrupa
+            if (top && top.at !== null && now - top.at <= groupMs) {
+                top.op = NoteOT.compose(inverse, top.op);
+                top.at = now;
+            } else {
+                own.undo.push({ op: inverse, at: now });
+            }
+
+            own.redo = [];
+        }
+
+        return session.revision;
+    }
+
+    /**
+     * Operación que incorpora a la sesión un cambio guardado por otra vía
+     * base: último contenido guardado que la sesión ya incluye
+     * stored: contenido guardado ahora
+     * Fusiona por líneas (diff3); si ambos lados tocaron lo mismo, gana lo
+     * editado en la sesión. Devuelve null si no hay nada que incorporar
+     */
+    static absorb(session, base, stored) {
+        if (stored === base) {
+            return null;
+        }
+
+        const merged = diff3Merge(session.content.split('\n'), base.split('\n'), stored.split('\n'))
+            .flatMap(block => (block.ok ? block.ok : block.conflict.a))
+            .join('\n');
+
+        return merged === session.content ? null : NoteOT.fromDiff(session.content, merged);
+    }
+
+    /**
+     * Deshace la última operación propia del usuario
+     * Devuelve la operación aplicada, o null si no tiene nada que deshacer
+     */
+    static undo(session, userId, options = {}) {
+        const entry = this.stacksOf(session, userId).undo.pop();
+
+        if (!entry) {
+            return null;
+        }
+
+        this.commit(session, userId, entry.op, { ...options, kind: 'undo' });
+        return entry.op;
+    }
+
+    /**
+     * Rehace la última operación propia deshecha por el usuario
+     */
+    static redo(session, userId, options = {}) {
+        const entry = this.stacksOf(session, userId).redo.pop();
+
+        if (!entry) {
+            return null;
+        }
+
+        this.commit(session, userId, entry.op, { ...options, kind: 'redo' });
+        return entry.op;
+    }
+}
+
+module.exports = NoteCollab;
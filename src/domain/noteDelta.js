@@ -0,0 +1,113 @@
+// src/domain/noteDelta.js
+
+/**
+ * Dominio puro: compresión del historial mediante deltas inversos
+ *
+ * Dentro de cada pila (undo / redo) la cima se guarda completa y cada
+ * snapshot inferior guarda solo el delta que lo reconstruye a partir del
+ * snapshot inmediatamente superior (el estado siguiente). Cada cierto
+ * número de deltas se deja un keyframe completo para que reconstruir una
+ * versión profunda no obligue a recorrer toda la pila.
+ *
+ * Formato del delta (sobre el contenido, por líneas):
+ *   número > 0  → copiar n caracteres del estado siguiente
+ *   número < 0  → saltar n caracteres del estado siguiente
+ *   string      → insertar el texto
+ */
+
+const Diff = require('diff');
+
+const DEFAULT_KEYFRAME_INTERVAL = 10;
+
+class NoteDelta {
+    /**
+     * Delta que transforma base (estado siguiente) en target
+     */
+    static encode(base, target) {
+        return Diff.diffLines(base, target).map(part => {
+            if (part.added) return part.value;
+            if (part.removed) return -part.value.length;
+            return part.value.length;
+        });
+    }
+
+    /**
+     * Aplica un delta sobre base y devuelve el texto reconstruido
+     */
+    static apply(base, delta) {
+        let text = '';
+        let cursor = 0;
+
+        for (const op of delta) {
+            if (typeof op === 'string') {
+                text += op;
+            } else if (op > 0) {
+                text += base.slice(cursor, cursor + op);
+                cursor += op;
+            } else {
+                cursor -= op;
+            }
+        }
+
+        if (cursor !== base.length) {
+            throw new Error('CORRUPT_DELTA');
+        }
+
+        return text;
+    }
+
+    /**
+     * Delta para guardar target frente a base, o null si debe quedar completo
+     * (contenido ausente o delta no más pequeño que el propio texto)
+     */
+    static compress(base, target) {
+        if (typeof base !== 'string' || typeof target !== 'string') {
+            return null;
+        }
+
+        const delta = this.encode(base, target);
+        return JSON.stringify(delta).length < target.length ? delta : null;
+    }
+
+    /**
+     * Decide cómo guardar una secuencia de snapshots de una misma pila
+     * snapshots: del más profundo a la cima (el último queda completo)
+     * run: deltas consecutivos que ya hay justo debajo del primero
+     * Devuelve, para cada snapshot, su delta o null si se guarda completo
+     */
+    static plan(snapshots, { run = 0, keyframeInterval = DEFAULT_KEYFRAME_INTERVAL } = {}) {
+        const deltas = [];
+
+        snapshots.forEach((snapshot, i) => {
+            const next = snapshots[i + 1];
+            const delta = next && run + 1 < keyframeInterval
+                ? this.compress(next.content, snapshot.content)
+                : null;
+
+            run = delta ? run + 1 : 0;
+            deltas.push(delta);
+        });
+
+        return deltas;
+    }
+
+    /**
+     * Reconstruye el contenido de una pila
+     * versions: de la cima hacia abajo ({ content } o { delta })
+     */
+    static expand(versions) {
+        let following = null;
+
+        return versions.map(version => {
+            const { delta, ...rest } = version;
+            const content = delta ? this.apply(following, delta) : version.content;
+
+            following = content;
+            return { ...rest, content };
+        });
+    }
+}
+
+NoteDelta.DEFAULT_KEYFRAME_INTERVAL = DEFAULT_KEYFRAME_INTERVAL;
+
+module.exports = NoteDelta;
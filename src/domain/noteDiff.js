@@ -0,0 +1,147 @@
+// src/domain/noteDiff.js
+
+/**
+ * Dominio puro: diferencias textuales entre dos versiones de una nota
+ *
+ * El contenido se compara por líneas (hunks con contexto, como un diff
+ * unificado) y, dentro de cada bloque de líneas cambiadas, por palabras.
+ * El título y las etiquetas se comparan aparte.
+ */
+
+const Diff = require('diff');
+
+const CONTEXT_LINES = 3;
+
+// Prefijo de cada línea de un hunk → tipo de cambio
+const LINE_TYPES = {
+    ' ': 'context',
+    '-': 'removed',
+    '+': 'added'
+};
+
+// Compara siempre textos terminados en salto de línea: el contenido se guarda
+// recortado y sin él jsdiff añadiría "\ No newline at end of file" a cada hunk
+function asLines(text) {
+    const value = text ?? '';
+    return value.endsWith('\n') ? value : `${value}\n`;
+}
+
+/**
+ * Segmentos palabra a palabra entre dos textos: [{ type: equal|removed|added, value }]
+ */
+function wordDiff(oldText, newText) {
+    return Diff.diffWordsWithSpace(oldText, newText).map(part => ({
+        type: part.added ? 'added' : (part.removed ? 'removed' : 'equal'),
+        value: part.value
+    }));
+}
+
+/**
+ * Segmentos de un solo lado: 'removed' para la línea antigua, 'added' para la nueva
+ */
+function sideSegments(segments, side) {
+    return segments.filter(part => part.type === 'equal' || part.type === side);
+}
+
+/**
+ * Añade el detalle por palabras a las parejas de líneas eliminada/añadida
+ * de un mismo bloque de cambio (la i-ésima eliminada con la i-ésima añadida)
+ */
+function attachWordDiffs(lines) {
+    let i = 0;
+
+    while (i < lines.length) {
+        if (lines[i].type !== 'removed') {
+            i++;
+            continue;
+        }
+
+        const removed = [];
+        while (i < lines.length && lines[i].type === 'removed') removed.push(lines[i++]);
+
+        const added = [];
+        while (i < lines.length && lines[i].type === 'added') added.push(lines[i++]);
+
+        const pairs = Math.min(removed.length, added.length);
+        for (let k = 0; k < pairs; k++) {
+            const segments = wordDiff(removed[k].text, added[k].text);
+            removed[k].words = sideSegments(segments, 'removed');
+            added[k].words = sideSegments(segments, 'added');
+        }
+    }
+
+    return lines;
+}
+
+class NoteDiff {
+    /**
+     * Hunks del contenido: [{ oldStart, oldLines, newStart, newLines, lines }]
+     * Cada línea es { type: context|removed|added, text, words? }
+     */
+    static contentHunks(oldContent, newContent, context = CONTEXT_LINES) {
+        const patch = Diff.structuredPatch('', '', asLines(oldContent), asLines(newContent), '', '', { context });
+
+        return patch.hunks.map(hunk => ({
+            oldStart: hunk.oldStart,
+            oldLines: hunk.oldLines,
+            newStart: hunk.newStart,
+            newLines: hunk.newLines,
+            lines: attachWordDiffs(hunk.lines.map(line => ({
+                type: LINE_TYPES[line[0]],
+                text: line.slice(1)
+            })))
+        }));
+    }
+
+    /**
+     * Diferencia estructurada entre dos versiones ({ title, content, tags })
+     */
+    static compare(from, to) {
+        const hunks = this.contentHunks(from.content, to.content);
+        const fromTags = from.tags || [];
+        const toTags = to.tags || [];
+
+        const stats = { additions: 0, deletions: 0 };
+        for (const hunk of hunks) {
+            for (const line of hunk.lines) {
+                if (line.type === 'added') stats.additions++;
+                if (line.type === 'removed') stats.deletions++;
+            }
+        }
+
+        return {
+            title: {
+                changed: from.title !== to.title,
+                from: from.title,
+                to: to.title,
+                words: from.title !== to.title ? wordDiff(from.title, to.title) : []
+            },
+            tags: {
+                added: toTags.filter(tag => !fromTags.includes(tag)),
+                removed: fromTags.filter(tag => !toTags.includes(tag))
+            },
+            hunks,
+            stats
+        };
+    }
+
+    /**
+     * Diff unificado del contenido en texto plano
+     * Las cabeceras llevan la etiqueta de cada versión y su título
+     */
+    static unified(from, to, { fromLabel, toLabel }) {
+        return Diff.createTwoFilesPatch(
+            fromLabel,
+            toLabel,
+            asLines(from.content),
+            asLines(to.content),
+            from.title,
+            to.title,
+            { context: CONTEXT_LINES }
+        );
+    }
+}
+
+NoteDiff.CONTEXT_LINES = CONTEXT_LINES;
+
+module.exports = NoteDiff;
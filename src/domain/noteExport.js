@@ -0,0 +1,142 @@
+// src/domain/noteExport.js
+
+/**
+ * Dominio puro: exportación de notas
+ *
+ * Cada nota se exporta como objeto plano (JSON) o como Markdown con
+ * front-matter YAML: título, etiquetas, formato, fechas y estado (activa,
+ * archivada o en papelera) y, si se pide, la línea temporal completa de
+ * versiones. La colección sale como un JSON ({ format: 'flashnotes',
+ * version, notes }) que NoteImport vuelve a leer, un zip con un .md por
+ * nota o un único .md con todas.
+ */
+
+const AdmZip = require('adm-zip');
+const FrontMatter = require('./frontMatter');
+
+const FORMAT = 'flashnotes';
+const VERSION = 1;
+
+// Caracteres no admitidos en nombres de archivo (Windows incluido)
+const UNSAFE_FILE_CHARS = /[\\/:*?"<>|\x00-\x1f]/g;
+const MAX_FILE_NAME = 80;
+
+// Carpeta del zip según el estado de la nota (las activas, en la raíz)
+const STATUS_FOLDERS = { archived: 'archive/', trashed: 'trash/' };
+
+const isoDate = date => (date ? new Date(date).toISOString() : null);
+
+class NoteExport {
+    /**
+     * Nota exportada como objeto plano
+     * versions: línea temporal de NoteHistoryDomain.timeline (null = sin historial)
+     */
+    static toJSON(note, versions = null) {
+        const exported = {
+            id: String(note._id),
+            title: note.title,
+            content: note.content,
+            tags: [...(note.tags || [])],
+            format: note.format ?? 'markdown',
+            notebookId: note.notebookId ? String(note.notebookId) : null,
+            createdAt: isoDate(note.createdAt),
+            updatedAt: isoDate(note.updatedAt),
+            status: note.status ?? 'active',
+            archivedAt: isoDate(note.archivedAt),
+            deletedAt: isoDate(note.deletedAt)
+        };
+
+        if (versions) {
+            exported.versions = versions.map(version => ({
+                version: version.version,
+                title: version.title,
+                content: version.content,
+                tags: version.tags,
+                author: version.author ? String(version.author) : null,
+                editedAt: isoDate(version.editedAt),
+                current: version.current
+            }));
+        }
+
+        return exported;
+    }
+
+    /**
+     * Nota exportada como Markdown: front-matter con los metadatos y el
+     * contenido como cuerpo
+     */
+    static toMarkdown(note, versions = null) {
+        const { content, ...metadata } = this.toJSON(note, versions);
+
+        return FrontMatter.stringify(metadata, `${content}\n`);
+    }
+
+    /**
+     * Documento JSON de exportación de varias notas
+     * items: [{ note, versions }]
+     */
+    static document(items, exportedAt = new Date()) {
+        return {
+            format: FORMAT,
+            version: VERSION,
+            exportedAt: exportedAt.toISOString(),
+            notes: items.map(({ note, versions }) => this.toJSON(note, versions))
+        };
+    }
+
+    /**
+     * Un único Markdown con todas las notas, una tras otra con su front-matter
+     */
+    static digest(items) {
+        return items.map(({ note, versions }) => this.toMarkdown(note, versions)).join('\n');
+    }
+
+    /**
+     * Zip con un .md por nota (las archivadas, en archive/; las de la papelera, en trash/)
+     */
+    static archive(items) {
+        const zip = new AdmZip();
+        const taken = new Set();
+
+        for (const { note, versions } of items) {
+            const folder = STATUS_FOLDERS[note.status] ?? '';
+            const name = this.uniqueName(`${folder}${this.baseName(note)}`, '.md', taken);
+            zip.addFile(name, Buffer.from(this.toMarkdown(note, versions), 'utf8'));
+        }
+
+        return zip.toBuffer();
+    }
+
+    /**
+     * Nombre de archivo a partir del título (sin extensión)
+     */
+    static baseName(note) {
+        const name = (note.title || '')
+            .replace(UNSAFE_FILE_CHARS, '-')
+            .trim()
+            .slice(0, MAX_FILE_NAME)
+            .trim();
+
+        return name || 'note';
+    }
+
+    /**
+     * Nombre libre dentro de taken: "Título.md", "Título (2).md", ...
+     * (sin distinguir mayúsculas: algunos sistemas de archivos no lo hacen)
+     */
+    static uniqueName(base, extension, taken) {
+        let name = `${base}${extension}`;
+
+        for (let n = 2; taken.has(name.toLowerCase()); n++) {
+            name = `${base} (${n})${extension}`;
+        }
+
+        taken.add(name.toLowerCase());
+        return name;
+    }
+}
+
+NoteExport.FORMAT = FORMAT;
+NoteExport.VERSION = VERSION;
+
+module.exports = NoteExport;
@@ -2,9 +2,23 @@
 
 /**
  * Dominio puro: lógica de undo/redo sin dependencias externas
+ *
+ * Las pilas de undo/redo se guardan fuera de la nota (colección NoteVersion):
+ * el dominio recibe la cima que necesita y devuelve el nuevo estado junto con
+ * los snapshots que hay que apilar. No hay límite de historial aquí; la
+ * retención la aplica la capa de persistencia.
+ *
+ * Cada snapshot lleva el autor del cambio que lo apiló: en una nota
+ * compartida cada usuario deshace y rehace solo lo suyo (ver revert).
+ * Las pilas forman una cadena: el estado justo después de la transición de
+ * una entrada es la entrada superior, o el estado actual si es la cima.
  */
 
-const MAX_HISTORY = 20;
+const NoteMerge = require('./noteMerge');
+
+function sameTags(a = [], b = []) {
+    return a.length === b.length && a.every((tag, i) => tag === b[i]);
+}
 
 class NoteHistoryDomain {
     /**
@@ -13,48 +27,54 @@ class NoteHistoryDomain {
     static hasRealChanges(current, update) {
         const titleChanged = update.title !== undefined && update.title !== current.title;
         const contentChanged = update.content !== undefined && update.content !== current.content;
-        return titleChanged || contentChanged;
+        const tagsChanged = update.tags !== undefined && !sameTags(update.tags, current.tags);
+        return titleChanged || contentChanged || tagsChanged;
     }
 
     /**
      * Crea un snapshot del estado actual
+     * Guarda el tramo de revisiones en que ese estado estuvo vigente
+     * (sinceRevision → revision) para localizarlo como base de una fusión
+     * author: usuario cuyo cambio apila el snapshot
      */
-    static createSnapshot(note) {
+    static createSnapshot(note, author = null) {
         return {
             title: note.title,
             content: note.content,
+            tags: [...(note.tags || [])],
+            sinceRevision: note.stateRevision,
+            revision: note.revision,
+            author,
             editedAt: new Date()
         };
     }
 
     /**
-     * Aplica una actualización al historial
-     * Retorna el estado modificado (inmutable)
+     * Aplica una actualización
+     * hasHistory: si la nota ya tiene snapshots de undo guardados
+     * author: usuario que edita
+     * Retorna el estado modificado (inmutable) y los snapshots a apilar en undo;
+     * quien persiste el historial debe además invalidar el redo
      */
-    static applyUpdate(note, update) {
+    static applyUpdate(note, update, { hasHistory = false, author = null } = {}) {
         // Si no hay cambios reales, retorna sin modificar
         if (!this.hasRealChanges(note, update)) {
             return {
                 modified: false,
-                note: note
+                note: note,
+                snapshots: []
             };
         }
 
-        const newVersions = [...note.versions];
-        const isFirstEdit = newVersions.length === 0;
+        const snapshots = [];
 
         // Primera edición: guardar estado original
-        if (isFirstEdit) {
-            newVersions.push(this.createSnapshot(note));
+        if (!hasHistory) {
+            snapshots.push(this.createSnapshot(note, author));
         }
 
         // Guardar estado antes del cambio
-        newVersions.push(this.createSnapshot(note));
-
-        // Limitar historial
-        if (newVersions.length > MAX_HISTORY) {
-            newVersions.shift();
-        }
+        snapshots.push(this.createSnapshot(note, author));
 
         return {
             modified: true,
@@ -62,18 +82,20 @@ class NoteHistoryDomain {
                 ...note,
                 title: update.title ?? note.title,
                 content: update.content ?? note.content,
-                versions: newVersions,
-                redoStack: [], // invalidar redo
+                tags: update.tags ?? note.tags,
                 editedAt: new Date()
-            }
+            },
+            snapshots
         };
     }
 
     /**
      * Ejecuta undo
+     * previous: cima de la pila de undo (null si está vacía)
+     * Retorna el estado restaurado y el snapshot del estado actual para apilar en redo
      */
-    static undo(note) {
-        if (!note.versions || note.versions.length === 0) {
+    static undo(note, previous, { author = null } = {}) {
+        if (!previous) {
             return {
                 success: false,
                 error: 'NO_HISTORY',
@@ -81,33 +103,20 @@ class NoteHistoryDomain {
             };
         }
 
-        const newVersions = [...note.versions];
-        const newRedoStack = [...(note.redoStack || [])];
-
-        // Guardar estado actual en redo
-        newRedoStack.push(this.createSnapshot(note));
-
-        // Recuperar última versión
-        const restored = newVersions.pop();
-
         return {
             success: true,
-            note: {
-                ...note,
-                title: restored.title,
-                content: restored.content,
-                versions: newVersions,
-                redoStack: newRedoStack,
-                editedAt: new Date()
-            }
+            note: this.restoreSnapshot(note, previous),
+            snapshot: this.createSnapshot(note, author)
         };
     }
 
     /**
      * Ejecuta redo
+     * next: cima de la pila de redo (null si está vacía)
+     * Retorna el estado recuperado y el snapshot del estado actual para apilar en undo
      */
-    static redo(note) {
-        if (!note.redoStack || note.redoStack.length === 0) {
+    static redo(note, next, { author = null } = {}) {
+        if (!next) {
             return {
                 success: false,
                 error: 'NO_REDO',
@@ -115,30 +124,204 @@ class NoteHistoryDomain {
             };
         }
 
-        const newVersions = [...note.versions];
-        const newRedoStack = [...note.redoStack];
+        return {
+            success: true,
+            note: this.restoreSnapshot(note, next),
+            snapshot: this.createSnapshot(note, author)
+        };
+    }
+
+    /**
+     * El snapshot es del usuario (los anteriores a los autores cuentan como
+     * del propietario de la nota)
+     */
+    static isAuthor(snapshot, userId, ownerId) {
+        return String(snapshot.author ?? ownerId) === String(userId);
+    }
+
+    /**
+     * Posición de la última entrada del usuario en una pila (de abajo a la cima)
+     * o -1 si no tiene ninguna
+     */
+    static lastIndexBy(stack, userId, ownerId) {
+        for (let i = stack.length - 1; i >= 0; i--) {
+            if (this.isAuthor(stack[i], userId, ownerId)) {
+                return i;
+            }
+        }
+
+        return -1;
+    }
+
+    /**
+     * Undo/redo selectivo: revierte la transición de la entrada index de una
+     * pila (de abajo a la cima) aunque otros hayan cambiado la nota después
+     * El cambio se deshace a tres bandas sobre el estado actual y sobre cada
+     * entrada superior (rebasadas), para que la cadena de la pila se mantenga
+     * Retorna el nuevo estado, las entradas superiores rebasadas (sustituyen
+     * a index y las de encima) y el snapshot del estado actual para la otra
+     * pila; si los cambios posteriores se solapan, CONFLICT
+     */
+    static revert(note, stack, index, { author = null } = {}) {
+        const stateOf = s => ({ title: s.title, content: s.content, tags: s.tags ?? note.tags ?? [] });
+        const target = stateOf(stack[index]);
+        const after = stateOf(stack[index + 1] ?? note);
+        let conflicts = null;
+
+        const revertIn = state => {
+            const result = NoteMerge.merge(after, stateOf(state), target);
+
+            if (!result.clean) {
+                conflicts = conflicts ?? result.conflicts;
+                return stateOf(state);
+            }
+            return result.merged;
+        };
 
-        // Guardar estado actual en versiones
-        newVersions.push(this.createSnapshot(note));
+        const rebased = stack.slice(index + 1).map(snapshot => {
+            const merged = revertIn(snapshot);
+            const changed = merged.title !== snapshot.title || merged.content !== snapshot.content;
 
-        // Recuperar de redo
-        const restored = newRedoStack.pop();
+            return {
+                ...snapshot,
+                ...merged,
+                // Ese estado ya no es el que se vio en su revisión: no sirve de base de fusión
+                sinceRevision: changed ? null : snapshot.sinceRevision,
+                revision: changed ? null : snapshot.revision
+            };
+        });
+        const state = revertIn(note);
 
-        // Limitar historial
-        if (newVersions.length > MAX_HISTORY) {
-            newVersions.shift();
+        if (conflicts) {
+            return {
+                success: false,
+                error: 'CONFLICT',
+                conflicts,
+                note: note
+            };
         }
 
         return {
             success: true,
-            note: {
-                ...note,
-                title: restored.title,
-                content: restored.content,
-                versions: newVersions,
-                redoStack: newRedoStack,
-                editedAt: new Date()
-            }
+            note: { ...note, ...state, editedAt: new Date() },
+            rebased,
+            snapshot: this.createSnapshot(note, author)
+        };
+    }
+
+    /**
+     * Estado de la nota tras volver a un snapshot
+     */
+    static restoreSnapshot(note, snapshot) {
+        return {
+            ...note,
+            title: snapshot.title,
+            content: snapshot.content,
+            // Snapshots anteriores a las etiquetas no las traen: se conservan
+            tags: snapshot.tags ?? note.tags,
+            editedAt: new Date()
+        };
+    }
+
+    /**
+     * Línea temporal completa de la nota, de la versión más antigua a la más nueva:
+     * snapshots de undo, estado actual y snapshots de redo (el próximo primero)
+     * history: { undo: [más antiguo → más reciente], redo: [próximo → más lejano] }
+     * Las versiones se numeran desde 1; la numeración cambia al editar
+     */
+    static timeline(note, history) {
+        const undo = history.undo || [];
+        const redo = history.redo || [];
+
+        return [
+            ...undo.map((snapshot, i) => this.versionEntry(note, snapshot, i + 1)),
+            this.versionEntry(note, null, undo.length + 1),
+            ...redo.map((snapshot, i) => this.versionEntry(note, snapshot, undo.length + i + 2))
+        ];
+    }
+
+    /**
+     * Entrada n de la línea temporal a partir de su snapshot
+     * (snapshot null: el estado actual de la nota)
+     */
+    static versionEntry(note, snapshot, n) {
+        const current = snapshot === null;
+        const source = current
+            ? { title: note.title, content: note.content, tags: note.tags, editedAt: note.updatedAt ?? note.editedAt }
+            : snapshot;
+
+        return {
+            version: n,
+            title: source.title,
+            content: source.content,
+            // Snapshots anteriores a las etiquetas no las traen
+            tags: source.tags ?? null,
+            author: source.author ?? null,
+            editedAt: source.editedAt,
+            current
+        };
+    }
+
+    /**
+     * Dónde está guardada la versión n sabiendo cuántos snapshots hay en undo:
+     * { current: true }, { stack, depth } (depth: posiciones bajo la cima) o null
+     * Permite leer una sola versión sin cargar la línea temporal completa
+     */
+    static locate(n, undoCount) {
+        if (!Number.isInteger(n) || n < 1) {
+            return null;
+        }
+
+        if (n <= undoCount) {
+            return { stack: 'undo', depth: undoCount - n };
+        }
+
+        if (n === undoCount + 1) {
+            return { current: true };
+        }
+
+        return { stack: 'redo', depth: n - undoCount - 2 };
+    }
+
+    /**
+     * Versión n de la línea temporal (o null si no existe)
+     */
+    static getVersion(note, history, n) {
+        return this.timeline(note, history)[n - 1] ?? null;
+    }
+
+    /**
+     * Salta directamente a la versión n
+     * El salto es una edición más: el estado actual queda en undo y se invalida redo
+     */
+    static restoreVersion(note, history, n, { author = null } = {}) {
+        return this.jumpTo(note, this.getVersion(note, history, n), {
+            hasHistory: (history.undo || []).length > 0,
+            author
+        });
+    }
+
+    /**
+     * Salta a target, una entrada de la línea temporal ya leída (o null)
+     */
+    static jumpTo(note, target, { hasHistory, author = null }) {
+        if (!target) {
+            return {
+                success: false,
+                error: 'VERSION_NOT_FOUND',
+                note: note
+            };
+        }
+
+        const result = this.applyUpdate(note, {
+            title: target.title,
+            content: target.content,
+            tags: target.tags ?? undefined
+        }, { hasHistory, author });
+
+        return {
+            success: true,
+            ...result
         };
     }
 }
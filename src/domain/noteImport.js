@@ -0,0 +1,180 @@
+// src/domain/noteImport.js
+
+/**
+ * Dominio puro: lectura de archivos a importar como notas
+ *
+ * Admite Markdown y texto plano (.md, .markdown, .txt) con front-matter
+ * opcional (title, tags y format), zip con esos archivos y el JSON de nuestra
+ * exportación ({ format: 'flashnotes', notes: [...] } o una sola nota).
+ * Cada nota encontrada es una entrada { file, data } o { file, error };
+ * la validación de data la hace NoteDTO.
+ */
+
+const path = require('path');
+const AdmZip = require('adm-zip');
+const FrontMatter = require('./frontMatter');
+
+const TEXT_EXTENSIONS = ['.md', '.markdown', '.txt'];
+
+// Formato de la nota según la extensión si el front-matter no lo indica
+const PLAIN_EXTENSIONS = ['.txt'];
+
+function extensionOf(name) {
+    return path.extname(name).toLowerCase();
+}
+
+function decode(buffer) {
+    return buffer.toString('utf8').replace(/^\uFEFF/, '');
+}
+
+// Solo se aceptan textos: otro tipo hará fallar la validación
+function textOrUndefined(value) {
+    return typeof value === 'string' ? value : undefined;
+}
+
+// Etiquetas del front-matter: lista o texto separado por comas
+function tagsOf(tags) {
+    if (tags === undefined || tags === null) {
+        return undefined;
+    }
+
+    return typeof tags === 'string' ? tags.split(',') : tags;
+}
+
+// Archivos que los compresores añaden y no son notas
+function isHidden(entryName) {
+    return entryName.split('/').some(part => part.startsWith('.') || part === '__MACOSX');
+}
+
+class NoteImport {
+    /**
+     * Entradas de importación de los archivos subidos [{ name, buffer }]
+     * limits: { maxArchiveEntries, maxArchiveBytes } para los zip
+     */
+    static read(files, limits) {
+        return files.flatMap(({ name, buffer }) => {
+            if (extensionOf(name) === '.zip') {
+                return this.readArchive(name, buffer, limits);
+            }
+            return this.readFile(name, buffer);
+        });
+    }
+
+    /**
+     * Entradas de un archivo suelto (dentro de un zip, name es su ruta)
+     */
+    static readFile(name, buffer) {
+        const extension = extensionOf(name);
+
+        try {
+            if (TEXT_EXTENSIONS.includes(extension)) {
+                return [{ file: name, data: this.parseText(name, decode(buffer)) }];
+            }
+
+            if (extension === '.json') {
+                return this.parseExport(decode(buffer)).map((data, index) => ({ file: name, index, data }));
+            }
+        } catch (error) {
+            return [{ file: name, error: error.message }];
+        }
+
+        return [{ file: name, error: 'UNSUPPORTED_FILE_TYPE' }];
+    }
+
+    /**
+     * Entradas de un zip (las rutas quedan como archivo.zip/carpeta/nota.md)
+     */
+    static readArchive(name, buffer, { maxArchiveEntries, maxArchiveBytes }) {
+        let entries;
+        try {
+            entries = new AdmZip(buffer).getEntries()
+                .filter(entry => !entry.isDirectory && !isHidden(entry.entryName));
+        } catch (error) {
+            return [{ file: name, error: 'INVALID_ARCHIVE' }];
+        }
+
+        if (entries.length > maxArchiveEntries) {
+            return [{ file: name, error: 'ARCHIVE_TOO_LARGE' }];
+        }
+
+        // El tamaño de la cabecera lo declara el propio zip: se cuenta lo que
+        // realmente se descomprime y se para en cuanto supera el límite
+        const results = [];
+        let size = 0;
+
+        for (const entry of entries) {
+            const file = `${name}/${entry.entryName}`;
+
+            if (extensionOf(file) === '.zip') {
+                results.push({ file, error: 'UNSUPPORTED_FILE_TYPE' });
+                continue;
+            }
+
+            let data;
+            try {
+                data = entry.getData();
+            } catch (error) {
+                // Entrada dañada (CRC, datos comprimidos): solo falla ese archivo
+                results.push({ file, error: 'INVALID_ARCHIVE_ENTRY' });
+                continue;
+            }
+
+            size += data.length;
+
+            if (size > maxArchiveBytes) {
+                return [{ file: name, error: 'ARCHIVE_TOO_LARGE' }];
+            }
+
+            results.push(...this.readFile(file, data));
+        }
+
+        return results;
+    }
+
+    /**
+     * Nota de un archivo de texto: el título sale del front-matter o, si no
+     * lo tiene, del nombre del archivo
+     */
+    static parseText(name, text) {
+        const { data, body } = FrontMatter.parse(text);
+        const title = typeof data.title === 'number' ? String(data.title) : textOrUndefined(data.title);
+
+        return {
+            // Un título que no es texto (lista, mapa, booleano) hará fallar la validación
+            title: data.title === undefined || data.title === null ? path.basename(name, path.extname(name)) : title,
+            content: body,
+            tags: tagsOf(data.tags),
+            format: data.format ?? (PLAIN_EXTENSIONS.includes(extensionOf(name)) ? 'plain' : 'markdown')
+        };
+    }
+
+    /**
+     * Notas del JSON de exportación (también una nota suelta)
+     * Lanza INVALID_JSON o INVALID_EXPORT si no tiene ese formato
+     */
+    static parseExport(text) {
+        let json;
+        try {
+            json = JSON.parse(text);
+        } catch (error) {
+            throw new Error('INVALID_JSON');
+        }
+
+        const notes = Array.isArray(json?.notes) ? json.notes : [json];
+
+        if (notes.some(note => !note || typeof note !== 'object' || Array.isArray(note))) {
+            throw new Error('INVALID_EXPORT');
+        }
+
+        return notes.map(note => ({
+            title: textOrUndefined(note.title),
+            content: textOrUndefined(note.content),
+            tags: note.tags,
+            format: note.format
+        }));
+    }
+}
+
+NoteImport.TEXT_EXTENSIONS = TEXT_EXTENSIONS;
+
+module.exports = NoteImport;
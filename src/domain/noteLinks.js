@@ -0,0 +1,118 @@
+// src/domain/noteLinks.js
+
+/**
+ * Dominio puro: enlaces wiki entre notas
+ *
+ * [[Título]] o [[id]] enlazan a otra nota del mismo propietario; admiten un
+ * texto alternativo tras "|" ([[Título|texto]]). Cada nota guarda en links
+ * las claves de sus enlaces: el ID en hexadecimal o el título normalizado
+ * (sin distinguir mayúsculas ni espacios repetidos). Los enlaces dentro de
+ * bloques o fragmentos de código no cuentan.
+ */
+
+const LINK_REGEX = /\[\[([^\[\]\n|]+)(\|[^\[\]\n]*)?\]\]/g;
+const CODE_REGEX = /^(```|~~~)[^\n]*\n[\s\S]*?^\1[^\n]*$|`[^`\n]*`/gm;
+const ID_REGEX = /^[0-9a-f]{24}$/i;
+
+const MAX_LINKS = 200;
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+class NoteLinks {
+    /**
+     * Claves únicas de los enlaces del contenido, en orden de aparición
+     */
+    static parse(content) {
+        const text = (content || '').replace(CODE_REGEX, '');
+        const keys = new Set();
+
+        for (const [, target] of text.matchAll(LINK_REGEX)) {
+            const key = this.key(target);
+
+            if (key) {
+                keys.add(key);
+            }
+            if (keys.size === MAX_LINKS) {
+                break;
+            }
+        }
+
+        return [...keys];
+    }
+
+    /**
+     * Clave de un destino: ID en minúsculas o título normalizado
+     */
+    static key(target) {
+        const trimmed = target.trim();
+
+        if (ID_REGEX.test(trimmed)) {
+            return trimmed.toLowerCase();
+        }
+
+        return this.titleKey(trimmed);
+    }
+
+    /**
+     * Título normalizado: sin espacios sobrantes y en minúsculas
+     */
+    static titleKey(title) {
+        return title.trim().replace(/\s+/g, ' ').toLowerCase();
+    }
+
+    /**
+     * Comprobar si la clave es un ID
+     */
+    static isIdKey(key) {
+        return ID_REGEX.test(key);
+    }
+
+    /**
+     * Claves con las que otras notas pueden enlazar a esta
+     */
+    static keysOf(note) {
+        return [String(note._id).toLowerCase(), this.titleKey(note.title)];
+    }
+
+    /**
+     * Resolver las claves contra las notas candidatas
+     * Devuelve [{ target, note }] en el orden de keys (note es null si el
+     * enlace no lleva a ninguna nota); a igual título gana la más antigua
+     */
+    static resolve(keys, notes) {
+        const byKey = new Map();
+
+        for (const note of notes) {
+            for (const key of this.keysOf(note)) {
+                if (!byKey.has(key)) {
+                    byKey.set(key, note);
+                }
+            }
+        }
+
+        return keys.map(key => ({ target: key, note: byKey.get(key) ?? null }));
+    }
+
+    /**
+     * Sustituir los enlaces por título a oldTitle por enlaces a newTitle
+     * (conserva el texto alternativo; los enlaces por ID y el código no cambian)
+     */
+    static rewrite(content, oldTitle, newTitle) {
+        const words = this.titleKey(oldTitle).split(' ').map(escapeRegex);
+        const link = `\\[\\[\\s*${words.join('\\s+')}\\s*(\\|[^\\[\\]\\n]*)?\\]\\]`;
+        const pattern = new RegExp(`${CODE_REGEX.source}|${link}`, 'gmi');
+
+        return content.replace(pattern, (match, fence, alias) => {
+            if (!match.startsWith('[[')) {
+                return match;
+            }
+            return `[[${newTitle}${alias ?? ''}]]`;
+        });
+    }
+}
+
+NoteLinks.MAX_LINKS = MAX_LINKS;
+
+module.exports = NoteLinks;
@@ -0,0 +1,159 @@
+// src/domain/noteMerge.js
+
+/**
+ * Dominio puro: fusión a tres bandas de ediciones concurrentes
+ *
+ * base: la versión sobre la que editó el cliente (su revisión base)
+ * server: el estado actual guardado
+ * client: la edición del cliente (los campos que no envía quedan como en base)
+ *
+ * El contenido se fusiona por líneas (diff3). El título es una sola línea:
+ * si ambos lo cambiaron de forma distinta es conflicto. Las etiquetas se
+ * fusionan como conjunto y nunca generan conflicto.
+ */
+
+const { diff3Merge } = require('node-diff3');
+
+const MARKERS = {
+    server: '<<<<<<< server',
+    separator: '=======',
+    client: '>>>>>>> client'
+};
+
+/**
+ * Estado del cliente: los campos no enviados se toman de la base
+ */
+function clientState(base, edit) {
+    return {
+        title: edit.title ?? base.title,
+        content: edit.content ?? base.content,
+        tags: edit.tags ?? base.tags ?? []
+    };
+}
+
+class NoteMerge {
+    /**
+     * Estado de la nota en una revisión anterior a partir del historial
+     * history: { undo, redo } con snapshots que guardan su tramo de revisiones
+     * Devuelve null si ese estado ya no está en el historial (o la revisión
+     * es posterior a la actual)
+     */
+    static stateAt(note, history, revision) {
+        if (revision > note.revision) {
+            return null;
+        }
+
+        if ((note.stateRevision ?? note.revision) <= revision) {
+            return { title: note.title, content: note.content, tags: note.tags ?? [] };
+        }
+
+        const snapshot = [...(history.undo || []), ...(history.redo || [])].find(s =>
+            Number.isInteger(s.revision) &&
+            (s.sinceRevision ?? s.revision) <= revision &&
+            revision <= s.revision
+        );
+
+        if (!snapshot) {
+            return null;
+        }
+
+        return {
+            title: snapshot.title,
+            content: snapshot.content,
+            tags: snapshot.tags ?? note.tags ?? []
+        };
+    }
+
+    /**
+     * Fusión a tres bandas de un texto por líneas
+     * Devuelve { clean, text, conflicts }; con conflictos, text lleva marcadores
+     */
+    static mergeText(base, server, client) {
+        const blocks = diff3Merge(server.split('\n'), base.split('\n'), client.split('\n'));
+        const lines = [];
+        const conflicts = [];
+
+        for (const block of blocks) {
+            if (block.ok) {
+                lines.push(...block.ok);
+                continue;
+            }
+
+            const { a, o, b, aIndex } = block.conflict;
+            conflicts.push({ line: aIndex + 1, base: o.join('\n'), server: a.join('\n'), client: b.join('\n') });
+            lines.push(MARKERS.server, ...a, MARKERS.separator, ...b, MARKERS.client);
+        }
+
+        return {
+            clean: conflicts.length === 0,
+            text: lines.join('\n'),
+            conflicts
+        };
+    }
+
+    /**
+     * Fusión del título (un solo valor)
+     */
+    static mergeTitle(base, server, client) {
+        if (client === base || client === server) {
+            return { clean: true, value: server };
+        }
+
+        if (server === base) {
+            return { clean: true, value: client };
+        }
+
+        return { clean: false, value: null, conflict: { base, server, client } };
+    }
+
+    /**
+     * Fusión de etiquetas: las del servidor más las que añadió el cliente,
+     * menos las que quitó (respecto a la base)
+     */
+    static mergeTags(base = [], server = [], client = []) {
+        const added = client.filter(tag => !base.includes(tag));
+        const removed = base.filter(tag => !client.includes(tag));
+
+        return [...new Set([...server, ...added])].filter(tag => !removed.includes(tag));
+    }
+
+    /**
+     * Fusiona la edición del cliente con el estado actual
+     * Limpia: { clean: true, merged: { title, content, tags } }
+     * Con conflictos: { clean: false, conflicts: { title, content }, marked: { title, content } }
+     */
+    static merge(base, server, edit) {
+        const client = clientState(base, edit);
+
+        const title = this.mergeTitle(base.title, server.title, client.title);
+        const content = this.mergeText(base.content, server.content, client.content);
+        const tags = this.mergeTags(base.tags, server.tags, client.tags);
+
+        if (title.clean && content.clean) {
+            return {
+                clean: true,
+                merged: { title: title.value, content: content.text, tags }
+            };
+        }
+
+        return {
+            clean: false,
+            base,
+            server: { title: server.title, content: server.content, tags: server.tags },
+            client,
+            conflicts: {
+                title: title.clean ? null : title.conflict,
+                content: content.conflicts
+            },
+            marked: {
+                title: title.clean ? title.value : client.title,
+                content: content.text,
+                tags
+            }
+        };
+    }
+}
+
+NoteMerge.MARKERS = MARKERS;
+
+module.exports = NoteMerge;
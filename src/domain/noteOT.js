@@ -0,0 +1,301 @@
+// src/domain/noteOT.js
+
+/**
+ * Dominio puro: transformaciones operacionales (OT) sobre el contenido
+ *
+ * Una operación recorre el documento entero, de principio a fin, con el
+ * mismo formato que los deltas del historial (ver domain/noteDelta):
+ *   número > 0  → conservar n caracteres
+ *   número < 0  → borrar n caracteres
+ *   string      → insertar el texto
+ *
+ * Las longitudes se miden en unidades UTF-16 (String.length en JavaScript):
+ * el cliente debe contar igual.
+ */
+
+const Diff = require('diff');
+
+const isRetain = c => Number.isInteger(c) && c > 0;
+const isDelete = c => Number.isInteger(c) && c < 0;
+const isInsert = c => typeof c === 'string';
+
+function invalid() {
+    return new Error('INVALID_OPERATION');
+}
+
+/* ============================================================
+   CONSTRUCCIÓN (fusiona componentes contiguos del mismo tipo)
+============================================================ */
+function retain(ops, n) {
+    if (n === 0) return;
+
+    if (isRetain(ops[ops.length - 1])) {
+        ops[ops.length - 1] += n;
+    } else {
+        ops.push(n);
+    }
+}
+
+function insert(ops, text) {
+    if (text === '') return;
+
+    const last = ops.length - 1;
+
+    if (isInsert(ops[last])) {
+        ops[last] += text;
+    } else if (isDelete(ops[last])) {
+        // Forma canónica: la inserción va siempre antes que el borrado
+        if (isInsert(ops[last - 1])) {
+            ops[last - 1] += text;
+        } else {
+            ops.splice(last, 0, text);
+        }
+    } else {
+        ops.push(text);
+    }
+}
+
+function remove(ops, n) {
+    n = Math.abs(n);
+    if (n === 0) return;
+
+    if (isDelete(ops[ops.length - 1])) {
+        ops[ops.length - 1] -= n;
+    } else {
+        ops.push(-n);
+    }
+}
+
+class NoteOT {
+    /**
+     * Comprueba la forma de una operación recibida de un cliente
+     */
+    static isValid(op) {
+        return Array.isArray(op) && op.every(c =>
+            (Number.isInteger(c) && c !== 0) || (typeof c === 'string' && c !== '')
+        );
+    }
+
+    /**
+     * Forma canónica de una operación
+     */
+    static normalize(op) {
+        const ops = [];
+
+        for (const c of op) {
+            if (isRetain(c)) retain(ops, c);
+            else if (isInsert(c)) insert(ops, c);
+            else if (isDelete(c)) remove(ops, c);
+        }
+
+        return ops;
+    }
+
+    /**
+     * Longitud del documento sobre el que se aplica
+     */
+    static baseLength(op) {
+        return op.reduce((sum, c) => (isInsert(c) ? sum : sum + Math.abs(c)), 0);
+    }
+
+    /**
+     * Longitud del documento resultante
+     */
+    static targetLength(op) {
+        return op.reduce((sum, c) => {
+            if (isInsert(c)) return sum + c.length;
+            if (isRetain(c)) return sum + c;
+            return sum;
+        }, 0);
+    }
+
+    /**
+     * La operación no cambia nada (solo conserva)
+     */
+    static isNoop(op) {
+        return op.every(isRetain);
+    }
+
+    /**
+     * Aplica la operación sobre el texto
+     */
+    static apply(text, op) {
+        if (this.baseLength(op) !== text.length) {
+            throw invalid();
+        }
+
+        let result = '';
+        let cursor = 0;
+
+        for (const c of op) {
+            if (isInsert(c)) {
+                result += c;
+            } else if (isRetain(c)) {
+                result += text.slice(cursor, cursor + c);
+                cursor += c;
+            } else {
+                cursor -= c;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Operación que deshace op (text: el documento antes de aplicarla)
+     */
+    static invert(op, text) {
+        const inverse = [];
+        let cursor = 0;
+
+        for (const c of op) {
+            if (isRetain(c)) {
+                retain(inverse, c);
+                cursor += c;
+            } else if (isInsert(c)) {
+                remove(inverse, c.length);
+            } else {
+                insert(inverse, text.slice(cursor, cursor - c));
+                cursor -= c;
+            }
+        }
+
+        return inverse;
+    }
+
+    /**
+     * Une dos operaciones consecutivas (a y después b) en una sola
+     */
+    static compose(a, b) {
+        if (this.targetLength(a) !== this.baseLength(b)) {
+            throw invalid();
+        }
+
+        const ops = [];
+        let i = 0;
+        let j = 0;
+        let opA = a[i++];
+        let opB = b[j++];
+
+        while (opA !== undefined || opB !== undefined) {
+            if (isDelete(opA)) {
+                remove(ops, opA);
+                opA = a[i++];
+                continue;
+            }
+
+            if (isInsert(opB)) {
+                insert(ops, opB);
+                opB = b[j++];
+                continue;
+            }
+
+            if (opA === undefined || opB === undefined) {
+                throw invalid();
+            }
+
+            if (isRetain(opA) && isRetain(opB)) {
+                const n = Math.min(opA, opB);
+                retain(ops, n);
+                opA -= n;
+                opB -= n;
+            } else if (isInsert(opA) && isDelete(opB)) {
+                const n = Math.min(opA.length, -opB);
+                opA = opA.slice(n);
+                opB += n;
+            } else if (isInsert(opA) && isRetain(opB)) {
+                const n = Math.min(opA.length, opB);
+                insert(ops, opA.slice(0, n));
+                opA = opA.slice(n);
+                opB -= n;
+            } else {
+                // conservar en a, borrar en b
+                const n = Math.min(opA, -opB);
+                remove(ops, n);
+                opA -= n;
+                opB += n;
+            }
+
+            if (opA === 0 || opA === '') opA = a[i++];
+            if (opB === 0) opB = b[j++];
+        }
+
+        return ops;
+    }
+
+    /**
+     * Transforma dos operaciones concurrentes sobre el mismo documento
+     * Devuelve [a', b'] tal que aplicar a y luego b' equivale a b y luego a'
+     * Si ambas insertan en la misma posición, el texto de a queda delante
+     */
+    static transform(a, b) {
+        if (this.baseLength(a) !== this.baseLength(b)) {
+            throw invalid();
+        }
+
+        const aPrime = [];
+        const bPrime = [];
+        let i = 0;
+        let j = 0;
+        let opA = a[i++];
+        let opB = b[j++];
+
+        while (opA !== undefined || opB !== undefined) {
+            if (isInsert(opA)) {
+                insert(aPrime, opA);
+                retain(bPrime, opA.length);
+                opA = a[i++];
+                continue;
+            }
+
+            if (isInsert(opB)) {
+                retain(aPrime, opB.length);
+                insert(bPrime, opB);
+                opB = b[j++];
+                continue;
+            }
+
+            if (opA === undefined || opB === undefined) {
+                throw invalid();
+            }
+
+            const n = Math.min(Math.abs(opA), Math.abs(opB));
+
+            if (isRetain(opA) && isRetain(opB)) {
+                retain(aPrime, n);
+                retain(bPrime, n);
+            } else if (isDelete(opA) && isRetain(opB)) {
+                remove(aPrime, n);
+            } else if (isRetain(opA) && isDelete(opB)) {
+                remove(bPrime, n);
+            }
+            // ambas borran lo mismo: no queda nada que hacer en ninguna
+
+            opA = opA > 0 ? opA - n : opA + n;
+            opB = opB > 0 ? opB - n : opB + n;
+
+            if (opA === 0) opA = a[i++];
+            if (opB === 0) opB = b[j++];
+        }
+
+        return [aPrime, bPrime];
+    }
+
+    /**
+     * Operación que convierte el texto a en b (por caracteres)
+     * Sirve para incorporar a una sesión una edición hecha por otra vía
+     */
+    static fromDiff(a, b) {
+        const ops = [];
+
+        for (const part of Diff.diffChars(a, b)) {
+            if (part.added) insert(ops, part.value);
+            else if (part.removed) remove(ops, part.value.length);
+            else retain(ops, part.value.length);
+        }
+
+        return ops;
+    }
+}
+
+module.exports = NoteOT;
@@ -0,0 +1,87 @@
+// src/domain/notePermissions.js
+
+/**
+ * Dominio puro: permisos de un usuario sobre una nota (propietario + ACL)
+ */
+
+const ROLES = Object.freeze({
+    OWNER: 'owner',
+    EDITOR: 'editor',
+    VIEWER: 'viewer'
+});
+
+// Roles que se pueden conceder al compartir
+const SHARE_ROLES = [ROLES.VIEWER, ROLES.EDITOR];
+
+function idOf(ref) {
+    if (!ref) return null;
+    return String(ref._id ?? ref);
+}
+
+class NotePermissions {
+    /**
+     * Rol del usuario sobre la nota, o null si no tiene acceso
+     */
+    static roleOf(note, userId) {
+        const uid = idOf(userId);
+
+        if (!uid || !note) {
+            return null;
+        }
+
+        if (idOf(note.owner) === uid) {
+            return ROLES.OWNER;
+        }
+
+        const share = (note.shares || []).find(s => idOf(s.user) === uid);
+        return share ? share.role : null;
+    }
+
+    /**
+     * Leer la nota: cualquier rol
+     */
+    static canRead(note, userId) {
+        return this.roleOf(note, userId) !== null;
+    }
+
+    /**
+     * Editar, deshacer/rehacer, enviar a papelera o restaurar
+     */
+    static canEdit(note, userId) {
+        const role = this.roleOf(note, userId);
+        return role === ROLES.OWNER || role === ROLES.EDITOR;
+    }
+
+    /**
+     * Eliminar permanentemente: solo el propietario
+     */
+    static canDelete(note, userId) {
+        return this.roleOf(note, userId) === ROLES.OWNER;
+    }
+
+    /**
+     * Mover entre libretas (son del propietario): solo el propietario
+     */
+    static canOrganize(note, userId) {
+        return this.roleOf(note, userId) === ROLES.OWNER;
+    }
+
+    /**
+     * Gestionar con quién se comparte: solo el propietario
+     */
+    static canShare(note, userId) {
+        return this.roleOf(note, userId) === ROLES.OWNER;
+    }
+
+    /**
+     * IDs de todos los usuarios con acceso a la nota (propietario y compartidos)
+     */
+    static readers(note) {
+        return [idOf(note.owner), ...(note.shares || []).map(s => idOf(s.user))].filter(Boolean);
+    }
+}
+
+NotePermissions.ROLES = ROLES;
+NotePermissions.SHARE_ROLES = SHARE_ROLES;
+
+module.exports = NotePermissions;
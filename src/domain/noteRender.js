@@ -0,0 +1,90 @@
+// src/domain/noteRender.js
+
+/**
+ * Dominio puro: renderizado de notas a HTML
+ *
+ * Las notas 'markdown' se renderizan como GitHub-flavoured Markdown (tablas,
+ * listas de tareas, tachado y bloques de código con clase language-*); las
+ * 'plain', como texto escapado en párrafos. La salida siempre pasa por una
+ * lista blanca de etiquetas y atributos: el HTML incrustado en la nota nunca
+ * llega tal cual al cliente.
+ */
+
+const { Marked } = require('marked');
+const sanitizeHtml = require('sanitize-html');
+
+const FORMATS = ['plain', 'markdown'];
+const DEFAULT_FORMAT = 'markdown';
+
+const markdown = new Marked({ gfm: true, breaks: false });
+
+const SANITIZE_OPTIONS = {
+    allowedTags: [
+        'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'br', 'hr', 'blockquote',
+        'ul', 'ol', 'li', 'input', 'pre', 'code', 'em', 'strong', 'del', 's',
+        'a', 'img', 'table', 'thead', 'tbody', 'tr', 'th', 'td'
+    ],
+    allowedAttributes: {
+        a: ['href', 'title', 'rel'],
+        img: ['src', 'alt', 'title'],
+        input: ['type', 'checked', 'disabled'],
+        ol: ['start'],
+        th: ['align'],
+        td: ['align']
+    },
+    allowedClasses: {
+        code: [/^language-[\w#+.-]+$/]
+    },
+    allowedSchemes: ['http', 'https', 'mailto'],
+    allowedSchemesByTag: {
+        img: ['http', 'https']
+    },
+    transformTags: {
+        a: sanitizeHtml.simpleTransform('a', { rel: 'nofollow noopener noreferrer' }),
+        // Las casillas de las listas de tareas son de solo lectura
+        input: sanitizeHtml.simpleTransform('input', { disabled: '' })
+    },
+    // Solo se admiten las casillas de las listas de tareas
+    exclusiveFilter: frame => frame.tag === 'input' && frame.attribs.type !== 'checkbox'
+};
+
+const HTML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+};
+
+const escapeHtml = text => text.replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+class NoteRender {
+    /**
+     * HTML saneado del contenido según su formato (por defecto, markdown)
+     */
+    static toHtml(content, format = DEFAULT_FORMAT) {
+        const html = format === 'plain'
+            ? this.plainToHtml(content)
+            : markdown.parse(content);
+
+        return sanitizeHtml(html, SANITIZE_OPTIONS);
+    }
+
+    /**
+     * Texto plano a HTML: un párrafo por bloque separado por líneas en
+     * blanco y <br> en los saltos de línea simples
+     */
+    static plainToHtml(content) {
+        return content
+            .replace(/\r\n?/g, '\n')
+            .split(/\n\s*\n/)
+            .filter(block => block.trim().length > 0)
+            .map(block => `<p>${escapeHtml(block.trim()).replace(/\n/g, '<br>\n')}</p>`)
+            .join('\n');
+    }
+}
+
+NoteRender.FORMATS = FORMATS;
+NoteRender.DEFAULT_FORMAT = DEFAULT_FORMAT;
+
+module.exports = NoteRender;
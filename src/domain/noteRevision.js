@@ -0,0 +1,83 @@
+// src/domain/noteRevision.js
+
+/**
+ * Dominio puro: revisión de una nota como ETag (control de concurrencia)
+ *
+ * Cada escritura incrementa la revisión de la nota. La ETag es la propia
+ * revisión entre comillas ("7"). If-Match acepta '*' o una lista de ETag;
+ * las ETag débiles (W/"7") nunca cumplen la comparación fuerte.
+ */
+
+const ETAG_PATTERN = /^(W\/)?"(\d+)"$/;
+
+class NoteRevision {
+    /**
+     * ETag de una revisión
+     */
+    static etag(revision) {
+        return `"${revision}"`;
+    }
+
+    /**
+     * Interpreta la cabecera If-Match
+     * Devuelve '*', la lista de revisiones aceptadas o null si es inválida
+     */
+    static parseIfMatch(header) {
+        if (header.trim() === '*') {
+            return '*';
+        }
+
+        const revisions = [];
+
+        for (const tag of header.split(',')) {
+            const match = ETAG_PATTERN.exec(tag.trim());
+
+            if (!match) {
+                return null;
+            }
+
+            if (!match[1]) {
+                revisions.push(Number(match[2]));
+            }
+        }
+
+        return revisions;
+    }
+
+    /**
+     * Comprueba la revisión actual contra If-Match
+     * ifMatch: null/undefined (sin condición), '*' o lista de revisiones
+     */
+    static matches(revision, ifMatch) {
+        if (ifMatch === null || ifMatch === undefined || ifMatch === '*') {
+            return true;
+        }
+
+        return ifMatch.includes(revision);
+    }
+
+    /**
+     * Ejecuta fn (leer, aplicar y guardar la nota) y la repite mientras el
+     * guardado falle con STALE_REVISION; agotados los intentos lanza CONFLICT
+     * Solo para cambios que no chocan con lo que otra escritura haya hecho
+     */
+    static async retryOnStale(fn, attempts) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await fn();
+            } catch (error) {
+                if (error.message !== 'STALE_REVISION') {
+                    throw error;
+                }
+
+                if (attempt >= attempts) {
+                    const conflict = new Error('CONFLICT: Note was modified by another session');
+                    conflict.code = 'CONFLICT';
+                    throw conflict;
+                }
+            }
+        }
+    }
+}
+
+module.exports = NoteRevision;
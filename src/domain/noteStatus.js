@@ -0,0 +1,97 @@
+// src/domain/noteStatus.js
+
+/**
+ * Dominio puro: ciclo de vida de una nota
+ *
+ *   active   ⇄ archived
+ *   active   → trashed
+ *   archived → trashed
+ *   trashed  → estado previo (al restaurar vuelve a donde estaba)
+ *
+ * Las archivadas no aparecen en el listado principal pero siguen
+ * accesibles, buscables y nunca se purgan; solo la papelera caduca.
+ */
+
+const ACTIVE = 'active';
+const ARCHIVED = 'archived';
+const TRASHED = 'trashed';
+
+const STATUSES = [ACTIVE, ARCHIVED, TRASHED];
+
+// Estados fuera de la papelera
+const LIVE = [ACTIVE, ARCHIVED];
+
+// Estado de origen → destinos permitidos (desde la papelera, solo el previo)
+const TRANSITIONS = {
+    [ACTIVE]: () => [ARCHIVED, TRASHED],
+    [ARCHIVED]: () => [ACTIVE, TRASHED],
+    [TRASHED]: note => [NoteStatus.restoreTarget(note)]
+};
+
+class NoteStatus {
+    /**
+     * Estado de la nota (las anteriores al campo cuentan como activas)
+     */
+    static of(note) {
+        return note.status || ACTIVE;
+    }
+
+    /**
+     * Estado al que vuelve la nota al restaurarla de la papelera
+     */
+    static restoreTarget(note) {
+        return note.previousStatus || ACTIVE;
+    }
+
+    /**
+     * Comprobar si la nota puede pasar al estado to
+     */
+    static canTransition(note, to) {
+        return TRANSITIONS[this.of(note)](note).includes(to);
+    }
+
+    /**
+     * Pasar la nota al estado to actualizando sus fechas
+     * Lanza INVALID_STATUS_TRANSITION si la transición no está permitida
+     */
+    static transition(note, to, now = new Date()) {
+        const from = this.of(note);
+
+        if (!this.canTransition(note, to)) {
+            const error = new Error(`Cannot change a note from ${from} to ${to}`);
+            error.code = 'INVALID_STATUS_TRANSITION';
+            throw error;
+        }
+
+        note.status = to;
+
+        if (to === TRASHED) {
+            note.previousStatus = from;
+            note.deletedAt = now;
+        }
+
+        if (from === TRASHED) {
+            note.previousStatus = null;
+            note.deletedAt = null;
+        }
+
+        // Al volver de la papelera una archivada conserva su fecha de archivo
+        if (to === ARCHIVED && from !== TRASHED) {
+            note.archivedAt = now;
+        }
+
+        if (to === ACTIVE) {
+            note.archivedAt = null;
+        }
+
+        return note;
+    }
+}
+
+NoteStatus.ACTIVE = ACTIVE;
+NoteStatus.ARCHIVED = ARCHIVED;
+NoteStatus.TRASHED = TRASHED;
+NoteStatus.STATUSES = STATUSES;
+NoteStatus.LIVE = LIVE;
+
+module.exports = NoteStatus;
@@ -0,0 +1,111 @@
+// src/domain/notebookTree.js
+
+/**
+ * Dominio puro: operaciones sobre el árbol de libretas
+ * Trabaja con listas planas { _id, parent } tal como salen de BD
+ */
+
+const MAX_DEPTH = 10;
+
+function key(id) {
+    return id == null ? null : String(id);
+}
+
+class NotebookTree {
+    /**
+     * IDs de la libreta y de todas sus descendientes
+     */
+    static subtreeIds(notebooks, rootId) {
+        const childrenOf = this.childrenIndex(notebooks);
+        const result = [];
+        const pending = [key(rootId)];
+
+        while (pending.length > 0) {
+            const current = pending.pop();
+            result.push(current);
+            pending.push(...(childrenOf.get(current) || []).map(nb => key(nb._id)));
+        }
+
+        return result;
+    }
+
+    /**
+     * Profundidad de una libreta (la raíz tiene profundidad 0)
+     */
+    static depthOf(notebooks, id) {
+        const byId = new Map(notebooks.map(nb => [key(nb._id), nb]));
+        let depth = 0;
+        let current = byId.get(key(id));
+
+        while (current && current.parent) {
+            depth++;
+            current = byId.get(key(current.parent));
+        }
+
+        return depth;
+    }
+
+    /**
+     * Altura del subárbol (0 si la libreta no tiene hijas)
+     */
+    static heightOf(notebooks, id) {
+        const childrenOf = this.childrenIndex(notebooks);
+
+        const height = nodeId => {
+            const children = childrenOf.get(key(nodeId)) || [];
+            return children.length === 0
+                ? 0
+                : 1 + Math.max(...children.map(child => height(child._id)));
+        };
+
+        return height(id);
+    }
+
+    /**
+     * Valida mover una libreta bajo otra
+     * Devuelve el código de error o null si el movimiento es válido
+     */
+    static validateMove(notebooks, id, newParentId) {
+        if (this.subtreeIds(notebooks, id).includes(key(newParentId))) {
+            return 'NOTEBOOK_CYCLE';
+        }
+
+        const depth = this.depthOf(notebooks, newParentId) + 1 + this.heightOf(notebooks, id);
+
+        if (depth > MAX_DEPTH) {
+            return 'NOTEBOOK_TOO_DEEP';
+        }
+
+        return null;
+    }
+
+    /**
+     * Construye el árbol anidado a partir de la lista plana
+     */
+    static buildTree(notebooks) {
+        const childrenOf = this.childrenIndex(notebooks);
+
+        const attach = nb => ({
+            ...nb,
+            children: (childrenOf.get(key(nb._id)) || []).map(attach)
+        });
+
+        return notebooks.filter(nb => !nb.parent).map(attach);
+    }
+
+    static childrenIndex(notebooks) {
+        const index = new Map();
+
+        for (const nb of notebooks) {
+            const parent = key(nb.parent);
+            if (!index.has(parent)) index.set(parent, []);
+            index.get(parent).push(nb);
+        }
+
+        return index;
+    }
+}
+
+NotebookTree.MAX_DEPTH = MAX_DEPTH;
+
+module.exports = NotebookTree;
@@ -0,0 +1,161 @@
+// src/domain/pagination.js
+
+/**
+ * Dominio puro: paginación por cursor (keyset) sobre listados de notas
+ *
+ * El cursor es opaco para el cliente: codifica el valor del campo de
+ * orden y el _id del último elemento devuelto, más el orden con el que
+ * se generó (un cursor no sirve para otro orden distinto).
+ *
+ * Con pinnedFirst las notas fijadas van siempre delante, ordenadas por
+ * pinPosition (y _id, por si hay empates); el cursor lleva además si la
+ * última nota estaba fijada y su posición.
+ */
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Campos de tipo fecha: se serializan en ISO dentro del cursor
+const DATE_FIELDS = ['createdAt', 'updatedAt', 'archivedAt', 'deletedAt'];
+
+class Pagination {
+    /**
+     * Codifica el cursor a partir del último documento de la página
+     */
+    static encodeCursor(doc, sort, order, { pinnedFirst = false } = {}) {
+        const value = doc[sort];
+
+        const payload = {
+            s: sort,
+            o: order,
+            v: value instanceof Date ? value.toISOString() : value,
+            id: String(doc._id)
+        };
+
+        if (pinnedFirst) {
+            payload.pin = doc.isPinned === true;
+            payload.pos = doc.pinPosition ?? null;
+        }
+
+        return Buffer.from(JSON.stringify(payload)).toString('base64url');
+    }
+
+    /**
+     * Decodifica un cursor; null si es inválido o no corresponde al orden pedido
+     */
+    static decodeCursor(cursor, sort, order, { pinnedFirst = false } = {}) {
+        let payload;
+
+        try {
+            payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        } catch (error) {
+            return null;
+        }
+
+        if (!payload || payload.s !== sort || payload.o !== order || typeof payload.id !== 'string') {
+            return null;
+        }
+
+        if (pinnedFirst && (typeof payload.pin !== 'boolean' || !(payload.pos === null || Number.isFinite(payload.pos)))) {
+            return null;
+        }
+
+        let value = payload.v;
+
+        if (DATE_FIELDS.includes(sort) && value !== null) {
+            value = new Date(value);
+            if (Number.isNaN(value.getTime())) {
+                return null;
+            }
+        }
+
+        const position = { value, id: payload.id };
+
+        if (pinnedFirst) {
+            position.pinned = payload.pin;
+            position.pinPosition = payload.pos;
+        }
+
+        return position;
+    }
+
+    /**
+     * Filtro "después del cursor" con desempate por _id
+     */
+    static afterCursorFilter(position, sort, order, { pinnedFirst = false } = {}) {
+        const op = order === 'asc' ? '$gt' : '$lt';
+
+        const after = {
+            $or: [
+                { [sort]: { [op]: position.value } },
+                { [sort]: position.value, _id: { [op]: position.id } }
+            ]
+        };
+
+        if (!pinnedFirst) {
+            return after;
+        }
+
+        const unpinned = { isPinned: { $ne: true } };
+
+        if (!position.pinned) {
+            return { $and: [unpinned, after] };
+        }
+
+        // Tras una fijada: las de su misma posición que van detrás, las de
+        // posiciones posteriores (null va antes que cualquier número) y todas
+        // las no fijadas
+        const samePosition = { isPinned: true, pinPosition: position.pinPosition };
+        const laterPosition = {
+            isPinned: true,
+            pinPosition: position.pinPosition === null ? { $ne: null } : { $gt: position.pinPosition }
+        };
+
+        return { $or: [{ $and: [samePosition, after] }, laterPosition, unpinned] };
+    }
+
+    /**
+     * Especificación de orden estable (campo + _id)
+     */
+    static sortSpec(sort, order, { pinnedFirst = false } = {}) {
+        const direction = order === 'asc' ? 1 : -1;
+        const spec = { [sort]: direction, _id: direction };
+
+        return pinnedFirst ? { isPinned: -1, pinPosition: 1, ...spec } : spec;
+    }
+
+    /**
+     * Filtro de rangos de fechas ({ createdFrom, createdTo, ... })
+     */
+    static dateRangeFilter(ranges) {
+        const filter = {};
+
+        for (const [field, { from, to }] of Object.entries(ranges)) {
+            if (!from && !to) continue;
+
+            filter[field] = {};
+            if (from) filter[field].$gte = from;
+            if (to) filter[field].$lte = to;
+        }
+
+        return filter;
+    }
+
+    /**
+     * Recorta la página pedida (se consulta limit + 1 para saber si hay más)
+     */
+    static buildPage(docs, { limit, sort, order, pinnedFirst = false }) {
+        const hasMore = docs.length > limit;
+        const data = hasMore ? docs.slice(0, limit) : docs;
+
+        return {
+            data,
+            nextCursor: hasMore ? this.encodeCursor(data[data.length - 1], sort, order, { pinnedFirst }) : null
+        };
+    }
+}
+
+Pagination.DEFAULT_LIMIT = DEFAULT_LIMIT;
+Pagination.MAX_LIMIT = MAX_LIMIT;
+
+module.exports = Pagination;
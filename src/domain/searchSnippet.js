@@ -0,0 +1,161 @@
+// src/domain/searchSnippet.js
+
+/**
+ * Dominio puro: fragmentos resaltados para resultados de búsqueda
+ *
+ * Replica de forma aproximada cómo el índice de texto de MongoDB
+ * compara términos (sin distinguir mayúsculas ni tildes) para marcar
+ * con <mark> dónde aparece cada término. El texto se escapa como HTML.
+ */
+
+const DEFAULT_RADIUS = 60;
+const MAX_WORD_EXTENSION = 20;
+
+const HTML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+};
+
+function escapeHtml(text) {
+    return text.replace(/[&<>"']/g, ch => HTML_ESCAPES[ch]);
+}
+
+/**
+ * Pliega un carácter: minúsculas y sin diacríticos
+ */
+function foldChar(ch) {
+    return ch.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Pliega un texto conservando, para cada carácter plegado,
+ * su posición en el texto original
+ */
+function foldWithMap(text) {
+    let folded = '';
+    const map = [];
+
+    for (let i = 0; i < text.length; i++) {
+        const f = foldChar(text[i]);
+        folded += f;
+        for (let k = 0; k < f.length; k++) map.push(i);
+    }
+    map.push(text.length);
+
+    return { folded, map };
+}
+
+class SearchSnippet {
+    /**
+     * Extrae los términos positivos de una búsqueda ($text)
+     * Frases entre comillas cuentan como un término; "-palabra" se ignora
+     */
+    static terms(query) {
+        const terms = [];
+        const regex = /(-?)"([^"]+)"|(-?)(\S+)/g;
+        let match;
+
+        while ((match = regex.exec(query)) !== null) {
+            const negated = match[1] || match[3];
+            const term = foldWithMap((match[2] ?? match[4]).trim()).folded;
+
+            if (!negated && term) {
+                terms.push(term);
+            }
+        }
+
+        return [...new Set(terms)];
+    }
+
+    /**
+     * Rangos [inicio, fin) del texto original donde aparece algún término
+     */
+    static findMatches(text, terms) {
+        const { folded, map } = foldWithMap(text);
+        const ranges = [];
+
+        for (const term of terms) {
+            let from = 0;
+            let index;
+
+            while ((index = folded.indexOf(term, from)) !== -1) {
+                ranges.push([map[index], map[index + term.length - 1] + 1]);
+                from = index + term.length;
+            }
+        }
+
+        // Ordenar y fusionar solapados
+        ranges.sort((a, b) => a[0] - b[0]);
+
+        const merged = [];
+        for (const range of ranges) {
+            const last = merged[merged.length - 1];
+            if (last && range[0] <= last[1]) {
+                last[1] = Math.max(last[1], range[1]);
+            } else {
+                merged.push([...range]);
+            }
+        }
+
+        return merged;
+    }
+
+    /**
+     * Marca coincidencias dentro de [start, end) escapando HTML
+     */
+    static markRange(text, ranges, start, end) {
+        let html = '';
+        let cursor = start;
+
+        for (const [from, to] of ranges) {
+            if (to <= start || from >= end) continue;
+
+            const a = Math.max(from, start);
+            const b = Math.min(to, end);
+
+            html += escapeHtml(text.slice(cursor, a));
+            html += `<mark>${escapeHtml(text.slice(a, b))}</mark>`;
+            cursor = b;
+        }
+
+        return html + escapeHtml(text.slice(cursor, end));
+    }
+
+    /**
+     * Texto completo resaltado (para campos cortos como el título)
+     */
+    static highlight(text, terms) {
+        const ranges = this.findMatches(text, terms);
+        return this.markRange(text, ranges, 0, text.length);
+    }
+
+    /**
+     * Fragmento alrededor de la primera coincidencia (para el contenido)
+     * Devuelve null si el término no aparece en el texto
+     */
+    static snippet(text, terms, radius = DEFAULT_RADIUS) {
+        const ranges = this.findMatches(text, terms);
+
+        if (ranges.length === 0) {
+            return null;
+        }
+
+        const [firstStart, firstEnd] = ranges[0];
+        let start = Math.max(0, firstStart - radius);
+        let end = Math.min(text.length, firstEnd + radius);
+
+        // No cortar palabras por la mitad (con tope para textos sin espacios)
+        for (let i = 0; i < MAX_WORD_EXTENSION && start > 0 && /\S/.test(text[start - 1]); i++) start--;
+        for (let i = 0; i < MAX_WORD_EXTENSION && end < text.length && /\S/.test(text[end]); i++) end++;
+
+        const prefix = start > 0 ? '…' : '';
+        const suffix = end < text.length ? '…' : '';
+
+        return prefix + this.markRange(text, ranges, start, end).trim() + suffix;
+    }
+}
+
+module.exports = SearchSnippet;
@@ -0,0 +1,38 @@
+// src/domain/trashRetention.js
+
+/**
+ * Dominio puro: retención de la papelera
+ *
+ * Una nota se elimina definitivamente cuando lleva retentionDays días en la
+ * papelera, contados desde deletedAt. Con retentionDays = 0 no caduca nunca.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class TrashRetention {
+    /**
+     * Fecha en que se eliminará una nota enviada a la papelera en deletedAt
+     * (null si la retención está desactivada o la nota no tiene fecha)
+     */
+    static purgeDate(deletedAt, retentionDays) {
+        if (!retentionDays || !deletedAt) {
+            return null;
+        }
+
+        return new Date(new Date(deletedAt).getTime() + retentionDays * DAY_MS);
+    }
+
+    /**
+     * Límite de caducidad: caducan las notas enviadas a la papelera antes de
+     * esta fecha (null si la retención está desactivada)
+     */
+    static cutoff(now, retentionDays) {
+        if (!retentionDays) {
+            return null;
+        }
+
+        return new Date(now.getTime() - retentionDays * DAY_MS);
+    }
+}
+
+module.exports = TrashRetention;
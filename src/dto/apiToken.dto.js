@@ -0,0 +1,55 @@
+// src/dto/apiToken.dto.js
+
+/**
+ * DTO para validar y sanitizar la emisión de tokens de API
+ */
+
+const MAX_EXPIRES_IN_DAYS = 365;
+
+class ApiTokenDTO {
+    /**
+     * Valida datos para emitir token
+     */
+    static validateCreate(data) {
+        const errors = [];
+
+        if (!data.name || typeof data.name !== 'string') {
+            errors.push('name is required and must be a string');
+        } else if (data.name.trim().length === 0) {
+            errors.push('name cannot be empty');
+        } else if (data.name.length > 100) {
+            errors.push('name cannot exceed 100 characters');
+        }
+
+        // expiresInDays es opcional: sin él, el token no caduca
+        if (data.expiresInDays !== undefined) {
+            if (!Number.isInteger(data.expiresInDays) || data.expiresInDays < 1) {
+                errors.push('expiresInDays must be a positive integer');
+            } else if (data.expiresInDays > MAX_EXPIRES_IN_DAYS) {
+                errors.push(`expiresInDays cannot exceed ${MAX_EXPIRES_IN_DAYS}`);
+            }
+        }
+
+        return {
+            valid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Sanitiza emisión (whitelist + trim)
+     */
+    static sanitizeCreate(data) {
+        const sanitized = {
+            name: typeof data.name === 'string' ? data.name.trim() : data.name
+        };
+
+        if (data.expiresInDays !== undefined) {
+            sanitized.expiresInDays = data.expiresInDays;
+        }
+
+        return sanitized;
+    }
+}
+
+module.exports = ApiTokenDTO;
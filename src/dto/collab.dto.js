@@ -0,0 +1,63 @@
+// src/dto/collab.dto.js
+
+const NoteOT = require('../domain/noteOT');
+const NoteDTO = require('./note.dto');
+
+/**
+ * DTO para validar los mensajes que envían los clientes de una sesión
+ * de edición colaborativa
+ */
+
+const MESSAGE_TYPES = ['op', 'undo', 'redo'];
+
+class CollabMessageDTO {
+    /**
+     * Valida un mensaje ya parseado de JSON
+     */
+    static validate(message) {
+        const errors = [];
+
+        if (!message || typeof message !== 'object' || !MESSAGE_TYPES.includes(message.type)) {
+            errors.push(`type must be one of: ${MESSAGE_TYPES.join(', ')}`);
+            return { valid: false, errors };
+        }
+
+        if (message.type === 'op') {
+            if (!Number.isInteger(message.revision) || message.revision < 0) {
+                errors.push('revision must be a non-negative integer');
+            }
+
+            if (!NoteOT.isValid(message.op)) {
+                errors.push('op must be an array of non-zero integers and non-empty strings');
+            }
+        }
+
+        return {
+            valid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Valida el contenido en que queda la sesión tras una operación
+     * (mismas reglas que al editar la nota por la API)
+     */
+    static validateContent(content) {
+        return NoteDTO.validateUpdate({ content });
+    }
+
+    /**
+     * Sanitiza mensaje (whitelist)
+     */
+    static sanitize(message) {
+        if (message.type === 'op') {
+            return { type: 'op', revision: message.revision, op: message.op };
+        }
+
+        return { type: message.type };
+    }
+}
+
+CollabMessageDTO.MESSAGE_TYPES = MESSAGE_TYPES;
+
+module.exports = CollabMessageDTO;
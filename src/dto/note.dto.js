@@ -4,6 +4,70 @@
  * DTO para validar y sanitizar entrada de notas
  */
 
+const mongoose = require('mongoose');
+const Pagination = require('../domain/pagination');
+const NoteRender = require('../domain/noteRender');
+
+// Filtros de fecha admitidos en listados: parámetro → campo
+const DATE_FILTERS = {
+    createdFrom: 'createdAt',
+    createdTo: 'createdAt',
+    updatedFrom: 'updatedAt',
+    updatedTo: 'updatedAt'
+};
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 30;
+const TAG_REGEX = /^[\p{L}\p{N}][\p{L}\p{N} _\-/]*$/u;
+
+// Valores admitidos en parámetros booleanos de query
+const BOOLEAN_PARAMS = { true: true, false: false };
+
+// Máximo de notas afectadas por una petición de operaciones masivas
+const MAX_BULK_ITEMS = 500;
+
+function firstValue(value) {
+    return Array.isArray(value) ? value[0] : value;
+}
+
+function validateNotebookId(notebookId, errors) {
+    if (typeof notebookId !== 'string' || !mongoose.Types.ObjectId.isValid(notebookId)) {
+        errors.push('notebookId must be a valid ID');
+    }
+}
+
+function validateFormat(format, errors) {
+    if (!NoteRender.FORMATS.includes(format)) {
+        errors.push(`format must be one of: ${NoteRender.FORMATS.join(', ')}`);
+    }
+}
+
+function validateTags(tags, errors) {
+    if (!Array.isArray(tags)) {
+        errors.push('tags must be an array of strings');
+        return;
+    }
+
+    if (tags.length > MAX_TAGS) {
+        errors.push(`tags cannot exceed ${MAX_TAGS} items`);
+    }
+
+    for (const tag of tags) {
+        if (typeof tag !== 'string') {
+            errors.push('tags must be an array of strings');
+            return;
+        }
+        if (tag.length === 0 || tag.length > MAX_TAG_LENGTH) {
+            errors.push(`each tag must be between 1 and ${MAX_TAG_LENGTH} characters`);
+            return;
+        }
+        if (!TAG_REGEX.test(tag)) {
+            errors.push(`invalid tag: ${tag}`);
+            return;
+        }
+    }
+}
+
 class NoteDTO {
     /**
      * Valida datos para crear nota
@@ -27,6 +91,21 @@ class NoteDTO {
             errors.push('content cannot exceed 10000 characters');
         }
 
+        // Tags son opcionales al crear
+        if (data.tags !== undefined) {
+            validateTags(data.tags, errors);
+        }
+
+        // Formato opcional (markdown por defecto)
+        if (data.format !== undefined) {
+            validateFormat(data.format, errors);
+        }
+
+        // Libreta opcional (sin ella la nota va a la raíz)
+        if (data.notebookId !== undefined) {
+            validateNotebookId(data.notebookId, errors);
+        }
+
         return {
             valid: errors.length === 0,
             errors
@@ -61,9 +140,29 @@ class NoteDTO {
             }
         }
 
+        // Tags opcionales en update (un array vacío las elimina todas)
+        if (data.tags !== undefined) {
+            validateTags(data.tags, errors);
+        }
+
+        // Formato opcional en update (no genera versión en el historial)
+        if (data.format !== undefined) {
+            validateFormat(data.format, errors);
+        }
+
+        // Al renombrar: reescribir o no los enlaces [[título anterior]] de otras notas
+        if (data.rewriteLinks !== undefined && typeof data.rewriteLinks !== 'boolean') {
+            errors.push('rewriteLinks must be a boolean');
+        }
+
+        // Revisión sobre la que editó el cliente (activa la fusión a tres bandas)
+        if (data.baseRevision !== undefined && (!Number.isInteger(data.baseRevision) || data.baseRevision < 1)) {
+            errors.push('baseRevision must be a positive integer');
+        }
+
         // Al menos uno debe estar presente
-        if (data.title === undefined && data.content === undefined) {
-            errors.push('at least title or content must be provided');
+        if (data.title === undefined && data.content === undefined && data.tags === undefined && data.format === undefined) {
+            errors.push('at least title, content, tags or format must be provided');
         }
 
         return {
@@ -76,10 +175,82 @@ class NoteDTO {
      * Sanitiza entrada (whitelist + trim)
      */
     static sanitizeCreate(data) {
-        return {
+        const sanitized = {
             title: data.title?.trim(),
             content: data.content?.trim()
         };
+
+        if (data.tags !== undefined) {
+            sanitized.tags = this.normalizeTags(data.tags);
+        }
+
+        if (data.format !== undefined) {
+            sanitized.format = data.format;
+        }
+
+        if (data.notebookId !== undefined) {
+            sanitized.notebookId = data.notebookId;
+        }
+
+        return sanitized;
+    }
+
+    /**
+     * Valida el destino al mover una nota de libreta
+     */
+    static validateMove(data) {
+        const errors = [];
+
+        if (data.notebookId === undefined) {
+            errors.push('notebookId is required');
+        } else {
+            validateNotebookId(data.notebookId, errors);
+        }
+
+        return {
+            valid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Valida fijar / soltar una nota ({ pinned, position })
+     */
+    static validatePin(data) {
+        const errors = [];
+
+        if (typeof data.pinned !== 'boolean') {
+            errors.push('pinned must be a boolean');
+        }
+
+        if (data.position !== undefined) {
+            if (!Number.isInteger(data.position) || data.position < 0) {
+                errors.push('position must be a non-negative integer');
+            } else if (data.pinned === false) {
+                errors.push('position can only be set when pinning');
+            }
+        }
+
+        return {
+            valid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Valida marcar / desmarcar una nota como favorita ({ favorite })
+     */
+    static validateFavorite(data) {
+        const errors = [];
+
+        if (typeof data.favorite !== 'boolean') {
+            errors.push('favorite must be a boolean');
+        }
+
+        return {
+            valid: errors.length === 0,
+            errors
+        };
     }
 
     /**
@@ -96,12 +267,441 @@ class NoteDTO {
             sanitized.content = data.content.trim();
         }
 
+        if (data.tags !== undefined) {
+            sanitized.tags = this.normalizeTags(data.tags);
+        }
+
+        if (data.format !== undefined) {
+            sanitized.format = data.format;
+        }
+
+        if (data.rewriteLinks !== undefined) {
+            sanitized.rewriteLinks = data.rewriteLinks;
+        }
+
         if (data.lastKnownUpdate !== undefined) {
             sanitized.lastKnownUpdate = data.lastKnownUpdate;
         }
 
+        if (data.baseRevision !== undefined) {
+            sanitized.baseRevision = data.baseRevision;
+        }
+
+        return sanitized;
+    }
+
+    /**
+     * Normaliza etiquetas: trim, minúsculas, espacios colapsados,
+     * sin "#" inicial y sin duplicados (conserva el orden)
+     * Si no es un array de strings se devuelve tal cual para que falle la validación
+     */
+    static normalizeTags(tags) {
+        if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+            return tags;
+        }
+
+        const normalized = tags
+            .map(tag => this.normalizeTag(tag))
+            .filter(tag => tag.length > 0);
+
+        return [...new Set(normalized)];
+    }
+
+    /**
+     * Normaliza una etiqueta suelta
+     */
+    static normalizeTag(tag) {
+        return tag.trim().replace(/^#+/, '').replace(/\s+/g, ' ').toLowerCase();
+    }
+
+    /**
+     * Valida el nuevo nombre al renombrar una etiqueta
+     */
+    static validateTagRename(data) {
+        const errors = [];
+
+        if (typeof data.name !== 'string') {
+            errors.push('name is required and must be a string');
+        } else {
+            validateTags([data.name], errors);
+        }
+
+        return {
+            valid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Valida query de listado (paginación, orden y filtros)
+     * sortFields: campos de orden permitidos en ese listado
+     */
+    static validateListQuery(query, sortFields) {
+        const errors = [];
+
+        if (query.limit !== undefined) {
+            if (!Number.isInteger(query.limit) || query.limit < 1) {
+                errors.push('limit must be a positive integer');
+            } else if (query.limit > Pagination.MAX_LIMIT) {
+                errors.push(`limit cannot exceed ${Pagination.MAX_LIMIT}`);
+            }
+        }
+
+        if (query.sort !== undefined && !sortFields.includes(query.sort)) {
+            errors.push(`sort must be one of: ${sortFields.join(', ')}`);
+        }
+
+        if (query.order !== undefined && !['asc', 'desc'].includes(query.order)) {
+            errors.push('order must be asc or desc');
+        }
+
+        if (!['all', 'any'].includes(query.tagMode)) {
+            errors.push('tagMode must be all or any');
+        }
+
+        if (query.tags.length > 0) {
+            validateTags(query.tags, errors);
+        }
+
+        if (query.notebookId !== undefined) {
+            validateNotebookId(query.notebookId, errors);
+        }
+
+        if (query.favorite !== undefined && typeof query.favorite !== 'boolean') {
+            errors.push('favorite must be true or false');
+        }
+
+        for (const param of Object.keys(DATE_FILTERS)) {
+            if (query[param] !== undefined && Number.isNaN(query[param].getTime())) {
+                errors.push(`${param} must be a valid date`);
+            }
+        }
+
+        return {
+            valid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Sanitiza query de listado (whitelist + tipos)
+     * defaultSort: campo de orden si no se indica
+     */
+    static sanitizeListQuery(query, defaultSort) {
+        const sanitized = {
+            sort: firstValue(query.sort) ?? defaultSort,
+            order: firstValue(query.order) ?? 'desc',
+            limit: Pagination.DEFAULT_LIMIT,
+            dateRanges: {},
+            // ?tag=a&tag=b → AND por defecto, ?tagMode=any → OR
+            tags: this.normalizeTags([].concat(query.tag ?? []).map(String)),
+            tagMode: firstValue(query.tagMode) ?? 'all'
+        };
+
+        const limit = firstValue(query.limit);
+        if (limit !== undefined) {
+            sanitized.limit = /^\d+$/.test(limit) ? parseInt(limit, 10) : NaN;
+        }
+
+        const cursor = firstValue(query.cursor);
+        if (cursor) {
+            sanitized.cursor = String(cursor);
+        }
+
+        const notebookId = firstValue(query.notebookId);
+        if (notebookId !== undefined) {
+            sanitized.notebookId = String(notebookId);
+        }
+
+        // ?favorite=true | false (cualquier otro valor no pasa la validación)
+        const favorite = firstValue(query.favorite);
+        if (favorite !== undefined) {
+            sanitized.favorite = BOOLEAN_PARAMS[favorite] ?? favorite;
+        }
+
+        for (const [param, field] of Object.entries(DATE_FILTERS)) {
+            const value = firstValue(query[param]);
+            if (value === undefined) continue;
+
+            sanitized[param] = new Date(value);
+
+            const bound = param.endsWith('From') ? 'from' : 'to';
+            sanitized.dateRanges[field] = sanitized.dateRanges[field] || {};
+            sanitized.dateRanges[field][bound] = sanitized[param];
+        }
+
+        return sanitized;
+    }
+
+    /**
+     * Valida el número de versión de la ruta (/versions/:n)
+     */
+    static validateVersion(n) {
+        const errors = [];
+
+        if (!Number.isInteger(n) || n < 1) {
+            errors.push('version must be a positive integer');
+        }
+
+        return {
+            valid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Sanitiza el número de versión de la ruta
+     */
+    static sanitizeVersion(n) {
+        return /^\d+$/.test(n) ? parseInt(n, 10) : NaN;
+    }
+
+    /**
+     * Valida query de diff entre versiones (?from=&to=&format=)
+     */
+    static validateDiffQuery(query) {
+        const errors = [];
+
+        if (query.from === undefined) {
+            errors.push('from is required');
+        } else if (!Number.isInteger(query.from) || query.from < 1) {
+            errors.push('from must be a positive integer');
+        }
+
+        // to es opcional: por defecto se compara con la versión actual
+        if (query.to !== undefined && (!Number.isInteger(query.to) || query.to < 1)) {
+            errors.push('to must be a positive integer');
+        }
+
+        if (!NoteDTO.DIFF_FORMATS.includes(query.format)) {
+            errors.push(`format must be one of: ${NoteDTO.DIFF_FORMATS.join(', ')}`);
+        }
+
+        return {
+            valid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Sanitiza query de diff
+     */
+    static sanitizeDiffQuery(query) {
+        const sanitized = {
+            format: firstValue(query.format) ?? 'json'
+        };
+
+        for (const param of ['from', 'to']) {
+            const value = firstValue(query[param]);
+            if (value !== undefined) {
+                sanitized[param] = this.sanitizeVersion(value);
+            }
+        }
+
         return sanitized;
     }
+
+    /**
+     * Valida operaciones masivas (POST /api/notes/bulk)
+     * { actions: [{ action, ids, ...parámetros de la acción }], atomic }
+     */
+    static validateBulk(data) {
+        const errors = [];
+
+        if (!Array.isArray(data.actions) || data.actions.length === 0) {
+            errors.push('actions must be a non-empty array');
+        } else {
+            data.actions.forEach((operation, i) => {
+                const at = `actions[${i}]`;
+
+                if (!operation || typeof operation !== 'object') {
+                    errors.push(`${at} must be an object`);
+                    return;
+                }
+
+                if (!NoteDTO.BULK_ACTIONS.includes(operation.action)) {
+                    errors.push(`${at}.action must be one of: ${NoteDTO.BULK_ACTIONS.join(', ')}`);
+                }
+
+                if (!Array.isArray(operation.ids) || operation.ids.length === 0) {
+                    errors.push(`${at}.ids must be a non-empty array`);
+                } else if (operation.ids.some(id => typeof id !== 'string' || !mongoose.Types.ObjectId.isValid(id))) {
+                    errors.push(`${at}.ids must contain valid IDs`);
+                }
+
+                if (operation.action === 'tag') {
+                    if (operation.add === undefined && operation.remove === undefined) {
+                        errors.push(`${at} requires add or remove`);
+                    }
+                    if (operation.add !== undefined) {
+                        validateTags(operation.add, errors);
+                    }
+                    if (operation.remove !== undefined) {
+                        validateTags(operation.remove, errors);
+                    }
+                }
+
+                if (operation.action === 'move') {
+                    if (operation.notebookId === undefined) {
+                        errors.push(`${at}.notebookId is required`);
+                    } else {
+                        validateNotebookId(operation.notebookId, errors);
+                    }
+                }
+
+                if (operation.action === 'pin' && typeof operation.pinned !== 'boolean') {
+                    errors.push(`${at}.pinned must be a boolean`);
+                }
+
+                if (operation.action === 'favorite' && typeof operation.favorite !== 'boolean') {
+                    errors.push(`${at}.favorite must be a boolean`);
+                }
+            });
+
+            const total = data.actions.reduce((sum, operation) =>
+                sum + (Array.isArray(operation?.ids) ? operation.ids.length : 0), 0);
+
+            if (total > MAX_BULK_ITEMS) {
+                errors.push(`a bulk request cannot affect more than ${MAX_BULK_ITEMS} notes`);
+            }
+        }
+
+        if (typeof data.atomic !== 'boolean') {
+            errors.push('atomic must be a boolean');
+        }
+
+        return {
+            valid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Sanitiza operaciones masivas (whitelist de parámetros por acción)
+     */
+    static sanitizeBulk(data) {
+        const sanitizeOperation = operation => {
+            if (!operation || typeof operation !== 'object') {
+                return operation;
+            }
+
+            const sanitized = { action: operation.action, ids: operation.ids };
+
+            if (operation.action === 'tag') {
+                for (const field of ['add', 'remove']) {
+                    if (operation[field] !== undefined) {
+                        sanitized[field] = this.normalizeTags(operation[field]);
+                    }
+                }
+            }
+
+            if (operation.action === 'move') {
+                sanitized.notebookId = operation.notebookId;
+            }
+
+            if (operation.action === 'pin') {
+                sanitized.pinned = operation.pinned;
+            }
+
+            if (operation.action === 'favorite') {
+                sanitized.favorite = operation.favorite;
+            }
+
+            return sanitized;
+        };
+
+        return {
+            actions: Array.isArray(data.actions) ? data.actions.map(sanitizeOperation) : data.actions,
+            atomic: data.atomic ?? false
+        };
+    }
+
+    /**
+     * Valida query de exportación (?format=&history=)
+     * formats: formatos admitidos (la colección admite zip; una nota, no)
+     */
+    static validateExportQuery(query, formats) {
+        const errors = [];
+
+        if (!formats.includes(query.format)) {
+            errors.push(`format must be one of: ${formats.join(', ')}`);
+        }
+
+        if (typeof query.history !== 'boolean') {
+            errors.push('history must be true or false');
+        }
+
+        return {
+            valid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Sanitiza query de exportación
+     */
+    static sanitizeExportQuery(query) {
+        const history = firstValue(query.history);
+
+        return {
+            format: firstValue(query.format) ?? 'json',
+            history: history === undefined ? false : BOOLEAN_PARAMS[history] ?? history
+        };
+    }
+
+    /**
+     * Valida query de búsqueda de texto
+     */
+    static validateSearchQuery(query) {
+        const errors = [];
+
+        if (!query.q) {
+            errors.push('q is required');
+        } else if (query.q.length > 200) {
+            errors.push('q cannot exceed 200 characters');
+        }
+
+        if (!Number.isInteger(query.limit) || query.limit < 1) {
+            errors.push('limit must be a positive integer');
+        } else if (query.limit > Pagination.MAX_LIMIT) {
+            errors.push(`limit cannot exceed ${Pagination.MAX_LIMIT}`);
+        }
+
+        return {
+            valid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Sanitiza query de búsqueda
+     */
+    static sanitizeSearchQuery(query) {
+        const q = firstValue(query.q);
+        const limit = firstValue(query.limit);
+
+        return {
+            q: typeof q === 'string' ? q.trim() : undefined,
+            limit: limit === undefined
+                ? Pagination.DEFAULT_LIMIT
+                : (/^\d+$/.test(limit) ? parseInt(limit, 10) : NaN)
+        };
+    }
 }
 
+// Campos de orden permitidos en cada listado
+NoteDTO.ACTIVE_SORT_FIELDS = ['createdAt', 'updatedAt', 'title'];
+NoteDTO.ARCHIVE_SORT_FIELDS = ['archivedAt', 'createdAt', 'updatedAt', 'title'];
+NoteDTO.TRASH_SORT_FIELDS = ['deletedAt', 'createdAt', 'updatedAt', 'title'];
+
+// Acciones de POST /api/notes/bulk
+NoteDTO.BULK_ACTIONS = ['trash', 'restore', 'delete', 'tag', 'move', 'pin', 'favorite', 'archive', 'unarchive'];
+
+// Formatos de exportación de la colección y de una nota
+NoteDTO.EXPORT_FORMATS = ['json', 'md', 'zip'];
+NoteDTO.NOTE_EXPORT_FORMATS = ['json', 'md'];
+
+// Formatos de salida del diff entre versiones
+NoteDTO.DIFF_FORMATS = ['json', 'unified'];
+
 module.exports = NoteDTO;
\ No newline at end of file
@@ -0,0 +1,41 @@
+// src/dto/noteShare.dto.js
+
+const NotePermissions = require('../domain/notePermissions');
+
+/**
+ * DTO para validar y sanitizar la compartición de notas
+ */
+
+class NoteShareDTO {
+    /**
+     * Valida datos para compartir nota
+     */
+    static validateCreate(data) {
+        const errors = [];
+
+        if (!data.email || typeof data.email !== 'string') {
+            errors.push('email is required and must be a string');
+        }
+
+        if (!NotePermissions.SHARE_ROLES.includes(data.role)) {
+            errors.push(`role must be one of: ${NotePermissions.SHARE_ROLES.join(', ')}`);
+        }
+
+        return {
+            valid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Sanitiza compartición (whitelist + email normalizado)
+     */
+    static sanitizeCreate(data) {
+        return {
+            email: typeof data.email === 'string' ? data.email.trim().toLowerCase() : data.email,
+            role: data.role
+        };
+    }
+}
+
+module.exports = NoteShareDTO;
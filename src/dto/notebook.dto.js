@@ -0,0 +1,95 @@
+// src/dto/notebook.dto.js
+
+/**
+ * DTO para validar y sanitizar libretas
+ */
+
+const mongoose = require('mongoose');
+
+function validateName(name, errors) {
+    if (!name || typeof name !== 'string') {
+        errors.push('name is required and must be a string');
+    } else if (name.trim().length === 0) {
+        errors.push('name cannot be empty');
+    } else if (name.length > 100) {
+        errors.push('name cannot exceed 100 characters');
+    }
+}
+
+function validateParentId(parentId, errors) {
+    if (typeof parentId !== 'string' || !mongoose.Types.ObjectId.isValid(parentId)) {
+        errors.push('parentId must be a valid ID');
+    }
+}
+
+class NotebookDTO {
+    /**
+     * Valida datos para crear libreta
+     */
+    static validateCreate(data) {
+        const errors = [];
+
+        validateName(data.name, errors);
+
+        // parentId es opcional: sin él, la libreta cuelga de la raíz
+        if (data.parentId !== undefined) {
+            validateParentId(data.parentId, errors);
+        }
+
+        return {
+            valid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Valida datos para renombrar libreta
+     */
+    static validateRename(data) {
+        const errors = [];
+
+        validateName(data.name, errors);
+
+        return {
+            valid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Valida datos para mover libreta
+     */
+    static validateMove(data) {
+        const errors = [];
+
+        if (data.parentId === undefined) {
+            errors.push('parentId is required');
+        } else {
+            validateParentId(data.parentId, errors);
+        }
+
+        return {
+            valid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Sanitiza libreta (whitelist + trim)
+     */
+    static sanitize(data) {
+        const sanitized = {};
+
+        if (data.name !== undefined) {
+            sanitized.name = typeof data.name === 'string' ? data.name.trim() : data.name;
+        }
+
+        if (data.parentId !== undefined) {
+            sanitized.parentId = data.parentId;
+        }
+
+        return sanitized;
+    }
+}
+
+module.exports = NotebookDTO;
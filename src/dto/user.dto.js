@@ -0,0 +1,88 @@
+// src/dto/user.dto.js
+
+/**
+ * DTO para validar y sanitizar registro y login de usuarios
+ */
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+class UserDTO {
+    /**
+     * Valida datos de registro
+     */
+    static validateRegister(data) {
+        const errors = [];
+
+        if (!data.email || typeof data.email !== 'string') {
+            errors.push('email is required and must be a string');
+        } else if (!EMAIL_REGEX.test(data.email)) {
+            errors.push('email must be a valid address');
+        } else if (data.email.length > 254) {
+            errors.push('email cannot exceed 254 characters');
+        }
+
+        if (!data.name || typeof data.name !== 'string') {
+            errors.push('name is required and must be a string');
+        } else if (data.name.trim().length === 0) {
+            errors.push('name cannot be empty');
+        } else if (data.name.length > 100) {
+            errors.push('name cannot exceed 100 characters');
+        }
+
+        if (!data.password || typeof data.password !== 'string') {
+            errors.push('password is required and must be a string');
+        } else if (data.password.length < 8) {
+            errors.push('password must be at least 8 characters');
+        } else if (data.password.length > 72) {
+            errors.push('password cannot exceed 72 characters');
+        }
+
+        return {
+            valid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Valida datos de login
+     */
+    static validateLogin(data) {
+        const errors = [];
+
+        if (!data.email || typeof data.email !== 'string') {
+            errors.push('email is required and must be a string');
+        }
+
+        if (!data.password || typeof data.password !== 'string') {
+            errors.push('password is required and must be a string');
+        }
+
+        return {
+            valid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Sanitiza registro (whitelist + trim + email en minúsculas)
+     */
+    static sanitizeRegister(data) {
+        return {
+            email: typeof data.email === 'string' ? data.email.trim().toLowerCase() : data.email,
+            name: typeof data.name === 'string' ? data.name.trim() : data.name,
+            password: data.password
+        };
+    }
+
+    /**
+     * Sanitiza login
+     */
+    static sanitizeLogin(data) {
+        return {
+            email: typeof data.email === 'string' ? data.email.trim().toLowerCase() : data.email,
+            password: data.password
+        };
+    }
+}
+
+module.exports = UserDTO;
@@ -0,0 +1,71 @@
+// src/middleware/authenticate.js
+
+const authService = require('../services/auth.service');
+const apiTokenService = require('../services/apiToken.service');
+
+/**
+ * Token de la petición: cabecera "Authorization: Bearer <token>" o, solo
+ * para flujos de eventos (EventSource no permite cabeceras), ?access_token=
+ */
+function tokenFrom(req) {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+
+    if (scheme === 'Bearer' && token) {
+        return token;
+    }
+
+    const wantsEvents = (req.headers.accept || '').includes('text/event-stream');
+
+    if (wantsEvents && typeof req.query.access_token === 'string') {
+        return req.query.access_token;
+    }
+
+    return null;
+}
+
+/**
+ * Middleware de autenticación: exige "Authorization: Bearer <token>"
+ * (JWT de sesión o token personal de API con prefijo fn_)
+ * y deja el usuario autenticado en req.user y el tipo de credencial en
+ * req.authType ('session' | 'api_token')
+ */
+async function authenticate(req, res, next) {
+    const token = tokenFrom(req);
+
+    if (!token) {
+        return res.status(401).json({
+            error: 'Authentication required'
+        });
+    }
+
+    try {
+        req.user = await authService.authenticate(token);
+        req.authType = apiTokenService.isApiToken(token) ? 'api_token' : 'session';
+        next();
+    } catch (error) {
+        if (error.message === 'INVALID_TOKEN') {
+            return res.status(401).json({
+                error: 'Invalid or expired token'
+            });
+        }
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}
+
+/**
+ * Tras authenticate: exige un JWT de sesión. Con un token personal de API
+ * no se pueden gestionar tokens (uno filtrado podría emitir otros que
+ * sobrevivieran a su revocación)
+ */
+function requireSession(req, res, next) {
+    if (req.authType !== 'session') {
+        return res.status(403).json({
+            error: 'This action requires a session token'
+        });
+    }
+    next();
+}
+
+module.exports = authenticate;
+module.exports.requireSession = requireSession;
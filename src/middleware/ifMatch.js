@@ -0,0 +1,29 @@
+// src/middleware/ifMatch.js
+
+const NoteRevision = require('../domain/noteRevision');
+
+/**
+ * Middleware que lee la cabecera If-Match de las operaciones de escritura
+ * Deja en req.ifMatch null (sin condición), '*' o las revisiones aceptadas
+ */
+function parseIfMatch(req, res, next) {
+    const header = req.get('If-Match');
+
+    if (!header) {
+        req.ifMatch = null;
+        return next();
+    }
+
+    const ifMatch = NoteRevision.parseIfMatch(header);
+
+    if (ifMatch === null) {
+        return res.status(400).json({
+            error: 'Invalid If-Match header'
+        });
+    }
+
+    req.ifMatch = ifMatch;
+    next();
+}
+
+module.exports = parseIfMatch;
@@ -0,0 +1,33 @@
+// src/middleware/upload.js
+
+const multer = require('multer');
+
+/**
+ * Middleware de subida multipart: deja en req.files los archivos del campo
+ * indicado, en memoria ({ originalname, buffer, ... })
+ * Un archivo demasiado grande responde 413; el resto de errores de la
+ * subida (demasiados archivos, cuerpo mal formado), 400
+ */
+function uploadFiles(field, { maxFiles, maxFileBytes }) {
+    const upload = multer({
+        storage: multer.memoryStorage(),
+        limits: { files: maxFiles, fileSize: maxFileBytes },
+        // Los navegadores envían el nombre del archivo en UTF-8
+        defParamCharset: 'utf8'
+    }).array(field, maxFiles);
+
+    return (req, res, next) => upload(req, res, error => {
+        if (!error) {
+            return next();
+        }
+
+        const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+
+        res.status(status).json({
+            error: 'Upload failed',
+            message: error.message
+        });
+    });
+}
+
+module.exports = uploadFiles;
@@ -4,14 +4,18 @@ const mongoose = require('mongoose');
 
 /**
  * Middleware para validar que el ID sea un ObjectId válido de MongoDB
+ * Valida :id y cualquier otro parámetro de ruta terminado en "Id" (p. ej. :userId)
  */
 function validateMongoId(req, res, next) {
-    const { id } = req.params;
+    const idParams = Object.keys(req.params)
+        .filter(name => name === 'id' || name.endsWith('Id'));
 
-    if (!mongoose.Types.ObjectId.isValid(id)) {
-        return res.status(400).json({
-            error: 'Invalid ID format'
-        });
+    for (const name of idParams) {
+        if (!mongoose.Types.ObjectId.isValid(req.params[name])) {
+            return res.status(400).json({
+                error: 'Invalid ID format'
+            });
+        }
     }
 
     next();
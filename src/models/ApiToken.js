@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+/* ============================================================
+   TOKEN PERSONAL DE API (LARGA DURACIÓN, REVOCABLE)
+============================================================ */
+const apiTokenSchema = new mongoose.Schema(
+    {
+        owner: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+            index: true,
+        },
+
+        name: {
+            type: String,
+            required: [true, 'El nombre del token es obligatorio'],
+            trim: true,
+            maxlength: [100, 'El nombre no puede superar los 100 caracteres'],
+        },
+
+        /* ========== SECRETO (solo se guarda el hash) ========== */
+
+        tokenHash: {
+            type: String,
+            required: true,
+            unique: true,
+            select: false,
+        },
+
+        // Primeros caracteres del token, para reconocerlo en el listado
+        prefix: {
+            type: String,
+            required: true,
+        },
+
+        /* ========== CICLO DE VIDA ========== */
+
+        expiresAt: {
+            type: Date,
+            default: null,
+        },
+
+        lastUsedAt: {
+            type: Date,
+            default: null,
+        },
+
+        revokedAt: {
+            type: Date,
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+        versionKey: false,
+    }
+);
+
+apiTokenSchema.set('toJSON', {
+    transform: (doc, ret) => {
+        delete ret.tokenHash;
+        return ret;
+    }
+});
+
+module.exports = mongoose.model('ApiToken', apiTokenSchema);
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+/* ============================================================
+   ARCHIVO ADJUNTO DE UNA NOTA
+   El documento guarda los metadatos; el archivo vive en el
+   almacenamiento configurado (storage/attachmentStorage) bajo key.
+   Siguen a la nota en la papelera y se eliminan con ella al
+   borrarla definitivamente
+============================================================ */
+const attachmentSchema = new mongoose.Schema(
+    {
+        note: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Note',
+            required: true,
+        },
+
+        // Usuario que lo subió (propietario o editor de la nota)
+        uploadedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+
+        /* ========== ARCHIVO ========== */
+
+        // Nombre original (el que se usa al descargarlo)
+        name: {
+            type: String,
+            required: true,
+            trim: true,
+            maxlength: 255,
+        },
+
+        contentType: {
+            type: String,
+            required: true,
+        },
+
+        // Tamaño en bytes
+        size: {
+            type: Number,
+            required: true,
+            min: 0,
+        },
+
+        // Clave del archivo en el almacenamiento (no se expone en la API)
+        key: {
+            type: String,
+            required: true,
+            select: false,
+        },
+    },
+    {
+        timestamps: { createdAt: true, updatedAt: false },
+        versionKey: false,
+    }
+);
+
+// La clave de almacenamiento nunca sale en las respuestas
+attachmentSchema.set('toJSON', {
+    transform: (doc, ret) => {
+        delete ret.key;
+        return ret;
+    }
+});
+
+/* ============================================================
+   ÍNDICES
+============================================================ */
+
+// Adjuntos de una nota, por orden de subida
+attachmentSchema.index({ note: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Attachment', attachmentSchema);
@@ -1,24 +1,23 @@
 const mongoose = require('mongoose');
 
-const MAX_HISTORY = 20;
-
 /* ============================================================
-   SNAPSHOT (INMUTABLE Y VALIDADO)
+   COMPARTIDO (ACL POR USUARIO)
 ============================================================ */
-const snapshotSchema = new mongoose.Schema(
+const shareSchema = new mongoose.Schema(
     {
-        title: {
-            type: String,
-            trim: true,
-            maxlength: 100,
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
         },
 
-        content: {
+        role: {
             type: String,
-            trim: true,
+            enum: ['viewer', 'editor'],
+            required: true,
         },
 
-        editedAt: {
+        sharedAt: {
             type: Date,
             default: Date.now,
         },
@@ -34,6 +33,19 @@ const snapshotSchema = new mongoose.Schema(
 ============================================================ */
 const noteSchema = new mongoose.Schema(
     {
+        /* ========== PROPIETARIO Y COMPARTIDO ========== */
+
+        owner: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'El propietario es obligatorio'],
+        },
+
+        shares: {
+            type: [shareSchema],
+            default: [],
+        },
+
         title: {
             type: String,
             required: [true, 'El título es obligatorio'],
@@ -50,38 +62,95 @@ const noteSchema = new mongoose.Schema(
             minlength: [1, 'El contenido no puede estar vacío'],
         },
 
-        /* ========== SOFT DELETE ========== */
+        tags: {
+            type: [String],
+            default: [],
+        },
+
+        // Claves de los enlaces [[Título]] / [[id]] del contenido (NoteLinks)
+        links: {
+            type: [String],
+            default: [],
+        },
+
+        // Cómo se interpreta el contenido al renderizarlo (GET /api/notes/:id/render)
+        format: {
+            type: String,
+            enum: ['plain', 'markdown'],
+            default: 'markdown',
+        },
+
+        /* ========== ORGANIZACIÓN ========== */
 
-        isDeleted: {
+        // Libreta contenedora (null en notas anteriores a las libretas: cuentan como raíz)
+        notebookId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Notebook',
+            default: null,
+        },
+
+        // Fijada por el propietario (organización: no genera snapshot de undo)
+        isPinned: {
             type: Boolean,
             default: false,
+        },
+
+        // Orden entre las fijadas (ascendente; null si no está fijada)
+        pinPosition: {
+            type: Number,
+            default: null,
+        },
+
+        // Marcada como favorita por el propietario (tampoco genera snapshot)
+        isFavorite: {
+            type: Boolean,
+            default: false,
+        },
+
+        /* ========== ESTADO (NoteStatus) ========== */
+
+        // active ⇄ archived → trashed (soft delete); las transiciones las valida NoteStatus
+        status: {
+            type: String,
+            enum: ['active', 'archived', 'trashed'],
+            default: 'active',
             index: true,
         },
 
+        // Estado al que vuelve al restaurarla de la papelera
+        previousStatus: {
+            type: String,
+            enum: ['active', 'archived'],
+            default: null,
+        },
+
+        archivedAt: {
+            type: Date,
+            default: null,
+        },
+
         deletedAt: {
             type: Date,
             default: null,
         },
 
-        /* ========== HISTORIAL UNDO / REDO ========== */
+        /* ========== CONCURRENCIA ========== */
 
-        versions: {
-            type: [snapshotSchema],
-            default: [],
-            validate: {
-                validator: v => v.length <= MAX_HISTORY,
-                message: `El historial no puede superar ${MAX_HISTORY}`
-            }
+        // Se incrementa en cada escritura; se expone como ETag (If-Match)
+        revision: {
+            type: Number,
+            default: 1,
+            min: 1,
         },
 
-        redoStack: {
-            type: [snapshotSchema],
-            default: [],
-            validate: {
-                validator: v => v.length <= MAX_HISTORY,
-                message: `El redo no puede superar ${MAX_HISTORY}`
-            }
+        // Revisión desde la que está vigente el título / contenido / etiquetas actual
+        stateRevision: {
+            type: Number,
+            default: 1,
+            min: 1,
         },
+
+        // El historial undo / redo vive en la colección NoteVersion
     },
     {
         timestamps: true,
@@ -93,10 +162,39 @@ const noteSchema = new mongoose.Schema(
    ÍNDICES OPTIMIZADOS
 ============================================================ */
 
-// Listado de notas activas
-noteSchema.index({ isDeleted: 1, createdAt: -1 });
+// Listado de notas activas (por propietario, fijadas primero)
+noteSchema.index({ owner: 1, status: 1, isPinned: -1, pinPosition: 1, createdAt: -1 });
+
+// Orden alternativo de listados (?sort=updatedAt | title)
+noteSchema.index({ owner: 1, status: 1, isPinned: -1, pinPosition: 1, updatedAt: -1 });
+noteSchema.index({ owner: 1, status: 1, isPinned: -1, pinPosition: 1, title: 1 });
+
+// Listado de archivadas (por propietario)
+noteSchema.index({ owner: 1, status: 1, archivedAt: -1 });
+
+// Listado de papelera (por propietario)
+noteSchema.index({ owner: 1, status: 1, deletedAt: -1 });
+
+// Purga de la papelera por antigüedad (todas las cuentas)
+noteSchema.index({ status: 1, deletedAt: 1 });
+
+// Filtro y recuento por etiquetas
+noteSchema.index({ owner: 1, tags: 1 });
+
+// Enlaces entrantes (backlinks)
+noteSchema.index({ owner: 1, links: 1 });
+
+// Notas de una libreta (?notebookId= y borrado de libretas)
+noteSchema.index({ owner: 1, notebookId: 1 });
+
+// Búsqueda de texto completo (GET /api/notes/search)
+// default_language 'none': sin stemming ni stopwords, las notas mezclan idiomas
+noteSchema.index(
+    { title: 'text', content: 'text' },
+    { name: 'note_text', weights: { title: 5, content: 1 }, default_language: 'none' }
+);
 
-// Listado de papelera
-noteSchema.index({ isDeleted: 1, deletedAt: -1 });
+// Notas compartidas conmigo
+noteSchema.index({ 'shares.user': 1, status: 1 });
 
 module.exports = mongoose.model('Note', noteSchema);
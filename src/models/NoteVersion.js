@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+/* ============================================================
+   VERSIÓN DE UNA NOTA (HISTORIAL UNDO / REDO)
+   Cada snapshot es un documento: el historial no tiene límite
+   dentro de la nota; la retención la decide config/history.
+   La cima de cada pila guarda el contenido completo; los demás
+   pueden guardar solo un delta inverso (domain/noteDelta)
+============================================================ */
+const noteVersionSchema = new mongoose.Schema(
+    {
+        note: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Note',
+            required: true,
+        },
+
+        // Pila a la que pertenece el snapshot
+        stack: {
+            type: String,
+            enum: ['undo', 'redo'],
+            required: true,
+        },
+
+        // Orden de apilado (creciente por nota): la cima es el mayor seq
+        seq: {
+            type: Number,
+            required: true,
+        },
+
+        /* ========== SNAPSHOT ========== */
+
+        title: {
+            type: String,
+            trim: true,
+            maxlength: 100,
+        },
+
+        // Contenido completo (cima de la pila y keyframes)
+        content: {
+            type: String,
+            trim: true,
+        },
+
+        // Delta inverso frente al snapshot superior de la misma pila
+        delta: {
+            type: [mongoose.Schema.Types.Mixed],
+            default: undefined,
+        },
+
+        tags: {
+            type: [String],
+            default: undefined,
+        },
+
+        // Tramo de revisiones de la nota en que este estado estuvo vigente
+        // (localiza la base de una fusión a tres bandas)
+        sinceRevision: {
+            type: Number,
+        },
+
+        revision: {
+            type: Number,
+        },
+
+        // Usuario cuyo cambio apiló el snapshot (undo/redo selectivo por usuario)
+        author: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+
+        editedAt: {
+            type: Date,
+            default: Date.now,
+        },
+    },
+    {
+        versionKey: false,
+    }
+);
+
+/* ============================================================
+   ÍNDICES
+============================================================ */
+
+// Cima de cada pila y listado ordenado del historial
+noteVersionSchema.index({ note: 1, stack: 1, seq: -1 });
+
+// Siguiente seq de la nota
+noteVersionSchema.index({ note: 1, seq: -1 });
+
+// Retención por antigüedad
+noteVersionSchema.index({ note: 1, stack: 1, editedAt: 1 });
+
+module.exports = mongoose.model('NoteVersion', noteVersionSchema);
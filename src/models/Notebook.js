@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+/* ============================================================
+   LIBRETA (CARPETA ANIDABLE DE NOTAS)
+============================================================ */
+const notebookSchema = new mongoose.Schema(
+    {
+        owner: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+
+        name: {
+            type: String,
+            required: [true, 'El nombre es obligatorio'],
+            trim: true,
+            maxlength: [100, 'El nombre no puede superar los 100 caracteres'],
+        },
+
+        /* ========== JERARQUÍA ========== */
+
+        // null solo en la libreta raíz
+        parent: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Notebook',
+            default: null,
+        },
+
+        // Cada usuario tiene exactamente una raíz, creada bajo demanda
+        isRoot: {
+            type: Boolean,
+            default: false,
+        },
+    },
+    {
+        timestamps: true,
+        versionKey: false,
+    }
+);
+
+/* ============================================================
+   ÍNDICES
+============================================================ */
+
+// Árbol de libretas del usuario
+notebookSchema.index({ owner: 1, parent: 1 });
+
+// Una sola raíz por usuario
+notebookSchema.index(
+    { owner: 1, isRoot: 1 },
+    { unique: true, partialFilterExpression: { isRoot: true } }
+);
+
+module.exports = mongoose.model('Notebook', notebookSchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+/* ============================================================
+   USUARIO
+============================================================ */
+const userSchema = new mongoose.Schema(
+    {
+        email: {
+            type: String,
+            required: [true, 'El email es obligatorio'],
+            trim: true,
+            lowercase: true,
+            maxlength: [254, 'El email no puede superar los 254 caracteres'],
+            unique: true,
+        },
+
+        name: {
+            type: String,
+            required: [true, 'El nombre es obligatorio'],
+            trim: true,
+            maxlength: [100, 'El nombre no puede superar los 100 caracteres'],
+        },
+
+        /* ========== CREDENCIALES ========== */
+
+        passwordHash: {
+            type: String,
+            required: true,
+            select: false,
+        },
+    },
+    {
+        timestamps: true,
+        versionKey: false,
+    }
+);
+
+/* ============================================================
+   SERIALIZACIÓN (nunca exponer el hash)
+============================================================ */
+userSchema.set('toJSON', {
+    transform: (doc, ret) => {
+        delete ret.passwordHash;
+        return ret;
+    }
+});
+
+module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,51 @@
+// src/repositories/apiToken.repository.js
+
+const ApiToken = require('../models/ApiToken');
+
+class ApiTokenRepository {
+    /**
+     * Buscar token vigente por hash (no revocado)
+     */
+    async findActiveByHash(tokenHash) {
+        return await ApiToken.findOne({ tokenHash, revokedAt: null });
+    }
+
+    /**
+     * Buscar token del propietario por ID
+     */
+    async findByIdForOwner(id, ownerId) {
+        return await ApiToken.findOne({ _id: id, owner: ownerId });
+    }
+
+    /**
+     * Listar tokens del propietario
+     */
+    async findAllByOwner(ownerId) {
+        return await ApiToken.find({ owner: ownerId })
+            .sort({ createdAt: -1 });
+    }
+
+    /**
+     * Crear token
+     */
+    async create(data) {
+        const token = new ApiToken(data);
+        return await token.save();
+    }
+
+    /**
+     * Guardar cambios en token existente
+     */
+    async save(token) {
+        return await token.save();
+    }
+
+    /**
+     * Registrar último uso (sin cargar el documento)
+     */
+    async touch(id) {
+        return await ApiToken.updateOne({ _id: id }, { lastUsedAt: new Date() });
+    }
+}
+
+module.exports = new ApiTokenRepository();
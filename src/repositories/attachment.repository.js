@@ -0,0 +1,51 @@
+// src/repositories/attachment.repository.js
+
+const Attachment = require('../models/Attachment');
+
+class AttachmentRepository {
+    /**
+     * Crear adjunto
+     */
+    async create(data) {
+        const attachment = new Attachment(data);
+        return await attachment.save();
+    }
+
+    /**
+     * Listar adjuntos de una nota, por orden de subida
+     */
+    async findAllForNote(noteId) {
+        return await Attachment.find({ note: noteId })
+            .sort({ createdAt: 1, _id: 1 });
+    }
+
+    /**
+     * Buscar adjunto de una nota (con su clave de almacenamiento)
+     */
+    async findForNote(noteId, id) {
+        return await Attachment.findOne({ _id: id, note: noteId }).select('+key');
+    }
+
+    /**
+     * Eliminar adjunto de una nota; devuelve el eliminado (con su clave) o null
+     */
+    async deleteForNote(noteId, id) {
+        return await Attachment.findOneAndDelete({ _id: id, note: noteId }).select('+key');
+    }
+
+    /**
+     * Eliminar todos los adjuntos de una nota
+     * Devuelve las claves de sus archivos para borrarlos del almacenamiento
+     */
+    async deleteAllForNote(noteId) {
+        const attachments = await Attachment.find({ note: noteId }).select('+key').lean();
+
+        if (attachments.length > 0) {
+            await Attachment.deleteMany({ _id: { $in: attachments.map(a => a._id) } });
+        }
+
+        return attachments.map(a => a.key);
+    }
+}
+
+module.exports = new AttachmentRepository();
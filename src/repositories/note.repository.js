@@ -1,20 +1,135 @@
 // src/repositories/note.repository.js
 
+const { AsyncLocalStorage } = require('async_hooks');
+const mongoose = require('mongoose');
 const Note = require('../models/Note');
+const Pagination = require('../domain/pagination');
+const NoteLinks = require('../domain/noteLinks');
+const NoteStatus = require('../domain/noteStatus');
+const TrashRetention = require('../domain/trashRetention');
+const trashConfig = require('../config/trash');
+
+// Tareas de afterCommit() pendientes de la transacción en curso
+const pendingAfterCommit = new AsyncLocalStorage();
+
+// aggregate() no castea tipos: el propietario debe llegar como ObjectId
+function toObjectId(id) {
+    return typeof id === 'string' ? new mongoose.Types.ObjectId(id) : id;
+}
+
+// Filtros por estado (NoteStatus)
+const ACTIVE = { status: NoteStatus.ACTIVE };
+const ARCHIVED = { status: NoteStatus.ARCHIVED };
+const TRASHED = { status: NoteStatus.TRASHED };
+const LIVE = { status: { $in: NoteStatus.LIVE } };
+
+// Filtro: notas propias o compartidas con el usuario
+function accessibleBy(userId) {
+    return { $or: [{ owner: userId }, { 'shares.user': userId }] };
+}
+
+// Filtro por revisión (las notas anteriores al campo cuentan como revisión 1)
+function revisionFilter(revision) {
+    return { revision: revision === 1 ? { $in: [1, null] } : revision };
+}
+
+// Filtros opcionales de listado: rangos de fechas, etiquetas, libreta y favoritas
+function listFilters({ dateRanges = {}, tags = [], tagMode = 'all', notebookIds = null, favorite } = {}) {
+    const filter = Pagination.dateRangeFilter(dateRanges);
+
+    if (tags.length > 0) {
+        filter.tags = tagMode === 'any' ? { $in: tags } : { $all: tags };
+    }
+
+    if (notebookIds) {
+        filter.notebookId = { $in: notebookIds };
+    }
+
+    if (favorite !== undefined) {
+        filter.isFavorite = favorite ? true : { $ne: true };
+    }
+
+    return filter;
+}
+
+// Nota de la papelera con la fecha en que se eliminará definitivamente
+function withPurgeDate(note) {
+    const data = typeof note.toObject === 'function' ? note.toObject() : note;
+    return { ...data, purgeAt: TrashRetention.purgeDate(data.deletedAt, trashConfig.retentionDays) };
+}
 
 class NoteRepository {
     /**
-     * Buscar nota activa por ID
+     * Buscar nota fuera de la papelera (activa o archivada) por ID accesible
+     * para el usuario (propia o compartida con él; el rol lo decide NotePermissions)
+     */
+    async findLiveById(id, userId) {
+        return await Note.findOne({ _id: id, ...LIVE, ...accessibleBy(userId) });
+    }
+
+    /**
+     * Buscar nota eliminada por ID accesible para el usuario
+     */
+    async findDeletedById(id, userId) {
+        return await Note.findOne({ _id: id, ...TRASHED, ...accessibleBy(userId) });
+    }
+
+    /**
+     * Buscar nota accesible para el usuario, esté o no en la papelera
+     */
+    async findAccessibleById(id, userId) {
+        return await Note.findOne({ _id: id, ...accessibleBy(userId) });
+    }
+
+    /**
+     * Todas las notas del propietario (activas y en papelera), de la más antigua
+     * a la más reciente (exportación)
+     */
+    async findAllOwned(ownerId) {
+        return await Note.find({ owner: ownerId })
+            .sort({ createdAt: 1, _id: 1 })
+            .select('-__v')
+            .lean();
+    }
+
+    /**
+     * Notas fuera de la papelera del propietario que enlazan a alguna de las
+     * claves, entre las accesibles para el usuario (excepto excludeId)
      */
-    async findActiveById(id) {
-        return await Note.findOne({ _id: id, isDeleted: false });
+    async findLinking(ownerId, keys, { userId, excludeId = null }) {
+        return await Note.find({
+            owner: ownerId,
+            ...LIVE,
+            links: { $in: keys },
+            _id: { $ne: excludeId },
+            ...accessibleBy(userId)
+        })
+            .sort({ title: 1 })
+            .select('_id title updatedAt')
+            .lean();
     }
 
     /**
-     * Buscar nota eliminada por ID
+     * Notas fuera de la papelera del propietario a las que llevan las claves de enlace
+     * (por ID o por título sin distinguir mayúsculas), de la más antigua
+     * a la más reciente
      */
-    async findDeletedById(id) {
-        return await Note.findOne({ _id: id, isDeleted: true });
+    async findLinkTargets(ownerId, keys, { userId }) {
+        const ids = keys.filter(key => NoteLinks.isIdKey(key));
+        const titles = keys.filter(key => !NoteLinks.isIdKey(key));
+
+        return await Note.find({
+            owner: ownerId,
+            ...LIVE,
+            $and: [
+                { $or: [{ _id: { $in: ids } }, { title: { $in: titles } }] },
+                accessibleBy(userId)
+            ]
+        })
+            .collation({ locale: 'en', strength: 2 })
+            .sort({ createdAt: 1 })
+            .select('_id title')
+            .lean();
     }
 
     /**
@@ -25,21 +140,156 @@ class NoteRepository {
     }
 
     /**
-     * Listar notas activas
+     * Listar una página de notas activas del propietario
+     * Las fijadas van siempre primero, por su posición
+     */
+    async findAllActive(ownerId, options) {
+        return await this.findPage({ owner: ownerId, ...ACTIVE }, { ...options, pinnedFirst: true });
+    }
+
+    /**
+     * IDs de las notas activas fijadas del propietario, en su orden
+     */
+    async findPinnedIds(ownerId) {
+        const notes = await Note.find({ owner: ownerId, ...ACTIVE, isPinned: true })
+            .sort({ pinPosition: 1, _id: 1 })
+            .select('_id')
+            .lean();
+
+        return notes.map(note => note._id);
+    }
+
+    /**
+     * Numerar las notas fijadas según su orden en ids (0, 1, 2...)
+     * La posición es solo orden de presentación: no cambia la revisión
      */
-    async findAllActive() {
-        return await Note.find({ isDeleted: false })
+    async setPinPositions(ids) {
+        if (ids.length === 0) {
+            return;
+        }
+
+        await Note.bulkWrite(ids.map((id, pinPosition) => ({
+            updateOne: { filter: { _id: id }, update: { $set: { pinPosition } }, timestamps: false }
+        })));
+    }
+
+    /**
+     * Listar notas activas compartidas con el usuario
+     */
+    async findAllSharedWith(userId) {
+        return await Note.find({ 'shares.user': userId, ...ACTIVE })
             .sort({ createdAt: -1 })
+            .populate('owner', 'email name')
             .select('-__v');
     }
 
     /**
-     * Listar notas en papelera
+     * Listar una página de notas archivadas del propietario
+     */
+    async findAllArchived(ownerId, options) {
+        return await this.findPage({ owner: ownerId, ...ARCHIVED }, options);
+    }
+
+    /**
+     * Listar una página de notas en papelera del propietario
+     * Cada nota incluye purgeAt: cuándo se eliminará definitivamente (o null)
+     */
+    async findAllDeleted(ownerId, options) {
+        const page = await this.findPage({ owner: ownerId, ...TRASHED }, options);
+        return { ...page, data: page.data.map(withPurgeDate) };
+    }
+
+    /**
+     * IDs de todas las notas en papelera del propietario
+     */
+    async findDeletedIds(ownerId) {
+        const notes = await Note.find({ owner: ownerId, ...TRASHED }).select('_id').lean();
+        return notes.map(note => note._id);
+    }
+
+    /**
+     * IDs de notas (de cualquier propietario) enviadas a la papelera antes
+     * de cutoff, de la más antigua a la más reciente
+     */
+    async findExpiredIds(cutoff, limit) {
+        const notes = await Note.find({ ...TRASHED, deletedAt: { $lt: cutoff } })
+            .sort({ deletedAt: 1 })
+            .limit(limit)
+            .select('_id')
+            .lean();
+
+        return notes.map(note => note._id);
+    }
+
+    /**
+     * Página ordenada por cursor: { data, nextCursor }
+     * after: posición decodificada del cursor (o null para la primera página)
+     * pinnedFirst: las fijadas delante, por su posición
      */
-    async findAllDeleted() {
-        return await Note.find({ isDeleted: true })
-            .sort({ deletedAt: -1 })
+    async findPage(baseFilter, options) {
+        const { sort, order, limit, after, pinnedFirst = false } = options;
+        const conditions = [baseFilter, listFilters(options)];
+
+        if (after) {
+            conditions.push(Pagination.afterCursorFilter(after, sort, order, { pinnedFirst }));
+        }
+
+        const docs = await Note.find({ $and: conditions })
+            .sort(Pagination.sortSpec(sort, order, { pinnedFirst }))
+            .limit(limit + 1)
             .select('-__v');
+
+        return Pagination.buildPage(docs, { limit, sort, order, pinnedFirst });
+    }
+
+    /**
+     * Búsqueda de texto completo ordenada por relevancia
+     * Busca entre las activas y archivadas; deleted: true para buscar en la papelera
+     */
+    async search(ownerId, { q, limit, deleted = false }) {
+        const filter = { owner: ownerId, ...(deleted ? TRASHED : LIVE), $text: { $search: q } };
+
+        const [data, total] = await Promise.all([
+            Note.find(filter)
+                .select({ score: { $meta: 'textScore' } })
+                .sort({ score: { $meta: 'textScore' }, _id: -1 })
+                .limit(limit)
+                .lean(),
+            Note.countDocuments(filter)
+        ]);
+
+        return { data: deleted ? data.map(withPurgeDate) : data, total };
+    }
+
+    /**
+     * Enviar a la papelera en una sola escritura las notas fuera de ella del
+     * propietario dentro de las libretas indicadas. Los cambios de cada nota
+     * los fija NoteStatus según su estado de origen; todas suben de revisión.
+     * Devuelve las notas enviadas
+     */
+    async trashInNotebooks(ownerId, notebookIds, now = new Date()) {
+        const notes = await Note.find({
+            owner: ownerId,
+            ...LIVE,
+            notebookId: { $in: notebookIds }
+        }).select('_id').lean();
+        const ids = notes.map(note => note._id);
+
+        if (ids.length === 0) {
+            return [];
+        }
+
+        await Note.bulkWrite(NoteStatus.LIVE.map(status => ({
+            updateMany: {
+                filter: { _id: { $in: ids }, status },
+                update: {
+                    $set: NoteStatus.transition({ status }, NoteStatus.TRASHED, now),
+                    $inc: { revision: 1 }
+                }
+            }
+        })));
+
+        return await Note.find({ _id: { $in: ids }, ...TRASHED });
     }
 
     /**
@@ -50,33 +300,165 @@ class NoteRepository {
         return await note.save();
     }
 
+    /**
+     * Cargar los datos públicos de los usuarios con acceso compartido
+     */
+    async populateShares(note) {
+        return await note.populate('shares.user', 'email name');
+    }
+
     /**
      * Guardar cambios en nota existente
+     * Incrementa la revisión y solo escribe si sigue siendo la que se leyó:
+     * si otra petición la cambió entretanto lanza STALE_REVISION
      */
     async save(note) {
-        return await note.save();
+        if (note.isNew) {
+            return await note.save();
+        }
+
+        const revision = note.revision;
+        note.$where = revisionFilter(revision);
+        note.revision = revision + 1;
+
+        try {
+            return await note.save();
+        } catch (error) {
+            if (error instanceof mongoose.Error.DocumentNotFoundError) {
+                note.revision = revision;
+                throw new Error('STALE_REVISION');
+            }
+            throw error;
+        } finally {
+            note.$where = undefined;
+        }
+    }
+
+    /**
+     * Ejecutar work dentro de una transacción (se confirma si termina bien)
+     * Las consultas de work usan la sesión de la transacción sin pasarla
+     * (transactionAsyncLocalStorage, activado en app.js)
+     * Requiere replica set: en un servidor standalone lanza TRANSACTIONS_UNSUPPORTED
+     */
+    async transaction(work) {
+        let tasks = [];
+        let result;
+
+        try {
+            // Cada intento empieza sin tareas: las de un intento abortado se descartan
+            result = await mongoose.connection.transaction(() => {
+                tasks = [];
+                return pendingAfterCommit.run(tasks, work);
+            });
+        } catch (error) {
+            // IllegalOperation: "Transaction numbers are only allowed on a replica set member or mongos"
+            if (error.code === 20) {
+                throw new Error('TRANSACTIONS_UNSUPPORTED');
+            }
+            throw error;
+        }
+
+        for (const task of tasks) {
+            await task();
+        }
+
+        return result;
+    }
+
+    /**
+     * Ejecutar task cuando los cambios estén confirmados: dentro de
+     * transaction(), tras el commit (y nunca si se revierte); fuera, ya
+     * Para efectos fuera de la BD (p. ej. borrar archivos)
+     */
+    async afterCommit(task) {
+        const tasks = pendingAfterCommit.getStore();
+
+        if (tasks) {
+            tasks.push(task);
+            return;
+        }
+
+        await task();
     }
 
     /**
      * Eliminar permanentemente
+     * revision: si se indica, solo se elimina si la nota sigue en esa revisión
+     */
+    async deletePermanently(id, ownerId, revision = null) {
+        return await Note.findOneAndDelete({
+            _id: id,
+            owner: ownerId,
+            ...(revision !== null ? revisionFilter(revision) : {})
+        });
+    }
+
+    /**
+     * Eliminar una nota solo si sigue en la papelera (purga)
+     * deletedBefore: además, solo si se envió a la papelera antes de esa fecha
+     */
+    async deleteFromTrash(id, { deletedBefore = null } = {}) {
+        return await Note.findOneAndDelete({
+            _id: id,
+            ...TRASHED,
+            ...(deletedBefore ? { deletedAt: { $lt: deletedBefore } } : {})
+        });
+    }
+
+    /**
+     * Contar notas activas del propietario (con filtros opcionales de listado)
      */
-    async deletePermanently(id) {
-        return await Note.findByIdAndDelete(id);
+    async countActive(ownerId, filters) {
+        return await Note.countDocuments({
+            owner: ownerId,
+            ...ACTIVE,
+            ...listFilters(filters)
+        });
     }
 
     /**
-     * Contar notas activas
+     * Contar notas archivadas del propietario (con filtros opcionales de listado)
      */
-    async countActive() {
-        return await Note.countDocuments({ isDeleted: false });
+    async countArchived(ownerId, filters) {
+        return await Note.countDocuments({
+            owner: ownerId,
+            ...ARCHIVED,
+            ...listFilters(filters)
+        });
+    }
+
+    /**
+     * Contar notas eliminadas del propietario (con filtros opcionales de listado)
+     */
+    async countDeleted(ownerId, filters) {
+        return await Note.countDocuments({
+            owner: ownerId,
+            ...TRASHED,
+            ...listFilters(filters)
+        });
+    }
+
+    /**
+     * Etiquetas de las notas fuera de la papelera del propietario con su recuento
+     */
+    async countTags(ownerId) {
+        const rows = await Note.aggregate([
+            { $match: { owner: toObjectId(ownerId), ...LIVE } },
+            { $unwind: '$tags' },
+            { $group: { _id: '$tags', count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } }
+        ]);
+
+        return rows.map(row => ({ tag: row._id, count: row.count }));
     }
 
     /**
-     * Contar notas eliminadas
+     * IDs de las notas del propietario con la etiqueta (también en la papelera)
      */
-    async countDeleted() {
-        return await Note.countDocuments({ isDeleted: true });
+    async findIdsWithTag(ownerId, tag) {
+        const notes = await Note.find({ owner: ownerId, tags: tag }).select('_id').lean();
+        return notes.map(note => note._id);
     }
 }
 
-module.exports = new NoteRepository();
\ No newline at end of file
+module.exports = new NoteRepository();
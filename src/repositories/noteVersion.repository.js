@@ -0,0 +1,285 @@
+// src/repositories/noteVersion.repository.js
+
+const NoteVersion = require('../models/NoteVersion');
+const NoteDelta = require('../domain/noteDelta');
+const historyConfig = require('../config/history');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * El snapshot justo debajo de version pasa a guardarse completo
+ * (su delta dependía de version, que se va a eliminar)
+ */
+async function materializeBelow(version) {
+    const below = await NoteVersion.findOne({
+        note: version.note,
+        stack: version.stack,
+        seq: { $lt: version.seq }
+    }).sort({ seq: -1 }).lean();
+
+    if (below && below.delta) {
+        await NoteVersion.updateOne(
+            { _id: below._id },
+            {
+                $set: { content: NoteDelta.apply(version.content, below.delta) },
+                $unset: { delta: '' }
+            }
+        );
+    }
+}
+
+/**
+ * Contenido completo de version: se parte del keyframe más cercano por
+ * encima (o la cima) y solo se leen y aplican los deltas intermedios
+ */
+async function expandFrom(version) {
+    if (!version.delta) {
+        return version;
+    }
+
+    const keyframe = await NoteVersion.findOne({
+        note: version.note,
+        stack: version.stack,
+        seq: { $gt: version.seq },
+        delta: { $exists: false }
+    }).sort({ seq: 1 }).select('seq').lean();
+
+    const range = await NoteVersion.find({
+        note: version.note,
+        stack: version.stack,
+        seq: { $gte: version.seq, $lte: keyframe.seq }
+    }).sort({ seq: -1 }).lean();
+
+    return NoteDelta.expand(range).pop();
+}
+
+class NoteVersionRepository {
+    /**
+     * Cima de una pila ('undo' | 'redo') o null si está vacía
+     */
+    async peek(noteId, stack) {
+        return await NoteVersion.findOne({ note: noteId, stack })
+            .sort({ seq: -1 })
+            .lean();
+    }
+
+    /**
+     * Comprobar si la pila tiene algún snapshot
+     */
+    async hasAny(noteId, stack) {
+        return (await NoteVersion.exists({ note: noteId, stack })) !== null;
+    }
+
+    /**
+     * Número de snapshots de una pila
+     */
+    async count(noteId, stack) {
+        return await NoteVersion.countDocuments({ note: noteId, stack });
+    }
+
+    /**
+     * Snapshot situado depth posiciones bajo la cima de una pila (0: la cima),
+     * con su contenido completo, o null si la pila no es tan profunda
+     */
+    async findAt(noteId, stack, depth) {
+        const version = await NoteVersion.findOne({ note: noteId, stack })
+            .sort({ seq: -1 })
+            .skip(depth)
+            .lean();
+
+        return version ? await expandFrom(version) : null;
+    }
+
+    /**
+     * Snapshot que estuvo vigente en la revisión dada de la nota, con su
+     * contenido completo, o null si ya no queda en el historial
+     */
+    async findByRevision(noteId, revision) {
+        const version = await NoteVersion.findOne({
+            note: noteId,
+            revision: { $gte: revision },
+            $or: [
+                { sinceRevision: { $lte: revision } },
+                { sinceRevision: { $exists: false }, revision }
+            ]
+        }).sort({ seq: 1 }).lean();
+
+        return version ? await expandFrom(version) : null;
+    }
+
+    /**
+     * Apilar snapshots en orden (el último queda en la cima)
+     * La cima anterior y los nuevos snapshots inferiores pasan a guardarse
+     * como delta frente al siguiente, salvo cuando toca keyframe
+     */
+    async push(noteId, stack, snapshots, { keyframeInterval } = historyConfig) {
+        if (snapshots.length === 0) {
+            return [];
+        }
+
+        // Cima actual y deltas encadenados justo debajo de ella
+        const recent = await NoteVersion.find({ note: noteId, stack })
+            .sort({ seq: -1 })
+            .limit(keyframeInterval)
+            .select('content delta')
+            .lean();
+        const top = recent[0];
+        const run = recent.slice(1).findIndex(v => !v.delta);
+
+        const chain = top ? [top, ...snapshots] : snapshots;
+        const deltas = NoteDelta.plan(chain, {
+            run: run === -1 ? Math.max(recent.length - 1, 0) : run,
+            keyframeInterval
+        });
+        const [topDelta, ...newDeltas] = top ? deltas : [null, ...deltas];
+
+        const last = await NoteVersion.findOne({ note: noteId })
+            .sort({ seq: -1 })
+            .select('seq')
+            .lean();
+        const base = last ? last.seq + 1 : 0;
+
+        const inserted = await NoteVersion.insertMany(snapshots.map((snapshot, i) => ({
+            note: noteId,
+            stack,
+            seq: base + i,
+            title: snapshot.title,
+            ...(newDeltas[i] ? { delta: newDeltas[i] } : { content: snapshot.content }),
+            tags: snapshot.tags,
+            sinceRevision: snapshot.sinceRevision,
+            revision: snapshot.revision,
+            author: snapshot.author ?? undefined,
+            editedAt: snapshot.editedAt
+        })));
+
+        // La cima anterior se comprime después de insertar la nueva
+        if (topDelta) {
+            await NoteVersion.updateOne(
+                { _id: top._id },
+                { $set: { delta: topDelta }, $unset: { content: '' } }
+            );
+        }
+
+        return inserted;
+    }
+
+    /**
+     * Eliminar la cima ya consumida (la versión devuelta por peek)
+     * El snapshot que queda debajo se reconstruye y pasa a ser completo
+     */
+    async remove(version) {
+        await materializeBelow(version);
+        return await NoteVersion.deleteOne({ _id: version._id });
+    }
+
+    /**
+     * Sustituir el tramo superior de una pila: elimina version (con su
+     * contenido completo, tal como la devuelve list) y todas las de encima,
+     * y apila en su lugar los snapshots dados (undo/redo selectivo)
+     */
+    async replaceFrom(version, snapshots) {
+        await materializeBelow(version);
+        await NoteVersion.deleteMany({
+            note: version.note,
+            stack: version.stack,
+            seq: { $gte: version.seq }
+        });
+
+        return await this.push(version.note, version.stack, snapshots);
+    }
+
+    /**
+     * Vaciar una pila
+     */
+    async clear(noteId, stack) {
+        return await NoteVersion.deleteMany({ note: noteId, stack });
+    }
+
+    /**
+     * Historial completo de la nota
+     * undo: del más antiguo al más reciente; redo: del próximo al más lejano
+     * Con content: false no se leen ni reconstruyen los contenidos
+     */
+    async list(noteId, { content = true } = {}) {
+        if (!content) {
+            const versions = await NoteVersion.find({ note: noteId })
+                .sort({ seq: 1 })
+                .select('-content -delta')
+                .lean();
+
+            return {
+                undo: versions.filter(v => v.stack === 'undo'),
+                redo: versions.filter(v => v.stack === 'redo').reverse()
+            };
+        }
+
+        const versions = await NoteVersion.find({ note: noteId })
+            .sort({ seq: 1 })
+            .lean();
+
+        // Los deltas se resuelven desde la cima hacia abajo
+        const undo = NoteDelta.expand(versions.filter(v => v.stack === 'undo').reverse());
+        const redo = NoteDelta.expand(versions.filter(v => v.stack === 'redo').reverse());
+
+        return { undo: undo.reverse(), redo };
+    }
+
+    /**
+     * Aplicar la política de retención a la pila de undo
+     * retention: { retention: 'forever' | 'count' | 'age', maxVersions, maxAgeDays }
+     * Siempre se recorta por abajo: los deltas dependen del snapshot superior
+     */
+    async prune(noteId, { retention, maxVersions, maxAgeDays }) {
+        if (retention === 'count') {
+            const boundary = await NoteVersion.findOne({ note: noteId, stack: 'undo' })
+                .sort({ seq: -1 })
+                .skip(maxVersions - 1)
+                .select('seq')
+                .lean();
+
+            if (!boundary) {
+                return 0;
+            }
+
+            const result = await NoteVersion.deleteMany({
+                note: noteId,
+                stack: 'undo',
+                seq: { $lt: boundary.seq }
+            });
+            return result.deletedCount;
+        }
+
+        if (retention === 'age') {
+            const boundary = await NoteVersion.findOne({
+                note: noteId,
+                stack: 'undo',
+                editedAt: { $lt: new Date(Date.now() - maxAgeDays * DAY_MS) }
+            })
+                .sort({ seq: -1 })
+                .select('seq')
+                .lean();
+
+            if (!boundary) {
+                return 0;
+            }
+
+            const result = await NoteVersion.deleteMany({
+                note: noteId,
+                stack: 'undo',
+                seq: { $lte: boundary.seq }
+            });
+            return result.deletedCount;
+        }
+
+        return 0;
+    }
+
+    /**
+     * Eliminar todo el historial de una nota
+     */
+    async deleteAllForNote(noteId) {
+        return await NoteVersion.deleteMany({ note: noteId });
+    }
+}
+
+module.exports = new NoteVersionRepository();
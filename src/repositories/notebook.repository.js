@@ -0,0 +1,75 @@
+// src/repositories/notebook.repository.js
+
+const Notebook = require('../models/Notebook');
+
+const ROOT_NAME = 'Notas';
+
+class NotebookRepository {
+    /**
+     * Libreta raíz del usuario (se crea la primera vez que se necesita)
+     */
+    async findOrCreateRoot(ownerId) {
+        const filter = { owner: ownerId, isRoot: true };
+
+        try {
+            return await Notebook.findOneAndUpdate(
+                filter,
+                { $setOnInsert: { name: ROOT_NAME, parent: null } },
+                { upsert: true, new: true }
+            );
+        } catch (error) {
+            // Dos upserts simultáneos: el índice único deja pasar solo uno
+            if (error.code === 11000) {
+                return await Notebook.findOne(filter);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Buscar libreta del propietario por ID
+     */
+    async findByIdForOwner(id, ownerId) {
+        return await Notebook.findOne({ _id: id, owner: ownerId });
+    }
+
+    /**
+     * Comprobar que la libreta existe y es del propietario
+     */
+    async existsForOwner(id, ownerId) {
+        return (await Notebook.exists({ _id: id, owner: ownerId })) !== null;
+    }
+
+    /**
+     * Todas las libretas del propietario
+     */
+    async findAllByOwner(ownerId) {
+        return await Notebook.find({ owner: ownerId })
+            .sort({ name: 1 })
+            .lean();
+    }
+
+    /**
+     * Crear libreta
+     */
+    async create(data) {
+        const notebook = new Notebook(data);
+        return await notebook.save();
+    }
+
+    /**
+     * Guardar cambios en libreta existente
+     */
+    async save(notebook) {
+        return await notebook.save();
+    }
+
+    /**
+     * Eliminar varias libretas del propietario
+     */
+    async deleteMany(ids, ownerId) {
+        return await Notebook.deleteMany({ _id: { $in: ids }, owner: ownerId, isRoot: false });
+    }
+}
+
+module.exports = new NotebookRepository();
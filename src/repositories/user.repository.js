@@ -0,0 +1,43 @@
+// src/repositories/user.repository.js
+
+const User = require('../models/User');
+
+class UserRepository {
+    /**
+     * Buscar usuario por ID
+     */
+    async findById(id) {
+        return await User.findById(id);
+    }
+
+    /**
+     * Buscar usuario por email
+     */
+    async findByEmail(email) {
+        return await User.findOne({ email });
+    }
+
+    /**
+     * Buscar usuario por email (incluye el hash para login)
+     */
+    async findByEmailWithPassword(email) {
+        return await User.findOne({ email }).select('+passwordHash');
+    }
+
+    /**
+     * Comprobar si existe un email registrado
+     */
+    async existsByEmail(email) {
+        return (await User.exists({ email })) !== null;
+    }
+
+    /**
+     * Crear usuario
+     */
+    async create(data) {
+        const user = new User(data);
+        return await user.save();
+    }
+}
+
+module.exports = new UserRepository();
@@ -0,0 +1,36 @@
+// src/routes/auth.routes.js
+
+const express = require('express');
+const router = express.Router();
+
+const authController = require('../controllers/auth.controller');
+const authenticate = require('../middleware/authenticate');
+
+
+// ======================================================
+//  REGISTRO Y LOGIN (públicos)
+// ======================================================
+
+// Registrar un nuevo usuario
+router.post('/register', (req, res) =>
+    authController.register(req, res)
+);
+
+// Iniciar sesión y obtener token
+router.post('/login', (req, res) =>
+    authController.login(req, res)
+);
+
+
+// ======================================================
+//  SESIÓN ACTUAL (requiere token)
+// ======================================================
+
+// Datos del usuario autenticado
+router.get('/me',
+    authenticate,
+    (req, res) => authController.me(req, res)
+);
+
+
+module.exports = router;
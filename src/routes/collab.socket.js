@@ -0,0 +1,78 @@
+// src/routes/collab.socket.js
+
+const http = require('http');
+const mongoose = require('mongoose');
+const { WebSocketServer } = require('ws');
+
+const authService = require('../services/auth.service');
+const collabService = require('../services/collab.service');
+const collabController = require('../controllers/collab.controller');
+
+// WebSocket /api/notes/:id/collab
+const COLLAB_PATH = /^\/api\/notes\/([^/]+)\/collab$/;
+
+/**
+ * Rechaza el upgrade con una respuesta HTTP simple
+ */
+function reject(socket, status) {
+    socket.end(`HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\nConnection: close\r\n\r\n`);
+}
+
+/**
+ * Token del upgrade: "Authorization: Bearer <token>" o, como los navegadores
+ * no permiten cabeceras en un WebSocket, ?access_token=
+ */
+function tokenFrom(req, url) {
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+
+    if (scheme === 'Bearer' && token) {
+        return token;
+    }
+
+    return url.searchParams.get('access_token');
+}
+
+/**
+ * Monta la edición colaborativa sobre el servidor HTTP de la app
+ * Los upgrade a WebSocket no pasan por Express: la autenticación y la
+ * validación del ID se hacen aquí antes de aceptar la conexión
+ */
+function attachCollab(server) {
+    const wss = new WebSocketServer({ noServer: true });
+
+    server.on('upgrade', async (req, socket, head) => {
+        const url = new URL(req.url, 'http://localhost');
+        const match = url.pathname.match(COLLAB_PATH);
+
+        if (!match) {
+            return reject(socket, 404);
+        }
+
+        if (!mongoose.Types.ObjectId.isValid(match[1])) {
+            return reject(socket, 400);
+        }
+
+        const token = tokenFrom(req, url);
+
+        if (!token) {
+            return reject(socket, 401);
+        }
+
+        let user;
+
+        try {
+            user = await authService.authenticate(token);
+        } catch (error) {
+            return reject(socket, error.message === 'INVALID_TOKEN' ? 401 : 500);
+        }
+
+        wss.handleUpgrade(req, socket, head, ws => collabController.connection(ws, match[1], user));
+    });
+
+    // Al parar el servidor se guarda lo pendiente de las sesiones abiertas
+    server.on('close', () => collabService.saveAll());
+
+    return wss;
+}
+
+module.exports = attachCollab;
@@ -0,0 +1,44 @@
+// src/routes/notebooks.routes.js
+
+const express = require('express');
+const router = express.Router();
+
+const notebookController = require('../controllers/notebook.controller');
+const validateMongoId = require('../middleware/validateId');
+
+
+// ======================================================
+//  LIBRETAS (JERARQUÍA DE CARPETAS)
+//  → El router se monta tras authenticate en app.js
+// ======================================================
+
+// Crear libreta (parentId opcional; por defecto cuelga de la raíz)
+router.post('/', (req, res) =>
+    notebookController.create(req, res)
+);
+
+// Árbol de libretas del usuario
+router.get('/', (req, res) =>
+    notebookController.list(req, res)
+);
+
+// Renombrar libreta
+router.patch('/:id',
+    validateMongoId,
+    (req, res) => notebookController.rename(req, res)
+);
+
+// Mover libreta bajo otra
+router.patch('/:id/move',
+    validateMongoId,
+    (req, res) => notebookController.move(req, res)
+);
+
+// Eliminar libreta (sus notas pasan a la papelera)
+router.delete('/:id',
+    validateMongoId,
+    (req, res) => notebookController.delete(req, res)
+);
+
+
+module.exports = router;
@@ -4,7 +4,14 @@ const express = require('express');
 const router = express.Router();
 
 const noteController = require('../controllers/note.controller');
+const noteShareController = require('../controllers/noteShare.controller');
+const noteEventsController = require('../controllers/noteEvents.controller');
+const noteAttachmentController = require('../controllers/noteAttachment.controller');
 const validateMongoId = require('../middleware/validateId');
+const parseIfMatch = require('../middleware/ifMatch');
+const uploadFiles = require('../middleware/upload');
+const importConfig = require('../config/import');
+const attachmentsConfig = require('../config/attachments');
 
 
 // ======================================================
@@ -16,57 +23,267 @@ router.post('/', (req, res) =>
     noteController.create(req, res)
 );
 
+// Importar notas de archivos Markdown / texto, zip o JSON de exportación
+router.post('/import',
+    uploadFiles('files', importConfig),
+    (req, res) => noteController.importNotes(req, res)
+);
+
+// Exportar todas mis notas (?format=json|md|zip&history=true)
+router.get('/export', (req, res) =>
+    noteController.exportNotes(req, res)
+);
+
 // Obtener todas las notas activas
 router.get('/', (req, res) =>
     noteController.listActive(req, res)
 );
 
+// Buscar por texto en notas activas (?q=)
+router.get('/search', (req, res) =>
+    noteController.search(req, res)
+);
+
+// Obtener notas archivadas
+router.get('/archive', (req, res) =>
+    noteController.listArchive(req, res)
+);
+
 // Obtener notas que están en la papelera
 router.get('/trash', (req, res) =>
     noteController.listTrash(req, res)
 );
 
+// Vaciar la papelera (borrado permanente de todas sus notas)
+router.delete('/trash', (req, res) =>
+    noteController.emptyTrash(req, res)
+);
+
+// Buscar por texto en la papelera (?q=)
+router.get('/trash/search', (req, res) =>
+    noteController.searchTrash(req, res)
+);
+
+// Listar etiquetas con su número de notas
+router.get('/tags', (req, res) =>
+    noteController.listTags(req, res)
+);
+
+// Renombrar una etiqueta en todas mis notas
+router.patch('/tags/:tag', (req, res) =>
+    noteController.renameTag(req, res)
+);
+
+// Obtener notas que otros usuarios compartieron conmigo
+router.get('/shared', (req, res) =>
+    noteController.listShared(req, res)
+);
+
+// Operaciones masivas (papelera, restaurar, borrar, etiquetar, mover, fijar)
+router.post('/bulk', (req, res) =>
+    noteController.bulk(req, res)
+);
+
+// Cambios en tiempo real de todas mis notas (Server-Sent Events)
+router.get('/events', (req, res) =>
+    noteEventsController.stream(req, res)
+);
+
 
 // ======================================================
 //  OPERACIONES SOBRE UNA NOTA ESPECÍFICA (:id)
 //  → Todas pasan por validateMongoId
+//  → Las escrituras condicionables leen If-Match (ETag = revisión)
 // ======================================================
 
+// Obtener una nota (propia o compartida)
+router.get('/:id',
+    validateMongoId,
+    (req, res) => noteController.get(req, res)
+);
+
+// Cambios en tiempo real de una nota (Server-Sent Events)
+router.get('/:id/events',
+    validateMongoId,
+    (req, res) => noteEventsController.stream(req, res)
+);
+
 // Actualizar contenido de una nota
 router.patch('/:id',
     validateMongoId,
+    parseIfMatch,
     (req, res) => noteController.update(req, res)
 );
 
 // Deshacer último cambio (undo)
 router.post('/:id/undo',
     validateMongoId,
+    parseIfMatch,
     (req, res) => noteController.undo(req, res)
 );
 
 // Rehacer cambio deshecho (redo)
 router.post('/:id/redo',
     validateMongoId,
+    parseIfMatch,
     (req, res) => noteController.redo(req, res)
 );
 
+// Enlaces [[...]] salientes de la nota
+router.get('/:id/links',
+    validateMongoId,
+    (req, res) => noteController.links(req, res)
+);
+
+// Notas que enlazan a esta
+router.get('/:id/backlinks',
+    validateMongoId,
+    (req, res) => noteController.backlinks(req, res)
+);
+
+// Contenido renderizado como HTML saneado
+router.get('/:id/render',
+    validateMongoId,
+    (req, res) => noteController.render(req, res)
+);
+
+// Exportar una nota (?format=json|md&history=true)
+router.get('/:id/export',
+    validateMongoId,
+    (req, res) => noteController.exportNote(req, res)
+);
+
+// Listar todas las versiones guardadas
+router.get('/:id/versions',
+    validateMongoId,
+    (req, res) => noteController.listVersions(req, res)
+);
+
+// Obtener una versión concreta
+router.get('/:id/versions/:n',
+    validateMongoId,
+    (req, res) => noteController.getVersion(req, res)
+);
+
+// Diferencias entre dos versiones (?from=&to=, por defecto contra la actual)
+router.get('/:id/diff',
+    validateMongoId,
+    (req, res) => noteController.diff(req, res)
+);
+
+// Saltar a una versión (queda como un paso más de undo)
+router.post('/:id/versions/:n/restore',
+    validateMongoId,
+    (req, res) => noteController.restoreVersion(req, res)
+);
+
+// Mover nota a otra libreta
+router.patch('/:id/notebook',
+    validateMongoId,
+    (req, res) => noteController.moveToNotebook(req, res)
+);
+
+// Fijar / soltar nota y reordenar las fijadas
+router.patch('/:id/pin',
+    validateMongoId,
+    (req, res) => noteController.pin(req, res)
+);
+
+// Marcar / desmarcar nota como favorita
+router.patch('/:id/favorite',
+    validateMongoId,
+    (req, res) => noteController.favorite(req, res)
+);
+
+// Archivar nota / devolverla al listado principal
+router.patch('/:id/archive',
+    validateMongoId,
+    parseIfMatch,
+    (req, res) => noteController.archive(req, res)
+);
+
+router.patch('/:id/unarchive',
+    validateMongoId,
+    parseIfMatch,
+    (req, res) => noteController.unarchive(req, res)
+);
+
 // Enviar nota a la papelera
 router.patch('/:id/trash',
     validateMongoId,
+    parseIfMatch,
     (req, res) => noteController.moveToTrash(req, res)
 );
 
 // Restaurar nota desde la papelera
 router.patch('/:id/restore',
     validateMongoId,
+    parseIfMatch,
     (req, res) => noteController.restore(req, res)
 );
 
 // Eliminar nota de forma permanente
 router.delete('/:id/permanent',
     validateMongoId,
+    parseIfMatch,
     (req, res) => noteController.deletePermanently(req, res)
 );
 
 
+
+// ======================================================
+//  COMPARTIR (ACL POR NOTA)
+// ======================================================
+
+// Compartir nota con otro usuario (viewer / editor)
+router.post('/:id/shares',
+    validateMongoId,
+    (req, res) => noteShareController.create(req, res)
+);
+
+// Listar con quién está compartida
+router.get('/:id/shares',
+    validateMongoId,
+    (req, res) => noteShareController.list(req, res)
+);
+
+// Retirar acceso a un usuario
+router.delete('/:id/shares/:userId',
+    validateMongoId,
+    (req, res) => noteShareController.revoke(req, res)
+);
+
+
+
+// ======================================================
+//  ADJUNTOS
+// ======================================================
+
+// Adjuntar archivos (multipart: files[]); el permiso se comprueba antes de leerlos
+router.post('/:id/attachments',
+    validateMongoId,
+    (req, res, next) => noteAttachmentController.authorizeUpload(req, res, next),
+    uploadFiles('files', attachmentsConfig),
+    (req, res) => noteAttachmentController.create(req, res)
+);
+
+// Listar adjuntos de la nota
+router.get('/:id/attachments',
+    validateMongoId,
+    (req, res) => noteAttachmentController.list(req, res)
+);
+
+// Descargar un adjunto
+router.get('/:id/attachments/:attachmentId',
+    validateMongoId,
+    (req, res) => noteAttachmentController.download(req, res)
+);
+
+// Eliminar un adjunto
+router.delete('/:id/attachments/:attachmentId',
+    validateMongoId,
+    (req, res) => noteAttachmentController.remove(req, res)
+);
+
+
 module.exports = router;
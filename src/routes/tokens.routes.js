@@ -0,0 +1,32 @@
+// src/routes/tokens.routes.js
+
+const express = require('express');
+const router = express.Router();
+
+const apiTokenController = require('../controllers/apiToken.controller');
+const validateMongoId = require('../middleware/validateId');
+
+
+// ======================================================
+//  TOKENS PERSONALES DE API
+//  → El router se monta tras authenticate y requireSession en app.js
+// ======================================================
+
+// Emitir un nuevo token (el valor solo se muestra una vez)
+router.post('/', (req, res) =>
+    apiTokenController.create(req, res)
+);
+
+// Listar tokens del usuario
+router.get('/', (req, res) =>
+    apiTokenController.list(req, res)
+);
+
+// Revocar un token
+router.delete('/:id',
+    validateMongoId,
+    (req, res) => apiTokenController.revoke(req, res)
+);
+
+
+module.exports = router;
@@ -0,0 +1,91 @@
+// src/services/apiToken.service.js
+
+const crypto = require('crypto');
+
+const apiTokenRepository = require('../repositories/apiToken.repository');
+const userRepository = require('../repositories/user.repository');
+
+// Prefijo que distingue los tokens personales de los JWT de sesión
+const API_TOKEN_PREFIX = 'fn_';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+class ApiTokenService {
+    /**
+     * Indica si un bearer es un token personal de API
+     */
+    isApiToken(token) {
+        return typeof token === 'string' && token.startsWith(API_TOKEN_PREFIX);
+    }
+
+    /**
+     * Emitir token personal
+     * El valor en claro solo se devuelve aquí: en BD se guarda su hash
+     */
+    async issueToken(ownerId, { name, expiresInDays }) {
+        const token = API_TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+
+        const apiToken = await apiTokenRepository.create({
+            owner: ownerId,
+            name,
+            tokenHash: hashToken(token),
+            prefix: token.slice(0, API_TOKEN_PREFIX.length + 6),
+            expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * DAY_MS) : null
+        });
+
+        return { token, apiToken };
+    }
+
+    /**
+     * Listar tokens del usuario (sin secretos)
+     */
+    async listTokens(ownerId) {
+        return await apiTokenRepository.findAllByOwner(ownerId);
+    }
+
+    /**
+     * Revocar token
+     */
+    async revokeToken(id, ownerId) {
+        const apiToken = await apiTokenRepository.findByIdForOwner(id, ownerId);
+
+        if (!apiToken) {
+            throw new Error('TOKEN_NOT_FOUND');
+        }
+
+        // Revocar es idempotente: se conserva la fecha original
+        if (!apiToken.revokedAt) {
+            apiToken.revokedAt = new Date();
+            await apiTokenRepository.save(apiToken);
+        }
+
+        return apiToken;
+    }
+
+    /**
+     * Resolver el usuario dueño de un token personal
+     */
+    async authenticate(token) {
+        const apiToken = await apiTokenRepository.findActiveByHash(hashToken(token));
+
+        if (!apiToken || (apiToken.expiresAt && apiToken.expiresAt <= new Date())) {
+            throw new Error('INVALID_TOKEN');
+        }
+
+        const user = await userRepository.findById(apiToken.owner);
+
+        if (!user) {
+            throw new Error('INVALID_TOKEN');
+        }
+
+        await apiTokenRepository.touch(apiToken._id);
+
+        return user;
+    }
+}
+
+module.exports = new ApiTokenService();
@@ -0,0 +1,94 @@
+// src/services/auth.service.js
+
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+
+const userRepository = require('../repositories/user.repository');
+const apiTokenService = require('./apiToken.service');
+const authConfig = require('../config/auth');
+
+class AuthService {
+    /**
+     * Registrar nuevo usuario
+     * NOTA: La validación ya se hizo en el controller con DTO
+     */
+    async register({ email, name, password }) {
+        if (await userRepository.existsByEmail(email)) {
+            throw new Error('EMAIL_TAKEN');
+        }
+
+        const passwordHash = await bcrypt.hash(password, authConfig.bcryptRounds);
+
+        let user;
+        try {
+            user = await userRepository.create({ email, name, passwordHash });
+        } catch (error) {
+            // Registro concurrente con el mismo email (índice único)
+            if (error.code === 11000) {
+                throw new Error('EMAIL_TAKEN');
+            }
+            throw error;
+        }
+
+        return {
+            user,
+            token: this.signToken(user)
+        };
+    }
+
+    /**
+     * Login con email y contraseña
+     */
+    async login({ email, password }) {
+        const user = await userRepository.findByEmailWithPassword(email);
+
+        // Mismo error para email inexistente y contraseña incorrecta
+        if (!user || !(await bcrypt.compare(password, user.passwordHash))) {
+            throw new Error('INVALID_CREDENTIALS');
+        }
+
+        return {
+            user,
+            token: this.signToken(user)
+        };
+    }
+
+    /**
+     * Firmar token de acceso para un usuario
+     */
+    signToken(user) {
+        return jwt.sign(
+            { sub: user._id.toString() },
+            authConfig.jwtSecret,
+            { expiresIn: authConfig.jwtExpiresIn }
+        );
+    }
+
+    /**
+     * Resolver el usuario a partir de un bearer
+     * Acepta JWT de sesión o tokens personales de API
+     */
+    async authenticate(token) {
+        if (apiTokenService.isApiToken(token)) {
+            return await apiTokenService.authenticate(token);
+        }
+
+        let payload;
+
+        try {
+            payload = jwt.verify(token, authConfig.jwtSecret);
+        } catch (error) {
+            throw new Error('INVALID_TOKEN');
+        }
+
+        const user = await userRepository.findById(payload.sub);
+
+        if (!user) {
+            throw new Error('INVALID_TOKEN');
+        }
+
+        return user;
+    }
+}
+
+module.exports = new AuthService();
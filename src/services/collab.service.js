@@ -0,0 +1,363 @@
+// src/services/collab.service.js
+
+const noteRepository = require('../repositories/note.repository');
+const noteVersionRepository = require('../repositories/noteVersion.repository');
+const noteEventsService = require('./noteEvents.service');
+const noteService = require('./note.service');
+const CollabMessageDTO = require('../dto/collab.dto');
+const collabConfig = require('../config/collab');
+const NoteCollab = require('../domain/noteCollab');
+const NoteHistoryDomain = require('../domain/noteHistory');
+const NoteOT = require('../domain/noteOT');
+const NotePermissions = require('../domain/notePermissions');
+const NoteStatus = require('../domain/noteStatus');
+
+const { EVENT_TYPES } = noteEventsService;
+
+function forbidden(message) {
+    const error = new Error(message);
+    error.code = 'FORBIDDEN';
+    return error;
+}
+
+/**
+ * Sesiones de edición colaborativa: una por nota con clientes conectados
+ * (en memoria de este proceso)
+ *
+ * Cada cliente envía operaciones sobre la última revisión de la sesión que
+ * conoce; el servidor las transforma contra lo aplicado después
+ * (domain/noteCollab), confirma al autor y reenvía la operación
+ * transformada al resto.
+ *
+ * Cada saveIntervalMs, y al irse el último cliente, el contenido se guarda
+ * con NoteRepository.save como una edición más (snapshot de undo de la nota
+ * y evento note.updated). Si entretanto la nota se editó por la API, ese
+ * cambio se incorpora a la sesión y se envía a los clientes.
+ *
+ * Un cliente es cualquier objeto con send(message) y close()
+ */
+class CollabService {
+    constructor() {
+        this.sessions = new Map(); // noteId → sesión
+        this.members = new Map();  // cliente → { session, userId, canEdit }
+        this.timer = null;
+    }
+
+    /**
+     * Unirse a la sesión de una nota (se abre si no hay ninguna)
+     * Devuelve el estado inicial para el cliente
+     */
+    async join(noteId, userId, client) {
+        const note = await noteRepository.findLiveById(noteId, userId);
+
+        if (!note) {
+            throw new Error('NOTE_NOT_FOUND');
+        }
+
+        const session = this.sessions.get(String(note._id)) || this.open(note);
+        const member = {
+            session,
+            userId: String(userId),
+            canEdit: NotePermissions.canEdit(note, userId)
+        };
+
+        session.clients.add(client);
+        this.members.set(client, member);
+        this.broadcast(session, { type: 'join', userId: member.userId }, client);
+
+        return {
+            noteId: session.noteId,
+            revision: session.revision,
+            content: session.content,
+            canEdit: member.canEdit,
+            users: this.usersOf(session),
+            history: NoteCollab.historyOf(session, member.userId)
+        };
+    }
+
+    /**
+     * Operación de un cliente hecha sobre la revisión indicada
+     * Devuelve la revisión en que quedó aplicada (el ack para el autor)
+     */
+    receive(client, { revision, op }) {
+        const member = this.memberOf(client);
+
+        if (!member.canEdit) {
+            throw forbidden('You do not have permission to edit this note');
+        }
+
+        const { session } = member;
+        const rebased = NoteCollab.rebase(session, revision, NoteOT.normalize(op));
+
+        this.checkContent(session, rebased);
+        NoteCollab.commit(session, member.userId, rebased, this.commitOptions());
+        session.lastEditor = member.userId;
+
+        this.broadcast(session, { type: 'op', revision: session.revision, op: rebased, userId: member.userId }, client);
+
+        return {
+            revision: session.revision,
+            history: NoteCollab.historyOf(session, member.userId)
+        };
+    }
+
+    /**
+     * Deshacer la última operación propia en la sesión
+     * La operación resultante llega a todos los clientes, también al autor
+     */
+    undo(client) {
+        return this.step(client, 'undo');
+    }
+
+    /**
+     * Rehacer la última operación propia deshecha en la sesión
+     */
+    redo(client) {
+        return this.step(client, 'redo');
+    }
+
+    /**
+     * Salir de la sesión; con el último cliente se guarda y se cierra
+     */
+    async leave(client) {
+        const member = this.members.get(client);
+
+        if (!member) {
+            return;
+        }
+
+        const { session } = member;
+
+        this.members.delete(client);
+        session.clients.delete(client);
+        this.broadcast(session, { type: 'leave', userId: member.userId });
+
+        if (session.clients.size === 0) {
+            await this.save(session);
+        }
+    }
+
+    /**
+     * Guardar ahora todas las sesiones abiertas
+     */
+    async saveAll() {
+        const sessions = [...this.sessions.values()];
+
+        await Promise.all(sessions.map(session =>
+            this.save(session).catch(error =>
+                console.error(`Error guardando la sesión de la nota ${session.noteId}:`, error)
+            )
+        ));
+    }
+
+    /* ============================================================
+       INTERNOS
+    ============================================================ */
+
+    open(note) {
+        const session = {
+            ...NoteCollab.createSession(note.content),
+            noteId: String(note._id),
+            clients: new Set(),
+            // Último contenido guardado que la sesión ya incluye
+            saved: note.content,
+            lastEditor: null,
+            saving: null
+        };
+
+        this.sessions.set(session.noteId, session);
+
+        if (!this.timer) {
+            this.timer = setInterval(() => this.saveAll(), collabConfig.saveIntervalMs);
+            this.timer.unref();
+        }
+
+        return session;
+    }
+
+    discard(session) {
+        this.sessions.delete(session.noteId);
+
+        if (this.sessions.size === 0 && this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Cierra la sesión y desconecta a todos (nota borrada o sin acceso)
+     */
+    close(session, reason) {
+        for (const client of session.clients) {
+            this.members.delete(client);
+            client.send({ type: 'closed', reason });
+            client.close();
+        }
+
+        session.clients.clear();
+        this.discard(session);
+    }
+
+    memberOf(client) {
+        const member = this.members.get(client);
+
+        if (!member) {
+            throw new Error('NOT_JOINED');
+        }
+
+        return member;
+    }
+
+    commitOptions() {
+        return { now: Date.now(), groupMs: collabConfig.undoGroupMs, maxLog: collabConfig.maxLog };
+    }
+
+    step(client, kind) {
+        const member = this.memberOf(client);
+
+        if (!member.canEdit) {
+            throw forbidden('You do not have permission to edit this note');
+        }
+
+        const { session } = member;
+        const stack = NoteCollab.stacksOf(session, member.userId)[kind];
+
+        if (stack.length > 0) {
+            this.checkContent(session, stack[stack.length - 1].op);
+        }
+
+        const op = NoteCollab[kind](session, member.userId, this.commitOptions());
+
+        if (!op) {
+            const error = new Error(kind === 'undo' ? 'No history available to undo' : 'No actions available to redo');
+            error.code = kind === 'undo' ? 'NO_HISTORY' : 'NO_REDO';
+            throw error;
+        }
+
+        session.lastEditor = member.userId;
+        this.broadcast(session, { type: 'op', revision: session.revision, op, userId: member.userId, source: kind });
+
+        return {
+            revision: session.revision,
+            history: NoteCollab.historyOf(session, member.userId)
+        };
+    }
+
+    /**
+     * La operación no puede dejar la nota con un contenido que no se pueda
+     * guardar (vacío o demasiado largo)
+     */
+    checkContent(session, op) {
+        const validation = CollabMessageDTO.validateContent(NoteOT.apply(session.content, op));
+
+        if (!validation.valid) {
+            const error = new Error('Operation would leave the note with invalid content');
+            error.code = 'INVALID_CONTENT';
+            error.details = validation.errors;
+            throw error;
+        }
+    }
+
+    usersOf(session) {
+        return [...new Set([...session.clients].map(client => this.members.get(client).userId))];
+    }
+
+    broadcast(session, message, except = null) {
+        for (const client of session.clients) {
+            if (client !== except) {
+                client.send(message);
+            }
+        }
+    }
+
+    /**
+     * Los permisos pueden cambiar durante la sesión (compartir / dejar de compartir)
+     */
+    refreshMembers(session, note) {
+        for (const client of session.clients) {
+            const member = this.members.get(client);
+
+            if (!NotePermissions.canRead(note, member.userId)) {
+                session.clients.delete(client);
+                this.members.delete(client);
+                client.send({ type: 'closed', reason: 'FORBIDDEN' });
+                client.close();
+            } else {
+                member.canEdit = NotePermissions.canEdit(note, member.userId);
+            }
+        }
+    }
+
+    /**
+     * Un guardado por sesión cada vez; la sesión sin clientes se cierra al guardarse
+     */
+    async save(session) {
+        while (session.saving) {
+            await session.saving;
+        }
+
+        session.saving = this.persist(session);
+
+        try {
+            await session.saving;
+        } finally {
+            session.saving = null;
+
+            // Alguien pudo unirse mientras se guardaba; si el guardado falla
+            // la sesión sin clientes se cierra igualmente
+            if (session.clients.size === 0 && this.sessions.get(session.noteId) === session) {
+                this.discard(session);
+            }
+        }
+    }
+
+    async persist(session) {
+        const note = await noteRepository.findById(session.noteId);
+
+        if (!note || NoteStatus.of(note) === NoteStatus.TRASHED) {
+            this.close(session, 'NOTE_NOT_FOUND');
+            return;
+        }
+
+        // Cambio guardado por la API desde el último guardado de la sesión
+        const external = NoteCollab.absorb(session, session.saved, note.content);
+        session.saved = note.content;
+
+        if (external) {
+            NoteCollab.commit(session, null, external, this.commitOptions());
+            this.broadcast(session, { type: 'op', revision: session.revision, op: external, userId: null });
+        }
+
+        this.refreshMembers(session, note);
+
+        // El schema recorta el contenido al guardar, como la API
+        const content = session.content.trim();
+        const revision = session.revision;
+        const hasHistory = await noteVersionRepository.hasAny(note._id, 'undo');
+        // El guardado reúne ediciones de varios usuarios: se atribuye al último
+        const result = NoteHistoryDomain.applyUpdate(note, { content }, { hasHistory, author: session.lastEditor });
+
+        if (!result.modified) {
+            return;
+        }
+
+        let saved;
+
+        try {
+            saved = await noteService.saveEdit(note, result);
+        } catch (error) {
+            // Otra escritura se adelantó: se incorpora en el siguiente guardado
+            if (error.code === 'CONFLICT') {
+                return;
+            }
+            throw error;
+        }
+
+        session.saved = saved.content;
+
+        noteEventsService.publish(EVENT_TYPES.UPDATED, saved, session.lastEditor);
+        this.broadcast(session, { type: 'saved', revision, noteRevision: saved.revision });
+    }
+}
+
+module.exports = new CollabService();
@@ -1,48 +1,729 @@
 // src/services/note.service.js
 
 const noteRepository = require('../repositories/note.repository');
+const notebookRepository = require('../repositories/notebook.repository');
+const noteVersionRepository = require('../repositories/noteVersion.repository');
+const attachmentRepository = require('../repositories/attachment.repository');
+const attachmentStorage = require('../storage/attachmentStorage');
+const noteEventsService = require('./noteEvents.service');
+const historyConfig = require('../config/history');
+const trashConfig = require('../config/trash');
 const NoteHistoryDomain = require('../domain/noteHistory');
+const NoteLinks = require('../domain/noteLinks');
+const NoteDiff = require('../domain/noteDiff');
+const NoteMerge = require('../domain/noteMerge');
+const NotePermissions = require('../domain/notePermissions');
+const NoteRender = require('../domain/noteRender');
+const NoteRevision = require('../domain/noteRevision');
+const NoteStatus = require('../domain/noteStatus');
+const Pagination = require('../domain/pagination');
+const SearchSnippet = require('../domain/searchSnippet');
+const TrashRetention = require('../domain/trashRetention');
+
+const { EVENT_TYPES } = noteEventsService;
+
+// Notas caducadas que se eliminan por consulta en la purga de la papelera
+const PURGE_BATCH_SIZE = 100;
+
+// Lecturas y guardados de cada nota ante STALE_REVISION al renombrar una etiqueta
+const RENAME_TAG_ATTEMPTS = 3;
+
+function forbidden(message) {
+    const error = new Error(message);
+    error.code = 'FORBIDDEN';
+    return error;
+}
+
+/**
+ * If-Match no coincide: el error lleva el estado actual de la nota
+ */
+function preconditionFailed(current) {
+    const error = new Error('Note was modified by another session');
+    error.code = 'PRECONDITION_FAILED';
+    error.current = current;
+    return error;
+}
+
+/**
+ * Comprueba If-Match contra la revisión que se acaba de leer
+ */
+function checkRevision(note, ifMatch) {
+    if (!NoteRevision.matches(note.revision, ifMatch)) {
+        throw preconditionFailed(note);
+    }
+}
+
+/**
+ * Guarda la nota; si otra petición la modificó entre la lectura y la
+ * escritura falla como If-Match (o como conflicto si no se envió)
+ */
+async function saveRevision(note, ifMatch) {
+    try {
+        return await noteRepository.save(note);
+    } catch (error) {
+        if (error.message !== 'STALE_REVISION') {
+            throw error;
+        }
+
+        if (ifMatch) {
+            throw preconditionFailed(await noteRepository.findById(note._id));
+        }
+
+        const conflict = new Error('CONFLICT: Note was modified by another session');
+        conflict.code = 'CONFLICT';
+        throw conflict;
+    }
+}
+
+/**
+ * Opciones de página a partir de la query ya sanitizada
+ * pinnedFirst: el listado pone las fijadas delante (el cursor lo refleja)
+ */
+function pageOptions(query, defaultSort, { pinnedFirst = false } = {}) {
+    const sort = query.sort || defaultSort;
+    const order = query.order || 'desc';
+    let after = null;
+
+    if (query.cursor) {
+        after = Pagination.decodeCursor(query.cursor, sort, order, { pinnedFirst });
+
+        if (!after) {
+            const error = new Error('Invalid or expired cursor');
+            error.code = 'INVALID_CURSOR';
+            throw error;
+        }
+    }
+
+    return {
+        sort,
+        order,
+        limit: query.limit || Pagination.DEFAULT_LIMIT,
+        after,
+        dateRanges: query.dateRanges || {},
+        tags: query.tags || [],
+        tagMode: query.tagMode || 'all',
+        favorite: query.favorite
+    };
+}
+
+/**
+ * Copia a la nota el estado calculado por el dominio
+ * El nuevo estado queda vigente desde la revisión que tendrá al guardarse
+ */
+function applyState(note, state) {
+    note.title = state.title;
+    note.content = state.content;
+    note.tags = state.tags;
+    note.links = NoteLinks.parse(state.content);
+    note.stateRevision = note.revision + 1;
+}
+
+/**
+ * Fusiona una edición hecha sobre una revisión anterior con el estado actual
+ * Devuelve la actualización fusionada; si los cambios se solapan lanza
+ * MERGE_CONFLICT con ambos lados y el texto con marcadores
+ */
+async function mergeEdit(note, baseRevision, edit) {
+    const snapshot = await noteVersionRepository.findByRevision(note._id, baseRevision);
+    const base = NoteMerge.stateAt(note, { undo: snapshot ? [snapshot] : [] }, baseRevision);
+
+    if (!base) {
+        const error = new Error('CONFLICT: Base revision is no longer available');
+        error.code = 'CONFLICT';
+        throw error;
+    }
+
+    const result = NoteMerge.merge(base, note, edit);
+
+    if (!result.clean) {
+        const error = new Error('Edit conflicts with changes from another session');
+        error.code = 'MERGE_CONFLICT';
+        error.conflict = {
+            baseRevision,
+            revision: note.revision,
+            base: result.base,
+            server: result.server,
+            client: result.client,
+            conflicts: result.conflicts,
+            marked: result.marked
+        };
+        throw error;
+    }
+
+    return result.merged;
+}
+
+/**
+ * Persiste el historial de una edición: apila los snapshots en undo,
+ * invalida redo y aplica la retención configurada
+ */
+async function recordEdit(noteId, snapshots) {
+    await noteVersionRepository.push(noteId, 'undo', snapshots);
+    await noteVersionRepository.clear(noteId, 'redo');
+    await noteVersionRepository.prune(noteId, historyConfig);
+}
+
+/**
+ * Renombra la etiqueta en una nota como una edición más (snapshot de undo,
+ * revisión de estado y evento). Renombrar no choca con el contenido: si otra
+ * escritura se adelantó se vuelve a leer y aplicar
+ * Devuelve false si la nota ya no tiene la etiqueta
+ */
+async function renameTagIn(id, ownerId, from, to) {
+    return await NoteRevision.retryOnStale(async () => {
+        const note = await noteRepository.findById(id);
+
+        if (!note || String(note.owner) !== String(ownerId) || !note.tags.includes(from)) {
+            return false;
+        }
+
+        // Sin duplicar la etiqueta destino (se conserva el orden)
+        const tags = [...new Set(note.tags.map(tag => (tag === from ? to : tag)))];
+        const hasHistory = await noteVersionRepository.hasAny(note._id, 'undo');
+        const result = NoteHistoryDomain.applyUpdate(note, { tags }, { hasHistory, author: ownerId });
+
+        applyState(note, result.note);
+        const saved = await noteRepository.save(note);
+
+        await recordEdit(note._id, result.snapshots);
+        noteEventsService.publish(EVENT_TYPES.UPDATED, saved, ownerId);
+
+        return true;
+    }, RENAME_TAG_ATTEMPTS);
+}
+
+/**
+ * Línea temporal completa de versiones de la nota (con contenido)
+ */
+async function timelineOf(note) {
+    const history = await noteVersionRepository.list(note._id);
+    return NoteHistoryDomain.timeline(note, history);
+}
+
+/**
+ * Versión n de la línea temporal (por defecto, la actual) o null si no existe
+ * Solo se lee de NoteVersion el snapshot pedido, no el historial completo
+ */
+async function versionAt(note, n) {
+    const undoCount = await noteVersionRepository.count(note._id, 'undo');
+    const version = n ?? undoCount + 1;
+    const place = NoteHistoryDomain.locate(version, undoCount);
+
+    if (!place) {
+        return null;
+    }
+
+    if (place.current) {
+        return NoteHistoryDomain.versionEntry(note, null, version);
+    }
+
+    const snapshot = await noteVersionRepository.findAt(note._id, place.stack, place.depth);
+    return snapshot ? NoteHistoryDomain.versionEntry(note, snapshot, version) : null;
+}
+
+/**
+ * Undo/redo selectivo: la cima de la pila es de otro usuario, así que se
+ * revierte la última entrada propia rebasando los cambios posteriores
+ * stack: 'undo' | 'redo'
+ */
+async function revertOwn(note, stack, userId, ifMatch) {
+    const history = await noteVersionRepository.list(note._id);
+    // list devuelve redo del próximo al más lejano; el dominio va de abajo a la cima
+    const entries = stack === 'undo' ? history.undo : [...history.redo].reverse();
+    const index = NoteHistoryDomain.lastIndexBy(entries, userId, note.owner);
+
+    if (index === -1) {
+        const error = new Error(stack === 'undo' ? 'No history available to undo' : 'No actions available to redo');
+        error.code = stack === 'undo' ? 'NO_HISTORY' : 'NO_REDO';
+        throw error;
+    }
+
+    const result = NoteHistoryDomain.revert(note, entries, index, { author: userId });
+
+    if (!result.success) {
+        const error = new Error('CONFLICT: Later edits by others overlap with this change');
+        error.code = 'CONFLICT';
+        error.conflicts = result.conflicts;
+        throw error;
+    }
+
+    applyState(note, result.note);
+    const saved = await saveRevision(note, ifMatch);
+    await noteVersionRepository.replaceFrom(entries[index], result.rebased);
+    await noteVersionRepository.push(note._id, stack === 'undo' ? 'redo' : 'undo', [result.snapshot]);
+
+    return saved;
+}
+
+// Errores lanzados como new Error('CÓDIGO') por los casos de uso
+const EXPECTED_ERRORS = ['NOTE_NOT_FOUND', 'NOTE_NOT_IN_TRASH', 'NOTEBOOK_NOT_FOUND'];
+
+// Acción masiva → caso de uso sobre una nota (devuelve la nota o null si se borró)
+const BULK_ACTIONS = {
+    trash: (service, id, params, userId) => service.moveToTrash(id, userId),
+    restore: (service, id, params, userId) => service.restoreFromTrash(id, userId),
+    delete: async (service, id, params, userId) => {
+        await service.deletePermanently(id, userId);
+        return null;
+    },
+    tag: (service, id, params, userId) => service.tagNote(id, params, userId),
+    move: (service, id, params, userId) => service.moveNote(id, params, userId),
+    pin: (service, id, params, userId) => service.pinNote(id, params, userId),
+    favorite: (service, id, params, userId) => service.favoriteNote(id, params, userId),
+    archive: (service, id, params, userId) => service.archiveNote(id, userId),
+    unarchive: (service, id, params, userId) => service.unarchiveNote(id, userId)
+};
+
+/**
+ * Notas que enlazan por título a una nota que se va a renombrar
+ * (los enlaces por ID siguen funcionando; un cambio de mayúsculas no afecta)
+ */
+async function renamedBacklinks(note, newTitle, userId) {
+    const oldKey = NoteLinks.titleKey(note.title);
+
+    if (oldKey === NoteLinks.titleKey(newTitle)) {
+        return [];
+    }
+
+    return await noteRepository.findLinking(note.owner, [oldKey], { userId, excludeId: note._id });
+}
+
+/**
+ * Renombrar rompería enlaces: el cliente debe elegir si reescribirlos
+ */
+function linksAffected(backlinks) {
+    const error = new Error('Renaming this note breaks links from other notes; set rewriteLinks to true or false');
+    error.code = 'LINKS_AFFECTED';
+    error.backlinks = backlinks;
+    return error;
+}
+
+/**
+ * Reescribe [[oldTitle]] como [[newTitle]] en las notas que enlazaban al
+ * título anterior; cada una queda como una edición normal (historial y
+ * eventos) y se omiten las que el usuario no puede editar
+ */
+async function rewriteInboundLinks(service, backlinks, oldTitle, newTitle, userId) {
+    for (const { _id } of backlinks) {
+        const linking = await noteRepository.findLiveById(_id, userId);
+
+        if (!linking || !NotePermissions.canEdit(linking, userId)) {
+            continue;
+        }
+
+        try {
+            await service.updateNote(_id, { content: NoteLinks.rewrite(linking.content, oldTitle, newTitle) }, userId);
+        } catch (error) {
+            if (!expectedErrorCode(error)) {
+                throw error;
+            }
+        }
+    }
+}
+
+/**
+ * Código de un fallo esperable de un caso de uso (o null si es inesperado)
+ */
+function expectedErrorCode(error) {
+    if (typeof error.code === 'string') {
+        return error.code;
+    }
+
+    return EXPECTED_ERRORS.includes(error.message) ? error.message : null;
+}
+
+/**
+ * Operación masiva atómica revertida: resultado de cada nota
+ * (las ya aplicadas quedan como ROLLED_BACK y las pendientes como SKIPPED)
+ */
+function bulkAborted(items, results) {
+    const error = new Error('Bulk operation rolled back');
+    error.code = 'BULK_ABORTED';
+    error.results = items.map(({ action, id }, i) => {
+        if (results[i] && !results[i].ok) {
+            return results[i];
+        }
+        return { action, id, ok: false, error: results[i] ? 'ROLLED_BACK' : 'SKIPPED' };
+    });
+    return error;
+}
+
+/**
+ * Elimina los adjuntos de una nota borrada definitivamente
+ * Los archivos se borran del almacenamiento cuando el borrado está
+ * confirmado (en una operación masiva atómica, tras el commit)
+ */
+async function removeAttachments(noteId) {
+    const keys = await attachmentRepository.deleteAllForNote(noteId);
+
+    if (keys.length === 0) {
+        return;
+    }
+
+    await noteRepository.afterCommit(async () => {
+        for (const key of keys) {
+            await attachmentStorage.remove(key);
+        }
+    });
+}
+
+/**
+ * Elimina definitivamente notas de la papelera junto con su historial y adjuntos
+ * Cada nota se borra solo si sigue en la papelera (y, con deletedBefore,
+ * caducada): las restauradas entretanto se conservan
+ * Devuelve cuántas se eliminaron
+ */
+async function purgeFromTrash(ids, actorId, { deletedBefore = null } = {}) {
+    let purged = 0;
+
+    for (const id of ids) {
+        const note = await noteRepository.deleteFromTrash(id, { deletedBefore });
+
+        if (!note) {
+            continue;
+        }
+
+        await noteVersionRepository.deleteAllForNote(note._id);
+        await removeAttachments(note._id);
+        noteEventsService.publish(EVENT_TYPES.DELETED, note, actorId);
+        purged++;
+    }
+
+    return purged;
+}
+
+/**
+ * Archivar / desarchivar (solo el propietario): valida la transición con
+ * NoteStatus y publica event
+ */
+async function changeStatus(id, userId, status, { ifMatch, event }) {
+    const note = await noteRepository.findLiveById(id, userId);
+
+    if (!note) {
+        throw new Error('NOTE_NOT_FOUND');
+    }
+
+    if (!NotePermissions.canOrganize(note, userId)) {
+        throw forbidden('Only the owner can archive or unarchive this note');
+    }
+
+    checkRevision(note, ifMatch);
+
+    NoteStatus.transition(note, status);
+
+    const saved = await saveRevision(note, ifMatch);
+    noteEventsService.publish(event, saved, userId);
+
+    return saved;
+}
+
+/**
+ * Libreta de destino de una nota: la indicada (si es del propietario) o la raíz
+ */
+async function resolveNotebookId(notebookId, ownerId) {
+    if (!notebookId) {
+        const root = await notebookRepository.findOrCreateRoot(ownerId);
+        return root._id;
+    }
+
+    if (!(await notebookRepository.existsForOwner(notebookId, ownerId))) {
+        throw new Error('NOTEBOOK_NOT_FOUND');
+    }
+
+    return notebookId;
+}
+
+/**
+ * Filtro por libreta de un listado (?notebookId=)
+ * Las notas sin libreta (anteriores a las libretas) cuentan como de la raíz
+ */
+async function notebookScope(notebookId, ownerId) {
+    if (!notebookId) {
+        return null;
+    }
+
+    const notebook = await notebookRepository.findByIdForOwner(notebookId, ownerId);
+
+    if (!notebook) {
+        throw new Error('NOTEBOOK_NOT_FOUND');
+    }
+
+    return notebook.isRoot ? [notebook._id, null] : [notebook._id];
+}
 
 class NoteService {
     /**
      * Crear nueva nota
      * NOTA: La validación ya se hizo en el controller con DTO
      */
-    async createNote({ title, content }) {
-        return await noteRepository.create({
+    async createNote({ title, content, tags = [], format, notebookId }, ownerId) {
+        const note = await noteRepository.create({
+            owner: ownerId,
+            notebookId: await resolveNotebookId(notebookId, ownerId),
             title,
-            content
+            content,
+            tags,
+            format,
+            links: NoteLinks.parse(content)
         });
+
+        noteEventsService.publish(EVENT_TYPES.CREATED, note, ownerId);
+
+        return note;
+    }
+
+    /**
+     * Notas del propietario para exportar (activas y en papelera)
+     * Devuelve [{ note, versions }]; versions es la línea temporal completa
+     * si se pide history (y null si no)
+     */
+    async exportNotes(ownerId, { history = false } = {}) {
+        const notes = await noteRepository.findAllOwned(ownerId);
+        const items = [];
+
+        for (const note of notes) {
+            items.push({ note, versions: history ? await timelineOf(note) : null });
+        }
+
+        return items;
+    }
+
+    /**
+     * Una nota accesible (también en la papelera) para exportar: { note, versions }
+     */
+    async exportNote(id, userId, { history = false } = {}) {
+        const note = await noteRepository.findAccessibleById(id, userId);
+
+        if (!note) {
+            throw new Error('NOTE_NOT_FOUND');
+        }
+
+        return { note, versions: history ? await timelineOf(note) : null };
+    }
+
+    /**
+     * Importar notas ya sanitizadas y validadas en el controller
+     * entries: [{ file, index?, note }] o, las que fallaron al leerse o
+     * validarse, [{ file, index?, error, details? }] (pasan tal cual)
+     * Devuelve un resultado por entrada; un fallo no detiene al resto
+     */
+    async importNotes(entries, ownerId, { notebookId } = {}) {
+        // Una libreta inexistente falla antes de crear ninguna nota
+        const targetId = await resolveNotebookId(notebookId, ownerId);
+        const results = [];
+
+        for (const { note: data, ...entry } of entries) {
+            if (!data) {
+                results.push({ ...entry, ok: false });
+                continue;
+            }
+
+            try {
+                const note = await this.createNote({ ...data, notebookId: targetId }, ownerId);
+                results.push({ ...entry, ok: true, note: { _id: note._id, title: note.title } });
+            } catch (error) {
+                // Reglas del modelo más estrictas que el DTO (p. ej. longitud del título)
+                if (error.name !== 'ValidationError') {
+                    throw error;
+                }
+                results.push({
+                    ...entry,
+                    ok: false,
+                    error: 'Validation failed',
+                    details: Object.values(error.errors).map(e => e.message)
+                });
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Listar notas activas (paginado por cursor; fijadas primero)
+     */
+    async listActiveNotes(ownerId, query = {}) {
+        const options = pageOptions(query, 'createdAt', { pinnedFirst: true });
+        options.notebookIds = await notebookScope(query.notebookId, ownerId);
+
+        const [page, total] = await Promise.all([
+            noteRepository.findAllActive(ownerId, options),
+            noteRepository.countActive(ownerId, options)
+        ]);
+
+        return { ...page, limit: options.limit, total };
+    }
+
+    /**
+     * Listar notas compartidas conmigo
+     */
+    async listSharedNotes(userId) {
+        return await noteRepository.findAllSharedWith(userId);
+    }
+
+    /**
+     * Obtener una nota (propia o compartida)
+     */
+    async getNote(id, userId) {
+        const note = await noteRepository.findLiveById(id, userId);
+
+        if (!note) {
+            throw new Error('NOTE_NOT_FOUND');
+        }
+
+        return note;
+    }
+
+    /**
+     * Enlaces salientes de la nota: [{ target, note }] en orden de aparición
+     * (note es null si el enlace no lleva a ninguna nota accesible)
+     */
+    async listLinks(id, userId) {
+        const note = await this.getNote(id, userId);
+        const keys = note.links || [];
+        const targets = keys.length > 0
+            ? await noteRepository.findLinkTargets(note.owner, keys, { userId })
+            : [];
+
+        return NoteLinks.resolve(keys, targets);
+    }
+
+    /**
+     * Notas que enlazan a esta (por ID o por título)
+     */
+    async listBacklinks(id, userId) {
+        const note = await this.getNote(id, userId);
+        return await this.backlinksOf(note, userId);
+    }
+
+    /**
+     * Enlaces entrantes de una nota ya cargada (p. ej. los que quedan
+     * colgando al enviarla a la papelera)
+     */
+    async backlinksOf(note, userId) {
+        return await noteRepository.findLinking(note.owner, NoteLinks.keysOf(note), {
+            userId,
+            excludeId: note._id
+        });
+    }
+
+    /**
+     * HTML saneado de la nota según su formato
+     */
+    async renderNote(id, userId) {
+        const note = await this.getNote(id, userId);
+
+        return {
+            note,
+            html: NoteRender.toHtml(note.content, note.format)
+        };
+    }
+
+    /**
+     * Listar notas archivadas (paginado por cursor)
+     */
+    async listArchive(ownerId, query = {}) {
+        const options = pageOptions(query, 'archivedAt');
+        options.notebookIds = await notebookScope(query.notebookId, ownerId);
+
+        const [page, total] = await Promise.all([
+            noteRepository.findAllArchived(ownerId, options),
+            noteRepository.countArchived(ownerId, options)
+        ]);
+
+        return { ...page, limit: options.limit, total };
+    }
+
+    /**
+     * Listar papelera (paginado por cursor)
+     */
+    async listTrash(ownerId, query = {}) {
+        const options = pageOptions(query, 'deletedAt');
+        options.notebookIds = await notebookScope(query.notebookId, ownerId);
+
+        const [page, total] = await Promise.all([
+            noteRepository.findAllDeleted(ownerId, options),
+            noteRepository.countDeleted(ownerId, options)
+        ]);
+
+        return { ...page, limit: options.limit, total };
+    }
+
+    /**
+     * Buscar notas por texto (activas y archivadas, o en papelera)
+     * Cada resultado incluye su relevancia y fragmentos resaltados
+     */
+    async searchNotes(ownerId, { q, limit = Pagination.DEFAULT_LIMIT }, { deleted = false } = {}) {
+        const { data, total } = await noteRepository.search(ownerId, { q, limit, deleted });
+        const terms = SearchSnippet.terms(q);
+
+        return {
+            data: data.map(note => ({
+                ...note,
+                highlights: {
+                    title: SearchSnippet.highlight(note.title, terms),
+                    content: SearchSnippet.snippet(note.content, terms)
+                }
+            })),
+            total
+        };
     }
 
     /**
-     * Listar notas activas
+     * Listar etiquetas del usuario con su recuento de notas (activas y archivadas)
      */
-    async listActiveNotes() {
-        return await noteRepository.findAllActive();
+    async listTags(ownerId) {
+        return await noteRepository.countTags(ownerId);
     }
 
     /**
-     * Listar papelera
+     * Renombrar una etiqueta en todas las notas del usuario
+     * Las etiquetas forman parte del historial: en cada nota es una edición
+     * que se puede deshacer y que sirve de base a la fusión a tres bandas
      */
-    async listTrash() {
-        return await noteRepository.findAllDeleted();
+    async renameTag(ownerId, from, to) {
+        if (from === to) {
+            return { tag: to, modified: 0 };
+        }
+
+        const ids = await noteRepository.findIdsWithTag(ownerId, from);
+
+        if (ids.length === 0) {
+            throw new Error('TAG_NOT_FOUND');
+        }
+
+        let modified = 0;
+
+        for (const id of ids) {
+            if (await renameTagIn(id, ownerId, from, to)) {
+                modified++;
+            }
+        }
+
+        return { tag: to, modified };
     }
 
     /**
      * Actualizar nota con protección optimista
+     * (If-Match sobre la revisión o, por compatibilidad, lastKnownUpdate)
+     * Con baseRevision anterior a la actual se fusiona a tres bandas
      */
-    async updateNote(id, { title, content, lastKnownUpdate }) {
-        const note = await noteRepository.findActiveById(id);
+    async updateNote(id, { title, content, tags, format, rewriteLinks, lastKnownUpdate, baseRevision }, userId, { ifMatch = null } = {}) {
+        const note = await noteRepository.findLiveById(id, userId);
 
         if (!note) {
             throw new Error('NOTE_NOT_FOUND');
         }
 
+        if (!NotePermissions.canEdit(note, userId)) {
+            throw forbidden('You do not have permission to edit this note');
+        }
+
         // Protección optimista contra concurrencia
+        checkRevision(note, ifMatch);
+
         if (lastKnownUpdate) {
             const clientTime = new Date(lastKnownUpdate);
-            const serverTime = new Date(note.editedAt);
+            const serverTime = new Date(note.updatedAt);
 
             if (clientTime.getTime() !== serverTime.getTime()) {
                 const error = new Error('CONFLICT: Note was modified by another session');
@@ -51,34 +732,80 @@ class NoteService {
             }
         }
 
+        let update = { title, content, tags };
+
+        // Edición hecha sobre una revisión anterior: fusionar con lo guardado
+        if (baseRevision !== undefined && baseRevision !== note.revision) {
+            update = await mergeEdit(note, baseRevision, update);
+        }
+
         // Aplicar lógica de dominio
-        const result = NoteHistoryDomain.applyUpdate(note, { title, content });
+        const hasHistory = await noteVersionRepository.hasAny(note._id, 'undo');
+        const result = NoteHistoryDomain.applyUpdate(note, update, { hasHistory, author: userId });
 
-        if (!result.modified) {
+        // El formato es presentación: no entra en el historial de versiones
+        const formatChanged = format !== undefined && format !== note.format;
+
+        if (!result.modified && !formatChanged) {
             return note; // sin cambios reales
         }
 
-        // Actualizar campos
-        note.title = result.note.title;
-        note.content = result.note.content;
-        note.versions = result.note.versions;
-        note.redoStack = result.note.redoStack;
-        note.editedAt = result.note.editedAt;
+        // Renombrar: las notas que enlazan por el título anterior
+        const previousTitle = note.title;
+        const backlinks = result.modified ? await renamedBacklinks(note, result.note.title, userId) : [];
 
-        return await noteRepository.save(note);
+        if (backlinks.length > 0 && rewriteLinks === undefined) {
+            throw linksAffected(backlinks);
+        }
+
+        if (result.modified) {
+            applyState(note, result.note);
+        }
+        if (formatChanged) {
+            note.format = format;
+        }
+
+        const saved = await saveRevision(note, ifMatch);
+
+        if (result.modified) {
+            await recordEdit(note._id, result.snapshots);
+        }
+
+        noteEventsService.publish(EVENT_TYPES.UPDATED, saved, userId);
+
+        if (rewriteLinks && backlinks.length > 0) {
+            await rewriteInboundLinks(this, backlinks, previousTitle, saved.title, userId);
+        }
+
+        return saved;
     }
 
     /**
-     * Deshacer cambios
+     * Deshacer cambios (solo los propios: en una nota compartida, si la última
+     * edición es de otro usuario se deshace la última del que lo pide)
      */
-    async undoNote(id) {
-        const note = await noteRepository.findActiveById(id);
+    async undoNote(id, userId, { ifMatch = null } = {}) {
+        const note = await noteRepository.findLiveById(id, userId);
 
         if (!note) {
             throw new Error('NOTE_NOT_FOUND');
         }
 
-        const result = NoteHistoryDomain.undo(note);
+        if (!NotePermissions.canEdit(note, userId)) {
+            throw forbidden('You do not have permission to edit this note');
+        }
+
+        checkRevision(note, ifMatch);
+
+        const previous = await noteVersionRepository.peek(note._id, 'undo');
+
+        if (previous && !NoteHistoryDomain.isAuthor(previous, userId, note.owner)) {
+            const reverted = await revertOwn(note, 'undo', userId, ifMatch);
+            noteEventsService.publish(EVENT_TYPES.UNDONE, reverted, userId);
+            return reverted;
+        }
+
+        const result = NoteHistoryDomain.undo(note, previous, { author: userId });
 
         if (!result.success) {
             const error = new Error('No history available to undo');
@@ -86,27 +813,43 @@ class NoteService {
             throw error;
         }
 
-        // Aplicar cambios
-        note.title = result.note.title;
-        note.content = result.note.content;
-        note.versions = result.note.versions;
-        note.redoStack = result.note.redoStack;
-        note.editedAt = result.note.editedAt;
+        // Aplicar cambios y mover el estado actual a redo
+        applyState(note, result.note);
+        const saved = await saveRevision(note, ifMatch);
+        await noteVersionRepository.remove(previous);
+        await noteVersionRepository.push(note._id, 'redo', [result.snapshot]);
 
-        return await noteRepository.save(note);
+        noteEventsService.publish(EVENT_TYPES.UNDONE, saved, userId);
+
+        return saved;
     }
 
     /**
-     * Rehacer cambios
+     * Rehacer cambios (solo los propios, como deshacer)
      */
-    async redoNote(id) {
-        const note = await noteRepository.findActiveById(id);
+    async redoNote(id, userId, { ifMatch = null } = {}) {
+        const note = await noteRepository.findLiveById(id, userId);
 
         if (!note) {
             throw new Error('NOTE_NOT_FOUND');
         }
 
-        const result = NoteHistoryDomain.redo(note);
+        if (!NotePermissions.canEdit(note, userId)) {
+            throw forbidden('You do not have permission to edit this note');
+        }
+
+        checkRevision(note, ifMatch);
+
+        const next = await noteVersionRepository.peek(note._id, 'redo');
+
+        if (next && !NoteHistoryDomain.isAuthor(next, userId, note.owner)) {
+            const reverted = await revertOwn(note, 'redo', userId, ifMatch);
+            await noteVersionRepository.prune(note._id, historyConfig);
+            noteEventsService.publish(EVENT_TYPES.REDONE, reverted, userId);
+            return reverted;
+        }
+
+        const result = NoteHistoryDomain.redo(note, next, { author: userId });
 
         if (!result.success) {
             const error = new Error('No actions available to redo');
@@ -114,59 +857,416 @@ class NoteService {
             throw error;
         }
 
-        // Aplicar cambios
-        note.title = result.note.title;
-        note.content = result.note.content;
-        note.versions = result.note.versions;
-        note.redoStack = result.note.redoStack;
-        note.editedAt = result.note.editedAt;
+        // Aplicar cambios y devolver el estado actual a undo
+        applyState(note, result.note);
+        const saved = await saveRevision(note, ifMatch);
+        await noteVersionRepository.remove(next);
+        await noteVersionRepository.push(note._id, 'undo', [result.snapshot]);
+        await noteVersionRepository.prune(note._id, historyConfig);
 
-        return await noteRepository.save(note);
+        noteEventsService.publish(EVENT_TYPES.REDONE, saved, userId);
+
+        return saved;
     }
 
     /**
-     * Mover a papelera (soft delete)
+     * Listar todas las versiones guardadas de la nota (sin el contenido)
      */
-    async moveToTrash(id) {
-        const note = await noteRepository.findActiveById(id);
+    async listVersions(id, userId) {
+        const note = await this.getNote(id, userId);
+        const history = await noteVersionRepository.list(note._id, { content: false });
+
+        return NoteHistoryDomain.timeline(note, history).map(({ content, ...summary }) => summary);
+    }
+
+    /**
+     * Obtener una versión concreta de la nota
+     */
+    async getVersion(id, n, userId) {
+        const note = await this.getNote(id, userId);
+        const version = await versionAt(note, n);
+
+        if (!version) {
+            throw new Error('VERSION_NOT_FOUND');
+        }
+
+        return version;
+    }
+
+    /**
+     * Diferencias entre dos versiones de la nota (to por defecto: la actual)
+     * format 'json' devuelve hunks estructurados; 'unified', texto de diff unificado
+     */
+    async diffVersions(id, { from, to, format = 'json' }, userId) {
+        const note = await this.getNote(id, userId);
+        const fromVersion = await versionAt(note, from);
+        const toVersion = await versionAt(note, to);
+
+        if (!fromVersion || !toVersion) {
+            throw new Error('VERSION_NOT_FOUND');
+        }
+
+        if (format === 'unified') {
+            return NoteDiff.unified(fromVersion, toVersion, {
+                fromLabel: `v${fromVersion.version}`,
+                toLabel: `v${toVersion.version}`
+            });
+        }
+
+        return {
+            from: fromVersion.version,
+            to: toVersion.version,
+            ...NoteDiff.compare(fromVersion, toVersion)
+        };
+    }
+
+    /**
+     * Restaurar la nota a una versión concreta (el salto se puede deshacer)
+     */
+    async restoreVersion(id, n, userId) {
+        const note = await noteRepository.findLiveById(id, userId);
 
         if (!note) {
             throw new Error('NOTE_NOT_FOUND');
         }
 
-        note.isDeleted = true;
-        note.deletedAt = new Date();
+        if (!NotePermissions.canEdit(note, userId)) {
+            throw forbidden('You do not have permission to edit this note');
+        }
 
-        return await noteRepository.save(note);
+        const result = NoteHistoryDomain.jumpTo(note, await versionAt(note, n), {
+            hasHistory: await noteVersionRepository.hasAny(note._id, 'undo'),
+            author: userId
+        });
+
+        if (!result.success) {
+            throw new Error('VERSION_NOT_FOUND');
+        }
+
+        if (!result.modified) {
+            return note; // ya estaba en esa versión
+        }
+
+        const saved = await this.saveEdit(note, result);
+
+        noteEventsService.publish(EVENT_TYPES.UPDATED, saved, userId);
+
+        return saved;
+    }
+
+    /**
+     * Guardar una edición ya calculada por el dominio (result de applyUpdate
+     * o jumpTo, con cambios): nuevo estado, revisión y snapshots de undo
+     * Las sesiones colaborativas guardan por aquí, con el mismo historial que la API
+     */
+    async saveEdit(note, result, { ifMatch } = {}) {
+        applyState(note, result.note);
+        const saved = await saveRevision(note, ifMatch);
+        await recordEdit(note._id, result.snapshots);
+
+        return saved;
+    }
+
+    /**
+     * Mover nota a otra libreta del propietario
+     * NOTA: es organización, no contenido: no genera snapshot de undo
+     */
+    async moveNote(id, { notebookId }, userId) {
+        const note = await noteRepository.findLiveById(id, userId);
+
+        if (!note) {
+            throw new Error('NOTE_NOT_FOUND');
+        }
+
+        if (!NotePermissions.canOrganize(note, userId)) {
+            throw forbidden('Only the owner can move this note');
+        }
+
+        note.notebookId = await resolveNotebookId(notebookId, userId);
+
+        return await saveRevision(note);
+    }
+
+    /**
+     * Archivar una nota activa: sale del listado principal pero sigue
+     * accesible y buscable, y no caduca como la papelera
+     * NOTA: es organización, no contenido: no genera snapshot de undo
+     */
+    async archiveNote(id, userId, { ifMatch = null } = {}) {
+        return await changeStatus(id, userId, NoteStatus.ARCHIVED, { ifMatch, event: EVENT_TYPES.ARCHIVED });
+    }
+
+    /**
+     * Devolver una nota archivada al listado principal
+     */
+    async unarchiveNote(id, userId, { ifMatch = null } = {}) {
+        return await changeStatus(id, userId, NoteStatus.ACTIVE, { ifMatch, event: EVENT_TYPES.UNARCHIVED });
+    }
+
+    /**
+     * Mover a papelera (soft delete), esté activa o archivada
+     */
+    async moveToTrash(id, userId, { ifMatch = null } = {}) {
+        const note = await noteRepository.findLiveById(id, userId);
+
+        if (!note) {
+            throw new Error('NOTE_NOT_FOUND');
+        }
+
+        if (!NotePermissions.canEdit(note, userId)) {
+            throw forbidden('You do not have permission to trash this note');
+        }
+
+        checkRevision(note, ifMatch);
+
+        NoteStatus.transition(note, NoteStatus.TRASHED);
+
+        const saved = await saveRevision(note, ifMatch);
+        noteEventsService.publish(EVENT_TYPES.TRASHED, saved, userId);
+
+        return saved;
     }
 
     /**
-     * Restaurar de papelera
+     * Restaurar de papelera al estado que tenía (activa o archivada)
      */
-    async restoreFromTrash(id) {
-        const note = await noteRepository.findDeletedById(id);
+    async restoreFromTrash(id, userId, { ifMatch = null } = {}) {
+        const note = await noteRepository.findDeletedById(id, userId);
 
         if (!note) {
             throw new Error('NOTE_NOT_IN_TRASH');
         }
 
-        note.isDeleted = false;
-        note.deletedAt = null;
+        if (!NotePermissions.canEdit(note, userId)) {
+            throw forbidden('You do not have permission to restore this note');
+        }
 
-        return await noteRepository.save(note);
+        checkRevision(note, ifMatch);
+
+        // Si su libreta se eliminó mientras estaba en la papelera, vuelve a la raíz
+        if (!note.notebookId || !(await notebookRepository.existsForOwner(note.notebookId, note.owner))) {
+            const root = await notebookRepository.findOrCreateRoot(note.owner);
+            note.notebookId = root._id;
+        }
+
+        NoteStatus.transition(note, NoteStatus.restoreTarget(note));
+
+        const saved = await saveRevision(note, ifMatch);
+        noteEventsService.publish(EVENT_TYPES.RESTORED, saved, userId);
+
+        return saved;
     }
 
     /**
-     * Eliminar permanentemente
+     * Eliminar permanentemente (con su historial y sus adjuntos)
      */
-    async deletePermanently(id) {
-        const note = await noteRepository.findDeletedById(id);
+    async deletePermanently(id, userId, { ifMatch = null } = {}) {
+        const note = await noteRepository.findDeletedById(id, userId);
 
         if (!note) {
             throw new Error('NOTE_NOT_IN_TRASH');
         }
 
-        return await noteRepository.deletePermanently(id);
+        if (!NotePermissions.canDelete(note, userId)) {
+            throw forbidden('Only the owner can permanently delete this note');
+        }
+
+        checkRevision(note, ifMatch);
+
+        // Con If-Match el borrado solo ocurre si la revisión no cambió entretanto
+        const deleted = await noteRepository.deletePermanently(id, userId, ifMatch ? note.revision : null);
+
+        if (!deleted && ifMatch) {
+            throw preconditionFailed(await noteRepository.findById(id));
+        }
+
+        await noteVersionRepository.deleteAllForNote(id);
+        await removeAttachments(id);
+
+        noteEventsService.publish(EVENT_TYPES.DELETED, note, userId);
+
+        return deleted;
+    }
+
+    /**
+     * Vaciar la papelera del propietario (borrado permanente de todas sus notas)
+     */
+    async emptyTrash(ownerId) {
+        const ids = await noteRepository.findDeletedIds(ownerId);
+
+        return { deleted: await purgeFromTrash(ids, ownerId) };
+    }
+
+    /**
+     * Eliminar las notas que llevan en la papelera más que la retención
+     * configurada (de todos los usuarios; lo ejecuta periódicamente
+     * trashPurge.service). Devuelve cuántas se eliminaron
+     */
+    async purgeExpiredTrash(now = new Date()) {
+        const cutoff = TrashRetention.cutoff(now, trashConfig.retentionDays);
+
+        if (!cutoff) {
+            return 0;
+        }
+
+        let purged = 0;
+        let ids;
+
+        do {
+            ids = await noteRepository.findExpiredIds(cutoff, PURGE_BATCH_SIZE);
+            purged += await purgeFromTrash(ids, null, { deletedBefore: cutoff });
+        } while (ids.length === PURGE_BATCH_SIZE);
+
+        return purged;
+    }
+
+    /**
+     * Añadir y quitar etiquetas de una nota (es una edición: genera snapshot de undo)
+     */
+    async tagNote(id, { add = [], remove = [] }, userId) {
+        const note = await this.getNote(id, userId);
+        const kept = (note.tags || []).filter(tag => !remove.includes(tag));
+        const tags = [...kept, ...add.filter(tag => !kept.includes(tag))];
+
+        return await this.updateNote(id, { tags }, userId);
+    }
+
+    /**
+     * Fijar o soltar una nota
+     * position: lugar (desde 0) entre las fijadas; sin él, una nota que se
+     * fija va al final y una ya fijada se queda donde está
+     * NOTA: es organización, no contenido: no genera snapshot de undo
+     */
+    async pinNote(id, { pinned, position }, userId) {
+        const note = await noteRepository.findLiveById(id, userId);
+
+        if (!note) {
+            throw new Error('NOTE_NOT_FOUND');
+        }
+
+        if (!NotePermissions.canOrganize(note, userId)) {
+            throw forbidden('Only the owner can pin this note');
+        }
+
+        if (!pinned) {
+            if (!note.isPinned) {
+                return note;
+            }
+
+            note.isPinned = false;
+            note.pinPosition = null;
+
+            return await saveRevision(note);
+        }
+
+        if (note.isPinned && position === undefined) {
+            return note;
+        }
+
+        const order = (await noteRepository.findPinnedIds(note.owner))
+            .filter(pinnedId => String(pinnedId) !== String(note._id));
+        const index = Math.min(position ?? order.length, order.length);
+        order.splice(index, 0, note._id);
+
+        let saved = note;
+
+        if (!note.isPinned) {
+            note.isPinned = true;
+            note.pinPosition = index;
+            saved = await saveRevision(note);
+        }
+
+        // Reordenar no es una escritura de la nota: las posiciones se
+        // renumeran sin tocar la revisión de ninguna
+        await noteRepository.setPinPositions(order);
+        saved.pinPosition = index;
+
+        return saved;
+    }
+
+    /**
+     * Marcar o desmarcar una nota como favorita
+     * NOTA: como fijarla, es organización: no genera snapshot de undo
+     */
+    async favoriteNote(id, { favorite }, userId) {
+        const note = await noteRepository.findLiveById(id, userId);
+
+        if (!note) {
+            throw new Error('NOTE_NOT_FOUND');
+        }
+
+        if (!NotePermissions.canOrganize(note, userId)) {
+            throw forbidden('Only the owner can mark this note as favorite');
+        }
+
+        if (note.isFavorite === favorite) {
+            return note;
+        }
+
+        note.isFavorite = favorite;
+
+        return await saveRevision(note);
+    }
+
+    /**
+     * Operaciones masivas: cada acción se aplica a sus notas en orden con el
+     * mismo caso de uso que la ruta individual (permisos, revisión y eventos)
+     * Devuelve un resultado por nota; un fallo no detiene al resto
+     * Con atomic todo ocurre en una transacción: al primer fallo se revierte
+     * todo (BULK_ABORTED) y los eventos solo se emiten si se confirma
+     */
+    async bulk({ actions, atomic = false }, userId) {
+        const items = actions.flatMap(({ action, ids, ...params }) =>
+            ids.map(id => ({ action, id, params })));
+
+        if (!atomic) {
+            const results = [];
+            for (const item of items) {
+                results.push(await this.runBulkItem(item, userId));
+            }
+            return { atomic, results };
+        }
+
+        // La transacción puede reintentar work: cada intento empieza de cero
+        const { result: results, events } = await noteRepository.transaction(() =>
+            noteEventsService.hold(async () => {
+                const attempt = [];
+                for (const item of items) {
+                    const result = await this.runBulkItem(item, userId, { atomic });
+                    attempt.push(result);
+
+                    if (!result.ok) {
+                        throw bulkAborted(items, attempt);
+                    }
+                }
+                return attempt;
+            })
+        );
+
+        noteEventsService.release(events);
+
+        return { atomic, results };
+    }
+
+    /**
+     * Aplicar una acción masiva a una nota: { action, id, ok, revision | error }
+     * Los fallos inesperados se propagan en modo atómico (la transacción
+     * decide si reintentar) y se registran como INTERNAL_ERROR en el resto
+     */
+    async runBulkItem({ action, id, params }, userId, { atomic = false } = {}) {
+        try {
+            const note = await BULK_ACTIONS[action](this, id, params, userId);
+
+            return { action, id, ok: true, revision: note ? note.revision : null };
+        } catch (error) {
+            const code = expectedErrorCode(error);
+
+            if (!code && atomic) {
+                throw error;
+            }
+
+            return { action, id, ok: false, error: code ?? 'INTERNAL_ERROR', message: error.message };
+        }
     }
 }
 
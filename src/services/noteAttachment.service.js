@@ -0,0 +1,126 @@
+// src/services/noteAttachment.service.js
+
+const crypto = require('crypto');
+const path = require('path');
+const noteRepository = require('../repositories/note.repository');
+const attachmentRepository = require('../repositories/attachment.repository');
+const attachmentStorage = require('../storage/attachmentStorage');
+const NotePermissions = require('../domain/notePermissions');
+
+const DEFAULT_CONTENT_TYPE = 'application/octet-stream';
+
+function forbidden(message) {
+    const error = new Error(message);
+    error.code = 'FORBIDDEN';
+    return error;
+}
+
+/**
+ * Nota activa accesible para el usuario (NOTE_NOT_FOUND si no)
+ */
+async function findNote(id, userId) {
+    const note = await noteRepository.findLiveById(id, userId);
+
+    if (!note) {
+        throw new Error('NOTE_NOT_FOUND');
+    }
+
+    return note;
+}
+
+class NoteAttachmentService {
+    /**
+     * Comprobar que el usuario puede adjuntar archivos a la nota (propietario
+     * o editor) antes de recibirlos. Devuelve la nota
+     */
+    async assertCanAttach(id, userId) {
+        const note = await findNote(id, userId);
+
+        if (!NotePermissions.canEdit(note, userId)) {
+            throw forbidden('You do not have permission to add attachments to this note');
+        }
+
+        return note;
+    }
+
+    /**
+     * Adjuntar archivos a la nota (propietario o editor)
+     * files: [{ originalname, mimetype, buffer }] tal como los deja multer
+     * Cada archivo se guarda antes que su documento: si este falla, se borra
+     */
+    async addAttachments(id, files, userId) {
+        const note = await this.assertCanAttach(id, userId);
+
+        const attachments = [];
+
+        for (const file of files) {
+            const key = `${note._id}/${crypto.randomUUID()}`;
+            const contentType = file.mimetype || DEFAULT_CONTENT_TYPE;
+
+            await attachmentStorage.put(key, file.buffer, { contentType });
+
+            try {
+                attachments.push(await attachmentRepository.create({
+                    note: note._id,
+                    uploadedBy: userId,
+                    name: path.basename(file.originalname),
+                    contentType,
+                    size: file.buffer.length,
+                    key
+                }));
+            } catch (error) {
+                await attachmentStorage.remove(key);
+                throw error;
+            }
+        }
+
+        return attachments;
+    }
+
+    /**
+     * Listar adjuntos de la nota
+     */
+    async listAttachments(id, userId) {
+        const note = await findNote(id, userId);
+        return await attachmentRepository.findAllForNote(note._id);
+    }
+
+    /**
+     * Abrir un adjunto para descargarlo: { attachment, stream }
+     */
+    async openAttachment(id, attachmentId, userId) {
+        const note = await findNote(id, userId);
+        const attachment = await attachmentRepository.findForNote(note._id, attachmentId);
+
+        if (!attachment) {
+            throw new Error('ATTACHMENT_NOT_FOUND');
+        }
+
+        const stream = await attachmentStorage.get(attachment.key);
+
+        return { attachment, stream };
+    }
+
+    /**
+     * Eliminar un adjunto (propietario o editor)
+     * Se borra primero el documento: un fallo después deja, como mucho,
+     * un archivo huérfano, nunca un adjunto sin archivo
+     */
+    async removeAttachment(id, attachmentId, userId) {
+        const note = await findNote(id, userId);
+
+        if (!NotePermissions.canEdit(note, userId)) {
+            throw forbidden('You do not have permission to remove attachments from this note');
+        }
+
+        const attachment = await attachmentRepository.deleteForNote(note._id, attachmentId);
+
+        if (!attachment) {
+            throw new Error('ATTACHMENT_NOT_FOUND');
+        }
+
+        await attachmentStorage.remove(attachment.key);
+    }
+}
+
+module.exports = new NoteAttachmentService();
@@ -0,0 +1,117 @@
+// src/services/noteEvents.service.js
+
+const { EventEmitter } = require('events');
+const { AsyncLocalStorage } = require('async_hooks');
+const NotePermissions = require('../domain/notePermissions');
+
+// Tipos de evento publicados por NoteService
+const EVENT_TYPES = Object.freeze({
+    CREATED: 'note.created',
+    UPDATED: 'note.updated',
+    UNDONE: 'note.undone',
+    REDONE: 'note.redone',
+    ARCHIVED: 'note.archived',
+    UNARCHIVED: 'note.unarchived',
+    TRASHED: 'note.trashed',
+    RESTORED: 'note.restored',
+    DELETED: 'note.deleted'
+});
+
+/**
+ * Bus en memoria de cambios en notas (dentro de este proceso)
+ * NoteService publica tras cada operación con éxito; los canales en tiempo
+ * real (SSE) se suscriben por usuario y, opcionalmente, a una sola nota.
+ * Cada evento llega a todos los usuarios con acceso a la nota.
+ */
+class NoteEventsService {
+    constructor() {
+        this.emitter = new EventEmitter();
+        // Una suscripción por pestaña o dispositivo conectado: sin tope
+        this.emitter.setMaxListeners(0);
+        this.sequence = 0;
+        // Eventos retenidos por hold() en la operación en curso
+        this.held = new AsyncLocalStorage();
+    }
+
+    /**
+     * Publicar un cambio
+     * actorId: usuario que lo hizo (el cliente puede ignorar sus propios eventos)
+     */
+    publish(type, note, actorId = null) {
+        const event = {
+            id: ++this.sequence,
+            type,
+            noteId: String(note._id),
+            revision: note.revision ?? null,
+            actor: actorId ? String(actorId) : null,
+            // Tras el borrado permanente solo viaja el ID
+            note: type === EVENT_TYPES.DELETED ? null : note,
+            at: new Date().toISOString()
+        };
+        const readers = new Set(NotePermissions.readers(note));
+        const held = this.held.getStore();
+
+        if (held) {
+            held.push({ event, readers });
+        } else {
+            this.deliver(event, readers);
+        }
+
+        return event;
+    }
+
+    deliver(event, readers) {
+        for (const userId of readers) {
+            this.emitter.emit(userId, event);
+        }
+    }
+
+    /**
+     * Ejecuta work reteniendo los eventos que publique, sin emitirlos
+     * (operaciones en transacción: nada se anuncia hasta confirmarla)
+     * Devuelve { result, events }; los eventos se emiten con release()
+     */
+    async hold(work) {
+        const events = [];
+        const result = await this.held.run(events, work);
+
+        return { result, events };
+    }
+
+    /**
+     * Emitir eventos retenidos por hold()
+     */
+    release(events) {
+        for (const { event, readers } of events) {
+            this.deliver(event, readers);
+        }
+    }
+
+    /**
+     * Suscribirse a los cambios de las notas del usuario (o de una sola)
+     * Devuelve la función para cancelar la suscripción
+     */
+    subscribe(userId, listener, { noteId = null } = {}) {
+        const channel = String(userId);
+        const handler = event => {
+            if (!noteId || event.noteId === String(noteId)) {
+                listener(event);
+            }
+        };
+
+        this.emitter.on(channel, handler);
+        return () => this.emitter.off(channel, handler);
+    }
+
+    /**
+     * Número de suscripciones abiertas del usuario
+     */
+    listenerCount(userId) {
+        return this.emitter.listenerCount(String(userId));
+    }
+}
+
+const noteEventsService = new NoteEventsService();
+noteEventsService.EVENT_TYPES = EVENT_TYPES;
+
+module.exports = noteEventsService;
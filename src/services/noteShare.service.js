@@ -0,0 +1,113 @@
+// src/services/noteShare.service.js
+
+const noteRepository = require('../repositories/note.repository');
+const userRepository = require('../repositories/user.repository');
+const NotePermissions = require('../domain/notePermissions');
+const NoteRevision = require('../domain/noteRevision');
+
+// Lecturas y guardados ante STALE_REVISION antes de rendirse
+const MAX_ATTEMPTS = 3;
+
+function forbidden(message) {
+    const error = new Error(message);
+    error.code = 'FORBIDDEN';
+    return error;
+}
+
+/**
+ * Lee la nota, aplica change y la guarda. Los cambios de acceso no chocan
+ * con el contenido: si otra escritura se adelantó (STALE_REVISION) se vuelve
+ * a leer y aplicar; agotados los intentos, conflicto
+ */
+async function updateShares(id, userId, change) {
+    return await NoteRevision.retryOnStale(async () => {
+        const note = await noteRepository.findLiveById(id, userId);
+
+        if (!note) {
+            throw new Error('NOTE_NOT_FOUND');
+        }
+
+        await change(note);
+
+        return await noteRepository.save(note);
+    }, MAX_ATTEMPTS);
+}
+
+class NoteShareService {
+    /**
+     * Compartir nota con otro usuario (o cambiar su rol)
+     * NOTA: La validación ya se hizo en el controller con DTO
+     */
+    async shareNote(id, userId, { email, role }) {
+        let target;
+
+        const note = await updateShares(id, userId, async note => {
+            if (!NotePermissions.canShare(note, userId)) {
+                throw forbidden('Only the owner can share this note');
+            }
+
+            target = target || await userRepository.findByEmail(email);
+
+            if (!target) {
+                throw new Error('USER_NOT_FOUND');
+            }
+
+            if (NotePermissions.roleOf(note, target._id) === NotePermissions.ROLES.OWNER) {
+                const error = new Error('Cannot share a note with its owner');
+                error.code = 'INVALID_SHARE';
+                throw error;
+            }
+
+            const existing = note.shares.find(s => String(s.user) === String(target._id));
+
+            if (existing) {
+                existing.role = role;
+            } else {
+                note.shares.push({ user: target._id, role });
+            }
+        });
+
+        await noteRepository.populateShares(note);
+
+        return note.shares;
+    }
+
+    /**
+     * Listar con quién está compartida la nota
+     */
+    async listShares(id, userId) {
+        const note = await noteRepository.findLiveById(id, userId);
+
+        if (!note) {
+            throw new Error('NOTE_NOT_FOUND');
+        }
+
+        await noteRepository.populateShares(note);
+
+        return note.shares;
+    }
+
+    /**
+     * Retirar acceso compartido
+     * El propietario puede retirar a cualquiera; un invitado solo a sí mismo
+     */
+    async revokeShare(id, userId, targetUserId) {
+        const isSelf = String(userId) === String(targetUserId);
+
+        return await updateShares(id, userId, note => {
+            if (!isSelf && !NotePermissions.canShare(note, userId)) {
+                throw forbidden('Only the owner can manage shares');
+            }
+
+            const index = note.shares.findIndex(s => String(s.user) === String(targetUserId));
+
+            if (index === -1) {
+                throw new Error('SHARE_NOT_FOUND');
+            }
+
+            note.shares.splice(index, 1);
+        });
+    }
+}
+
+module.exports = new NoteShareService();
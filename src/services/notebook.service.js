@@ -0,0 +1,132 @@
+// src/services/notebook.service.js
+
+const notebookRepository = require('../repositories/notebook.repository');
+const noteRepository = require('../repositories/note.repository');
+const noteEventsService = require('./noteEvents.service');
+const NotebookTree = require('../domain/notebookTree');
+
+const { EVENT_TYPES } = noteEventsService;
+
+function invalidNotebook(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+class NotebookService {
+    /**
+     * Crear libreta (bajo la raíz si no se indica padre)
+     * NOTA: La validación ya se hizo en el controller con DTO
+     */
+    async createNotebook({ name, parentId }, ownerId) {
+        const parent = parentId
+            ? await notebookRepository.findByIdForOwner(parentId, ownerId)
+            : await notebookRepository.findOrCreateRoot(ownerId);
+
+        if (!parent) {
+            throw new Error('PARENT_NOT_FOUND');
+        }
+
+        const notebooks = await notebookRepository.findAllByOwner(ownerId);
+
+        if (NotebookTree.depthOf(notebooks, parent._id) + 1 > NotebookTree.MAX_DEPTH) {
+            throw invalidNotebook('NOTEBOOK_TOO_DEEP', `Notebooks cannot be nested more than ${NotebookTree.MAX_DEPTH} levels`);
+        }
+
+        return await notebookRepository.create({
+            owner: ownerId,
+            name,
+            parent: parent._id
+        });
+    }
+
+    /**
+     * Árbol de libretas del usuario (la raíz se crea si aún no existe)
+     */
+    async listNotebooks(ownerId) {
+        await notebookRepository.findOrCreateRoot(ownerId);
+        const notebooks = await notebookRepository.findAllByOwner(ownerId);
+
+        return NotebookTree.buildTree(notebooks);
+    }
+
+    /**
+     * Renombrar libreta
+     */
+    async renameNotebook(id, { name }, ownerId) {
+        const notebook = await notebookRepository.findByIdForOwner(id, ownerId);
+
+        if (!notebook) {
+            throw new Error('NOTEBOOK_NOT_FOUND');
+        }
+
+        notebook.name = name;
+
+        return await notebookRepository.save(notebook);
+    }
+
+    /**
+     * Mover libreta (con todo su subárbol) bajo otra
+     */
+    async moveNotebook(id, { parentId }, ownerId) {
+        const notebook = await notebookRepository.findByIdForOwner(id, ownerId);
+
+        if (!notebook) {
+            throw new Error('NOTEBOOK_NOT_FOUND');
+        }
+
+        if (notebook.isRoot) {
+            throw invalidNotebook('ROOT_NOTEBOOK', 'The root notebook cannot be moved');
+        }
+
+        if (!(await notebookRepository.existsForOwner(parentId, ownerId))) {
+            throw new Error('PARENT_NOT_FOUND');
+        }
+
+        const notebooks = await notebookRepository.findAllByOwner(ownerId);
+        const invalid = NotebookTree.validateMove(notebooks, id, parentId);
+
+        if (invalid === 'NOTEBOOK_CYCLE') {
+            throw invalidNotebook(invalid, 'A notebook cannot be moved inside itself');
+        }
+        if (invalid === 'NOTEBOOK_TOO_DEEP') {
+            throw invalidNotebook(invalid, `Notebooks cannot be nested more than ${NotebookTree.MAX_DEPTH} levels`);
+        }
+
+        notebook.parent = parentId;
+
+        return await notebookRepository.save(notebook);
+    }
+
+    /**
+     * Eliminar libreta y sus sub-libretas
+     * Las notas que contenían pasan a la papelera (no se borran) en una sola
+     * escritura, antes de borrar las libretas.
+     * Al restaurarlas vuelven a la raíz porque su libreta ya no existe
+     */
+    async deleteNotebook(id, ownerId) {
+        const notebook = await notebookRepository.findByIdForOwner(id, ownerId);
+
+        if (!notebook) {
+            throw new Error('NOTEBOOK_NOT_FOUND');
+        }
+
+        if (notebook.isRoot) {
+            throw invalidNotebook('ROOT_NOTEBOOK', 'The root notebook cannot be deleted');
+        }
+
+        const notebooks = await notebookRepository.findAllByOwner(ownerId);
+        const ids = NotebookTree.subtreeIds(notebooks, id);
+        const trashed = await noteRepository.trashInNotebooks(ownerId, ids);
+
+        for (const note of trashed) {
+            noteEventsService.publish(EVENT_TYPES.TRASHED, note, ownerId);
+        }
+
+        const { deletedCount } = await notebookRepository.deleteMany(ids, ownerId);
+
+        return { deletedNotebooks: deletedCount, trashedNotes: trashed.length };
+    }
+}
+
+module.exports = new NotebookService();
@@ -0,0 +1,62 @@
+// src/services/trashPurge.service.js
+
+const noteService = require('./note.service');
+const trashConfig = require('../config/trash');
+
+/**
+ * Tarea periódica que elimina definitivamente las notas caducadas de la
+ * papelera (retención en config/trash). La arranca bin/www.
+ */
+class TrashPurgeService {
+    constructor() {
+        this.timer = null;
+        this.running = null;
+    }
+
+    /**
+     * Purga ahora y después cada purgeIntervalMs (nada si la retención está desactivada)
+     */
+    start() {
+        if (this.timer || !trashConfig.retentionDays) {
+            return;
+        }
+
+        this.run();
+        this.timer = setInterval(() => this.run(), trashConfig.purgeIntervalMs);
+        this.timer.unref();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Una pasada de purga; si la anterior sigue en curso se reutiliza
+     * Devuelve cuántas notas se eliminaron
+     */
+    run() {
+        if (!this.running) {
+            this.running = noteService.purgeExpiredTrash()
+                .then(purged => {
+                    if (purged > 0) {
+                        console.log(`🗑️  ${purged} notas eliminadas de la papelera por antigüedad`);
+                    }
+                    return purged;
+                })
+                .catch(error => {
+                    console.error('❌ Error purgando la papelera:', error.message);
+                    return 0;
+                })
+                .finally(() => {
+                    this.running = null;
+                });
+        }
+
+        return this.running;
+    }
+}
+
+module.exports = new TrashPurgeService();
@@ -0,0 +1,21 @@
+// src/storage/attachmentStorage.js
+
+/**
+ * Almacenamiento de los archivos adjuntos, según ATTACHMENT_STORAGE
+ *
+ * Todos los backends implementan la misma interfaz:
+ *   put(key, buffer, { contentType })  → guarda el archivo
+ *   get(key)                           → stream de lectura (ATTACHMENT_FILE_NOT_FOUND si no existe)
+ *   remove(key)                        → lo elimina (sin fallar si ya no existe)
+ */
+
+const attachmentsConfig = require('../config/attachments');
+const LocalStorage = require('./localStorage');
+const S3Storage = require('./s3Storage');
+
+const STORAGES = {
+    local: config => new LocalStorage({ root: config.localDir }),
+    s3: config => S3Storage.fromConfig(config.s3)
+};
+
+module.exports = STORAGES[attachmentsConfig.driver](attachmentsConfig);
@@ -0,0 +1,62 @@
+// src/storage/localStorage.js
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Almacenamiento de archivos en una carpeta del servidor
+ * Cada clave es una ruta relativa dentro de root
+ */
+class LocalStorage {
+    constructor({ root }) {
+        this.root = path.resolve(root);
+    }
+
+    /**
+     * Ruta absoluta de una clave (nunca fuera de root)
+     */
+    pathOf(key) {
+        const file = path.resolve(this.root, key);
+
+        if (!file.startsWith(this.root + path.sep)) {
+            throw new Error('INVALID_STORAGE_KEY');
+        }
+
+        return file;
+    }
+
+    /**
+     * Guardar un archivo
+     */
+    async put(key, buffer) {
+        const file = this.pathOf(key);
+
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.writeFile(file, buffer);
+    }
+
+    /**
+     * Stream de lectura de un archivo
+     * Lanza ATTACHMENT_FILE_NOT_FOUND si no existe
+     */
+    async get(key) {
+        const file = this.pathOf(key);
+
+        try {
+            await fs.promises.access(file);
+        } catch (error) {
+            throw new Error('ATTACHMENT_FILE_NOT_FOUND');
+        }
+
+        return fs.createReadStream(file);
+    }
+
+    /**
+     * Eliminar un archivo (no falla si ya no existe)
+     */
+    async remove(key) {
+        await fs.promises.rm(this.pathOf(key), { force: true });
+    }
+}
+
+module.exports = LocalStorage;
@@ -0,0 +1,72 @@
+// src/storage/s3Storage.js
+
+const {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+
+/**
+ * Almacenamiento de archivos en un bucket S3 o compatible
+ * client: cualquier objeto con send(command) como S3Client (en tests, un
+ * sustituto local)
+ */
+class S3Storage {
+    constructor({ bucket, client }) {
+        this.bucket = bucket;
+        this.client = client;
+    }
+
+    /**
+     * Instancia a partir de la configuración (config/attachments.js)
+     * Con endpoint propio se usan rutas path-style, como esperan MinIO y similares
+     */
+    static fromConfig({ bucket, region, endpoint, accessKeyId, secretAccessKey }) {
+        const client = new S3Client({
+            region,
+            endpoint,
+            forcePathStyle: Boolean(endpoint),
+            ...(accessKeyId ? { credentials: { accessKeyId, secretAccessKey } } : {})
+        });
+
+        return new S3Storage({ bucket, client });
+    }
+
+    /**
+     * Guardar un archivo
+     */
+    async put(key, buffer, { contentType } = {}) {
+        await this.client.send(new PutObjectCommand({
+            Bucket: this.bucket,
+            Key: key,
+            Body: buffer,
+            ContentType: contentType
+        }));
+    }
+
+    /**
+     * Stream de lectura de un archivo
+     * Lanza ATTACHMENT_FILE_NOT_FOUND si no existe
+     */
+    async get(key) {
+        try {
+            const { Body } = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: key }));
+            return Body;
+        } catch (error) {
+            if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) {
+                throw new Error('ATTACHMENT_FILE_NOT_FOUND');
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Eliminar un archivo (S3 no falla si ya no existe)
+     */
+    async remove(key) {
+        await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+    }
+}
+
+module.exports = S3Storage;
@@ -0,0 +1,170 @@
+// tests/integration/archive.integration.test.js
+
+const request = require('supertest');
+const app = require('../../src/app');
+const Note = require('../../src/models/Note');
+const noteService = require('../../src/services/note.service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Archive API - Integration Tests', () => {
+
+    let token;
+
+    const auth = () => ({ Authorization: `Bearer ${token}` });
+
+    async function createNote(title, content = 'Contenido') {
+        const response = await request(app)
+            .post('/api/notes')
+            .set(auth())
+            .send({ title, content });
+        return response.body;
+    }
+
+    const archive = id => request(app).patch(`/api/notes/${id}/archive`).set(auth());
+
+    const titles = response => response.body.data.map(note => note.title);
+
+    beforeEach(async () => {
+        const response = await request(app)
+            .post('/api/auth/register')
+            .send({
+                email: 'archive@example.com',
+                name: 'Archive',
+                password: 'password123'
+            });
+
+        token = response.body.token;
+    });
+
+    // ============================================
+    // TESTS: PATCH /api/notes/:id/archive
+    // ============================================
+
+    describe('PATCH /api/notes/:id/archive', () => {
+        test('debe sacar la nota del listado y llevarla al archivo', async () => {
+            const archived = await createNote('Archivada');
+            await createNote('Activa');
+
+            const response = await archive(archived._id);
+
+            expect(response.status).toBe(200);
+            expect(response.body.status).toBe('archived');
+            expect(response.body.archivedAt).toBeDefined();
+
+            const list = await request(app).get('/api/notes').set(auth());
+            expect(titles(list)).toEqual(['Activa']);
+
+            const archiveList = await request(app).get('/api/notes/archive').set(auth());
+            expect(archiveList.status).toBe(200);
+            expect(titles(archiveList)).toEqual(['Archivada']);
+            expect(archiveList.body.total).toBe(1);
+        });
+
+        test('una nota archivada debe seguir apareciendo en la búsqueda', async () => {
+            const note = await createNote('Receta', 'paella de marisco');
+            await archive(note._id);
+
+            const response = await request(app)
+                .get('/api/notes/search?q=paella')
+                .set(auth());
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.map(result => result.title)).toEqual(['Receta']);
+        });
+
+        test('archivar dos veces debe devolver 409', async () => {
+            const note = await createNote('Archivada');
+            await archive(note._id);
+
+            const response = await archive(note._id);
+
+            expect(response.status).toBe(409);
+            expect(response.body.error).toBe('Invalid status transition');
+        });
+
+        test('un editor no debe poder archivar la nota', async () => {
+            const note = await createNote('Compartida');
+            const editor = await request(app)
+                .post('/api/auth/register')
+                .send({ email: 'editor@example.com', name: 'Editor', password: 'password123' });
+
+            await request(app)
+                .post(`/api/notes/${note._id}/shares`)
+                .set(auth())
+                .send({ email: 'editor@example.com', role: 'editor' });
+
+            const response = await request(app)
+                .patch(`/api/notes/${note._id}/archive`)
+                .set({ Authorization: `Bearer ${editor.body.token}` });
+
+            expect(response.status).toBe(403);
+        });
+    });
+
+    // ============================================
+    // TESTS: PATCH /api/notes/:id/unarchive
+    // ============================================
+
+    describe('PATCH /api/notes/:id/unarchive', () => {
+        test('debe devolver la nota al listado principal', async () => {
+            const note = await createNote('Archivada');
+            await archive(note._id);
+
+            const response = await request(app)
+                .patch(`/api/notes/${note._id}/unarchive`)
+                .set(auth());
+
+            expect(response.status).toBe(200);
+            expect(response.body).toMatchObject({ status: 'active', archivedAt: null });
+
+            const list = await request(app).get('/api/notes').set(auth());
+            expect(titles(list)).toEqual(['Archivada']);
+        });
+
+        test('desarchivar una nota activa debe devolver 409', async () => {
+            const note = await createNote('Activa');
+
+            const response = await request(app)
+                .patch(`/api/notes/${note._id}/unarchive`)
+                .set(auth());
+
+            expect(response.status).toBe(409);
+        });
+    });
+
+    // ============================================
+    // TESTS: Archivo y papelera
+    // ============================================
+
+    describe('Archivo y papelera', () => {
+        test('al restaurar una archivada debe volver al archivo', async () => {
+            const note = await createNote('Archivada');
+            await archive(note._id);
+
+            const trashed = await request(app).patch(`/api/notes/${note._id}/trash`).set(auth());
+            expect(trashed.body).toMatchObject({ status: 'trashed', previousStatus: 'archived' });
+
+            const archiveList = await request(app).get('/api/notes/archive').set(auth());
+            expect(archiveList.body.data).toHaveLength(0);
+
+            const restored = await request(app).patch(`/api/notes/${note._id}/restore`).set(auth());
+            expect(restored.status).toBe(200);
+            expect(restored.body.status).toBe('archived');
+
+            const list = await request(app).get('/api/notes').set(auth());
+            expect(list.body.data).toHaveLength(0);
+        });
+
+        test('la purga de la papelera no debe tocar las archivadas', async () => {
+            const note = await createNote('Archivada');
+            await archive(note._id);
+            await Note.updateOne({ _id: note._id }, { archivedAt: new Date(Date.now() - 365 * DAY_MS) });
+
+            const purged = await noteService.purgeExpiredTrash();
+
+            expect(purged).toBe(0);
+            expect(await Note.findById(note._id)).not.toBeNull();
+        });
+    });
+});
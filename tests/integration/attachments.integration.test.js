@@ -0,0 +1,199 @@
+// tests/integration/attachments.integration.test.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Los archivos de estos tests van a una carpeta temporal
+const attachmentDir = fs.mkdtempSync(path.join(os.tmpdir(), 'flashnotes-attachments-'));
+process.env.ATTACHMENT_DIR = attachmentDir;
+
+const request = require('supertest');
+const app = require('../../src/app');
+const Attachment = require('../../src/models/Attachment');
+const attachmentsConfig = require('../../src/config/attachments');
+
+describe('Attachments API - Integration Tests', () => {
+
+    let token;
+    let noteId;
+
+    const auth = (value = token) => ({ Authorization: `Bearer ${value}` });
+
+    const upload = (files, id = noteId, value = token) => {
+        const req = request(app)
+            .post(`/api/notes/${id}/attachments`)
+            .set(auth(value));
+        for (const [name, content, contentType] of files) {
+            req.attach('files', Buffer.from(content), { filename: name, contentType });
+        }
+        return req;
+    };
+
+    const storedFiles = async () => {
+        const keys = await Attachment.find().select('+key').lean();
+        return keys.map(a => path.join(attachmentDir, a.key));
+    };
+
+    beforeEach(async () => {
+        const response = await request(app)
+            .post('/api/auth/register')
+            .send({
+                email: 'attachments@example.com',
+                name: 'Attachments',
+                password: 'password123'
+            });
+
+        token = response.body.token;
+
+        const note = await request(app)
+            .post('/api/notes')
+            .set(auth())
+            .send({ title: 'Con adjuntos', content: 'Contenido' });
+
+        noteId = note.body._id;
+    });
+
+    afterAll(async () => {
+        await fs.promises.rm(attachmentDir, { recursive: true, force: true });
+    });
+
+    // ============================================
+    // TESTS: POST / GET /api/notes/:id/attachments
+    // ============================================
+
+    describe('POST /api/notes/:id/attachments', () => {
+        test('debe subir varios archivos y listarlos sin exponer su clave', async () => {
+            const response = await upload([
+                ['recibo.pdf', '%PDF-1.4', 'application/pdf'],
+                ['año.txt', 'hola', 'text/plain']
+            ]);
+
+            expect(response.status).toBe(201);
+            expect(response.body).toHaveLength(2);
+            expect(response.body[0]).toMatchObject({ name: 'recibo.pdf', contentType: 'application/pdf', size: 8 });
+            expect(response.body[1].name).toBe('año.txt');
+            expect(response.body[0].key).toBeUndefined();
+
+            const list = await request(app)
+                .get(`/api/notes/${noteId}/attachments`)
+                .set(auth());
+
+            expect(list.status).toBe(200);
+            expect(list.body.map(a => a.name)).toEqual(['recibo.pdf', 'año.txt']);
+        });
+
+        test('debe responder 400 sin archivos', async () => {
+            const response = await request(app)
+                .post(`/api/notes/${noteId}/attachments`)
+                .set(auth());
+
+            expect(response.status).toBe(400);
+            expect(response.body.details).toContain('at least one file is required');
+        });
+
+        test('un lector no debe poder subir archivos', async () => {
+            const viewer = await request(app)
+                .post('/api/auth/register')
+                .send({ email: 'viewer@example.com', name: 'Viewer', password: 'password123' });
+
+            await request(app)
+                .post(`/api/notes/${noteId}/shares`)
+                .set(auth())
+                .send({ email: 'viewer@example.com', role: 'viewer' });
+
+            const response = await upload([['a.txt', 'hola', 'text/plain']], noteId, viewer.body.token);
+
+            expect(response.status).toBe(403);
+            expect(await Attachment.countDocuments()).toBe(0);
+        });
+
+        test('el permiso debe comprobarse antes de leer los archivos', async () => {
+            const viewer = await request(app)
+                .post('/api/auth/register')
+                .send({ email: 'viewer@example.com', name: 'Viewer', password: 'password123' });
+
+            await request(app)
+                .post(`/api/notes/${noteId}/shares`)
+                .set(auth())
+                .send({ email: 'viewer@example.com', role: 'viewer' });
+
+            // Más archivos de los permitidos: la subida respondería 400
+            const files = Array.from({ length: attachmentsConfig.maxFiles + 1 }, (_, i) => [`${i}.txt`, 'hola', 'text/plain']);
+            const response = await upload(files, noteId, viewer.body.token);
+
+            expect(response.status).toBe(403);
+        });
+    });
+
+    // ============================================
+    // TESTS: GET / DELETE /api/notes/:id/attachments/:attachmentId
+    // ============================================
+
+    describe('GET / DELETE /api/notes/:id/attachments/:attachmentId', () => {
+        test('debe descargar el archivo como adjunto', async () => {
+            const [attachment] = (await upload([['nota.html', '<script>x</script>', 'text/html']])).body;
+
+            const response = await request(app)
+                .get(`/api/notes/${noteId}/attachments/${attachment._id}`)
+                .set(auth());
+
+            expect(response.status).toBe(200);
+            expect(response.headers['content-disposition']).toBe('attachment; filename="nota.html"');
+            expect(response.headers['x-content-type-options']).toBe('nosniff');
+            expect(response.text).toBe('<script>x</script>');
+        });
+
+        test('debe borrar el adjunto y su archivo', async () => {
+            const [attachment] = (await upload([['a.txt', 'hola', 'text/plain']])).body;
+            const [file] = await storedFiles();
+
+            const response = await request(app)
+                .delete(`/api/notes/${noteId}/attachments/${attachment._id}`)
+                .set(auth());
+
+            expect(response.status).toBe(204);
+            expect(fs.existsSync(file)).toBe(false);
+
+            const download = await request(app)
+                .get(`/api/notes/${noteId}/attachments/${attachment._id}`)
+                .set(auth());
+            expect(download.status).toBe(404);
+        });
+    });
+
+    // ============================================
+    // TESTS: Papelera
+    // ============================================
+
+    describe('Papelera', () => {
+        test('enviar a la papelera debe conservar los archivos', async () => {
+            await upload([['a.txt', 'hola', 'text/plain']]);
+            const [file] = await storedFiles();
+
+            await request(app).patch(`/api/notes/${noteId}/trash`).set(auth());
+            await request(app).patch(`/api/notes/${noteId}/restore`).set(auth());
+
+            expect(fs.existsSync(file)).toBe(true);
+
+            const list = await request(app)
+                .get(`/api/notes/${noteId}/attachments`)
+                .set(auth());
+            expect(list.body).toHaveLength(1);
+        });
+
+        test('el borrado definitivo debe eliminar los adjuntos y sus archivos', async () => {
+            await upload([['a.txt', 'hola', 'text/plain'], ['b.txt', 'adiós', 'text/plain']]);
+            const files = await storedFiles();
+
+            await request(app).patch(`/api/notes/${noteId}/trash`).set(auth());
+            const response = await request(app)
+                .delete(`/api/notes/${noteId}/permanent`)
+                .set(auth());
+
+            expect(response.status).toBe(204);
+            expect(await Attachment.countDocuments()).toBe(0);
+            expect(files.some(file => fs.existsSync(file))).toBe(false);
+        });
+    });
+});
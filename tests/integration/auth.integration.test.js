@@ -0,0 +1,91 @@
+// tests/integration/auth.integration.test.js
+
+const request = require('supertest');
+const app = require('../../src/app');
+
+describe('Auth API - Integration Tests', () => {
+
+    const credentials = {
+        email: 'User@Example.com',
+        name: 'User',
+        password: 'password123'
+    };
+
+    // ============================================
+    // TESTS: POST /api/auth/register
+    // ============================================
+
+    describe('POST /api/auth/register', () => {
+        test('debe registrar usuario con 201 y devolver token', async () => {
+            const response = await request(app)
+                .post('/api/auth/register')
+                .send(credentials);
+
+            expect(response.status).toBe(201);
+            expect(response.body.token).toBeDefined();
+            expect(response.body.user.email).toBe('user@example.com');
+            expect(response.body.user.passwordHash).toBeUndefined();
+        });
+
+        test('debe retornar 409 si el email ya existe', async () => {
+            await request(app).post('/api/auth/register').send(credentials);
+
+            const response = await request(app)
+                .post('/api/auth/register')
+                .send(credentials);
+
+            expect(response.status).toBe(409);
+        });
+
+        test('debe retornar 400 con password corta', async () => {
+            const response = await request(app)
+                .post('/api/auth/register')
+                .send({ ...credentials, password: 'short' });
+
+            expect(response.status).toBe(400);
+            expect(response.body.details).toContain('password must be at least 8 characters');
+        });
+    });
+
+    // ============================================
+    // TESTS: POST /api/auth/login
+    // ============================================
+
+    describe('POST /api/auth/login', () => {
+        beforeEach(async () => {
+            await request(app).post('/api/auth/register').send(credentials);
+        });
+
+        test('debe hacer login con credenciales válidas', async () => {
+            const response = await request(app)
+                .post('/api/auth/login')
+                .send({ email: 'user@example.com', password: 'password123' });
+
+            expect(response.status).toBe(200);
+            expect(response.body.token).toBeDefined();
+
+            const me = await request(app)
+                .get('/api/auth/me')
+                .set('Authorization', `Bearer ${response.body.token}`);
+
+            expect(me.status).toBe(200);
+            expect(me.body.email).toBe('user@example.com');
+        });
+
+        test('debe retornar 401 con password incorrecta', async () => {
+            const response = await request(app)
+                .post('/api/auth/login')
+                .send({ email: 'user@example.com', password: 'wrong-password' });
+
+            expect(response.status).toBe(401);
+        });
+
+        test('debe retornar 401 con token inválido', async () => {
+            const response = await request(app)
+                .get('/api/auth/me')
+                .set('Authorization', 'Bearer not-a-token');
+
+            expect(response.status).toBe(401);
+        });
+    });
+});
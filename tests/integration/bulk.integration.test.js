@@ -0,0 +1,144 @@
+// tests/integration/bulk.integration.test.js
+
+const request = require('supertest');
+const app = require('../../src/app');
+const Note = require('../../src/models/Note');
+
+describe('Bulk API - Integration Tests', () => {
+
+    let token;
+    let userId;
+
+    const auth = () => ({ Authorization: `Bearer ${token}` });
+
+    const bulk = body => request(app)
+        .post('/api/notes/bulk')
+        .set(auth())
+        .send(body);
+
+    async function createNote(title, extra = {}) {
+        const note = await Note.create({ owner: userId, title, content: 'Contenido', ...extra });
+        return note._id.toString();
+    }
+
+    beforeEach(async () => {
+        const response = await request(app)
+            .post('/api/auth/register')
+            .send({
+                email: 'bulk@example.com',
+                name: 'Bulk',
+                password: 'password123'
+            });
+
+        token = response.body.token;
+        userId = response.body.user._id;
+    });
+
+    // ============================================
+    // TESTS: POST /api/notes/bulk
+    // ============================================
+
+    describe('POST /api/notes/bulk', () => {
+        test('debe enviar varias notas a la papelera en una petición', async () => {
+            const ids = [await createNote('Primera'), await createNote('Segunda')];
+
+            const response = await bulk({ actions: [{ action: 'trash', ids }] });
+
+            expect(response.status).toBe(200);
+            expect(response.body).toMatchObject({ atomic: false, succeeded: 2, failed: 0 });
+            expect(await Note.countDocuments({ owner: userId, status: 'trashed' })).toBe(2);
+        });
+
+        test('debe devolver el resultado de cada nota, incluidos los fallos', async () => {
+            const id = await createNote('Activa');
+            const missing = '507f1f77bcf86cd799439011';
+
+            const response = await bulk({ actions: [{ action: 'trash', ids: [id, missing] }] });
+
+            expect(response.status).toBe(200);
+            expect(response.body.results).toEqual([
+                expect.objectContaining({ id, ok: true, status: 200, revision: 2 }),
+                expect.objectContaining({ id: missing, ok: false, error: 'NOTE_NOT_FOUND', status: 404 })
+            ]);
+        });
+
+        test('debe encadenar acciones: restaurar y borrar de la papelera', async () => {
+            const kept = await createNote('Recuperada', { status: 'trashed', deletedAt: new Date() });
+            const purged = await createNote('Borrada', { status: 'trashed', deletedAt: new Date() });
+
+            const response = await bulk({
+                actions: [
+                    { action: 'restore', ids: [kept] },
+                    { action: 'delete', ids: [purged] }
+                ]
+            });
+
+            expect(response.body.succeeded).toBe(2);
+            expect((await Note.findById(kept)).status).toBe('active');
+            expect(await Note.findById(purged)).toBeNull();
+        });
+
+        test('debe etiquetar, mover, fijar y marcar como favorita', async () => {
+            const id = await createNote('Organizada', { tags: ['vieja'] });
+            const notebook = await request(app)
+                .post('/api/notebooks')
+                .set(auth())
+                .send({ name: 'Destino' });
+
+            const response = await bulk({
+                actions: [
+                    { action: 'tag', ids: [id], add: ['#Nueva'], remove: ['vieja'] },
+                    { action: 'move', ids: [id], notebookId: notebook.body._id },
+                    { action: 'pin', ids: [id], pinned: true },
+                    { action: 'favorite', ids: [id], favorite: true }
+                ]
+            });
+
+            expect(response.body.succeeded).toBe(4);
+
+            const note = await Note.findById(id);
+            expect(note.tags).toEqual(['nueva']);
+            expect(note.notebookId.toString()).toBe(notebook.body._id);
+            expect(note.isPinned).toBe(true);
+            expect(note.isFavorite).toBe(true);
+        });
+
+        test('el modo atómico debe responder 501 sin replica set', async () => {
+            const ids = [await createNote('Primera')];
+
+            const response = await bulk({ actions: [{ action: 'trash', ids }], atomic: true });
+
+            expect(response.status).toBe(501);
+            expect(await Note.countDocuments({ owner: userId, status: 'trashed' })).toBe(0);
+        });
+
+        test('debe rechazar acciones o IDs inválidos', async () => {
+            const response = await bulk({
+                actions: [
+                    { action: 'explode', ids: ['no-es-un-id'] },
+                    { action: 'pin', ids: ['507f1f77bcf86cd799439011'] }
+                ]
+            });
+
+            expect(response.status).toBe(400);
+            expect(response.body.details).toEqual(expect.arrayContaining([
+                expect.stringContaining('actions[0].action must be one of'),
+                'actions[0].ids must contain valid IDs',
+                'actions[1].pinned must be a boolean'
+            ]));
+        });
+
+        test('no debe afectar a notas de otros usuarios', async () => {
+            const other = await Note.create({
+                owner: '507f1f77bcf86cd799439099',
+                title: 'Ajena',
+                content: 'Contenido'
+            });
+
+            const response = await bulk({ actions: [{ action: 'trash', ids: [other._id.toString()] }] });
+
+            expect(response.body.results[0]).toMatchObject({ ok: false, status: 404 });
+            expect((await Note.findById(other._id)).status).toBe('active');
+        });
+    });
+});
@@ -0,0 +1,114 @@
+// tests/integration/bulkAtomic.integration.test.js
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Note = require('../../src/models/Note');
+const noteEventsService = require('../../src/services/noteEvents.service');
+
+/**
+ * El modo atómico necesita transacciones reales: este archivo cambia la
+ * conexión de tests/setup.js (servidor standalone) por un replica set
+ * de un solo miembro
+ */
+describe('Bulk API atómico (replica set) - Integration Tests', () => {
+
+    let replSet;
+    let token;
+    let userId;
+
+    const auth = () => ({ Authorization: `Bearer ${token}` });
+
+    const bulk = body => request(app)
+        .post('/api/notes/bulk')
+        .set(auth())
+        .send(body);
+
+    async function createNote(title) {
+        const note = await Note.create({ owner: userId, title, content: 'Contenido' });
+        return note._id.toString();
+    }
+
+    // Eventos publicados al usuario durante fn
+    async function eventsDuring(fn) {
+        const events = [];
+        const unsubscribe = noteEventsService.subscribe(userId, event => events.push(event));
+
+        try {
+            await fn();
+        } finally {
+            unsubscribe();
+        }
+        return events;
+    }
+
+    beforeAll(async () => {
+        await mongoose.disconnect();
+        replSet = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
+        await mongoose.connect(replSet.getUri());
+    });
+
+    // tests/setup.js cierra la conexión antes que este afterAll
+    afterAll(async () => {
+        await replSet.stop();
+    });
+
+    beforeEach(async () => {
+        const response = await request(app)
+            .post('/api/auth/register')
+            .send({
+                email: 'atomic@example.com',
+                name: 'Atomic',
+                password: 'password123'
+            });
+
+        token = response.body.token;
+        userId = response.body.user._id;
+    });
+
+    // ============================================
+    // TESTS: POST /api/notes/bulk con atomic
+    // ============================================
+
+    describe('POST /api/notes/bulk (atomic)', () => {
+        test('debe confirmar todas las acciones y emitir sus eventos', async () => {
+            const ids = [await createNote('Primera'), await createNote('Segunda')];
+            let response;
+
+            const events = await eventsDuring(async () => {
+                response = await bulk({ actions: [{ action: 'trash', ids }], atomic: true });
+            });
+
+            expect(response.status).toBe(200);
+            expect(response.body).toMatchObject({ atomic: true, succeeded: 2, failed: 0 });
+            expect(await Note.countDocuments({ owner: userId, status: 'trashed' })).toBe(2);
+            expect(events.map(event => event.type)).toEqual(['note.trashed', 'note.trashed']);
+        });
+
+        test('un fallo debe revertir lo ya aplicado y descartar sus eventos', async () => {
+            const ids = [await createNote('Primera'), await createNote('Segunda')];
+            const missing = new mongoose.Types.ObjectId().toString();
+            let response;
+
+            const events = await eventsDuring(async () => {
+                response = await bulk({
+                    actions: [
+                        { action: 'trash', ids },
+                        { action: 'tag', ids: [missing], add: ['nueva'] }
+                    ],
+                    atomic: true
+                });
+            });
+
+            expect(response.status).toBe(409);
+            expect(response.body.results.map(result => result.error)).toEqual([
+                'ROLLED_BACK',
+                'ROLLED_BACK',
+                'NOTE_NOT_FOUND'
+            ]);
+            expect(await Note.countDocuments({ owner: userId, status: 'active', revision: 1 })).toBe(2);
+            expect(events).toEqual([]);
+        });
+    });
+});
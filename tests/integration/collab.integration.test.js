@@ -0,0 +1,214 @@
+// tests/integration/collab.integration.test.js
+
+const request = require('supertest');
+const WebSocket = require('ws');
+const app = require('../../src/app');
+const attachCollab = require('../../src/routes/collab.socket');
+const collabService = require('../../src/services/collab.service');
+
+describe('Collab API (WebSocket) - Integration Tests', () => {
+
+    let server;
+    let ownerToken;
+    let editorToken;
+    let noteId;
+
+    const auth = token => ({ Authorization: `Bearer ${token}` });
+
+    /**
+     * Conecta a la sesión de la nota y acumula los mensajes recibidos
+     */
+    function connect(token, id = noteId) {
+        return new Promise((resolve, reject) => {
+            const port = server.address().port;
+            const socket = new WebSocket(`ws://localhost:${port}/api/notes/${id}/collab?access_token=${token}`);
+            const messages = [];
+            const waiters = [];
+
+            socket.on('message', data => {
+                messages.push(JSON.parse(data));
+                waiters.splice(0).forEach(check => check());
+            });
+
+            const client = {
+                socket,
+                messages,
+                send: message => socket.send(JSON.stringify(message)),
+                // Espera al primer mensaje de ese tipo a partir de la posición from
+                next: (type, from = 0) => new Promise(done => {
+                    const check = () => {
+                        const found = messages.slice(from).find(m => m.type === type);
+                        return found ? done(found) : waiters.push(check);
+                    };
+                    check();
+                }),
+                close: () => new Promise(done => {
+                    socket.once('close', done);
+                    socket.close();
+                })
+            };
+
+            socket.once('open', () => resolve(client));
+            socket.once('unexpected-response', (req, res) => reject(new Error(String(res.statusCode))));
+            socket.once('error', reject);
+        });
+    }
+
+    // Da tiempo a que el servidor procese el cierre y guarde
+    const settle = () => new Promise(resolve => setTimeout(resolve, 100));
+
+    beforeAll(done => {
+        server = app.listen(0, done);
+        attachCollab(server);
+    });
+
+    afterAll(done => {
+        server.close(done);
+    });
+
+    beforeEach(async () => {
+        const owner = await request(app)
+            .post('/api/auth/register')
+            .send({ email: 'collab-owner@example.com', name: 'Owner', password: 'password123' });
+        ownerToken = owner.body.token;
+
+        const editor = await request(app)
+            .post('/api/auth/register')
+            .send({ email: 'collab-editor@example.com', name: 'Editor', password: 'password123' });
+        editorToken = editor.body.token;
+
+        const note = await request(app)
+            .post('/api/notes')
+            .set(auth(ownerToken))
+            .send({ title: 'Lista', content: 'pan' });
+        noteId = note.body._id;
+
+        await request(app)
+            .post(`/api/notes/${noteId}/shares`)
+            .set(auth(ownerToken))
+            .send({ email: 'collab-editor@example.com', role: 'editor' });
+    });
+
+    afterEach(async () => {
+        await settle();
+        expect(collabService.sessions.size).toBe(0);
+    });
+
+    // ============================================
+    // TESTS: Conexión
+    // ============================================
+
+    describe('Conexión', () => {
+        test('debe recibir el estado inicial de la sesión', async () => {
+            const owner = await connect(ownerToken);
+
+            const init = await owner.next('init');
+
+            expect(init).toMatchObject({ noteId, revision: 0, content: 'pan', canEdit: true });
+            await owner.close();
+        });
+
+        test('debe rechazar la conexión sin token', async () => {
+            await expect(connect('')).rejects.toThrow('401');
+        });
+
+        test('debe cerrar con 4404 si la nota no es accesible', async () => {
+            const stranger = await connect(ownerToken, '507f1f77bcf86cd799439011');
+
+            const code = await new Promise(resolve => stranger.socket.once('close', resolve));
+
+            expect(code).toBe(4404);
+        });
+    });
+
+    // ============================================
+    // TESTS: Edición concurrente
+    // ============================================
+
+    describe('Edición concurrente', () => {
+        test('dos usuarios deben converger y guardarse al salir', async () => {
+            const owner = await connect(ownerToken);
+            const editor = await connect(editorToken);
+            await owner.next('init');
+            await editor.next('init');
+
+            // Ambos editan sobre la revisión 0
+            owner.send({ type: 'op', revision: 0, op: ['comprar ', 3] });
+            editor.send({ type: 'op', revision: 0, op: [3, ' y leche'] });
+
+            const ownerAck = await owner.next('ack');
+            const editorAck = await editor.next('ack');
+            expect([ownerAck.revision, editorAck.revision].sort()).toEqual([1, 2]);
+
+            await owner.close();
+            await editor.close();
+            await settle();
+
+            const note = await request(app).get(`/api/notes/${noteId}`).set(auth(ownerToken));
+            expect(note.body.content).toBe('comprar pan y leche');
+        });
+
+        test('el undo de cada usuario debe deshacer solo lo suyo', async () => {
+            const owner = await connect(ownerToken);
+            const editor = await connect(editorToken);
+            await owner.next('init');
+            await editor.next('init');
+
+            owner.send({ type: 'op', revision: 0, op: [3, ' y leche'] });
+            await owner.next('ack');
+            editor.send({ type: 'op', revision: 1, op: ['comprar ', 11] });
+            await editor.next('ack');
+
+            const from = owner.messages.length;
+            owner.send({ type: 'undo' });
+            const history = await owner.next('history', from);
+
+            expect(history.history).toEqual({ undo: 0, redo: 1 });
+
+            await owner.close();
+            await editor.close();
+            await settle();
+
+            const note = await request(app).get(`/api/notes/${noteId}`).set(auth(ownerToken));
+            expect(note.body.content).toBe('comprar pan');
+        });
+
+        test('el guardado debe poder deshacerse desde la API', async () => {
+            const owner = await connect(ownerToken);
+            await owner.next('init');
+
+            owner.send({ type: 'op', revision: 0, op: [3, '!'] });
+            await owner.next('ack');
+            await owner.close();
+            await settle();
+
+            const undone = await request(app).post(`/api/notes/${noteId}/undo`).set(auth(ownerToken));
+
+            expect(undone.status).toBe(200);
+            expect(undone.body.content).toBe('pan');
+        });
+
+        test('debe rechazar mensajes inválidos sin cerrar la conexión', async () => {
+            const owner = await connect(ownerToken);
+            await owner.next('init');
+
+            owner.send({ type: 'op', revision: 0, op: [0] });
+            const error = await owner.next('error');
+
+            expect(error.error).toBe('Validation failed');
+            expect(owner.socket.readyState).toBe(WebSocket.OPEN);
+            await owner.close();
+        });
+
+        test('una operación que no encaja debe pedir recargar', async () => {
+            const owner = await connect(ownerToken);
+            await owner.next('init');
+
+            owner.send({ type: 'op', revision: 0, op: [10, 'x'] });
+            const error = await owner.next('error');
+
+            expect(error).toMatchObject({ error: 'INVALID_OPERATION', resync: true });
+            await owner.close();
+        });
+    });
+});
@@ -0,0 +1,262 @@
+// tests/integration/concurrency.integration.test.js
+
+const request = require('supertest');
+const app = require('../../src/app');
+const Note = require('../../src/models/Note');
+
+describe('Concurrency API (ETag / If-Match) - Integration Tests', () => {
+
+    let token;
+    let noteId;
+
+    const auth = () => ({ Authorization: `Bearer ${token}` });
+
+    beforeEach(async () => {
+        const response = await request(app)
+            .post('/api/auth/register')
+            .send({
+                email: 'etag@example.com',
+                name: 'ETag',
+                password: 'password123'
+            });
+
+        token = response.body.token;
+
+        const note = await request(app)
+            .post('/api/notes')
+            .set(auth())
+            .send({ title: 'Original', content: 'Contenido' });
+
+        noteId = note.body._id;
+    });
+
+    // ============================================
+    // TESTS: Revisión y ETag
+    // ============================================
+
+    describe('ETag', () => {
+        test('crear debe devolver la revisión 1 como ETag', async () => {
+            const response = await request(app)
+                .post('/api/notes')
+                .set(auth())
+                .send({ title: 'Otra nota', content: 'Contenido' });
+
+            expect(response.status).toBe(201);
+            expect(response.body.revision).toBe(1);
+            expect(response.headers.etag).toBe('"1"');
+        });
+
+        test('cada escritura debe incrementar la revisión', async () => {
+            const edited = await request(app)
+                .patch(`/api/notes/${noteId}`)
+                .set(auth())
+                .send({ title: 'Editada' });
+            expect(edited.headers.etag).toBe('"2"');
+
+            const undone = await request(app).post(`/api/notes/${noteId}/undo`).set(auth());
+            expect(undone.headers.etag).toBe('"3"');
+
+            const trashed = await request(app).patch(`/api/notes/${noteId}/trash`).set(auth());
+            expect(trashed.body.revision).toBe(4);
+        });
+
+        test('GET debe responder 304 con If-None-Match vigente', async () => {
+            const response = await request(app)
+                .get(`/api/notes/${noteId}`)
+                .set(auth())
+                .set('If-None-Match', '"1"');
+
+            expect(response.status).toBe(304);
+        });
+
+        test('renombrar una etiqueta debe subir la revisión de la nota', async () => {
+            await request(app).patch(`/api/notes/${noteId}`).set(auth()).send({ tags: ['viejo'] });
+            await request(app).patch('/api/notes/tags/viejo').set(auth()).send({ name: 'nuevo' });
+
+            const note = await Note.findById(noteId);
+            expect(note.revision).toBe(3);
+        });
+    });
+
+    // ============================================
+    // TESTS: If-Match
+    // ============================================
+
+    describe('If-Match', () => {
+        test('PATCH con la revisión vigente debe aplicar el cambio', async () => {
+            const response = await request(app)
+                .patch(`/api/notes/${noteId}`)
+                .set(auth())
+                .set('If-Match', '"1"')
+                .send({ title: 'Con If-Match' });
+
+            expect(response.status).toBe(200);
+            expect(response.body.title).toBe('Con If-Match');
+        });
+
+        test('PATCH con una revisión antigua debe devolver 412 con el estado actual', async () => {
+            await request(app).patch(`/api/notes/${noteId}`).set(auth()).send({ title: 'Otra sesión' });
+
+            const response = await request(app)
+                .patch(`/api/notes/${noteId}`)
+                .set(auth())
+                .set('If-Match', '"1"')
+                .send({ title: 'Sobrescribe' });
+
+            expect(response.status).toBe(412);
+            expect(response.headers.etag).toBe('"2"');
+            expect(response.body.current.title).toBe('Otra sesión');
+            expect(response.body.current.revision).toBe(2);
+        });
+
+        test('undo, redo, papelera y restaurar deben respetar If-Match', async () => {
+            await request(app).patch(`/api/notes/${noteId}`).set(auth()).send({ title: 'Editada' });
+
+            const stale = await request(app)
+                .post(`/api/notes/${noteId}/undo`)
+                .set(auth())
+                .set('If-Match', '"1"');
+            expect(stale.status).toBe(412);
+
+            const undone = await request(app)
+                .post(`/api/notes/${noteId}/undo`)
+                .set(auth())
+                .set('If-Match', '"2"');
+            expect(undone.status).toBe(200);
+
+            const redo = await request(app)
+                .post(`/api/notes/${noteId}/redo`)
+                .set(auth())
+                .set('If-Match', '"2"');
+            expect(redo.status).toBe(412);
+
+            const trashed = await request(app)
+                .patch(`/api/notes/${noteId}/trash`)
+                .set(auth())
+                .set('If-Match', undone.headers.etag);
+            expect(trashed.status).toBe(200);
+
+            const restored = await request(app)
+                .patch(`/api/notes/${noteId}/restore`)
+                .set(auth())
+                .set('If-Match', undone.headers.etag);
+            expect(restored.status).toBe(412);
+            expect(restored.body.current.status).toBe('trashed');
+        });
+
+        test('el borrado permanente debe respetar If-Match', async () => {
+            const trashed = await request(app).patch(`/api/notes/${noteId}/trash`).set(auth());
+
+            const stale = await request(app)
+                .delete(`/api/notes/${noteId}/permanent`)
+                .set(auth())
+                .set('If-Match', '"1"');
+            expect(stale.status).toBe(412);
+
+            const deleted = await request(app)
+                .delete(`/api/notes/${noteId}/permanent`)
+                .set(auth())
+                .set('If-Match', trashed.headers.etag);
+            expect(deleted.status).toBe(204);
+        });
+
+        test('If-Match * debe aceptar cualquier revisión', async () => {
+            const response = await request(app)
+                .patch(`/api/notes/${noteId}`)
+                .set(auth())
+                .set('If-Match', '*')
+                .send({ title: 'Cualquiera' });
+
+            expect(response.status).toBe(200);
+        });
+
+        test('debe retornar 400 con un If-Match mal formado', async () => {
+            const response = await request(app)
+                .patch(`/api/notes/${noteId}`)
+                .set(auth())
+                .set('If-Match', 'revision-1')
+                .send({ title: 'Mal' });
+
+            expect(response.status).toBe(400);
+        });
+
+        test('lastKnownUpdate antiguo debe seguir dando 409', async () => {
+            const created = await request(app).get(`/api/notes/${noteId}`).set(auth());
+            await request(app).patch(`/api/notes/${noteId}`).set(auth()).send({ title: 'Primero' });
+
+            const response = await request(app)
+                .patch(`/api/notes/${noteId}`)
+                .set(auth())
+                .send({ title: 'Segundo', lastKnownUpdate: created.body.updatedAt });
+
+            expect(response.status).toBe(409);
+        });
+    });
+
+    // ============================================
+    // TESTS: Fusión a tres bandas (baseRevision)
+    // ============================================
+
+    describe('Fusión a tres bandas', () => {
+        const patch = body =>
+            request(app)
+                .patch(`/api/notes/${noteId}`)
+                .set(auth())
+                .send(body);
+
+        beforeEach(async () => {
+            // Revisión 2: punto de partida común de ambas sesiones
+            await patch({ content: 'uno\ndos\ntres\ncuatro' });
+        });
+
+        test('debe fusionar ediciones que no se solapan', async () => {
+            await patch({ content: 'uno\ndos\ntres\nCUATRO' });
+
+            const response = await patch({ content: 'UNO\ndos\ntres\ncuatro', baseRevision: 2 });
+
+            expect(response.status).toBe(200);
+            expect(response.body.content).toBe('UNO\ndos\ntres\nCUATRO');
+            expect(response.body.revision).toBe(4);
+        });
+
+        test('debe devolver 409 con el documento de conflicto si se solapan', async () => {
+            await patch({ title: 'Título servidor', content: 'uno\ndos\ntres\nservidor' });
+
+            const response = await patch({
+                title: 'Título cliente',
+                content: 'uno\ndos\ntres\ncliente',
+                baseRevision: 2
+            });
+
+            expect(response.status).toBe(409);
+            expect(response.body.error).toBe('Merge conflict');
+            expect(response.headers.etag).toBe('"3"');
+            expect(response.body.base.content).toBe('uno\ndos\ntres\ncuatro');
+            expect(response.body.server.title).toBe('Título servidor');
+            expect(response.body.client.title).toBe('Título cliente');
+            expect(response.body.conflicts.title.base).toBe('Original');
+            expect(response.body.conflicts.content[0]).toMatchObject({ server: 'servidor', client: 'cliente' });
+            expect(response.body.marked.content).toContain('<<<<<<< server');
+
+            const note = await request(app).get(`/api/notes/${noteId}`).set(auth());
+            expect(note.body.content).toBe('uno\ndos\ntres\nservidor');
+        });
+
+        test('debe encontrar la base aunque después se hayan deshecho cambios', async () => {
+            await patch({ content: 'uno\ndos\ntres\nCUATRO' });
+            await request(app).post(`/api/notes/${noteId}/undo`).set(auth());
+
+            // El cliente editó sobre la revisión 3 (CUATRO); el undo la devolvió a cuatro
+            const response = await patch({ content: 'UNO\ndos\ntres\nCUATRO', baseRevision: 3 });
+
+            expect(response.status).toBe(200);
+            expect(response.body.content).toBe('UNO\ndos\ntres\ncuatro');
+        });
+
+        test('debe retornar 400 con una baseRevision inválida', async () => {
+            const response = await patch({ content: 'Otro', baseRevision: 0 });
+
+            expect(response.status).toBe(400);
+        });
+    });
+});
@@ -0,0 +1,175 @@
+// tests/integration/events.integration.test.js
+
+const http = require('http');
+const request = require('supertest');
+const app = require('../../src/app');
+
+describe('Events API (SSE) - Integration Tests', () => {
+
+    let server;
+    let token;
+    let noteId;
+
+    const auth = () => ({ Authorization: `Bearer ${token}` });
+
+    /**
+     * Abre un flujo SSE real y acumula los eventos recibidos
+     */
+    function openStream(path, headers = { ...auth(), Accept: 'text/event-stream' }) {
+        return new Promise((resolve, reject) => {
+            const events = [];
+            const waiters = [];
+            let buffer = '';
+
+            const req = http.get({ port: server.address().port, path, headers }, res => {
+                res.setEncoding('utf8');
+                res.on('data', chunk => {
+                    buffer += chunk;
+
+                    let index;
+                    while ((index = buffer.indexOf('\n\n')) !== -1) {
+                        const frame = buffer.slice(0, index);
+                        buffer = buffer.slice(index + 2);
+
+                        const data = frame.split('\n').find(line => line.startsWith('data: '));
+                        if (data) {
+                            events.push(JSON.parse(data.slice(6)));
+                            waiters.splice(0).forEach(check => check());
+                        }
+                    }
+                });
+
+                resolve({
+                    status: res.statusCode,
+                    headers: res.headers,
+                    events,
+                    // Espera a que lleguen n eventos
+                    waitFor: n => new Promise(done => {
+                        const check = () => (events.length >= n ? done(events) : waiters.push(check));
+                        check();
+                    }),
+                    close: () => req.destroy()
+                });
+            });
+
+            req.on('error', reject);
+        });
+    }
+
+    beforeAll(done => {
+        server = app.listen(0, done);
+    });
+
+    afterAll(done => {
+        server.close(done);
+    });
+
+    beforeEach(async () => {
+        const response = await request(app)
+            .post('/api/auth/register')
+            .send({
+                email: 'events@example.com',
+                name: 'Events',
+                password: 'password123'
+            });
+
+        token = response.body.token;
+
+        const note = await request(app)
+            .post('/api/notes')
+            .set(auth())
+            .send({ title: 'En directo', content: 'Contenido' });
+
+        noteId = note.body._id;
+    });
+
+    // ============================================
+    // TESTS: GET /api/notes/events
+    // ============================================
+
+    describe('GET /api/notes/events', () => {
+        test('debe abrir un flujo text/event-stream', async () => {
+            const stream = await openStream('/api/notes/events');
+
+            expect(stream.status).toBe(200);
+            expect(stream.headers['content-type']).toContain('text/event-stream');
+
+            stream.close();
+        });
+
+        test('debe recibir los cambios de mis notas en orden', async () => {
+            const stream = await openStream('/api/notes/events');
+
+            await request(app).post('/api/notes').set(auth()).send({ title: 'Nueva nota', content: 'C' });
+            await request(app).patch(`/api/notes/${noteId}`).set(auth()).send({ title: 'Editada' });
+            await request(app).post(`/api/notes/${noteId}/undo`).set(auth());
+            await request(app).post(`/api/notes/${noteId}/redo`).set(auth());
+            await request(app).patch(`/api/notes/${noteId}/trash`).set(auth());
+            await request(app).patch(`/api/notes/${noteId}/restore`).set(auth());
+
+            const events = await stream.waitFor(6);
+            stream.close();
+
+            expect(events.map(e => e.type)).toEqual([
+                'note.created',
+                'note.updated',
+                'note.undone',
+                'note.redone',
+                'note.trashed',
+                'note.restored'
+            ]);
+            expect(events[1].note.title).toBe('Editada');
+            expect(events[1].revision).toBe(2);
+        });
+
+        test('debe aceptar el token por query para EventSource', async () => {
+            const stream = await openStream(`/api/notes/events?access_token=${token}`, {
+                Accept: 'text/event-stream'
+            });
+
+            expect(stream.status).toBe(200);
+            stream.close();
+        });
+
+        test('el token por query no debe valer fuera de los flujos de eventos', async () => {
+            const response = await request(app).get(`/api/notes?access_token=${token}`);
+
+            expect(response.status).toBe(401);
+        });
+
+        test('debe retornar 401 sin autenticación', async () => {
+            const stream = await openStream('/api/notes/events', { Accept: 'text/event-stream' });
+
+            expect(stream.status).toBe(401);
+            stream.close();
+        });
+    });
+
+    // ============================================
+    // TESTS: GET /api/notes/:id/events
+    // ============================================
+
+    describe('GET /api/notes/:id/events', () => {
+        test('debe recibir solo los cambios de esa nota, incluido el borrado', async () => {
+            const stream = await openStream(`/api/notes/${noteId}/events`);
+
+            await request(app).post('/api/notes').set(auth()).send({ title: 'Otra nota', content: 'C' });
+            await request(app).patch(`/api/notes/${noteId}/trash`).set(auth());
+            await request(app).delete(`/api/notes/${noteId}/permanent`).set(auth());
+
+            const events = await stream.waitFor(2);
+            stream.close();
+
+            expect(events.map(e => e.type)).toEqual(['note.trashed', 'note.deleted']);
+            expect(events[1].noteId).toBe(noteId);
+            expect(events[1].note).toBeNull();
+        });
+
+        test('debe retornar 404 si la nota no es accesible', async () => {
+            const stream = await openStream('/api/notes/507f1f77bcf86cd799439011/events');
+
+            expect(stream.status).toBe(404);
+            stream.close();
+        });
+    });
+});
@@ -0,0 +1,194 @@
+// tests/integration/export.integration.test.js
+
+const request = require('supertest');
+const AdmZip = require('adm-zip');
+const app = require('../../src/app');
+const Note = require('../../src/models/Note');
+const FrontMatter = require('../../src/domain/frontMatter');
+
+/**
+ * Lee la respuesta como Buffer (zip)
+ */
+function binary(res, callback) {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => callback(null, Buffer.concat(chunks)));
+}
+
+describe('Export API - Integration Tests', () => {
+
+    let token;
+    let userId;
+
+    const auth = () => ({ Authorization: `Bearer ${token}` });
+
+    beforeEach(async () => {
+        const response = await request(app)
+            .post('/api/auth/register')
+            .send({
+                email: 'export@example.com',
+                name: 'Export',
+                password: 'password123'
+            });
+
+        token = response.body.token;
+        userId = response.body.user._id;
+    });
+
+    // ============================================
+    // TESTS: GET /api/notes/export
+    // ============================================
+
+    describe('GET /api/notes/export', () => {
+        test('por defecto debe descargar un JSON con todas mis notas, papelera incluida', async () => {
+            await Note.create({ owner: userId, title: 'Activa', content: 'Contenido', tags: ['casa'] });
+            await Note.create({ owner: userId, title: 'Borrada', content: 'Contenido', status: 'trashed', deletedAt: new Date() });
+            await Note.create({ owner: '507f1f77bcf86cd799439099', title: 'Ajena', content: 'Contenido' });
+
+            const response = await request(app)
+                .get('/api/notes/export')
+                .set(auth());
+
+            expect(response.status).toBe(200);
+            expect(response.headers['content-disposition']).toContain('flashnotes-export.json');
+            expect(response.body).toMatchObject({ format: 'flashnotes', version: 1 });
+            expect(response.body.notes.map(note => [note.title, note.status])).toEqual([
+                ['Activa', 'active'],
+                ['Borrada', 'trashed']
+            ]);
+            expect(response.body.notes[0]).not.toHaveProperty('versions');
+        });
+
+        test('el JSON exportado debe poder importarse de nuevo', async () => {
+            await Note.create({ owner: userId, title: 'Viaje', content: 'Maletas', tags: ['vacaciones'] });
+
+            const exported = await request(app)
+                .get('/api/notes/export?format=json')
+                .set(auth());
+
+            const imported = await request(app)
+                .post('/api/notes/import')
+                .set(auth())
+                .attach('files', Buffer.from(JSON.stringify(exported.body)), 'flashnotes-export.json');
+
+            expect(imported.body).toMatchObject({ imported: 1, failed: 0 });
+
+            const notes = await Note.find({ owner: userId, title: 'Viaje' });
+            expect(notes.map(note => [note.content, note.tags])).toEqual([
+                ['Maletas', ['vacaciones']],
+                ['Maletas', ['vacaciones']]
+            ]);
+        });
+
+        test('con history debe incluir todas las versiones', async () => {
+            const created = await request(app)
+                .post('/api/notes')
+                .set(auth())
+                .send({ title: 'Con historial', content: 'v1' });
+            await request(app).patch(`/api/notes/${created.body._id}`).set(auth()).send({ content: 'v2' });
+
+            const response = await request(app)
+                .get('/api/notes/export?history=true')
+                .set(auth());
+
+            expect(response.body.notes[0].versions.map(v => [v.content, v.current])).toEqual([
+                ['v1', false],
+                ['v2', true]
+            ]);
+        });
+
+        test('format=md debe devolver un Markdown con el front-matter de cada nota', async () => {
+            await Note.create({ owner: userId, title: 'Receta', content: '# Tortilla' });
+
+            const response = await request(app)
+                .get('/api/notes/export?format=md')
+                .set(auth());
+
+            expect(response.status).toBe(200);
+            expect(response.headers['content-type']).toContain('text/markdown');
+
+            const { data, body } = FrontMatter.parse(response.text);
+            expect(data).toMatchObject({ title: 'Receta', status: 'active' });
+            expect(body).toBe('# Tortilla\n');
+        });
+
+        test('format=zip debe devolver un .md por nota', async () => {
+            await Note.create({ owner: userId, title: 'Activa', content: 'Contenido' });
+            await Note.create({ owner: userId, title: 'Borrada', content: 'Contenido', status: 'trashed', deletedAt: new Date() });
+
+            const response = await request(app)
+                .get('/api/notes/export?format=zip')
+                .set(auth())
+                .buffer(true)
+                .parse(binary);
+
+            expect(response.status).toBe(200);
+            expect(response.headers['content-type']).toContain('application/zip');
+
+            const names = new AdmZip(response.body).getEntries().map(entry => entry.entryName).sort();
+            expect(names).toEqual(['Activa.md', 'trash/Borrada.md']);
+        });
+
+        test('debe rechazar formatos o history inválidos', async () => {
+            const response = await request(app)
+                .get('/api/notes/export?format=pdf&history=si')
+                .set(auth());
+
+            expect(response.status).toBe(400);
+            expect(response.body.details).toEqual([
+                'format must be one of: json, md, zip',
+                'history must be true or false'
+            ]);
+        });
+    });
+
+    // ============================================
+    // TESTS: GET /api/notes/:id/export
+    // ============================================
+
+    describe('GET /api/notes/:id/export', () => {
+        test('debe exportar una nota como Markdown con su título como nombre', async () => {
+            const note = await Note.create({ owner: userId, title: 'Lista: compra', content: 'Leche' });
+
+            const response = await request(app)
+                .get(`/api/notes/${note._id}/export?format=md`)
+                .set(auth());
+
+            expect(response.status).toBe(200);
+            expect(response.headers['content-disposition']).toContain('Lista- compra.md');
+            expect(FrontMatter.parse(response.text).data.title).toBe('Lista: compra');
+        });
+
+        test('debe exportar también notas de la papelera', async () => {
+            const note = await Note.create({
+                owner: userId,
+                title: 'Borrada',
+                content: 'Contenido',
+                status: 'trashed',
+                deletedAt: new Date()
+            });
+
+            const response = await request(app)
+                .get(`/api/notes/${note._id}/export`)
+                .set(auth());
+
+            expect(response.status).toBe(200);
+            expect(response.body).toMatchObject({ id: note._id.toString(), status: 'trashed' });
+        });
+
+        test('debe responder 404 con notas ajenas y 400 con format=zip', async () => {
+            const other = await Note.create({ owner: '507f1f77bcf86cd799439099', title: 'Ajena', content: 'Contenido' });
+            const mine = await Note.create({ owner: userId, title: 'Mía', content: 'Contenido' });
+
+            const missing = await request(app)
+                .get(`/api/notes/${other._id}/export`)
+                .set(auth());
+            expect(missing.status).toBe(404);
+
+            const zip = await request(app)
+                .get(`/api/notes/${mine._id}/export?format=zip`)
+                .set(auth());
+            expect(zip.status).toBe(400);
+        });
+    });
+});
@@ -0,0 +1,142 @@
+// tests/integration/import.integration.test.js
+
+const request = require('supertest');
+const AdmZip = require('adm-zip');
+const app = require('../../src/app');
+const Note = require('../../src/models/Note');
+
+describe('Import API - Integration Tests', () => {
+
+    let token;
+    let userId;
+
+    const auth = () => ({ Authorization: `Bearer ${token}` });
+
+    const upload = () => request(app)
+        .post('/api/notes/import')
+        .set(auth());
+
+    beforeEach(async () => {
+        const response = await request(app)
+            .post('/api/auth/register')
+            .send({
+                email: 'import@example.com',
+                name: 'Import',
+                password: 'password123'
+            });
+
+        token = response.body.token;
+        userId = response.body.user._id;
+    });
+
+    // ============================================
+    // TESTS: POST /api/notes/import
+    // ============================================
+
+    describe('POST /api/notes/import', () => {
+        test('debe importar Markdown con front-matter y texto plano', async () => {
+            const response = await upload()
+                .attach('files', Buffer.from('---\ntitle: Receta\ntags: [Cocina]\n---\n# Tortilla\n'), 'receta.md')
+                .attach('files', Buffer.from('Llamar al fontanero'), 'Pendientes.txt');
+
+            expect(response.status).toBe(200);
+            expect(response.body).toMatchObject({ imported: 2, failed: 0 });
+
+            const notes = await Note.find({ owner: userId }).sort({ title: 1 });
+            expect(notes.map(note => [note.title, note.content, note.tags])).toEqual([
+                ['Pendientes', 'Llamar al fontanero', []],
+                ['Receta', '# Tortilla', ['cocina']]
+            ]);
+        });
+
+        test('debe importar las notas de un zip', async () => {
+            const archive = new AdmZip();
+            archive.addFile('notas/uno.md', Buffer.from('Primera'));
+            archive.addFile('notas/dos.md', Buffer.from('Segunda'));
+
+            const response = await upload()
+                .attach('files', archive.toBuffer(), 'backup.zip');
+
+            expect(response.body.imported).toBe(2);
+            expect(response.body.results.map(result => result.file).sort())
+                .toEqual(['backup.zip/notas/dos.md', 'backup.zip/notas/uno.md']);
+        });
+
+        test('debe importar el JSON de exportación informando de cada nota inválida', async () => {
+            const json = JSON.stringify({
+                format: 'flashnotes',
+                notes: [
+                    { title: 'Exportada', content: 'Contenido', tags: ['viaje'] },
+                    { title: 'Sin contenido', content: '' }
+                ]
+            });
+
+            const response = await upload()
+                .attach('files', Buffer.from(json), 'flashnotes.json');
+
+            expect(response.status).toBe(200);
+            expect(response.body.results).toEqual([
+                expect.objectContaining({ file: 'flashnotes.json', index: 0, ok: true }),
+                expect.objectContaining({
+                    file: 'flashnotes.json',
+                    index: 1,
+                    ok: false,
+                    error: 'Validation failed',
+                    details: ['content is required and must be a string']
+                })
+            ]);
+            expect(await Note.countDocuments({ owner: userId })).toBe(1);
+        });
+
+        test('un front-matter con datos que no son texto debe fallar solo en ese archivo', async () => {
+            const archive = new AdmZip();
+            archive.addFile('titulo.md', Buffer.from('---\ntitle: true\n---\nContenido'));
+            archive.addFile('etiquetas.md', Buffer.from('---\ntags: { a: 1 }\n---\nContenido'));
+            archive.addFile('buena.md', Buffer.from('Contenido'));
+
+            const response = await upload()
+                .attach('files', archive.toBuffer(), 'backup.zip');
+
+            expect(response.status).toBe(200);
+            expect(response.body).toMatchObject({ imported: 1, failed: 2 });
+            expect(response.body.results).toEqual(expect.arrayContaining([
+                expect.objectContaining({ file: 'backup.zip/titulo.md', ok: false, error: 'Validation failed' }),
+                expect.objectContaining({ file: 'backup.zip/etiquetas.md', ok: false, error: 'Validation failed' })
+            ]));
+        });
+
+        test('un archivo no admitido no debe impedir importar el resto', async () => {
+            const response = await upload()
+                .attach('files', Buffer.from('GIF89a'), 'imagen.gif')
+                .attach('files', Buffer.from('Texto'), 'nota.txt');
+
+            expect(response.body).toMatchObject({ imported: 1, failed: 1 });
+            expect(response.body.results[0]).toEqual({ file: 'imagen.gif', ok: false, error: 'UNSUPPORTED_FILE_TYPE' });
+        });
+
+        test('debe importar en la libreta indicada', async () => {
+            const notebook = await request(app)
+                .post('/api/notebooks')
+                .set(auth())
+                .send({ name: 'Importadas' });
+
+            await upload()
+                .field('notebookId', notebook.body._id)
+                .attach('files', Buffer.from('Texto'), 'nota.txt');
+
+            const note = await Note.findOne({ owner: userId });
+            expect(note.notebookId.toString()).toBe(notebook.body._id);
+        });
+
+        test('debe responder 400 sin archivos y 404 con una libreta ajena', async () => {
+            const empty = await upload().field('notebookId', 'x');
+            expect(empty.status).toBe(400);
+
+            const missing = await upload()
+                .field('notebookId', '507f1f77bcf86cd799439011')
+                .attach('files', Buffer.from('Texto'), 'nota.txt');
+            expect(missing.status).toBe(404);
+            expect(await Note.countDocuments({ owner: userId })).toBe(0);
+        });
+    });
+});
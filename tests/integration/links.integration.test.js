@@ -0,0 +1,186 @@
+// tests/integration/links.integration.test.js
+
+const request = require('supertest');
+const app = require('../../src/app');
+const Note = require('../../src/models/Note');
+
+describe('Links API - Integration Tests', () => {
+
+    let token;
+
+    const auth = () => ({ Authorization: `Bearer ${token}` });
+
+    async function createNote(title, content) {
+        const response = await request(app)
+            .post('/api/notes')
+            .set(auth())
+            .send({ title, content });
+        return response.body;
+    }
+
+    beforeEach(async () => {
+        const response = await request(app)
+            .post('/api/auth/register')
+            .send({
+                email: 'links@example.com',
+                name: 'Links',
+                password: 'password123'
+            });
+
+        token = response.body.token;
+    });
+
+    // ============================================
+    // TESTS: GET /api/notes/:id/links
+    // ============================================
+
+    describe('GET /api/notes/:id/links', () => {
+        test('debe resolver enlaces por título y por ID y marcar los que no llevan a nada', async () => {
+            const recipe = await createNote('Receta', 'Tortilla');
+            const list = await createNote('Compra', 'Huevos');
+            const index = await createNote('Índice', `[[receta]], [[${list._id}|la lista]] y [[Pendiente]]`);
+
+            const response = await request(app)
+                .get(`/api/notes/${index._id}/links`)
+                .set(auth());
+
+            expect(response.status).toBe(200);
+            expect(response.body).toEqual([
+                { target: 'receta', note: { _id: recipe._id, title: 'Receta' } },
+                { target: list._id, note: { _id: list._id, title: 'Compra' } },
+                { target: 'pendiente', note: null }
+            ]);
+        });
+
+        test('debe actualizar los enlaces al editar el contenido', async () => {
+            await createNote('Receta', 'Tortilla');
+            const index = await createNote('Índice', '[[Receta]]');
+
+            await request(app)
+                .patch(`/api/notes/${index._id}`)
+                .set(auth())
+                .send({ content: 'Sin enlaces' });
+
+            const response = await request(app)
+                .get(`/api/notes/${index._id}/links`)
+                .set(auth());
+
+            expect(response.body).toEqual([]);
+        });
+    });
+
+    // ============================================
+    // TESTS: GET /api/notes/:id/backlinks
+    // ============================================
+
+    describe('GET /api/notes/:id/backlinks', () => {
+        test('debe listar las notas activas que enlazan a la nota', async () => {
+            const recipe = await createNote('Receta', 'Tortilla');
+            const byTitle = await createNote('Apuntes', '[[Receta]]');
+            const byId = await createNote('Menú', `[[${recipe._id}]]`);
+            const trashed = await createNote('Borrador', '[[Receta]]');
+            await request(app).patch(`/api/notes/${trashed._id}/trash`).set(auth());
+
+            const response = await request(app)
+                .get(`/api/notes/${recipe._id}/backlinks`)
+                .set(auth());
+
+            expect(response.status).toBe(200);
+            expect(response.body.map(note => note._id)).toEqual([byTitle._id, byId._id]);
+        });
+
+        test('no debe incluir notas de otros usuarios', async () => {
+            const recipe = await createNote('Receta', 'Tortilla');
+            await Note.create({
+                owner: '507f1f77bcf86cd799439099',
+                title: 'Ajena',
+                content: '[[Receta]]',
+                links: ['receta']
+            });
+
+            const response = await request(app)
+                .get(`/api/notes/${recipe._id}/backlinks`)
+                .set(auth());
+
+            expect(response.body).toEqual([]);
+        });
+    });
+
+    // ============================================
+    // TESTS: Renombrar y papelera
+    // ============================================
+
+    describe('Renombrar y papelera', () => {
+        test('renombrar una nota enlazada debe pedir confirmación con 409', async () => {
+            const recipe = await createNote('Receta', 'Tortilla');
+            const index = await createNote('Índice', '[[Receta]]');
+
+            const response = await request(app)
+                .patch(`/api/notes/${recipe._id}`)
+                .set(auth())
+                .send({ title: 'Tortilla' });
+
+            expect(response.status).toBe(409);
+            expect(response.body.backlinks).toEqual([expect.objectContaining({ _id: index._id, title: 'Índice' })]);
+            expect((await Note.findById(recipe._id)).title).toBe('Receta');
+        });
+
+        test('con rewriteLinks debe reescribir los enlaces y mantener los backlinks', async () => {
+            const recipe = await createNote('Receta', 'Tortilla');
+            const index = await createNote('Índice', 'Ver [[receta|la receta]]');
+
+            const response = await request(app)
+                .patch(`/api/notes/${recipe._id}`)
+                .set(auth())
+                .send({ title: 'Tortilla', rewriteLinks: true });
+
+            expect(response.status).toBe(200);
+            expect((await Note.findById(index._id)).content).toBe('Ver [[Tortilla|la receta]]');
+
+            const backlinks = await request(app)
+                .get(`/api/notes/${recipe._id}/backlinks`)
+                .set(auth());
+            expect(backlinks.body.map(note => note._id)).toEqual([index._id]);
+        });
+
+        test('con rewriteLinks false los enlaces deben quedar colgando', async () => {
+            const recipe = await createNote('Receta', 'Tortilla');
+            const index = await createNote('Índice', '[[Receta]]');
+
+            await request(app)
+                .patch(`/api/notes/${recipe._id}`)
+                .set(auth())
+                .send({ title: 'Tortilla', rewriteLinks: false });
+
+            const links = await request(app)
+                .get(`/api/notes/${index._id}/links`)
+                .set(auth());
+            expect(links.body).toEqual([{ target: 'receta', note: null }]);
+        });
+
+        test('rewriteLinks debe ser booleano', async () => {
+            const recipe = await createNote('Receta', 'Tortilla');
+
+            const response = await request(app)
+                .patch(`/api/notes/${recipe._id}`)
+                .set(auth())
+                .send({ title: 'Tortilla', rewriteLinks: 'si' });
+
+            expect(response.status).toBe(400);
+            expect(response.body.details).toContain('rewriteLinks must be a boolean');
+        });
+
+        test('enviar a la papelera debe informar de los enlaces que quedan colgando', async () => {
+            const recipe = await createNote('Receta', 'Tortilla');
+            const index = await createNote('Índice', '[[Receta]]');
+
+            const response = await request(app)
+                .patch(`/api/notes/${recipe._id}/trash`)
+                .set(auth());
+
+            expect(response.status).toBe(200);
+            expect(response.body.status).toBe('trashed');
+            expect(response.body.danglingLinks).toEqual([expect.objectContaining({ _id: index._id, title: 'Índice' })]);
+        });
+    });
+});
@@ -4,9 +4,32 @@ const request = require('supertest');
 const mongoose = require('mongoose');
 const app = require('../../src/app');
 const Note = require('../../src/models/Note');
+const NoteVersion = require('../../src/models/NoteVersion');
 
 describe('Notes API - Integration Tests', () => {
 
+    let token;
+    let userId;
+
+    const auth = () => ({ Authorization: `Bearer ${token}` });
+
+    // El historial vive en la colección NoteVersion
+    const countVersions = (noteId, stack) => NoteVersion.countDocuments({ note: noteId, stack });
+
+    // Cada test parte con un usuario recién registrado
+    beforeEach(async () => {
+        const response = await request(app)
+            .post('/api/auth/register')
+            .send({
+                email: 'owner@example.com',
+                name: 'Owner',
+                password: 'password123'
+            });
+
+        token = response.body.token;
+        userId = response.body.user._id;
+    });
+
     // ============================================
     // TESTS: POST /api/notes (Crear)
     // ============================================
@@ -15,6 +38,7 @@ describe('Notes API - Integration Tests', () => {
         test('debe crear nota con 201', async () => {
             const response = await request(app)
                 .post('/api/notes')
+                .set(auth())
                 .send({
                     title: 'Test Note',
                     content: 'Test Content'
@@ -24,13 +48,15 @@ describe('Notes API - Integration Tests', () => {
             expect(response.body).toHaveProperty('_id');
             expect(response.body.title).toBe('Test Note');
             expect(response.body.content).toBe('Test Content');
-            expect(response.body.versions).toEqual([]);
-            expect(response.body.isDeleted).toBe(false);
+            expect(response.body).not.toHaveProperty('versions');
+            expect(await countVersions(response.body._id, 'undo')).toBe(0);
+            expect(response.body.status).toBe('active');
         });
 
         test('debe retornar 400 sin title', async () => {
             const response = await request(app)
                 .post('/api/notes')
+                .set(auth())
                 .send({ content: 'Content only' });
 
             expect(response.status).toBe(400);
@@ -40,6 +66,7 @@ describe('Notes API - Integration Tests', () => {
         test('debe retornar 400 sin content', async () => {
             const response = await request(app)
                 .post('/api/notes')
+                .set(auth())
                 .send({ title: 'Title only' });
 
             expect(response.status).toBe(400);
@@ -48,6 +75,7 @@ describe('Notes API - Integration Tests', () => {
         test('debe retornar 400 con title vacío', async () => {
             const response = await request(app)
                 .post('/api/notes')
+                .set(auth())
                 .send({ title: '   ', content: 'Content' });
 
             expect(response.status).toBe(400);
@@ -56,6 +84,7 @@ describe('Notes API - Integration Tests', () => {
         test('debe retornar 400 con content vacío', async () => {
             const response = await request(app)
                 .post('/api/notes')
+                .set(auth())
                 .send({ title: 'Title', content: '   ' });
 
             expect(response.status).toBe(400);
@@ -64,6 +93,7 @@ describe('Notes API - Integration Tests', () => {
         test('debe hacer trim de espacios', async () => {
             const response = await request(app)
                 .post('/api/notes')
+                .set(auth())
                 .send({
                     title: '  Trimmed  ',
                     content: '  Content  '
@@ -82,22 +112,24 @@ describe('Notes API - Integration Tests', () => {
     describe('GET /api/notes', () => {
         test('debe listar notas activas', async () => {
             // Crear notas de prueba
-            await Note.create({ title: 'Note 1', content: 'Content 1' });
-            await Note.create({ title: 'Note 2', content: 'Content 2' });
-            await Note.create({ title: 'Deleted', content: 'Content', isDeleted: true });
+            await Note.create({ owner: userId, title: 'Note 1', content: 'Content 1' });
+            await Note.create({ owner: userId, title: 'Note 2', content: 'Content 2' });
+            await Note.create({ owner: userId, title: 'Deleted', content: 'Content', status: 'trashed' });
 
-            const response = await request(app).get('/api/notes');
+            const response = await request(app).get('/api/notes').set(auth());
 
             expect(response.status).toBe(200);
-            expect(response.body).toHaveLength(2);
-            expect(response.body[0].title).toBeDefined();
+            expect(response.body.data).toHaveLength(2);
+            expect(response.body.data[0].title).toBeDefined();
         });
 
         test('debe retornar array vacío si no hay notas', async () => {
-            const response = await request(app).get('/api/notes');
+            const response = await request(app).get('/api/notes').set(auth());
 
             expect(response.status).toBe(200);
-            expect(response.body).toEqual([]);
+            expect(response.body.data).toEqual([]);
+            expect(response.body.total).toBe(0);
+            expect(response.body.nextCursor).toBe(null);
         });
     });
 
@@ -107,25 +139,105 @@ describe('Notes API - Integration Tests', () => {
 
     describe('GET /api/notes/trash', () => {
         test('debe listar solo notas eliminadas', async () => {
-            await Note.create({ title: 'Active', content: 'Content' });
+            await Note.create({ owner: userId, title: 'Active', content: 'Content' });
             await Note.create({
+                owner: userId,
                 title: 'Deleted 1',
                 content: 'Content',
-                isDeleted: true,
+                status: 'trashed',
                 deletedAt: new Date()
             });
             await Note.create({
+                owner: userId,
                 title: 'Deleted 2',
                 content: 'Content',
-                isDeleted: true,
+                status: 'trashed',
                 deletedAt: new Date()
             });
 
-            const response = await request(app).get('/api/notes/trash');
+            const response = await request(app).get('/api/notes/trash').set(auth());
 
             expect(response.status).toBe(200);
-            expect(response.body).toHaveLength(2);
-            expect(response.body.every(n => n.isDeleted)).toBe(true);
+            expect(response.body.data).toHaveLength(2);
+            expect(response.body.data.every(n => n.status === 'trashed')).toBe(true);
+        });
+    });
+
+    // ============================================
+    // TESTS: Paginación, orden y filtros
+    // ============================================
+
+    describe('GET /api/notes - paginación', () => {
+        beforeEach(async () => {
+            for (let i = 1; i <= 5; i++) {
+                await Note.create({
+                    owner: userId,
+                    title: `Nota ${i}`,
+                    content: 'Content',
+                    createdAt: new Date(`2024-01-0${i}T10:00:00Z`)
+                });
+            }
+        });
+
+        test('debe recorrer todas las páginas con el cursor', async () => {
+            const first = await request(app)
+                .get('/api/notes?limit=2')
+                .set(auth());
+
+            expect(first.status).toBe(200);
+            expect(first.body.data.map(n => n.title)).toEqual(['Nota 5', 'Nota 4']);
+            expect(first.body.total).toBe(5);
+            expect(first.body.nextCursor).toBeTruthy();
+
+            const second = await request(app)
+                .get(`/api/notes?limit=2&cursor=${first.body.nextCursor}`)
+                .set(auth());
+
+            expect(second.body.data.map(n => n.title)).toEqual(['Nota 3', 'Nota 2']);
+
+            const last = await request(app)
+                .get(`/api/notes?limit=2&cursor=${second.body.nextCursor}`)
+                .set(auth());
+
+            expect(last.body.data.map(n => n.title)).toEqual(['Nota 1']);
+            expect(last.body.nextCursor).toBe(null);
+        });
+
+        test('debe ordenar por title ascendente', async () => {
+            const response = await request(app)
+                .get('/api/notes?sort=title&order=asc&limit=3')
+                .set(auth());
+
+            expect(response.body.data.map(n => n.title)).toEqual(['Nota 1', 'Nota 2', 'Nota 3']);
+        });
+
+        test('debe filtrar por rango de creación', async () => {
+            const response = await request(app)
+                .get('/api/notes?createdFrom=2024-01-02&createdTo=2024-01-03T23:59:59Z')
+                .set(auth());
+
+            expect(response.body.data).toHaveLength(2);
+            expect(response.body.total).toBe(2);
+        });
+
+        test('debe retornar 400 con sort no permitido', async () => {
+            const response = await request(app)
+                .get('/api/notes?sort=content')
+                .set(auth());
+
+            expect(response.status).toBe(400);
+        });
+
+        test('debe retornar 400 con cursor de otro orden', async () => {
+            const first = await request(app)
+                .get('/api/notes?limit=2')
+                .set(auth());
+
+            const response = await request(app)
+                .get(`/api/notes?sort=title&cursor=${first.body.nextCursor}`)
+                .set(auth());
+
+            expect(response.status).toBe(400);
         });
     });
 
@@ -136,18 +248,20 @@ describe('Notes API - Integration Tests', () => {
     describe('PATCH /api/notes/:id', () => {
         test('debe actualizar nota correctamente', async () => {
             const note = await Note.create({
+                owner: userId,
                 title: 'Original',
                 content: 'Original'
             });
 
             const response = await request(app)
                 .patch(`/api/notes/${note._id}`)
+                .set(auth())
                 .send({ title: 'Updated' });
 
             expect(response.status).toBe(200);
             expect(response.body.title).toBe('Updated');
             expect(response.body.content).toBe('Original');
-            expect(response.body.versions).toHaveLength(2);
+            expect(await countVersions(note._id, 'undo')).toBe(2);
         });
 
         test('debe retornar 404 con ID inexistente', async () => {
@@ -155,6 +269,7 @@ describe('Notes API - Integration Tests', () => {
 
             const response = await request(app)
                 .patch(`/api/notes/${fakeId}`)
+                .set(auth())
                 .send({ title: 'Updated' });
 
             expect(response.status).toBe(404);
@@ -163,6 +278,7 @@ describe('Notes API - Integration Tests', () => {
         test('debe retornar 400 con ID inválido', async () => {
             const response = await request(app)
                 .patch('/api/notes/invalid-id')
+                .set(auth())
                 .send({ title: 'Updated' });
 
             expect(response.status).toBe(400);
@@ -170,18 +286,17 @@ describe('Notes API - Integration Tests', () => {
 
         test('debe retornar 409 en conflicto de concurrencia', async () => {
             const note = await Note.create({
+                owner: userId,
                 title: 'Original Title',
                 content: 'Original Content'
             });
 
-            // Esperar un momento para asegurar que editedAt está definido
-            await new Promise(resolve => setTimeout(resolve, 10));
-
             const freshNote = await Note.findById(note._id);
-            const oldTimestamp = new Date(freshNote.editedAt.getTime() - 1000);
+            const oldTimestamp = new Date(freshNote.updatedAt.getTime() - 1000);
 
             const response = await request(app)
                 .patch(`/api/notes/${note._id}`)
+                .set(auth())
                 .send({
                     title: 'Updated',
                     lastKnownUpdate: oldTimestamp.toISOString()
@@ -193,16 +308,18 @@ describe('Notes API - Integration Tests', () => {
 
         test('NO debe crear versión si no hay cambios reales', async () => {
             const note = await Note.create({
+                owner: userId,
                 title: 'Same',
                 content: 'Same'
             });
 
             const response = await request(app)
                 .patch(`/api/notes/${note._id}`)
+                .set(auth())
                 .send({ title: 'Same', content: 'Same' });
 
             expect(response.status).toBe(200);
-            expect(response.body.versions).toHaveLength(0);
+            expect(await countVersions(note._id, 'undo')).toBe(0);
         });
     });
 
@@ -213,6 +330,7 @@ describe('Notes API - Integration Tests', () => {
     describe('POST /api/notes/:id/undo', () => {
         test('debe deshacer cambios correctamente', async () => {
             const note = await Note.create({
+                owner: userId,
                 title: 'Version 1',
                 content: 'Content 1'
             });
@@ -220,25 +338,29 @@ describe('Notes API - Integration Tests', () => {
             // Hacer un cambio
             await request(app)
                 .patch(`/api/notes/${note._id}`)
+                .set(auth())
                 .send({ title: 'Version 2' });
 
             // Undo
             const response = await request(app)
-                .post(`/api/notes/${note._id}/undo`);
+                .post(`/api/notes/${note._id}/undo`)
+                .set(auth());
 
             expect(response.status).toBe(200);
             expect(response.body.title).toBe('Version 1');
-            expect(response.body.redoStack).toHaveLength(1);
+            expect(await countVersions(note._id, 'redo')).toBe(1);
         });
 
         test('debe retornar 400 si no hay historial', async () => {
             const note = await Note.create({
+                owner: userId,
                 title: 'New',
                 content: 'Content'
             });
 
             const response = await request(app)
-                .post(`/api/notes/${note._id}/undo`);
+                .post(`/api/notes/${note._id}/undo`)
+                .set(auth());
 
             expect(response.status).toBe(400);
             expect(response.body.error).toContain('No history');
@@ -248,7 +370,8 @@ describe('Notes API - Integration Tests', () => {
             const fakeId = new mongoose.Types.ObjectId();
 
             const response = await request(app)
-                .post(`/api/notes/${fakeId}/undo`);
+                .post(`/api/notes/${fakeId}/undo`)
+                .set(auth());
 
             expect(response.status).toBe(404);
         });
@@ -261,6 +384,7 @@ describe('Notes API - Integration Tests', () => {
     describe('POST /api/notes/:id/redo', () => {
         test('debe rehacer cambios correctamente', async () => {
             const note = await Note.create({
+                owner: userId,
                 title: 'Version 1',
                 content: 'Content 1'
             });
@@ -268,28 +392,32 @@ describe('Notes API - Integration Tests', () => {
             // Cambio
             await request(app)
                 .patch(`/api/notes/${note._id}`)
+                .set(auth())
                 .send({ title: 'Version 2' });
 
             // Undo
-            await request(app).post(`/api/notes/${note._id}/undo`);
+            await request(app).post(`/api/notes/${note._id}/undo`).set(auth());
 
             // Redo
             const response = await request(app)
-                .post(`/api/notes/${note._id}/redo`);
+                .post(`/api/notes/${note._id}/redo`)
+                .set(auth());
 
             expect(response.status).toBe(200);
             expect(response.body.title).toBe('Version 2');
-            expect(response.body.redoStack).toHaveLength(0);
+            expect(await countVersions(note._id, 'redo')).toBe(0);
         });
 
         test('debe retornar 400 si no hay acciones para rehacer', async () => {
             const note = await Note.create({
+                owner: userId,
                 title: 'Note',
                 content: 'Content'
             });
 
             const response = await request(app)
-                .post(`/api/notes/${note._id}/redo`);
+                .post(`/api/notes/${note._id}/redo`)
+                .set(auth());
 
             expect(response.status).toBe(400);
         });
@@ -302,15 +430,17 @@ describe('Notes API - Integration Tests', () => {
     describe('PATCH /api/notes/:id/trash', () => {
         test('debe mover nota a papelera', async () => {
             const note = await Note.create({
+                owner: userId,
                 title: 'Note',
                 content: 'Content'
             });
 
             const response = await request(app)
-                .patch(`/api/notes/${note._id}/trash`);
+                .patch(`/api/notes/${note._id}/trash`)
+                .set(auth());
 
             expect(response.status).toBe(200);
-            expect(response.body.isDeleted).toBe(true);
+            expect(response.body.status).toBe('trashed');
             expect(response.body.deletedAt).toBeDefined();
         });
 
@@ -318,7 +448,8 @@ describe('Notes API - Integration Tests', () => {
             const fakeId = new mongoose.Types.ObjectId();
 
             const response = await request(app)
-                .patch(`/api/notes/${fakeId}/trash`);
+                .patch(`/api/notes/${fakeId}/trash`)
+                .set(auth());
 
             expect(response.status).toBe(404);
         });
@@ -331,28 +462,32 @@ describe('Notes API - Integration Tests', () => {
     describe('PATCH /api/notes/:id/restore', () => {
         test('debe restaurar nota de papelera', async () => {
             const note = await Note.create({
+                owner: userId,
                 title: 'Note',
                 content: 'Content',
-                isDeleted: true,
+                status: 'trashed',
                 deletedAt: new Date()
             });
 
             const response = await request(app)
-                .patch(`/api/notes/${note._id}/restore`);
+                .patch(`/api/notes/${note._id}/restore`)
+                .set(auth());
 
             expect(response.status).toBe(200);
-            expect(response.body.isDeleted).toBe(false);
+            expect(response.body.status).toBe('active');
             expect(response.body.deletedAt).toBe(null);
         });
 
         test('debe retornar 404 si nota no está en papelera', async () => {
             const note = await Note.create({
+                owner: userId,
                 title: 'Active',
                 content: 'Content'
             });
 
             const response = await request(app)
-                .patch(`/api/notes/${note._id}/restore`);
+                .patch(`/api/notes/${note._id}/restore`)
+                .set(auth());
 
             expect(response.status).toBe(404);
         });
@@ -365,14 +500,16 @@ describe('Notes API - Integration Tests', () => {
     describe('DELETE /api/notes/:id/permanent', () => {
         test('debe eliminar permanentemente nota en papelera', async () => {
             const note = await Note.create({
+                owner: userId,
                 title: 'Note',
                 content: 'Content',
-                isDeleted: true,
+                status: 'trashed',
                 deletedAt: new Date()
             });
 
             const response = await request(app)
-                .delete(`/api/notes/${note._id}/permanent`);
+                .delete(`/api/notes/${note._id}/permanent`)
+                .set(auth());
 
             expect(response.status).toBe(204);
 
@@ -382,12 +519,14 @@ describe('Notes API - Integration Tests', () => {
 
         test('debe retornar 404 si nota no está en papelera', async () => {
             const note = await Note.create({
+                owner: userId,
                 title: 'Active',
                 content: 'Content'
             });
 
             const response = await request(app)
-                .delete(`/api/notes/${note._id}/permanent`);
+                .delete(`/api/notes/${note._id}/permanent`)
+                .set(auth());
 
             expect(response.status).toBe(404);
         });
@@ -402,6 +541,7 @@ describe('Notes API - Integration Tests', () => {
             // Crear
             let response = await request(app)
                 .post('/api/notes')
+                .set(auth())
                 .send({ title: 'Version 1', content: 'Content 1' });
 
             const noteId = response.body._id;
@@ -410,19 +550,22 @@ describe('Notes API - Integration Tests', () => {
             // Editar
             response = await request(app)
                 .patch(`/api/notes/${noteId}`)
+                .set(auth())
                 .send({ title: 'Version 2' });
             expect(response.status).toBe(200);
             expect(response.body.title).toBe('Version 2');
 
             // Undo
             response = await request(app)
-                .post(`/api/notes/${noteId}/undo`);
+                .post(`/api/notes/${noteId}/undo`)
+                .set(auth());
             expect(response.status).toBe(200);
             expect(response.body.title).toBe('Version 1');
 
             // Redo
             response = await request(app)
-                .post(`/api/notes/${noteId}/redo`);
+                .post(`/api/notes/${noteId}/redo`)
+                .set(auth());
             expect(response.status).toBe(200);
             expect(response.body.title).toBe('Version 2');
         });
@@ -431,24 +574,27 @@ describe('Notes API - Integration Tests', () => {
             // Crear
             let response = await request(app)
                 .post('/api/notes')
+                .set(auth())
                 .send({ title: 'Note', content: 'Content' });
 
             const noteId = response.body._id;
 
             // A papelera
-            await request(app).patch(`/api/notes/${noteId}/trash`);
+            await request(app).patch(`/api/notes/${noteId}/trash`).set(auth());
 
             // Restaurar
             response = await request(app)
-                .patch(`/api/notes/${noteId}/restore`);
-            expect(response.body.isDeleted).toBe(false);
+                .patch(`/api/notes/${noteId}/restore`)
+                .set(auth());
+            expect(response.body.status).toBe('active');
 
             // Volver a papelera
-            await request(app).patch(`/api/notes/${noteId}/trash`);
+            await request(app).patch(`/api/notes/${noteId}/trash`).set(auth());
 
             // Eliminar permanente
             response = await request(app)
-                .delete(`/api/notes/${noteId}/permanent`);
+                .delete(`/api/notes/${noteId}/permanent`)
+                .set(auth());
             expect(response.status).toBe(204);
 
             // Verificar que ya no existe
@@ -459,6 +605,7 @@ describe('Notes API - Integration Tests', () => {
         test('undo después de edición debe invalidar redo', async () => {
             let response = await request(app)
                 .post('/api/notes')
+                .set(auth())
                 .send({ title: 'Version 1', content: 'Content 1' });
 
             const noteId = response.body._id;
@@ -466,19 +613,22 @@ describe('Notes API - Integration Tests', () => {
             // Edit 1
             await request(app)
                 .patch(`/api/notes/${noteId}`)
+                .set(auth())
                 .send({ title: 'Version 2' });
 
             // Undo
-            await request(app).post(`/api/notes/${noteId}/undo`);
+            await request(app).post(`/api/notes/${noteId}/undo`).set(auth());
 
             // Edit 2 (esto invalida redo)
             await request(app)
                 .patch(`/api/notes/${noteId}`)
+                .set(auth())
                 .send({ title: 'Version 3' });
 
             // Intentar redo debe fallar
             response = await request(app)
-                .post(`/api/notes/${noteId}/redo`);
+                .post(`/api/notes/${noteId}/redo`)
+                .set(auth());
             expect(response.status).toBe(400);
         });
     });
@@ -493,6 +643,7 @@ describe('Notes API - Integration Tests', () => {
 
             const response = await request(app)
                 .post('/api/notes')
+                .set(auth())
                 .send({ title: longTitle, content: 'Content' });
 
             expect(response.status).toBe(400);
@@ -503,6 +654,7 @@ describe('Notes API - Integration Tests', () => {
 
             const response = await request(app)
                 .post('/api/notes')
+                .set(auth())
                 .send({ title: 'Title', content: longContent });
 
             expect(response.status).toBe(400);
@@ -511,6 +663,7 @@ describe('Notes API - Integration Tests', () => {
         test('debe sanitizar entrada con espacios', async () => {
             const response = await request(app)
                 .post('/api/notes')
+                .set(auth())
                 .send({
                     title: '  Spaces  ',
                     content: '  Content  ',
@@ -526,6 +679,7 @@ describe('Notes API - Integration Tests', () => {
         test('debe manejar caracteres especiales correctamente', async () => {
             const response = await request(app)
                 .post('/api/notes')
+                .set(auth())
                 .send({
                     title: '<script>alert("xss")</script>',
                     content: 'Content & < >'
@@ -536,4 +690,66 @@ describe('Notes API - Integration Tests', () => {
         });
     });
 
+    // ============================================
+    // TESTS: Aislamiento por propietario
+    // ============================================
+
+    describe('Aislamiento por propietario', () => {
+        let otherNote;
+
+        beforeEach(async () => {
+            const other = await request(app)
+                .post('/api/auth/register')
+                .send({
+                    email: 'other@example.com',
+                    name: 'Other',
+                    password: 'password123'
+                });
+
+            otherNote = await Note.create({
+                owner: other.body.user._id,
+                title: 'Ajena',
+                content: 'No es mía'
+            });
+        });
+
+        test('debe retornar 401 sin token', async () => {
+            const response = await request(app).get('/api/notes');
+
+            expect(response.status).toBe(401);
+        });
+
+        test('NO debe listar notas de otro usuario', async () => {
+            await Note.create({ owner: userId, title: 'Mía', content: 'Content' });
+
+            const response = await request(app).get('/api/notes').set(auth());
+
+            expect(response.status).toBe(200);
+            expect(response.body.data).toHaveLength(1);
+            expect(response.body.data[0].title).toBe('Mía');
+        });
+
+        test('NO debe permitir editar nota de otro usuario', async () => {
+            const response = await request(app)
+                .patch(`/api/notes/${otherNote._id}`)
+                .set(auth())
+                .send({ title: 'Robada' });
+
+            expect(response.status).toBe(404);
+        });
+
+        test('NO debe permitir eliminar permanentemente nota de otro usuario', async () => {
+            otherNote.status = 'trashed';
+            otherNote.deletedAt = new Date();
+            await otherNote.save();
+
+            const response = await request(app)
+                .delete(`/api/notes/${otherNote._id}/permanent`)
+                .set(auth());
+
+            expect(response.status).toBe(404);
+            expect(await Note.findById(otherNote._id)).not.toBe(null);
+        });
+    });
+
 });
\ No newline at end of file
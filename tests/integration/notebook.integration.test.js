@@ -0,0 +1,261 @@
+// tests/integration/notebook.integration.test.js
+
+const request = require('supertest');
+const app = require('../../src/app');
+const Note = require('../../src/models/Note');
+
+describe('Notebooks API - Integration Tests', () => {
+
+    let token;
+
+    const auth = () => ({ Authorization: `Bearer ${token}` });
+
+    const createNotebook = (name, parentId) =>
+        request(app)
+            .post('/api/notebooks')
+            .set(auth())
+            .send(parentId ? { name, parentId } : { name });
+
+    const createNote = (title, notebookId) =>
+        request(app)
+            .post('/api/notes')
+            .set(auth())
+            .send(notebookId ? { title, content: 'Content', notebookId } : { title, content: 'Content' });
+
+    beforeEach(async () => {
+        const response = await request(app)
+            .post('/api/auth/register')
+            .send({
+                email: 'notebooks@example.com',
+                name: 'Notebooks',
+                password: 'password123'
+            });
+
+        token = response.body.token;
+    });
+
+    // ============================================
+    // TESTS: Árbol de libretas
+    // ============================================
+
+    describe('POST / GET /api/notebooks', () => {
+        test('debe crear libretas anidadas bajo la raíz', async () => {
+            const work = await createNotebook('Trabajo');
+            await createNotebook('Proyectos', work.body._id);
+
+            const response = await request(app)
+                .get('/api/notebooks')
+                .set(auth());
+
+            expect(response.status).toBe(200);
+            expect(response.body).toHaveLength(1);
+
+            const [root] = response.body;
+            expect(root.isRoot).toBe(true);
+            expect(root.children[0].name).toBe('Trabajo');
+            expect(root.children[0].children[0].name).toBe('Proyectos');
+        });
+
+        test('debe retornar 400 sin nombre', async () => {
+            const response = await createNotebook('');
+
+            expect(response.status).toBe(400);
+        });
+
+        test('debe retornar 404 con padre inexistente', async () => {
+            const response = await createNotebook('Suelta', '507f1f77bcf86cd799439011');
+
+            expect(response.status).toBe(404);
+        });
+    });
+
+    describe('PATCH /api/notebooks/:id y /:id/move', () => {
+        test('debe renombrar una libreta', async () => {
+            const notebook = await createNotebook('Trabajo');
+
+            const response = await request(app)
+                .patch(`/api/notebooks/${notebook.body._id}`)
+                .set(auth())
+                .send({ name: 'Oficina' });
+
+            expect(response.status).toBe(200);
+            expect(response.body.name).toBe('Oficina');
+        });
+
+        test('debe mover una libreta bajo otra', async () => {
+            const work = await createNotebook('Trabajo');
+            const personal = await createNotebook('Personal');
+
+            const response = await request(app)
+                .patch(`/api/notebooks/${personal.body._id}/move`)
+                .set(auth())
+                .send({ parentId: work.body._id });
+
+            expect(response.status).toBe(200);
+            expect(response.body.parent).toBe(work.body._id);
+        });
+
+        test('debe retornar 400 al mover una libreta dentro de su descendiente', async () => {
+            const work = await createNotebook('Trabajo');
+            const projects = await createNotebook('Proyectos', work.body._id);
+
+            const response = await request(app)
+                .patch(`/api/notebooks/${work.body._id}/move`)
+                .set(auth())
+                .send({ parentId: projects.body._id });
+
+            expect(response.status).toBe(400);
+        });
+
+        test('no debe poder mover la libreta raíz', async () => {
+            const work = await createNotebook('Trabajo');
+
+            const response = await request(app)
+                .patch(`/api/notebooks/${work.body.parent}/move`)
+                .set(auth())
+                .send({ parentId: work.body._id });
+
+            expect(response.status).toBe(400);
+        });
+    });
+
+    // ============================================
+    // TESTS: Notas dentro de libretas
+    // ============================================
+
+    describe('Notas y libretas', () => {
+        test('una nota sin libreta debe ir a la raíz', async () => {
+            const note = await createNote('Sin libreta');
+            const tree = await request(app).get('/api/notebooks').set(auth());
+
+            expect(note.body.notebookId).toBe(tree.body[0]._id);
+        });
+
+        test('debe filtrar el listado por libreta', async () => {
+            const work = await createNotebook('Trabajo');
+            await createNote('En trabajo', work.body._id);
+            await createNote('En la raíz');
+
+            const response = await request(app)
+                .get(`/api/notes?notebookId=${work.body._id}`)
+                .set(auth());
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.map(n => n.title)).toEqual(['En trabajo']);
+        });
+
+        test('debe mover una nota a otra libreta', async () => {
+            const work = await createNotebook('Trabajo');
+            const note = await createNote('Nota');
+
+            const response = await request(app)
+                .patch(`/api/notes/${note.body._id}/notebook`)
+                .set(auth())
+                .send({ notebookId: work.body._id });
+
+            expect(response.status).toBe(200);
+            expect(response.body.notebookId).toBe(work.body._id);
+
+            // Mover no es una edición: no deja versión que deshacer
+            const versions = await request(app)
+                .get(`/api/notes/${note.body._id}/versions`)
+                .set(auth());
+            expect(versions.body).toHaveLength(1);
+        });
+
+        test('debe retornar 404 al mover a una libreta inexistente', async () => {
+            const note = await createNote('Nota');
+
+            const response = await request(app)
+                .patch(`/api/notes/${note.body._id}/notebook`)
+                .set(auth())
+                .send({ notebookId: '507f1f77bcf86cd799439011' });
+
+            expect(response.status).toBe(404);
+        });
+    });
+
+    // ============================================
+    // TESTS: Eliminar libretas
+    // ============================================
+
+    describe('DELETE /api/notebooks/:id', () => {
+        test('debe enviar a la papelera las notas de la libreta y sus sub-libretas', async () => {
+            const work = await createNotebook('Trabajo');
+            const projects = await createNotebook('Proyectos', work.body._id);
+            await createNote('Nota de trabajo', work.body._id);
+            await createNote('Nota de proyecto', projects.body._id);
+
+            const response = await request(app)
+                .delete(`/api/notebooks/${work.body._id}`)
+                .set(auth());
+
+            expect(response.status).toBe(200);
+            expect(response.body).toEqual({ deletedNotebooks: 2, trashedNotes: 2 });
+
+            const trash = await request(app).get('/api/notes/trash').set(auth());
+            expect(trash.body.total).toBe(2);
+
+            const tree = await request(app).get('/api/notebooks').set(auth());
+            expect(tree.body[0].children).toHaveLength(0);
+        });
+
+        test('debe enviar todas las notas de una vez, sin tocar las que ya estaban en la papelera', async () => {
+            const work = await createNotebook('Trabajo');
+            const first = await createNote('Primera', work.body._id);
+            const second = await createNote('Segunda', work.body._id);
+            const trashed = await createNote('En la papelera', work.body._id);
+            await request(app).patch(`/api/notes/${trashed.body._id}/trash`).set(auth());
+            const { deletedAt } = await Note.findById(trashed.body._id);
+
+            const response = await request(app).delete(`/api/notebooks/${work.body._id}`).set(auth());
+
+            expect(response.body.trashedNotes).toBe(2);
+
+            const notes = await Note.find({ _id: { $in: [first.body._id, second.body._id] } });
+            expect(notes.map(note => [note.status, note.revision])).toEqual([['trashed', 2], ['trashed', 2]]);
+            expect(notes[0].deletedAt).toEqual(notes[1].deletedAt);
+            expect((await Note.findById(trashed.body._id)).deletedAt).toEqual(deletedAt);
+        });
+
+        test('debe enviar todas las notas de una vez, recordando su estado y subiendo la revisión', async () => {
+            const work = await createNotebook('Trabajo');
+            const active = await createNote('Activa', work.body._id);
+            const archived = await createNote('Archivada', work.body._id);
+            await request(app).patch(`/api/notes/${archived.body._id}/archive`).set(auth());
+
+            await request(app).delete(`/api/notebooks/${work.body._id}`).set(auth());
+
+            const notes = await Note.find({ _id: { $in: [active.body._id, archived.body._id] } }).sort({ title: 1 });
+            expect(notes.map(note => [note.title, note.status, note.previousStatus, note.revision])).toEqual([
+                ['Activa', 'trashed', 'active', 2],
+                ['Archivada', 'trashed', 'archived', 3]
+            ]);
+            expect(notes.every(note => note.deletedAt instanceof Date)).toBe(true);
+        });
+
+        test('al restaurar, la nota debe volver a la raíz', async () => {
+            const work = await createNotebook('Trabajo');
+            const note = await createNote('Nota', work.body._id);
+
+            await request(app).delete(`/api/notebooks/${work.body._id}`).set(auth());
+
+            const response = await request(app)
+                .patch(`/api/notes/${note.body._id}/restore`)
+                .set(auth());
+
+            expect(response.status).toBe(200);
+            expect(response.body.notebookId).toBe(work.body.parent);
+        });
+
+        test('no debe poder eliminar la libreta raíz', async () => {
+            const work = await createNotebook('Trabajo');
+
+            const response = await request(app)
+                .delete(`/api/notebooks/${work.body.parent}`)
+                .set(auth());
+
+            expect(response.status).toBe(400);
+        });
+    });
+});
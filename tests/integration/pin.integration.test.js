@@ -0,0 +1,188 @@
+// tests/integration/pin.integration.test.js
+
+const request = require('supertest');
+const app = require('../../src/app');
+
+describe('Pin / Favorite API - Integration Tests', () => {
+
+    let token;
+
+    const auth = () => ({ Authorization: `Bearer ${token}` });
+
+    async function createNote(title) {
+        const response = await request(app)
+            .post('/api/notes')
+            .set(auth())
+            .send({ title, content: 'Contenido' });
+        return response.body;
+    }
+
+    const pin = (id, body) => request(app)
+        .patch(`/api/notes/${id}/pin`)
+        .set(auth())
+        .send(body);
+
+    const titles = response => response.body.data.map(note => note.title);
+
+    beforeEach(async () => {
+        const response = await request(app)
+            .post('/api/auth/register')
+            .send({
+                email: 'pin@example.com',
+                name: 'Pin',
+                password: 'password123'
+            });
+
+        token = response.body.token;
+    });
+
+    // ============================================
+    // TESTS: PATCH /api/notes/:id/pin
+    // ============================================
+
+    describe('PATCH /api/notes/:id/pin', () => {
+        test('las fijadas deben listarse primero, en el orden en que se fijaron', async () => {
+            const first = await createNote('Primera');
+            await createNote('Segunda');
+            const third = await createNote('Tercera');
+
+            await pin(first._id, { pinned: true });
+            const response = await pin(third._id, { pinned: true });
+
+            expect(response.status).toBe(200);
+            expect(response.body).toMatchObject({ isPinned: true, pinPosition: 1 });
+
+            const list = await request(app).get('/api/notes').set(auth());
+            expect(titles(list)).toEqual(['Primera', 'Tercera', 'Segunda']);
+        });
+
+        test('position debe reordenar las fijadas', async () => {
+            const first = await createNote('Primera');
+            const second = await createNote('Segunda');
+            const third = await createNote('Tercera');
+
+            for (const note of [first, second, third]) {
+                await pin(note._id, { pinned: true });
+            }
+            await pin(third._id, { pinned: true, position: 0 });
+
+            const list = await request(app).get('/api/notes?sort=title&order=asc').set(auth());
+            expect(titles(list)).toEqual(['Tercera', 'Primera', 'Segunda']);
+        });
+
+        test('el cursor debe pasar de las fijadas a las demás sin repetir ni saltar notas', async () => {
+            const notes = [];
+            for (const title of ['Nota A', 'Nota B', 'Nota C', 'Nota D', 'Nota E']) {
+                notes.push(await createNote(title));
+            }
+            await pin(notes[3]._id, { pinned: true });
+            await pin(notes[1]._id, { pinned: true });
+
+            const seen = [];
+            let cursor = null;
+            do {
+                const response = await request(app)
+                    .get('/api/notes')
+                    .query({ limit: 2, ...(cursor ? { cursor } : {}) })
+                    .set(auth());
+                seen.push(...titles(response));
+                cursor = response.body.nextCursor;
+            } while (cursor);
+
+            expect(seen).toEqual(['Nota D', 'Nota B', 'Nota E', 'Nota C', 'Nota A']);
+        });
+
+        test('soltar la nota debe devolverla a su sitio y fijar no debe crear versión', async () => {
+            const first = await createNote('Primera');
+            await createNote('Segunda');
+
+            await pin(first._id, { pinned: true });
+            const response = await pin(first._id, { pinned: false });
+
+            expect(response.body).toMatchObject({ isPinned: false, pinPosition: null });
+
+            const list = await request(app).get('/api/notes').set(auth());
+            expect(titles(list)).toEqual(['Segunda', 'Primera']);
+
+            const versions = await request(app)
+                .get(`/api/notes/${first._id}/versions`)
+                .set(auth());
+            expect(versions.body).toHaveLength(1);
+        });
+
+        test('debe validar pinned y position', async () => {
+            const note = await createNote('Primera');
+
+            const response = await pin(note._id, { pinned: 'si', position: -1 });
+
+            expect(response.status).toBe(400);
+            expect(response.body.details).toEqual([
+                'pinned must be a boolean',
+                'position must be a non-negative integer'
+            ]);
+
+            const unpinning = await pin(note._id, { pinned: false, position: 0 });
+            expect(unpinning.body.details).toEqual(['position can only be set when pinning']);
+        });
+
+        test('un editor no debe poder fijar la nota', async () => {
+            const note = await createNote('Compartida');
+            const editor = await request(app)
+                .post('/api/auth/register')
+                .send({ email: 'editor@example.com', name: 'Editor', password: 'password123' });
+
+            await request(app)
+                .post(`/api/notes/${note._id}/shares`)
+                .set(auth())
+                .send({ email: 'editor@example.com', role: 'editor' });
+
+            const response = await request(app)
+                .patch(`/api/notes/${note._id}/pin`)
+                .set({ Authorization: `Bearer ${editor.body.token}` })
+                .send({ pinned: true });
+
+            expect(response.status).toBe(403);
+        });
+    });
+
+    // ============================================
+    // TESTS: PATCH /api/notes/:id/favorite
+    // ============================================
+
+    describe('PATCH /api/notes/:id/favorite', () => {
+        test('debe marcar la nota y permitir filtrar por favoritas', async () => {
+            const favorite = await createNote('Favorita');
+            await createNote('Normal');
+
+            const response = await request(app)
+                .patch(`/api/notes/${favorite._id}/favorite`)
+                .set(auth())
+                .send({ favorite: true });
+
+            expect(response.status).toBe(200);
+            expect(response.body.isFavorite).toBe(true);
+
+            const favorites = await request(app).get('/api/notes?favorite=true').set(auth());
+            expect(titles(favorites)).toEqual(['Favorita']);
+            expect(favorites.body.total).toBe(1);
+
+            const others = await request(app).get('/api/notes?favorite=false').set(auth());
+            expect(titles(others)).toEqual(['Normal']);
+        });
+
+        test('debe validar favorite en el cuerpo y en la query', async () => {
+            const note = await createNote('Nota');
+
+            const response = await request(app)
+                .patch(`/api/notes/${note._id}/favorite`)
+                .set(auth())
+                .send({});
+            expect(response.status).toBe(400);
+            expect(response.body.details).toContain('favorite must be a boolean');
+
+            const list = await request(app).get('/api/notes?favorite=si').set(auth());
+            expect(list.status).toBe(400);
+            expect(list.body.details).toContain('favorite must be true or false');
+        });
+    });
+});
@@ -0,0 +1,125 @@
+// tests/integration/render.integration.test.js
+
+const request = require('supertest');
+const app = require('../../src/app');
+const Note = require('../../src/models/Note');
+
+describe('Render API - Integration Tests', () => {
+
+    let token;
+    let userId;
+
+    const auth = () => ({ Authorization: `Bearer ${token}` });
+
+    beforeEach(async () => {
+        const response = await request(app)
+            .post('/api/auth/register')
+            .send({
+                email: 'render@example.com',
+                name: 'Render',
+                password: 'password123'
+            });
+
+        token = response.body.token;
+        userId = response.body.user._id;
+    });
+
+    // ============================================
+    // TESTS: format
+    // ============================================
+
+    describe('Campo format', () => {
+        test('las notas nuevas deben ser markdown por defecto', async () => {
+            const response = await request(app)
+                .post('/api/notes')
+                .set(auth())
+                .send({ title: 'Nueva', content: 'Contenido' });
+
+            expect(response.status).toBe(201);
+            expect(response.body.format).toBe('markdown');
+        });
+
+        test('debe aceptar plain al crear y cambiarlo al actualizar sin crear versión', async () => {
+            const created = await request(app)
+                .post('/api/notes')
+                .set(auth())
+                .send({ title: 'Texto', content: 'Contenido', format: 'plain' });
+            expect(created.body.format).toBe('plain');
+
+            const updated = await request(app)
+                .patch(`/api/notes/${created.body._id}`)
+                .set(auth())
+                .send({ format: 'markdown' });
+            expect(updated.status).toBe(200);
+            expect(updated.body.format).toBe('markdown');
+
+            const versions = await request(app)
+                .get(`/api/notes/${created.body._id}/versions`)
+                .set(auth());
+            expect(versions.body).toHaveLength(1);
+        });
+
+        test('debe rechazar formatos desconocidos', async () => {
+            const response = await request(app)
+                .post('/api/notes')
+                .set(auth())
+                .send({ title: 'Nueva', content: 'Contenido', format: 'html' });
+
+            expect(response.status).toBe(400);
+            expect(response.body.details).toContain('format must be one of: plain, markdown');
+        });
+    });
+
+    // ============================================
+    // TESTS: GET /api/notes/:id/render
+    // ============================================
+
+    describe('GET /api/notes/:id/render', () => {
+        test('debe devolver el HTML saneado con la revisión como ETag', async () => {
+            const note = await Note.create({
+                owner: userId,
+                title: 'Tareas',
+                content: '- [x] hecha\n\n<script>alert(1)</script>\n\n```js\nlet a;\n```'
+            });
+
+            const response = await request(app)
+                .get(`/api/notes/${note._id}/render`)
+                .set(auth());
+
+            expect(response.status).toBe(200);
+            expect(response.headers.etag).toBe('"1"');
+            expect(response.body).toMatchObject({ _id: note._id.toString(), format: 'markdown', revision: 1 });
+            expect(response.body.html).toContain('<input checked disabled type="checkbox" /> hecha');
+            expect(response.body.html).toContain('<code class="language-js">');
+            expect(response.body.html).not.toContain('<script');
+        });
+
+        test('las notas plain deben renderizarse como texto escapado', async () => {
+            const note = await Note.create({ owner: userId, title: 'Plana', content: '# <b>no</b>', format: 'plain' });
+
+            const response = await request(app)
+                .get(`/api/notes/${note._id}/render`)
+                .set(auth());
+
+            expect(response.body.html).toBe('<p># &lt;b&gt;no&lt;/b&gt;</p>');
+        });
+
+        test('debe responder 404 con notas ajenas o en la papelera', async () => {
+            const other = await Note.create({ owner: '507f1f77bcf86cd799439099', title: 'Ajena', content: 'Contenido' });
+            const trashed = await Note.create({
+                owner: userId,
+                title: 'Borrada',
+                content: 'Contenido',
+                status: 'trashed',
+                deletedAt: new Date()
+            });
+
+            for (const id of [other._id, trashed._id]) {
+                const response = await request(app)
+                    .get(`/api/notes/${id}/render`)
+                    .set(auth());
+                expect(response.status).toBe(404);
+            }
+        });
+    });
+});
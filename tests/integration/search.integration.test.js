@@ -0,0 +1,100 @@
+// tests/integration/search.integration.test.js
+
+const request = require('supertest');
+const app = require('../../src/app');
+const Note = require('../../src/models/Note');
+
+describe('Search API - Integration Tests', () => {
+
+    let token;
+    let userId;
+
+    const auth = () => ({ Authorization: `Bearer ${token}` });
+
+    beforeEach(async () => {
+        // El índice de texto debe existir antes de usar $text
+        await Note.init();
+
+        const response = await request(app)
+            .post('/api/auth/register')
+            .send({
+                email: 'search@example.com',
+                name: 'Search',
+                password: 'password123'
+            });
+
+        token = response.body.token;
+        userId = response.body.user._id;
+
+        await Note.create({ owner: userId, title: 'Receta de paella', content: 'Arroz, azafrán y marisco' });
+        await Note.create({ owner: userId, title: 'Lista de compra', content: 'Comprar arroz y leche' });
+        await Note.create({ owner: userId, title: 'Viaje', content: 'Reservar hotel' });
+        await Note.create({
+            owner: userId,
+            title: 'Arroz viejo',
+            content: 'Nota olvidada',
+            status: 'trashed',
+            deletedAt: new Date()
+        });
+    });
+
+    // ============================================
+    // TESTS: GET /api/notes/search
+    // ============================================
+
+    describe('GET /api/notes/search', () => {
+        test('debe ordenar por relevancia (el título pesa más)', async () => {
+            const response = await request(app)
+                .get('/api/notes/search?q=paella arroz')
+                .set(auth());
+
+            expect(response.status).toBe(200);
+            expect(response.body.total).toBe(2);
+            expect(response.body.data[0].title).toBe('Receta de paella');
+            expect(response.body.data[0].score).toBeGreaterThan(response.body.data[1].score);
+        });
+
+        test('debe devolver fragmentos resaltados', async () => {
+            const response = await request(app)
+                .get('/api/notes/search?q=leche')
+                .set(auth());
+
+            expect(response.body.data).toHaveLength(1);
+            expect(response.body.data[0].highlights.content).toBe('Comprar arroz y <mark>leche</mark>');
+            expect(response.body.data[0].highlights.title).toBe('Lista de compra');
+        });
+
+        test('NO debe incluir notas de la papelera', async () => {
+            const response = await request(app)
+                .get('/api/notes/search?q=olvidada')
+                .set(auth());
+
+            expect(response.body.data).toHaveLength(0);
+        });
+
+        test('debe retornar 400 sin q', async () => {
+            const response = await request(app)
+                .get('/api/notes/search')
+                .set(auth());
+
+            expect(response.status).toBe(400);
+        });
+    });
+
+    // ============================================
+    // TESTS: GET /api/notes/trash/search
+    // ============================================
+
+    describe('GET /api/notes/trash/search', () => {
+        test('debe buscar solo en la papelera', async () => {
+            const response = await request(app)
+                .get('/api/notes/trash/search?q=arroz')
+                .set(auth());
+
+            expect(response.status).toBe(200);
+            expect(response.body.data).toHaveLength(1);
+            expect(response.body.data[0].title).toBe('Arroz viejo');
+            expect(response.body.data[0].highlights.title).toBe('<mark>Arroz</mark> viejo');
+        });
+    });
+});
@@ -0,0 +1,230 @@
+// tests/integration/share.integration.test.js
+
+const request = require('supertest');
+const app = require('../../src/app');
+const Note = require('../../src/models/Note');
+
+describe('Note Sharing - Integration Tests', () => {
+
+    const users = {};
+    let noteId;
+
+    const auth = name => ({ Authorization: `Bearer ${users[name].token}` });
+
+    async function register(name) {
+        const response = await request(app)
+            .post('/api/auth/register')
+            .send({
+                email: `${name}@example.com`,
+                name,
+                password: 'password123'
+            });
+
+        users[name] = { token: response.body.token, id: response.body.user._id };
+    }
+
+    async function share(email, role) {
+        return request(app)
+            .post(`/api/notes/${noteId}/shares`)
+            .set(auth('owner'))
+            .send({ email, role });
+    }
+
+    beforeEach(async () => {
+        await register('owner');
+        await register('editor');
+        await register('viewer');
+        await register('stranger');
+
+        const note = await Note.create({
+            owner: users.owner.id,
+            title: 'Compartida',
+            content: 'Contenido'
+        });
+        noteId = note._id.toString();
+
+        await share('editor@example.com', 'editor');
+        await share('viewer@example.com', 'viewer');
+    });
+
+    // ============================================
+    // TESTS: POST / GET / DELETE /api/notes/:id/shares
+    // ============================================
+
+    describe('Gestión de comparticiones', () => {
+        test('debe listar usuarios con acceso y su rol', async () => {
+            const response = await request(app)
+                .get(`/api/notes/${noteId}/shares`)
+                .set(auth('owner'));
+
+            expect(response.status).toBe(200);
+            expect(response.body).toHaveLength(2);
+            expect(response.body.map(s => s.role).sort()).toEqual(['editor', 'viewer']);
+            expect(response.body[0].user.email).toBeDefined();
+        });
+
+        test('debe cambiar el rol si ya estaba compartida', async () => {
+            const response = await share('viewer@example.com', 'editor');
+
+            expect(response.status).toBe(201);
+            expect(response.body.filter(s => s.role === 'editor')).toHaveLength(2);
+        });
+
+        test('debe retornar 400 con rol inválido', async () => {
+            const response = await share('stranger@example.com', 'admin');
+
+            expect(response.status).toBe(400);
+        });
+
+        test('debe retornar 404 con email desconocido', async () => {
+            const response = await share('nobody@example.com', 'viewer');
+
+            expect(response.status).toBe(404);
+        });
+
+        test('editor NO puede compartir', async () => {
+            const response = await request(app)
+                .post(`/api/notes/${noteId}/shares`)
+                .set(auth('editor'))
+                .send({ email: 'stranger@example.com', role: 'viewer' });
+
+            expect(response.status).toBe(403);
+        });
+
+        test('invitado puede retirarse a sí mismo', async () => {
+            const response = await request(app)
+                .delete(`/api/notes/${noteId}/shares/${users.viewer.id}`)
+                .set(auth('viewer'));
+
+            expect(response.status).toBe(204);
+
+            const read = await request(app)
+                .get(`/api/notes/${noteId}`)
+                .set(auth('viewer'));
+
+            expect(read.status).toBe(404);
+        });
+    });
+
+    // ============================================
+    // TESTS: Permisos
+    // ============================================
+
+    describe('Permisos por rol', () => {
+        test('viewer puede leer la nota y verla en /shared', async () => {
+            const read = await request(app)
+                .get(`/api/notes/${noteId}`)
+                .set(auth('viewer'));
+
+            expect(read.status).toBe(200);
+            expect(read.body.title).toBe('Compartida');
+
+            const shared = await request(app)
+                .get('/api/notes/shared')
+                .set(auth('viewer'));
+
+            expect(shared.body).toHaveLength(1);
+            expect(shared.body[0].owner.email).toBe('owner@example.com');
+        });
+
+        test('viewer recibe 403 al editar, deshacer o enviar a papelera', async () => {
+            const edit = await request(app)
+                .patch(`/api/notes/${noteId}`)
+                .set(auth('viewer'))
+                .send({ title: 'Hack' });
+            expect(edit.status).toBe(403);
+
+            const undo = await request(app)
+                .post(`/api/notes/${noteId}/undo`)
+                .set(auth('viewer'));
+            expect(undo.status).toBe(403);
+
+            const trash = await request(app)
+                .patch(`/api/notes/${noteId}/trash`)
+                .set(auth('viewer'));
+            expect(trash.status).toBe(403);
+        });
+
+        test('editor puede editar y deshacer', async () => {
+            const edit = await request(app)
+                .patch(`/api/notes/${noteId}`)
+                .set(auth('editor'))
+                .send({ title: 'Editada' });
+            expect(edit.status).toBe(200);
+
+            const undo = await request(app)
+                .post(`/api/notes/${noteId}/undo`)
+                .set(auth('editor'));
+            expect(undo.status).toBe(200);
+            expect(undo.body.title).toBe('Compartida');
+        });
+
+        test('solo el propietario elimina permanentemente', async () => {
+            await request(app)
+                .patch(`/api/notes/${noteId}/trash`)
+                .set(auth('editor'));
+
+            const byEditor = await request(app)
+                .delete(`/api/notes/${noteId}/permanent`)
+                .set(auth('editor'));
+            expect(byEditor.status).toBe(403);
+
+            const byOwner = await request(app)
+                .delete(`/api/notes/${noteId}/permanent`)
+                .set(auth('owner'));
+            expect(byOwner.status).toBe(204);
+        });
+
+        test('usuario sin acceso recibe 404', async () => {
+            const response = await request(app)
+                .get(`/api/notes/${noteId}`)
+                .set(auth('stranger'));
+
+            expect(response.status).toBe(404);
+        });
+    });
+
+    // ============================================
+    // TESTS: Undo / redo por usuario
+    // ============================================
+
+    describe('Undo / redo por usuario', () => {
+        const edit = (name, content) => request(app)
+            .patch(`/api/notes/${noteId}`)
+            .set(auth(name))
+            .send({ content });
+
+        const undo = name => request(app)
+            .post(`/api/notes/${noteId}/undo`)
+            .set(auth(name));
+
+        test('cada usuario deshace solo sus ediciones', async () => {
+            await edit('owner', 'uno\ndos\ntres');
+            await edit('owner', 'UNO\ndos\ntres');
+            await edit('editor', 'UNO\ndos\nTRES');
+
+            const byOwner = await undo('owner');
+            expect(byOwner.status).toBe(200);
+            expect(byOwner.body.content).toBe('uno\ndos\nTRES');
+
+            const byEditor = await undo('editor');
+            expect(byEditor.status).toBe(200);
+            expect(byEditor.body.content).toBe('uno\ndos\ntres');
+
+            const redo = await request(app)
+                .post(`/api/notes/${noteId}/redo`)
+                .set(auth('owner'));
+            expect(redo.body.content).toBe('UNO\ndos\ntres');
+        });
+
+        test('debe responder 409 si otro usuario cambió lo mismo después', async () => {
+            await edit('owner', 'uno');
+            await edit('editor', 'Uno');
+
+            const response = await undo('owner');
+
+            expect(response.status).toBe(409);
+            expect(response.body.conflicts.content).toHaveLength(1);
+        });
+    });
+});
@@ -0,0 +1,140 @@
+// tests/integration/tags.integration.test.js
+
+const request = require('supertest');
+const app = require('../../src/app');
+const Note = require('../../src/models/Note');
+
+describe('Tags API - Integration Tests', () => {
+
+    let token;
+    let userId;
+
+    const auth = () => ({ Authorization: `Bearer ${token}` });
+
+    beforeEach(async () => {
+        const response = await request(app)
+            .post('/api/auth/register')
+            .send({
+                email: 'tags@example.com',
+                name: 'Tags',
+                password: 'password123'
+            });
+
+        token = response.body.token;
+        userId = response.body.user._id;
+    });
+
+    // ============================================
+    // TESTS: Validación y normalización
+    // ============================================
+
+    describe('POST / PATCH con tags', () => {
+        test('debe normalizar tags al crear', async () => {
+            const response = await request(app)
+                .post('/api/notes')
+                .set(auth())
+                .send({ title: 'Tagged', content: 'Content', tags: [' #Work ', 'work', 'Big  Idea'] });
+
+            expect(response.status).toBe(201);
+            expect(response.body.tags).toEqual(['work', 'big idea']);
+        });
+
+        test('debe retornar 400 con tags inválidas', async () => {
+            const response = await request(app)
+                .post('/api/notes')
+                .set(auth())
+                .send({ title: 'Tagged', content: 'Content', tags: 'work' });
+
+            expect(response.status).toBe(400);
+        });
+
+        test('undo debe restaurar las tags', async () => {
+            const created = await request(app)
+                .post('/api/notes')
+                .set(auth())
+                .send({ title: 'Tagged', content: 'Content', tags: ['a'] });
+
+            await request(app)
+                .patch(`/api/notes/${created.body._id}`)
+                .set(auth())
+                .send({ tags: ['a', 'b'] });
+
+            const undo = await request(app)
+                .post(`/api/notes/${created.body._id}/undo`)
+                .set(auth());
+
+            expect(undo.status).toBe(200);
+            expect(undo.body.tags).toEqual(['a']);
+        });
+    });
+
+    // ============================================
+    // TESTS: Listado, filtro y renombrado
+    // ============================================
+
+    describe('Listado y filtro por tags', () => {
+        beforeEach(async () => {
+            await Note.create({ owner: userId, title: 'Uno', content: 'C', tags: ['a', 'b'] });
+            await Note.create({ owner: userId, title: 'Dos', content: 'C', tags: ['a'] });
+            await Note.create({ owner: userId, title: 'Tres', content: 'C', tags: ['c'] });
+        });
+
+        test('GET /api/notes/tags debe contar notas por tag', async () => {
+            const response = await request(app)
+                .get('/api/notes/tags')
+                .set(auth());
+
+            expect(response.status).toBe(200);
+            expect(response.body).toEqual([
+                { tag: 'a', count: 2 },
+                { tag: 'b', count: 1 },
+                { tag: 'c', count: 1 }
+            ]);
+        });
+
+        test('?tag=a&tag=b debe aplicar AND por defecto', async () => {
+            const response = await request(app)
+                .get('/api/notes?tag=a&tag=b')
+                .set(auth());
+
+            expect(response.body.data.map(n => n.title)).toEqual(['Uno']);
+            expect(response.body.total).toBe(1);
+        });
+
+        test('?tagMode=any debe aplicar OR', async () => {
+            const response = await request(app)
+                .get('/api/notes?tag=b&tag=c&tagMode=any')
+                .set(auth());
+
+            expect(response.body.data).toHaveLength(2);
+        });
+
+        test('PATCH /api/notes/tags/:tag debe renombrar sin duplicar', async () => {
+            const response = await request(app)
+                .patch('/api/notes/tags/b')
+                .set(auth())
+                .send({ name: 'A' });
+
+            expect(response.status).toBe(200);
+            expect(response.body).toEqual({ tag: 'a', modified: 1 });
+
+            const uno = await Note.findOne({ title: 'Uno' });
+            expect(uno.tags).toEqual(['a']);
+            expect(uno.stateRevision).toBe(uno.revision);
+
+            const undo = await request(app)
+                .post(`/api/notes/${uno._id}/undo`)
+                .set(auth());
+            expect(undo.body.tags).toEqual(['a', 'b']);
+        });
+
+        test('debe retornar 404 al renombrar tag inexistente', async () => {
+            const response = await request(app)
+                .patch('/api/notes/tags/zzz')
+                .set(auth())
+                .send({ name: 'nuevo' });
+
+            expect(response.status).toBe(404);
+        });
+    });
+});
@@ -0,0 +1,124 @@
+// tests/integration/token.integration.test.js
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../src/app');
+
+describe('API Tokens - Integration Tests', () => {
+
+    let sessionToken;
+
+    const bearer = token => ({ Authorization: `Bearer ${token}` });
+
+    beforeEach(async () => {
+        const response = await request(app)
+            .post('/api/auth/register')
+            .send({
+                email: 'scripts@example.com',
+                name: 'Scripts',
+                password: 'password123'
+            });
+
+        sessionToken = response.body.token;
+    });
+
+    async function issue(body = { name: 'CI' }) {
+        return request(app)
+            .post('/api/tokens')
+            .set(bearer(sessionToken))
+            .send(body);
+    }
+
+    // ============================================
+    // TESTS: POST /api/tokens
+    // ============================================
+
+    describe('POST /api/tokens', () => {
+        test('debe emitir token con 201 y mostrar el valor una sola vez', async () => {
+            const response = await issue({ name: 'CI', expiresInDays: 30 });
+
+            expect(response.status).toBe(201);
+            expect(response.body.token).toMatch(/^fn_/);
+            expect(response.body.tokenHash).toBeUndefined();
+            expect(response.body.expiresAt).not.toBe(null);
+
+            const list = await request(app)
+                .get('/api/tokens')
+                .set(bearer(sessionToken));
+
+            expect(list.body).toHaveLength(1);
+            expect(list.body[0].token).toBeUndefined();
+            expect(list.body[0].prefix).toBe(response.body.token.slice(0, 9));
+        });
+
+        test('debe retornar 400 sin name', async () => {
+            const response = await issue({});
+
+            expect(response.status).toBe(400);
+        });
+
+        test('debe retornar 401 sin autenticación', async () => {
+            const response = await request(app)
+                .post('/api/tokens')
+                .send({ name: 'CI' });
+
+            expect(response.status).toBe(401);
+        });
+    });
+
+    // ============================================
+    // TESTS: Uso y revocación
+    // ============================================
+
+    describe('Uso del token personal', () => {
+        test('debe permitir acceder a /api/notes con el token', async () => {
+            const { body } = await issue();
+
+            const response = await request(app)
+                .get('/api/notes')
+                .set(bearer(body.token));
+
+            expect(response.status).toBe(200);
+        });
+
+        test('debe rechazar el token tras revocarlo', async () => {
+            const { body } = await issue();
+
+            const revoke = await request(app)
+                .delete(`/api/tokens/${body._id}`)
+                .set(bearer(sessionToken));
+
+            expect(revoke.status).toBe(204);
+
+            const response = await request(app)
+                .get('/api/notes')
+                .set(bearer(body.token));
+
+            expect(response.status).toBe(401);
+        });
+
+        test('con un token de API no se deben poder gestionar tokens', async () => {
+            const { body } = await issue();
+            const apiToken = bearer(body.token);
+
+            const create = await request(app).post('/api/tokens').set(apiToken).send({ name: 'Otro' });
+            const list = await request(app).get('/api/tokens').set(apiToken);
+            const revoke = await request(app).delete(`/api/tokens/${body._id}`).set(apiToken);
+
+            expect([create.status, list.status, revoke.status]).toEqual([403, 403, 403]);
+
+            const tokens = await request(app).get('/api/tokens').set(bearer(sessionToken));
+            expect(tokens.body).toHaveLength(1);
+        });
+
+        test('debe retornar 404 al revocar token inexistente', async () => {
+            const fakeId = new mongoose.Types.ObjectId();
+
+            const response = await request(app)
+                .delete(`/api/tokens/${fakeId}`)
+                .set(bearer(sessionToken));
+
+            expect(response.status).toBe(404);
+        });
+    });
+});
@@ -0,0 +1,102 @@
+// tests/integration/trash.integration.test.js
+
+const request = require('supertest');
+const app = require('../../src/app');
+const Note = require('../../src/models/Note');
+const NoteVersion = require('../../src/models/NoteVersion');
+const noteService = require('../../src/services/note.service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Trash API - Integration Tests', () => {
+
+    let token;
+    let userId;
+
+    const auth = () => ({ Authorization: `Bearer ${token}` });
+
+    async function trashedNote(title, deletedAt = new Date(), owner = userId) {
+        return await Note.create({ owner, title, content: 'Contenido', status: 'trashed', deletedAt });
+    }
+
+    beforeEach(async () => {
+        const response = await request(app)
+            .post('/api/auth/register')
+            .send({
+                email: 'trash@example.com',
+                name: 'Trash',
+                password: 'password123'
+            });
+
+        token = response.body.token;
+        userId = response.body.user._id;
+    });
+
+    // ============================================
+    // TESTS: DELETE /api/notes/trash
+    // ============================================
+
+    describe('DELETE /api/notes/trash', () => {
+        test('debe eliminar todas las notas de la papelera y su historial', async () => {
+            const created = await request(app)
+                .post('/api/notes')
+                .set(auth())
+                .send({ title: 'Con historial', content: 'v1' });
+            const id = created.body._id;
+
+            await request(app).patch(`/api/notes/${id}`).set(auth()).send({ content: 'v2' });
+            await request(app).patch(`/api/notes/${id}/trash`).set(auth());
+            await trashedNote('Otra');
+
+            const response = await request(app)
+                .delete('/api/notes/trash')
+                .set(auth());
+
+            expect(response.status).toBe(200);
+            expect(response.body).toEqual({ deleted: 2 });
+            expect(await Note.countDocuments({ owner: userId })).toBe(0);
+            expect(await NoteVersion.countDocuments({ note: id })).toBe(0);
+        });
+
+        test('no debe tocar notas activas ni papeleras ajenas', async () => {
+            await Note.create({ owner: userId, title: 'Activa', content: 'Contenido' });
+            await trashedNote('Ajena', new Date(), '507f1f77bcf86cd799439099');
+
+            const response = await request(app)
+                .delete('/api/notes/trash')
+                .set(auth());
+
+            expect(response.body).toEqual({ deleted: 0 });
+            expect(await Note.countDocuments()).toBe(2);
+        });
+    });
+
+    // ============================================
+    // TESTS: Retención
+    // ============================================
+
+    describe('Retención de la papelera', () => {
+        test('GET /api/notes/trash debe indicar la fecha de purga de cada nota', async () => {
+            const deletedAt = new Date('2024-03-01T10:00:00.000Z');
+            await trashedNote('Caducará', deletedAt);
+
+            const response = await request(app)
+                .get('/api/notes/trash')
+                .set(auth());
+
+            expect(response.status).toBe(200);
+            expect(response.body.data[0].purgeAt).toBe(new Date(deletedAt.getTime() + 30 * DAY_MS).toISOString());
+        });
+
+        test('la purga debe eliminar solo las notas caducadas', async () => {
+            const expired = await trashedNote('Antigua', new Date(Date.now() - 31 * DAY_MS));
+            const recent = await trashedNote('Reciente', new Date(Date.now() - DAY_MS));
+
+            const purged = await noteService.purgeExpiredTrash();
+
+            expect(purged).toBe(1);
+            expect(await Note.findById(expired._id)).toBeNull();
+            expect(await Note.findById(recent._id)).not.toBeNull();
+        });
+    });
+});
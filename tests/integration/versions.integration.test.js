@@ -0,0 +1,302 @@
+// tests/integration/versions.integration.test.js
+
+const request = require('supertest');
+const app = require('../../src/app');
+const NoteVersion = require('../../src/models/NoteVersion');
+const historyConfig = require('../../src/config/history');
+
+describe('Versions API - Integration Tests', () => {
+
+    let token;
+    let noteId;
+
+    const auth = () => ({ Authorization: `Bearer ${token}` });
+
+    const edit = title =>
+        request(app)
+            .patch(`/api/notes/${noteId}`)
+            .set(auth())
+            .send({ title });
+
+    beforeEach(async () => {
+        const response = await request(app)
+            .post('/api/auth/register')
+            .send({
+                email: 'versions@example.com',
+                name: 'Versions',
+                password: 'password123'
+            });
+
+        token = response.body.token;
+
+        const note = await request(app)
+            .post('/api/notes')
+            .set(auth())
+            .send({ title: 'Versión 1', content: 'Contenido' });
+
+        noteId = note.body._id;
+
+        await edit('Versión 2');
+        await edit('Versión 3');
+    });
+
+    // ============================================
+    // TESTS: Listar y leer versiones
+    // ============================================
+
+    describe('GET /api/notes/:id/versions', () => {
+        test('debe listar las versiones con la actual marcada', async () => {
+            const response = await request(app)
+                .get(`/api/notes/${noteId}/versions`)
+                .set(auth());
+
+            expect(response.status).toBe(200);
+
+            const last = response.body[response.body.length - 1];
+            expect(last.current).toBe(true);
+            expect(last.title).toBe('Versión 3');
+            expect(response.body.every(v => v.editedAt)).toBe(true);
+            expect(response.body[0]).not.toHaveProperty('content');
+        });
+
+        test('debe incluir las versiones deshechas tras la actual', async () => {
+            await request(app).post(`/api/notes/${noteId}/undo`).set(auth());
+
+            const response = await request(app)
+                .get(`/api/notes/${noteId}/versions`)
+                .set(auth());
+
+            const last = response.body[response.body.length - 1];
+            expect(last.current).toBe(false);
+            expect(last.title).toBe('Versión 3');
+        });
+    });
+
+    describe('GET /api/notes/:id/versions/:n', () => {
+        test('debe devolver una versión con su contenido', async () => {
+            const response = await request(app)
+                .get(`/api/notes/${noteId}/versions/1`)
+                .set(auth());
+
+            expect(response.status).toBe(200);
+            expect(response.body.title).toBe('Versión 1');
+            expect(response.body.content).toBe('Contenido');
+        });
+
+        test('debe retornar 404 con versión inexistente', async () => {
+            const response = await request(app)
+                .get(`/api/notes/${noteId}/versions/99`)
+                .set(auth());
+
+            expect(response.status).toBe(404);
+        });
+
+        test('debe retornar 400 con número de versión inválido', async () => {
+            const response = await request(app)
+                .get(`/api/notes/${noteId}/versions/abc`)
+                .set(auth());
+
+            expect(response.status).toBe(400);
+        });
+    });
+
+    // ============================================
+    // TESTS: Historial sin límite (colección NoteVersion)
+    // ============================================
+
+    describe('Historial en NoteVersion', () => {
+        test('debe conservar más de 20 ediciones y deshacerlas todas', async () => {
+            for (let i = 4; i <= 25; i++) {
+                await edit(`Versión ${i}`);
+            }
+
+            const versions = await request(app)
+                .get(`/api/notes/${noteId}/versions`)
+                .set(auth());
+            expect(versions.body.length).toBeGreaterThan(25);
+
+            let response;
+            for (let i = 24; i >= 1; i--) {
+                response = await request(app).post(`/api/notes/${noteId}/undo`).set(auth());
+            }
+            expect(response.body.title).toBe('Versión 1');
+        });
+
+        test('no debe guardar el historial dentro de la nota', async () => {
+            const response = await request(app)
+                .get(`/api/notes/${noteId}`)
+                .set(auth());
+
+            expect(response.body).not.toHaveProperty('versions');
+            expect(response.body).not.toHaveProperty('redoStack');
+        });
+
+        test('eliminar permanentemente debe borrar también su historial', async () => {
+            await request(app).patch(`/api/notes/${noteId}/trash`).set(auth());
+            await request(app).delete(`/api/notes/${noteId}/permanent`).set(auth());
+
+            expect(await NoteVersion.countDocuments({ note: noteId })).toBe(0);
+        });
+    });
+
+    // ============================================
+    // TESTS: Snapshots comprimidos (deltas inversos)
+    // ============================================
+
+    describe('Historial comprimido', () => {
+        const body = Array.from({ length: 40 }, (_, i) => `Párrafo ${i} con algo de texto`).join('\n');
+
+        const editContent = i =>
+            request(app)
+                .patch(`/api/notes/${noteId}`)
+                .set(auth())
+                .send({ content: `${body}\nRevisión ${i}` });
+
+        beforeEach(async () => {
+            for (let i = 1; i <= 15; i++) {
+                await editContent(i);
+            }
+        });
+
+        test('debe guardar como delta los snapshots bajo la cima', async () => {
+            const deltas = await NoteVersion.countDocuments({ note: noteId, delta: { $exists: true } });
+            const keyframes = await NoteVersion.countDocuments({ note: noteId, content: { $exists: true } });
+
+            expect(deltas).toBeGreaterThan(0);
+            expect(keyframes).toBeGreaterThan(1);
+        });
+
+        test('debe reconstruir cualquier versión', async () => {
+            // 1-2: Versión 1, 3: Versión 2, 4: contenido original, 5+: revisiones
+            const response = await request(app)
+                .get(`/api/notes/${noteId}/versions/5`)
+                .set(auth());
+
+            expect(response.status).toBe(200);
+            expect(response.body.content).toBe(`${body}\nRevisión 1`);
+        });
+
+        test('leer una versión solo debe consultar los deltas hasta su keyframe', async () => {
+            const find = jest.spyOn(NoteVersion, 'find');
+
+            try {
+                // 1-2: Versión 1, 3: Versión 2, 4: contenido original, 5+: revisiones
+                for (let n = 5; n <= 18; n++) {
+                    const response = await request(app)
+                        .get(`/api/notes/${noteId}/versions/${n}`)
+                        .set(auth());
+
+                    expect(response.body.content).toBe(`${body}\nRevisión ${n - 4}`);
+                }
+
+                const ranges = find.mock.calls.map(([filter]) => filter.seq);
+
+                expect(ranges.length).toBeGreaterThan(0);
+                for (const range of ranges) {
+                    expect(range.$lte - range.$gte).toBeLessThan(historyConfig.keyframeInterval);
+                }
+            } finally {
+                find.mockRestore();
+            }
+        });
+
+        test('deshacer y rehacer deben recorrer los deltas', async () => {
+            let response;
+            for (let i = 14; i >= 1; i--) {
+                response = await request(app).post(`/api/notes/${noteId}/undo`).set(auth());
+            }
+            expect(response.body.content).toBe(`${body}\nRevisión 1`);
+
+            for (let i = 2; i <= 15; i++) {
+                response = await request(app).post(`/api/notes/${noteId}/redo`).set(auth());
+                expect(response.body.content).toBe(`${body}\nRevisión ${i}`);
+            }
+        });
+    });
+
+    // ============================================
+    // TESTS: Diff entre versiones
+    // ============================================
+
+    describe('GET /api/notes/:id/diff', () => {
+        test('debe devolver hunks JSON contra la versión actual', async () => {
+            await request(app)
+                .patch(`/api/notes/${noteId}`)
+                .set(auth())
+                .send({ content: 'Contenido\nNueva línea' });
+
+            const versions = await request(app)
+                .get(`/api/notes/${noteId}/versions`)
+                .set(auth());
+            const previous = versions.body.length - 1;
+
+            const response = await request(app)
+                .get(`/api/notes/${noteId}/diff?from=${previous}`)
+                .set(auth());
+
+            expect(response.status).toBe(200);
+            expect(response.body.to).toBe(versions.body.length);
+            expect(response.body.stats).toEqual({ additions: 1, deletions: 0 });
+            expect(response.body.hunks[0].lines.map(l => l.type)).toEqual(['context', 'added']);
+        });
+
+        test('debe devolver un diff unificado como texto', async () => {
+            const response = await request(app)
+                .get(`/api/notes/${noteId}/diff?from=1&to=2&format=unified`)
+                .set(auth());
+
+            expect(response.status).toBe(200);
+            expect(response.headers['content-type']).toMatch(/text\/x-diff/);
+            expect(response.text).toContain('--- v1\tVersión 1');
+        });
+
+        test('debe retornar 400 sin from o con formato desconocido', async () => {
+            const missing = await request(app)
+                .get(`/api/notes/${noteId}/diff`)
+                .set(auth());
+            const badFormat = await request(app)
+                .get(`/api/notes/${noteId}/diff?from=1&format=html`)
+                .set(auth());
+
+            expect(missing.status).toBe(400);
+            expect(badFormat.status).toBe(400);
+        });
+
+        test('debe retornar 404 con versión inexistente', async () => {
+            const response = await request(app)
+                .get(`/api/notes/${noteId}/diff?from=99`)
+                .set(auth());
+
+            expect(response.status).toBe(404);
+        });
+    });
+
+    // ============================================
+    // TESTS: Restaurar versión
+    // ============================================
+
+    describe('POST /api/notes/:id/versions/:n/restore', () => {
+        test('debe saltar a la versión y permitir deshacer el salto', async () => {
+            const restored = await request(app)
+                .post(`/api/notes/${noteId}/versions/1/restore`)
+                .set(auth());
+
+            expect(restored.status).toBe(200);
+            expect(restored.body.title).toBe('Versión 1');
+
+            const undone = await request(app)
+                .post(`/api/notes/${noteId}/undo`)
+                .set(auth());
+
+            expect(undone.body.title).toBe('Versión 3');
+        });
+
+        test('debe retornar 404 con versión inexistente', async () => {
+            const response = await request(app)
+                .post(`/api/notes/${noteId}/versions/99/restore`)
+                .set(auth());
+
+            expect(response.status).toBe(404);
+        });
+    });
+});
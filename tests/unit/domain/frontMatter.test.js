@@ -0,0 +1,58 @@
+// tests/unit/domain/frontMatter.test.js
+
+const FrontMatter = require('../../../src/domain/frontMatter');
+
+describe('FrontMatter - Lógica Pura', () => {
+
+    // ============================================
+    // TESTS: parse
+    // ============================================
+
+    describe('parse()', () => {
+        test('debe separar los campos YAML del cuerpo', () => {
+            const result = FrontMatter.parse('---\ntitle: Compra\ntags: [casa, super]\n---\nLeche\n');
+
+            expect(result).toEqual({
+                data: { title: 'Compra', tags: ['casa', 'super'] },
+                body: 'Leche\n'
+            });
+        });
+
+        test('sin front-matter debe devolver el texto completo', () => {
+            expect(FrontMatter.parse('Solo texto\n---\n')).toEqual({ data: {}, body: 'Solo texto\n---\n' });
+        });
+
+        test('debe aceptar saltos de línea CRLF y front-matter vacío', () => {
+            expect(FrontMatter.parse('---\r\ntitle: A\r\n---\r\nB')).toEqual({ data: { title: 'A' }, body: 'B' });
+            expect(FrontMatter.parse('---\n\n---\nB')).toEqual({ data: {}, body: 'B' });
+            expect(FrontMatter.parse('---\n---\nB')).toEqual({ data: {}, body: 'B' });
+        });
+
+        test('debe leer las fechas como texto', () => {
+            expect(FrontMatter.parse('---\ncreated: 2024-01-01\n---\n').data.created).toBe('2024-01-01');
+        });
+
+        test('YAML inválido o que no es un objeto debe lanzar INVALID_FRONT_MATTER', () => {
+            expect(() => FrontMatter.parse('---\ntitle: [sin cerrar\n---\n')).toThrow('INVALID_FRONT_MATTER');
+            expect(() => FrontMatter.parse('---\n- a\n- b\n---\n')).toThrow('INVALID_FRONT_MATTER');
+        });
+    });
+
+    // ============================================
+    // TESTS: stringify
+    // ============================================
+
+    describe('stringify()', () => {
+        test('debe generar front-matter omitiendo campos undefined', () => {
+            const text = FrontMatter.stringify({ title: 'Nota: uno', tags: ['a'], deletedAt: undefined }, 'Cuerpo');
+
+            expect(text).toBe("---\ntitle: 'Nota: uno'\ntags:\n  - a\n---\nCuerpo");
+        });
+
+        test('parse debe recuperar lo generado por stringify', () => {
+            const data = { title: '---', tags: ['x', 'y z'] };
+
+            expect(FrontMatter.parse(FrontMatter.stringify(data, 'Cuerpo\n'))).toEqual({ data, body: 'Cuerpo\n' });
+        });
+    });
+});
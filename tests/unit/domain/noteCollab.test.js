@@ -0,0 +1,148 @@
+// tests/unit/domain/noteCollab.test.js
+
+const NoteCollab = require('../../../src/domain/noteCollab');
+const NoteOT = require('../../../src/domain/noteOT');
+
+describe('NoteCollab - Lógica Pura', () => {
+
+    let session;
+
+    // Operación que inserta texto en una posición del contenido actual
+    const insertAt = (position, text) =>
+        NoteOT.normalize([position, text, session.content.length - position]);
+
+    beforeEach(() => {
+        session = NoteCollab.createSession('pan');
+    });
+
+    // ============================================
+    // TESTS: rebase / commit
+    // ============================================
+
+    describe('rebase() / commit()', () => {
+        test('commit debe aplicar la operación y avanzar la revisión', () => {
+            const revision = NoteCollab.commit(session, 'ana', insertAt(3, ' y leche'));
+
+            expect(revision).toBe(1);
+            expect(session.content).toBe('pan y leche');
+        });
+
+        test('una operación atrasada debe transformarse contra las posteriores', () => {
+            NoteCollab.commit(session, 'ana', insertAt(0, 'comprar '));
+
+            // Luis editó sobre la revisión 0 ('pan')
+            const op = NoteCollab.rebase(session, 0, [3, ' y leche']);
+            NoteCollab.commit(session, 'luis', op);
+
+            expect(session.content).toBe('comprar pan y leche');
+        });
+
+        test('debe rechazar revisiones inexistentes', () => {
+            expect(() => NoteCollab.rebase(session, 1, [3])).toThrow('INVALID_REVISION');
+            expect(() => NoteCollab.rebase(session, -1, [3])).toThrow('INVALID_REVISION');
+        });
+
+        test('debe rechazar revisiones que ya salieron del log', () => {
+            NoteCollab.commit(session, 'ana', insertAt(3, '1'), { maxLog: 1 });
+            NoteCollab.commit(session, 'ana', insertAt(4, '2'), { maxLog: 1 });
+
+            expect(session.log).toHaveLength(1);
+            expect(() => NoteCollab.rebase(session, 0, [3])).toThrow('REVISION_TOO_OLD');
+            expect(NoteCollab.rebase(session, 1, [4])).toEqual([5]);
+        });
+    });
+
+    // ============================================
+    // TESTS: undo / redo por usuario
+    // ============================================
+
+    describe('undo() / redo()', () => {
+        test('cada usuario debe deshacer solo sus propias operaciones', () => {
+            NoteCollab.commit(session, 'ana', insertAt(3, ' y leche'));
+            NoteCollab.commit(session, 'luis', insertAt(0, 'comprar '));
+
+            NoteCollab.undo(session, 'ana');
+
+            expect(session.content).toBe('comprar pan');
+            expect(NoteCollab.historyOf(session, 'ana')).toEqual({ undo: 0, redo: 1 });
+            expect(NoteCollab.historyOf(session, 'luis')).toEqual({ undo: 1, redo: 0 });
+        });
+
+        test('rehacer debe respetar lo que otros editaron entretanto', () => {
+            NoteCollab.commit(session, 'ana', insertAt(3, ' y leche'));
+            NoteCollab.undo(session, 'ana');
+            NoteCollab.commit(session, 'luis', insertAt(0, 'comprar '));
+
+            NoteCollab.redo(session, 'ana');
+
+            expect(session.content).toBe('comprar pan y leche');
+        });
+
+        test('deshacer sin historial propio debe devolver null', () => {
+            NoteCollab.commit(session, 'luis', insertAt(0, 'comprar '));
+
+            expect(NoteCollab.undo(session, 'ana')).toBeNull();
+            expect(session.content).toBe('comprar pan');
+        });
+
+        test('una edición nueva debe invalidar el redo propio', () => {
+            NoteCollab.commit(session, 'ana', insertAt(3, '!'));
+            NoteCollab.undo(session, 'ana');
+            NoteCollab.commit(session, 'ana', insertAt(3, '?'));
+
+            expect(NoteCollab.redo(session, 'ana')).toBeNull();
+        });
+
+        test('las ediciones seguidas dentro de groupMs deben deshacerse de una vez', () => {
+            NoteCollab.commit(session, 'ana', insertAt(3, ' y'), { now: 1000, groupMs: 500 });
+            NoteCollab.commit(session, 'ana', insertAt(5, ' leche'), { now: 1200, groupMs: 500 });
+            NoteCollab.commit(session, 'ana', insertAt(11, '.'), { now: 2000, groupMs: 500 });
+
+            NoteCollab.undo(session, 'ana');
+            expect(session.content).toBe('pan y leche');
+
+            NoteCollab.undo(session, 'ana');
+            expect(session.content).toBe('pan');
+        });
+
+        test('el undo de una operación que otro ya borró no debe hacer nada', () => {
+            NoteCollab.commit(session, 'ana', insertAt(3, ' y leche'));
+            NoteCollab.commit(session, 'luis', [3, -8]);
+
+            expect(NoteCollab.historyOf(session, 'ana').undo).toBe(0);
+        });
+
+        test('un cambio sin autor no debe entrar en ninguna pila', () => {
+            NoteCollab.commit(session, null, insertAt(3, ' y leche'));
+
+            expect(session.stacks).toEqual({});
+        });
+    });
+
+    // ============================================
+    // TESTS: absorb
+    // ============================================
+
+    describe('absorb()', () => {
+        test('debe incorporar un cambio externo sin perder lo editado en la sesión', () => {
+            session = NoteCollab.createSession('uno\ndos\ntres');
+            NoteCollab.commit(session, 'ana', NoteOT.fromDiff(session.content, 'UNO\ndos\ntres'));
+
+            const op = NoteCollab.absorb(session, 'uno\ndos\ntres', 'uno\ndos\nTRES');
+            NoteCollab.commit(session, null, op);
+
+            expect(session.content).toBe('UNO\ndos\nTRES');
+        });
+
+        test('si ambos lados tocaron lo mismo debe ganar la sesión', () => {
+            session = NoteCollab.createSession('uno\ndos');
+            NoteCollab.commit(session, 'ana', NoteOT.fromDiff(session.content, 'uno\nsesión'));
+
+            expect(NoteCollab.absorb(session, 'uno\ndos', 'uno\napi')).toBeNull();
+        });
+
+        test('sin cambios externos debe devolver null', () => {
+            expect(NoteCollab.absorb(session, 'pan', 'pan')).toBeNull();
+        });
+    });
+});
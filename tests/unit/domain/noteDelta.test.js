@@ -0,0 +1,114 @@
+// tests/unit/domain/noteDelta.test.js
+
+const NoteDelta = require('../../../src/domain/noteDelta');
+
+describe('NoteDelta - Lógica Pura', () => {
+
+    // Contenido largo: el delta solo compensa frente a textos con cierto tamaño
+    const body = Array.from({ length: 30 }, (_, i) => `línea ${i} de una nota bastante larga`).join('\n');
+
+    const versionAt = i => `${body}\nedición ${i}`;
+
+    // ============================================
+    // TESTS: encode / apply
+    // ============================================
+
+    describe('encode() / apply()', () => {
+        test('aplicar el delta sobre la base debe reconstruir el destino', () => {
+            const base = 'pan\nleche\nhuevos';
+            const target = 'pan\nleche entera\nhuevos\nfruta';
+
+            const delta = NoteDelta.encode(base, target);
+
+            expect(NoteDelta.apply(base, delta)).toBe(target);
+        });
+
+        test('debe copiar por longitud las partes comunes', () => {
+            const delta = NoteDelta.encode('a\nb\n', 'a\nc\n');
+
+            expect(delta).toEqual([2, -2, 'c\n']);
+        });
+
+        test('debe fallar si la base no corresponde al delta', () => {
+            const delta = NoteDelta.encode('a\nb\n', 'a\nc\n');
+
+            expect(() => NoteDelta.apply('otra base distinta', delta)).toThrow('CORRUPT_DELTA');
+        });
+    });
+
+    // ============================================
+    // TESTS: compress
+    // ============================================
+
+    describe('compress()', () => {
+        test('debe comprimir contenidos largos con pocos cambios', () => {
+            const delta = NoteDelta.compress(versionAt(2), versionAt(1));
+
+            expect(delta).not.toBeNull();
+            expect(JSON.stringify(delta).length).toBeLessThan(versionAt(1).length);
+        });
+
+        test('no debe comprimir si el delta no ahorra espacio', () => {
+            expect(NoteDelta.compress('hola', 'adiós')).toBeNull();
+        });
+
+        test('no debe comprimir si falta el contenido', () => {
+            expect(NoteDelta.compress(undefined, versionAt(1))).toBeNull();
+            expect(NoteDelta.compress(versionAt(1), undefined)).toBeNull();
+        });
+    });
+
+    // ============================================
+    // TESTS: plan
+    // ============================================
+
+    describe('plan()', () => {
+        test('la cima debe quedar siempre completa', () => {
+            const snapshots = [1, 2, 3].map(i => ({ content: versionAt(i) }));
+
+            const deltas = NoteDelta.plan(snapshots);
+
+            expect(deltas[0]).not.toBeNull();
+            expect(deltas[1]).not.toBeNull();
+            expect(deltas[2]).toBeNull();
+        });
+
+        test('debe intercalar keyframes según el intervalo', () => {
+            const snapshots = Array.from({ length: 7 }, (_, i) => ({ content: versionAt(i) }));
+
+            const deltas = NoteDelta.plan(snapshots, { keyframeInterval: 3 });
+
+            expect(deltas.map(d => d === null)).toEqual([false, false, true, false, false, true, true]);
+        });
+
+        test('debe tener en cuenta los deltas que ya hay debajo', () => {
+            const snapshots = [1, 2].map(i => ({ content: versionAt(i) }));
+
+            const deltas = NoteDelta.plan(snapshots, { run: 2, keyframeInterval: 3 });
+
+            expect(deltas[0]).toBeNull();
+        });
+    });
+
+    // ============================================
+    // TESTS: expand
+    // ============================================
+
+    describe('expand()', () => {
+        test('debe reconstruir una pila desde la cima hacia abajo', () => {
+            const contents = Array.from({ length: 7 }, (_, i) => versionAt(i));
+            const deltas = NoteDelta.plan(contents.map(content => ({ content })), { keyframeInterval: 3 });
+
+            // Lo guardado: delta o contenido completo, de la cima hacia abajo
+            const stored = contents
+                .map((content, i) => (deltas[i] ? { seq: i, delta: deltas[i] } : { seq: i, content }))
+                .reverse();
+
+            const expanded = NoteDelta.expand(stored);
+
+            expect(expanded.map(v => v.content)).toEqual([...contents].reverse());
+            expect(expanded[0]).not.toHaveProperty('delta');
+            expect(expanded[6].seq).toBe(0);
+        });
+    });
+});
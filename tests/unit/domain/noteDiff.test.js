@@ -0,0 +1,101 @@
+// tests/unit/domain/noteDiff.test.js
+
+const NoteDiff = require('../../../src/domain/noteDiff');
+
+describe('NoteDiff - Lógica Pura', () => {
+
+    const from = {
+        title: 'Lista de la compra',
+        content: 'pan\nleche entera\nhuevos',
+        tags: ['casa', 'compras']
+    };
+
+    const to = {
+        title: 'Lista del súper',
+        content: 'pan\nleche desnatada\nhuevos\nfruta',
+        tags: ['casa', 'semanal']
+    };
+
+    // ============================================
+    // TESTS: contentHunks
+    // ============================================
+
+    describe('contentHunks()', () => {
+        test('debe marcar líneas de contexto, eliminadas y añadidas', () => {
+            const [hunk] = NoteDiff.contentHunks(from.content, to.content);
+
+            expect(hunk.lines.map(l => l.type)).toEqual(['context', 'removed', 'added', 'context', 'added']);
+            expect(hunk.oldStart).toBe(1);
+            expect(hunk.newLines).toBe(4);
+        });
+
+        test('debe detallar por palabras las líneas modificadas', () => {
+            const [hunk] = NoteDiff.contentHunks(from.content, to.content);
+            const removed = hunk.lines[1];
+            const added = hunk.lines[2];
+
+            expect(removed.words).toEqual([
+                { type: 'equal', value: 'leche ' },
+                { type: 'removed', value: 'entera' }
+            ]);
+            expect(added.words).toEqual([
+                { type: 'equal', value: 'leche ' },
+                { type: 'added', value: 'desnatada' }
+            ]);
+        });
+
+        test('líneas añadidas sin pareja no llevan detalle por palabras', () => {
+            const [hunk] = NoteDiff.contentHunks(from.content, to.content);
+
+            expect(hunk.lines[4].words).toBeUndefined();
+        });
+
+        test('sin cambios no debe haber hunks', () => {
+            expect(NoteDiff.contentHunks('igual', 'igual')).toEqual([]);
+        });
+    });
+
+    // ============================================
+    // TESTS: compare
+    // ============================================
+
+    describe('compare()', () => {
+        test('debe comparar título, etiquetas y contar líneas', () => {
+            const diff = NoteDiff.compare(from, to);
+
+            expect(diff.title.changed).toBe(true);
+            // Cada lado se reconstruye con sus segmentos
+            const side = type => diff.title.words
+                .filter(w => w.type === 'equal' || w.type === type)
+                .map(w => w.value)
+                .join('');
+            expect(side('removed')).toBe(from.title);
+            expect(side('added')).toBe(to.title);
+            expect(diff.tags).toEqual({ added: ['semanal'], removed: ['compras'] });
+            expect(diff.stats).toEqual({ additions: 2, deletions: 1 });
+        });
+
+        test('snapshots sin etiquetas cuentan como lista vacía', () => {
+            const diff = NoteDiff.compare({ ...from, tags: null }, to);
+
+            expect(diff.tags.removed).toEqual([]);
+            expect(diff.tags.added).toEqual(['casa', 'semanal']);
+        });
+    });
+
+    // ============================================
+    // TESTS: unified
+    // ============================================
+
+    describe('unified()', () => {
+        test('debe generar un diff unificado con etiquetas y títulos', () => {
+            const text = NoteDiff.unified(from, to, { fromLabel: 'v1', toLabel: 'v3' });
+
+            expect(text).toContain('--- v1\tLista de la compra');
+            expect(text).toContain('+++ v3\tLista del súper');
+            expect(text).toContain('@@ -1,3 +1,4 @@');
+            expect(text).toContain('-leche entera\n+leche desnatada');
+            expect(text).not.toContain('No newline at end of file');
+        });
+    });
+});
@@ -0,0 +1,152 @@
+// tests/unit/domain/noteExport.test.js
+
+const AdmZip = require('adm-zip');
+const NoteExport = require('../../../src/domain/noteExport');
+const NoteImport = require('../../../src/domain/noteImport');
+const FrontMatter = require('../../../src/domain/frontMatter');
+
+const note = (overrides = {}) => ({
+    _id: '507f1f77bcf86cd799439011',
+    title: 'Receta',
+    content: '# Tortilla',
+    tags: ['cocina'],
+    notebookId: '507f1f77bcf86cd799439050',
+    createdAt: new Date('2024-01-01T10:00:00.000Z'),
+    updatedAt: new Date('2024-01-02T10:00:00.000Z'),
+    status: 'active',
+    archivedAt: null,
+    deletedAt: null,
+    ...overrides
+});
+
+describe('NoteExport - Lógica Pura', () => {
+
+    // ============================================
+    // TESTS: toJSON
+    // ============================================
+
+    describe('toJSON()', () => {
+        test('debe exportar los metadatos con fechas ISO', () => {
+            expect(NoteExport.toJSON(note())).toEqual({
+                id: '507f1f77bcf86cd799439011',
+                title: 'Receta',
+                content: '# Tortilla',
+                tags: ['cocina'],
+                format: 'markdown',
+                notebookId: '507f1f77bcf86cd799439050',
+                createdAt: '2024-01-01T10:00:00.000Z',
+                updatedAt: '2024-01-02T10:00:00.000Z',
+                status: 'active',
+                archivedAt: null,
+                deletedAt: null
+            });
+        });
+
+        test('debe incluir las versiones solo si se piden', () => {
+            const versions = [
+                { version: 1, title: 'Receta', content: 'Borrador', tags: null, author: 'u1', editedAt: new Date('2024-01-01T10:00:00.000Z'), current: false },
+                { version: 2, title: 'Receta', content: '# Tortilla', tags: ['cocina'], author: null, editedAt: new Date('2024-01-02T10:00:00.000Z'), current: true }
+            ];
+
+            expect(NoteExport.toJSON(note())).not.toHaveProperty('versions');
+            expect(NoteExport.toJSON(note(), versions).versions).toEqual([
+                { version: 1, title: 'Receta', content: 'Borrador', tags: null, author: 'u1', editedAt: '2024-01-01T10:00:00.000Z', current: false },
+                { version: 2, title: 'Receta', content: '# Tortilla', tags: ['cocina'], author: null, editedAt: '2024-01-02T10:00:00.000Z', current: true }
+            ]);
+        });
+    });
+
+    // ============================================
+    // TESTS: toMarkdown
+    // ============================================
+
+    describe('toMarkdown()', () => {
+        test('debe llevar los metadatos en el front-matter y el contenido como cuerpo', () => {
+            const deletedAt = new Date('2024-01-03T10:00:00.000Z');
+            const { data, body } = FrontMatter.parse(NoteExport.toMarkdown(note({ status: 'trashed', deletedAt })));
+
+            expect(data).toMatchObject({
+                title: 'Receta',
+                tags: ['cocina'],
+                createdAt: '2024-01-01T10:00:00.000Z',
+                status: 'trashed',
+                deletedAt: '2024-01-03T10:00:00.000Z'
+            });
+            expect(data).not.toHaveProperty('content');
+            expect(body).toBe('# Tortilla\n');
+        });
+
+        test('NoteImport debe volver a leer título, etiquetas y contenido', () => {
+            const markdown = NoteExport.toMarkdown(note({ title: 'Título: con "comillas"' }));
+
+            expect(NoteImport.parseText('receta.md', markdown)).toMatchObject({
+                title: 'Título: con "comillas"',
+                content: '# Tortilla\n',
+                tags: ['cocina']
+            });
+        });
+    });
+
+    // ============================================
+    // TESTS: document / digest
+    // ============================================
+
+    describe('document() / digest()', () => {
+        test('el documento JSON debe poder importarse', () => {
+            const document = NoteExport.document([{ note: note(), versions: null }], new Date('2024-02-01T00:00:00.000Z'));
+
+            expect(document).toMatchObject({ format: 'flashnotes', version: 1, exportedAt: '2024-02-01T00:00:00.000Z' });
+
+            const entries = NoteImport.read([{ name: 'export.json', buffer: Buffer.from(JSON.stringify(document)) }]);
+            expect(entries).toEqual([
+                { file: 'export.json', index: 0, data: expect.objectContaining({ title: 'Receta', content: '# Tortilla' }) }
+            ]);
+        });
+
+        test('digest debe encadenar el Markdown de cada nota', () => {
+            const items = [{ note: note(), versions: null }, { note: note({ title: 'Otra' }), versions: null }];
+
+            expect(NoteExport.digest(items)).toBe(
+                `${NoteExport.toMarkdown(items[0].note)}\n${NoteExport.toMarkdown(items[1].note)}`
+            );
+        });
+    });
+
+    // ============================================
+    // TESTS: archive
+    // ============================================
+
+    describe('archive()', () => {
+        test('debe guardar un .md por nota, las archivadas en archive/ y las de la papelera en trash/', () => {
+            const buffer = NoteExport.archive([
+                { note: note(), versions: null },
+                { note: note(), versions: null },
+                { note: note({ title: 'Guardada', status: 'archived' }), versions: null },
+                { note: note({ title: 'Borrada', status: 'trashed' }), versions: null }
+            ]);
+
+            const names = new AdmZip(buffer).getEntries().map(entry => entry.entryName).sort();
+            expect(names).toEqual(['Receta (2).md', 'Receta.md', 'archive/Guardada.md', 'trash/Borrada.md']);
+        });
+    });
+
+    // ============================================
+    // TESTS: baseName / uniqueName
+    // ============================================
+
+    describe('baseName() / uniqueName()', () => {
+        test('debe sustituir los caracteres no admitidos en nombres de archivo', () => {
+            expect(NoteExport.baseName(note({ title: 'a/b: c?' }))).toBe('a-b- c-');
+            expect(NoteExport.baseName(note({ title: '   ' }))).toBe('note');
+            expect(NoteExport.baseName(note({ title: 'x'.repeat(200) }))).toHaveLength(80);
+        });
+
+        test('no debe distinguir mayúsculas al evitar colisiones', () => {
+            const taken = new Set();
+
+            expect(NoteExport.uniqueName('Nota', '.md', taken)).toBe('Nota.md');
+            expect(NoteExport.uniqueName('NOTA', '.md', taken)).toBe('NOTA (2).md');
+            expect(NoteExport.uniqueName('nota', '.md', taken)).toBe('nota (3).md');
+        });
+    });
+});
@@ -84,8 +84,67 @@ describe('NoteHistoryDomain - Lógica Pura', () => {
 
             expect(note.title).toBe('Original');
         });
+
+        test('debe guardar el tramo de revisiones del estado', () => {
+            const snapshot = NoteHistoryDomain.createSnapshot({
+                title: 'T',
+                content: 'C',
+                stateRevision: 2,
+                revision: 4
+            });
+
+            expect(snapshot.sinceRevision).toBe(2);
+            expect(snapshot.revision).toBe(4);
+        });
     });
 
+    // ============================================
+    // Simulación en memoria de las pilas persistidas
+    // (lo que hace NoteService con la colección NoteVersion)
+    // ============================================
+
+    function withHistory(note, undo = [], redo = []) {
+        const state = { note, undo: [...undo], redo: [...redo] };
+
+        return {
+            get note() { return state.note; },
+            get undo() { return state.undo; },
+            get redo() { return state.redo; },
+
+            edit(update) {
+                const result = NoteHistoryDomain.applyUpdate(state.note, update, {
+                    hasHistory: state.undo.length > 0
+                });
+                if (result.modified) {
+                    state.note = result.note;
+                    state.undo.push(...result.snapshots);
+                    state.redo = [];
+                }
+                return result;
+            },
+
+            undoStep() {
+                const result = NoteHistoryDomain.undo(state.note, state.undo[state.undo.length - 1] ?? null);
+                if (result.success) {
+                    state.note = result.note;
+                    state.undo.pop();
+                    state.redo.push(result.snapshot);
+                }
+                return result;
+            },
+
+            redoStep() {
+                const result = NoteHistoryDomain.redo(state.note, state.redo[state.redo.length - 1] ?? null);
+                if (result.success) {
+                    state.note = result.note;
+                    state.redo.pop();
+                    state.undo.push(result.snapshot);
+                }
+                return result;
+            }
+        };
+    }
+
     // ============================================
     // TESTS: applyUpdate - Primera Edición
     // ============================================
@@ -95,24 +154,22 @@ describe('NoteHistoryDomain - Lógica Pura', () => {
             const note = {
                 title: 'Original',
                 content: 'Original content',
-                versions: [],
-                redoStack: [],
                 editedAt: new Date('2024-01-01')
             };
 
             const result = NoteHistoryDomain.applyUpdate(note, {
                 title: 'Updated'
-            });
+            }, { hasHistory: false });
 
             expect(result.modified).toBe(true);
-            expect(result.note.versions).toHaveLength(2);
+            expect(result.snapshots).toHaveLength(2);
 
             // Primer snapshot = estado original
-            expect(result.note.versions[0].title).toBe('Original');
-            expect(result.note.versions[0].content).toBe('Original content');
+            expect(result.snapshots[0].title).toBe('Original');
+            expect(result.snapshots[0].content).toBe('Original content');
 
             // Segundo snapshot = antes de aplicar cambio
-            expect(result.note.versions[1].title).toBe('Original');
+            expect(result.snapshots[1].title).toBe('Original');
         });
     });
 
@@ -125,12 +182,10 @@ describe('NoteHistoryDomain - Lógica Pura', () => {
             const note = {
                 title: 'Old',
                 content: 'Content',
-                versions: [{ title: 'Original', content: 'Content', editedAt: new Date() }],
-                redoStack: [],
                 editedAt: new Date()
             };
 
-            const result = NoteHistoryDomain.applyUpdate(note, { title: 'New' });
+            const result = NoteHistoryDomain.applyUpdate(note, { title: 'New' }, { hasHistory: true });
 
             expect(result.modified).toBe(true);
             expect(result.note.title).toBe('New');
@@ -141,39 +196,40 @@ describe('NoteHistoryDomain - Lógica Pura', () => {
             const note = {
                 title: 'Title',
                 content: 'Old',
-                versions: [{ title: 'Title', content: 'Original', editedAt: new Date() }],
-                redoStack: [],
                 editedAt: new Date()
             };
 
-            const result = NoteHistoryDomain.applyUpdate(note, { content: 'New' });
+            const result = NoteHistoryDomain.applyUpdate(note, { content: 'New' }, { hasHistory: true });
 
             expect(result.modified).toBe(true);
             expect(result.note.content).toBe('New');
         });
 
-        test('debe invalidar redoStack al hacer cambio', () => {
-            const note = {
-                title: 'Title',
-                content: 'Content',
-                versions: [{ title: 'V1', content: 'C1', editedAt: new Date() }],
-                redoStack: [
-                    { title: 'Redo1', content: 'RedoC1', editedAt: new Date() }
-                ],
-                editedAt: new Date()
-            };
+        test('con historial previo solo debe apilar el estado anterior', () => {
+            const note = { title: 'Old', content: 'Content' };
+
+            const result = NoteHistoryDomain.applyUpdate(note, { title: 'New' }, { hasHistory: true });
+
+            expect(result.snapshots).toHaveLength(1);
+            expect(result.snapshots[0].title).toBe('Old');
+        });
 
-            const result = NoteHistoryDomain.applyUpdate(note, { title: 'Changed' });
+        test('debe invalidar redo al hacer cambio', () => {
+            const history = withHistory(
+                { title: 'Title', content: 'Content' },
+                [{ title: 'V1', content: 'C1', editedAt: new Date() }],
+                [{ title: 'Redo1', content: 'RedoC1', editedAt: new Date() }]
+            );
 
-            expect(result.note.redoStack).toEqual([]);
+            history.edit({ title: 'Changed' });
+
+            expect(history.redo).toEqual([]);
         });
 
         test('NO debe modificar si no hay cambios reales', () => {
             const note = {
                 title: 'Same',
                 content: 'Same',
-                versions: [],
-                redoStack: [],
                 editedAt: new Date()
             };
 
@@ -183,58 +239,29 @@ describe('NoteHistoryDomain - Lógica Pura', () => {
             });
 
             expect(result.modified).toBe(false);
-            expect(result.note.versions).toHaveLength(0);
+            expect(result.snapshots).toHaveLength(0);
         });
     });
 
     // ============================================
-    // TESTS: applyUpdate - Límite de 20
+    // TESTS: applyUpdate - Sin límite de historial
     // ============================================
 
-    describe('applyUpdate() - Límite de Historial', () => {
-        test('debe mantener máximo 20 versiones', () => {
-            // Crear nota con 20 versiones
-            const versions = Array(20).fill(null).map((_, i) => ({
+    describe('applyUpdate() - Historial sin límite', () => {
+        test('no debe descartar versiones antiguas (la retención es de la persistencia)', () => {
+            const undo = Array(20).fill(null).map((_, i) => ({
                 title: `Version ${i}`,
                 content: `Content ${i}`,
                 editedAt: new Date()
             }));
 
-            const note = {
-                title: 'Current',
-                content: 'Current',
-                versions,
-                redoStack: [],
-                editedAt: new Date()
-            };
+            const history = withHistory({ title: 'Current', content: 'Current' }, undo);
 
-            const result = NoteHistoryDomain.applyUpdate(note, { title: 'New' });
+            history.edit({ title: 'Change1' });
+            history.edit({ title: 'Change2' });
 
-            expect(result.note.versions).toHaveLength(20);
-            // Debe eliminar la más antigua (Version 0)
-            expect(result.note.versions[0].title).toBe('Version 1');
-        });
-
-        test('debe eliminar versiones antiguas cuando excede límite', () => {
-            const versions = Array(19).fill(null).map((_, i) => ({
-                title: `V${i}`,
-                content: `C${i}`,
-                editedAt: new Date()
-            }));
-
-            const note = {
-                title: 'Current',
-                content: 'Current',
-                versions,
-                redoStack: [],
-                editedAt: new Date()
-            };
-
-            // Hacer dos cambios consecutivos
-            let result = NoteHistoryDomain.applyUpdate(note, { title: 'Change1' });
-            result = NoteHistoryDomain.applyUpdate(result.note, { title: 'Change2' });
-
-            expect(result.note.versions).toHaveLength(20);
+            expect(history.undo).toHaveLength(22);
+            expect(history.undo[0].title).toBe('Version 0');
         });
     });
 
@@ -247,64 +274,50 @@ describe('NoteHistoryDomain - Lógica Pura', () => {
             const note = {
                 title: 'Current',
                 content: 'Current content',
-                versions: [
-                    { title: 'Previous', content: 'Previous content', editedAt: new Date() }
-                ],
-                redoStack: [],
                 editedAt: new Date()
             };
+            const previous = { title: 'Previous', content: 'Previous content', editedAt: new Date() };
 
-            const result = NoteHistoryDomain.undo(note);
+            const result = NoteHistoryDomain.undo(note, previous);
 
             expect(result.success).toBe(true);
             expect(result.note.title).toBe('Previous');
             expect(result.note.content).toBe('Previous content');
         });
 
-        test('debe guardar estado actual en redoStack', () => {
+        test('debe devolver el estado actual para apilar en redo', () => {
             const note = {
                 title: 'Current',
                 content: 'Current',
-                versions: [
-                    { title: 'Old', content: 'Old', editedAt: new Date() }
-                ],
-                redoStack: [],
                 editedAt: new Date()
             };
 
-            const result = NoteHistoryDomain.undo(note);
+            const result = NoteHistoryDomain.undo(note, { title: 'Old', content: 'Old', editedAt: new Date() });
 
-            expect(result.note.redoStack).toHaveLength(1);
-            expect(result.note.redoStack[0].title).toBe('Current');
+            expect(result.snapshot.title).toBe('Current');
         });
 
-        test('debe eliminar versión del historial', () => {
-            const note = {
-                title: 'Current',
-                content: 'Current',
-                versions: [
-                    { title: 'V1', content: 'C1', editedAt: new Date() },
-                    { title: 'V2', content: 'C2', editedAt: new Date() }
-                ],
-                redoStack: [],
-                editedAt: new Date()
-            };
+        test('debe consumir la cima del historial', () => {
+            const history = withHistory({ title: 'Current', content: 'Current' }, [
+                { title: 'V1', content: 'C1', editedAt: new Date() },
+                { title: 'V2', content: 'C2', editedAt: new Date() }
+            ]);
 
-            const result = NoteHistoryDomain.undo(note);
+            history.undoStep();
 
-            expect(result.note.versions).toHaveLength(1);
+            expect(history.undo).toHaveLength(1);
+            expect(history.redo).toHaveLength(1);
+            expect(history.note.title).toBe('V2');
         });
 
         test('debe fallar si no hay historial', () => {
             const note = {
                 title: 'Current',
                 content: 'Current',
-                versions: [],
-                redoStack: [],
                 editedAt: new Date()
             };
 
-            const result = NoteHistoryDomain.undo(note);
+            const result = NoteHistoryDomain.undo(note, null);
 
             expect(result.success).toBe(false);
             expect(result.error).toBe('NO_HISTORY');
@@ -314,12 +327,10 @@ describe('NoteHistoryDomain - Lógica Pura', () => {
             const note = {
                 title: 'Current',
                 content: 'Current',
-                versions: [],
-                redoStack: [],
                 editedAt: new Date()
             };
 
-            const result = NoteHistoryDomain.undo(note);
+            const result = NoteHistoryDomain.undo(note, null);
 
             expect(result.note.title).toBe('Current');
             expect(result.note.content).toBe('Current');
@@ -335,92 +346,54 @@ describe('NoteHistoryDomain - Lógica Pura', () => {
             const note = {
                 title: 'Current',
                 content: 'Current',
-                versions: [
-                    { title: 'V1', content: 'C1', editedAt: new Date() }
-                ],
-                redoStack: [
-                    { title: 'Redone', content: 'Redone content', editedAt: new Date() }
-                ],
                 editedAt: new Date()
             };
+            const next = { title: 'Redone', content: 'Redone content', editedAt: new Date() };
 
-            const result = NoteHistoryDomain.redo(note);
+            const result = NoteHistoryDomain.redo(note, next);
 
             expect(result.success).toBe(true);
             expect(result.note.title).toBe('Redone');
             expect(result.note.content).toBe('Redone content');
         });
 
-        test('debe guardar estado actual en versions', () => {
+        test('debe devolver el estado actual para apilar en undo', () => {
             const note = {
                 title: 'Current',
                 content: 'Current',
-                versions: [],
-                redoStack: [
-                    { title: 'Redo', content: 'Redo', editedAt: new Date() }
-                ],
                 editedAt: new Date()
             };
 
-            const result = NoteHistoryDomain.redo(note);
+            const result = NoteHistoryDomain.redo(note, { title: 'Redo', content: 'Redo', editedAt: new Date() });
 
-            expect(result.note.versions).toHaveLength(1);
-            expect(result.note.versions[0].title).toBe('Current');
+            expect(result.snapshot.title).toBe('Current');
         });
 
-        test('debe eliminar del redoStack', () => {
-            const note = {
-                title: 'Current',
-                content: 'Current',
-                versions: [],
-                redoStack: [
-                    { title: 'R1', content: 'C1', editedAt: new Date() },
-                    { title: 'R2', content: 'C2', editedAt: new Date() }
-                ],
-                editedAt: new Date()
-            };
+        test('debe consumir la cima de redo', () => {
+            const history = withHistory({ title: 'Current', content: 'Current' }, [], [
+                { title: 'R1', content: 'C1', editedAt: new Date() },
+                { title: 'R2', content: 'C2', editedAt: new Date() }
+            ]);
 
-            const result = NoteHistoryDomain.redo(note);
+            history.redoStep();
 
-            expect(result.note.redoStack).toHaveLength(1);
+            expect(history.redo).toHaveLength(1);
+            expect(history.undo).toHaveLength(1);
+            expect(history.note.title).toBe('R2');
         });
 
-        test('debe fallar si no hay redoStack', () => {
+        test('debe fallar si no hay redo', () => {
             const note = {
                 title: 'Current',
                 content: 'Current',
-                versions: [],
-                redoStack: [],
                 editedAt: new Date()
             };
 
-            const result = NoteHistoryDomain.redo(note);
+            const result = NoteHistoryDomain.redo(note, null);
 
             expect(result.success).toBe(false);
             expect(result.error).toBe('NO_REDO');
         });
-
-        test('debe respetar límite de 20 en versions', () => {
-            const versions = Array(20).fill(null).map((_, i) => ({
-                title: `V${i}`,
-                content: `C${i}`,
-                editedAt: new Date()
-            }));
-
-            const note = {
-                title: 'Current',
-                content: 'Current',
-                versions,
-                redoStack: [
-                    { title: 'Redo', content: 'Redo', editedAt: new Date() }
-                ],
-                editedAt: new Date()
-            };
-
-            const result = NoteHistoryDomain.redo(note);
-
-            expect(result.note.versions).toHaveLength(20);
-        });
     });
 
     // ============================================
@@ -429,49 +402,215 @@ describe('NoteHistoryDomain - Lógica Pura', () => {
 
     describe('Flujo undo → redo', () => {
         test('debe permitir undo seguido de redo', () => {
-            let note = {
-                title: 'V2',
-                content: 'C2',
-                versions: [
-                    { title: 'V1', content: 'C1', editedAt: new Date() }
-                ],
-                redoStack: [],
-                editedAt: new Date()
-            };
+            const history = withHistory({ title: 'V2', content: 'C2' }, [
+                { title: 'V1', content: 'C1', editedAt: new Date() }
+            ]);
 
             // Undo
-            let result = NoteHistoryDomain.undo(note);
-            expect(result.note.title).toBe('V1');
+            history.undoStep();
+            expect(history.note.title).toBe('V1');
 
             // Redo
-            result = NoteHistoryDomain.redo(result.note);
-            expect(result.note.title).toBe('V2');
+            history.redoStep();
+            expect(history.note.title).toBe('V2');
         });
 
         test('debe mantener coherencia en múltiples undo/redo', () => {
-            let note = {
-                title: 'V3',
-                content: 'C3',
-                versions: [
-                    { title: 'V1', content: 'C1', editedAt: new Date() },
-                    { title: 'V2', content: 'C2', editedAt: new Date() }
-                ],
-                redoStack: [],
-                editedAt: new Date()
-            };
+            const history = withHistory({ title: 'V3', content: 'C3' }, [
+                { title: 'V1', content: 'C1', editedAt: new Date() },
+                { title: 'V2', content: 'C2', editedAt: new Date() }
+            ]);
 
             // Undo x2
-            note = NoteHistoryDomain.undo(note).note;
-            note = NoteHistoryDomain.undo(note).note;
-            expect(note.title).toBe('V1');
-            expect(note.redoStack).toHaveLength(2);
+            history.undoStep();
+            history.undoStep();
+            expect(history.note.title).toBe('V1');
+            expect(history.redo).toHaveLength(2);
 
             // Redo x2
-            note = NoteHistoryDomain.redo(note).note;
-            note = NoteHistoryDomain.redo(note).note;
-            expect(note.title).toBe('V3');
-            expect(note.redoStack).toHaveLength(0);
+            history.redoStep();
+            history.redoStep();
+            expect(history.note.title).toBe('V3');
+            expect(history.redo).toHaveLength(0);
         });
     });
 
+    // ============================================
+    // TESTS: Etiquetas en el historial
+    // ============================================
+
+    describe('Etiquetas en el historial', () => {
+        test('hasRealChanges debe detectar cambio de tags', () => {
+            const current = { title: 'T', content: 'C', tags: ['a'] };
+
+            expect(NoteHistoryDomain.hasRealChanges(current, { tags: ['a', 'b'] })).toBe(true);
+            expect(NoteHistoryDomain.hasRealChanges(current, { tags: ['a'] })).toBe(false);
+        });
+
+        test('undo debe restaurar tags del snapshot', () => {
+            const history = withHistory({ title: 'T', content: 'C', tags: ['a'] });
+
+            history.edit({ tags: ['b'] });
+            expect(history.note.tags).toEqual(['b']);
+
+            history.undoStep();
+            expect(history.note.tags).toEqual(['a']);
+
+            history.redoStep();
+            expect(history.note.tags).toEqual(['b']);
+        });
+
+        test('undo con snapshot sin tags debe conservar las actuales', () => {
+            const note = { title: 'T', content: 'C', tags: ['keep'] };
+            const previous = { title: 'Old', content: 'C', editedAt: new Date() };
+
+            expect(NoteHistoryDomain.undo(note, previous).note.tags).toEqual(['keep']);
+        });
+    });
+
+    // ============================================
+    // TESTS: Historial completo de versiones
+    // ============================================
+
+    describe('timeline() / restoreVersion()', () => {
+        const note = {
+            title: 'V2',
+            content: 'C2',
+            tags: [],
+            updatedAt: new Date('2024-01-03')
+        };
+
+        const history = {
+            undo: [
+                { title: 'V1', content: 'C1', tags: [], editedAt: new Date('2024-01-01') }
+            ],
+            redo: [
+                { title: 'V3', content: 'C3', tags: [], editedAt: new Date('2024-01-04') },
+                { title: 'V4', content: 'C4', tags: [], editedAt: new Date('2024-01-05') }
+            ]
+        };
+
+        test('timeline debe ordenar undo, actual y redo de más antigua a más nueva', () => {
+            const timeline = NoteHistoryDomain.timeline(note, history);
+
+            expect(timeline.map(v => v.title)).toEqual(['V1', 'V2', 'V3', 'V4']);
+            expect(timeline.map(v => v.version)).toEqual([1, 2, 3, 4]);
+            expect(timeline.find(v => v.current).title).toBe('V2');
+        });
+
+        test('locate debe situar cada versión en su pila sin leer el historial', () => {
+            const timeline = NoteHistoryDomain.timeline(note, history);
+            const stacks = { undo: history.undo, redo: [...history.redo].reverse() };
+
+            for (const entry of timeline) {
+                const place = NoteHistoryDomain.locate(entry.version, history.undo.length);
+                const snapshot = place.current
+                    ? null
+                    : stacks[place.stack][stacks[place.stack].length - 1 - place.depth];
+
+                expect(NoteHistoryDomain.versionEntry(note, snapshot, entry.version)).toEqual(entry);
+            }
+
+            expect(NoteHistoryDomain.locate(0, 1)).toBe(null);
+            expect(NoteHistoryDomain.locate(5, 1)).toEqual({ stack: 'redo', depth: 2 });
+        });
+
+        test('getVersion debe devolver null fuera de rango', () => {
+            expect(NoteHistoryDomain.getVersion(note, history, 5)).toBe(null);
+        });
+
+        test('restoreVersion debe saltar a la versión como un paso más de undo', () => {
+            const result = NoteHistoryDomain.restoreVersion(note, history, 4);
+
+            expect(result.success).toBe(true);
+            expect(result.modified).toBe(true);
+            expect(result.note.title).toBe('V4');
+            expect(result.snapshots.map(s => s.title)).toEqual(['V2']);
+
+            // El salto se deshace con un undo normal
+            const undone = NoteHistoryDomain.undo(result.note, result.snapshots[0]);
+            expect(undone.note.title).toBe('V2');
+        });
+
+        test('restoreVersion a la versión actual no debe generar cambios', () => {
+            const result = NoteHistoryDomain.restoreVersion(note, history, 2);
+
+            expect(result.success).toBe(true);
+            expect(result.modified).toBe(false);
+        });
+
+        test('restoreVersion debe fallar con versión inexistente', () => {
+            const result = NoteHistoryDomain.restoreVersion(note, history, 9);
+
+            expect(result.success).toBe(false);
+            expect(result.error).toBe('VERSION_NOT_FOUND');
+        });
+    });
+
+    // ============================================
+    // TESTS: Autores y revert (undo/redo selectivo)
+    // ============================================
+
+    describe('isAuthor() / lastIndexBy()', () => {
+        const OWNER = 'owner';
+        const EDITOR = 'editor';
+
+        test('los snapshots sin autor cuentan como del propietario', () => {
+            expect(NoteHistoryDomain.isAuthor({}, OWNER, OWNER)).toBe(true);
+            expect(NoteHistoryDomain.isAuthor({}, EDITOR, OWNER)).toBe(false);
+            expect(NoteHistoryDomain.isAuthor({ author: EDITOR }, EDITOR, OWNER)).toBe(true);
+        });
+
+        test('lastIndexBy debe devolver la última entrada del usuario o -1', () => {
+            const stack = [{ author: EDITOR }, { author: OWNER }, { author: EDITOR }];
+
+            expect(NoteHistoryDomain.lastIndexBy(stack, OWNER, OWNER)).toBe(1);
+            expect(NoteHistoryDomain.lastIndexBy(stack, EDITOR, OWNER)).toBe(2);
+            expect(NoteHistoryDomain.lastIndexBy(stack, 'otro', OWNER)).toBe(-1);
+        });
+    });
+
+    describe('revert()', () => {
+        const snapshot = (content, extra = {}) => ({ title: 'T', content, tags: [], sinceRevision: 1, revision: 2, ...extra });
+        const note = { title: 'T', content: 'UNO\ndos\nTRES', tags: [], revision: 3 };
+
+        test('debe revertir una entrada intermedia conservando los cambios posteriores', () => {
+            const stack = [snapshot('uno\ndos\ntres'), snapshot('UNO\ndos\ntres')];
+
+            const result = NoteHistoryDomain.revert(note, stack, 0, { author: 'owner' });
+
+            expect(result.success).toBe(true);
+            expect(result.note.content).toBe('uno\ndos\nTRES');
+            expect(result.snapshot).toMatchObject({ content: 'UNO\ndos\nTRES', author: 'owner' });
+        });
+
+        test('debe rebasar las entradas superiores e invalidar su tramo de revisiones', () => {
+            const stack = [snapshot('uno\ndos\ntres'), snapshot('UNO\ndos\ntres', { author: 'editor' })];
+
+            const { rebased } = NoteHistoryDomain.revert(note, stack, 0);
+
+            expect(rebased).toEqual([
+                expect.objectContaining({ content: 'uno\ndos\ntres', author: 'editor', sinceRevision: null, revision: null })
+            ]);
+        });
+
+        test('revertir la cima debe equivaler a un undo normal', () => {
+            const stack = [snapshot('uno\ndos\ntres')];
+
+            const result = NoteHistoryDomain.revert(note, stack, 0);
+
+            expect(result.note.content).toBe('uno\ndos\ntres');
+            expect(result.rebased).toEqual([]);
+        });
+
+        test('debe devolver CONFLICT si un cambio posterior toca lo mismo', () => {
+            const stack = [snapshot('uno'), snapshot('UNO')];
+
+            const result = NoteHistoryDomain.revert({ ...note, content: 'Uno' }, stack, 0);
+
+            expect(result.success).toBe(false);
+            expect(result.error).toBe('CONFLICT');
+            expect(result.conflicts.content).toHaveLength(1);
+        });
+    });
 });
\ No newline at end of file
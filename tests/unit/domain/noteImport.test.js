@@ -0,0 +1,181 @@
+// tests/unit/domain/noteImport.test.js
+
+const AdmZip = require('adm-zip');
+const NoteImport = require('../../../src/domain/noteImport');
+
+const LIMITS = { maxArchiveEntries: 10, maxArchiveBytes: 1024 };
+
+function file(name, text) {
+    return { name, buffer: Buffer.from(text) };
+}
+
+function zip(entries) {
+    const archive = new AdmZip();
+    for (const [name, text] of Object.entries(entries)) {
+        archive.addFile(name, Buffer.from(text));
+    }
+    return archive.toBuffer();
+}
+
+/**
+ * Reescribe un campo de 4 bytes en las cabeceras (local y central) de una
+ * entrada ya comprimida: offsets { local, central } dentro de cada cabecera
+ */
+function patchHeaders(buffer, name, { local, central }, value) {
+    const patched = Buffer.from(buffer);
+    const headers = [
+        { signature: 0x04034b50, nameLength: 26, nameAt: 30, field: local },
+        { signature: 0x02014b50, nameLength: 28, nameAt: 46, field: central }
+    ];
+
+    for (let at = 0; at < patched.length - 4; at++) {
+        const header = headers.find(h => patched.readUInt32LE(at) === h.signature);
+        const length = header && patched.readUInt16LE(at + header.nameLength);
+
+        if (header && patched.toString('utf8', at + header.nameAt, at + header.nameAt + length) === name) {
+            patched.writeUInt32LE(value, at + header.field);
+        }
+    }
+    return patched;
+}
+
+describe('NoteImport - Lógica Pura', () => {
+
+    // ============================================
+    // TESTS: Archivos de texto
+    // ============================================
+
+    describe('Markdown y texto plano', () => {
+        test('debe tomar título y etiquetas del front-matter', () => {
+            const [entry] = NoteImport.read([file('a.md', '---\ntitle: Ideas\ntags: [uno, dos]\n---\n# Ideas\n')], LIMITS);
+
+            expect(entry).toEqual({
+                file: 'a.md',
+                data: { title: 'Ideas', content: '# Ideas\n', tags: ['uno', 'dos'], format: 'markdown' }
+            });
+        });
+
+        test('sin título debe usar el nombre del archivo', () => {
+            const [entry] = NoteImport.read([file('Lista compra.txt', '﻿pan')], LIMITS);
+
+            expect(entry.data).toEqual({ title: 'Lista compra', content: 'pan', tags: undefined, format: 'plain' });
+        });
+
+        test('el formato del front-matter debe prevalecer sobre la extensión', () => {
+            expect(NoteImport.parseText('a.txt', '---\nformat: markdown\n---\nx').format).toBe('markdown');
+            expect(NoteImport.parseText('a.md', '---\nformat: plain\n---\nx').format).toBe('plain');
+        });
+
+        test('un título que no es texto no debe llegar a la nota', () => {
+            expect(NoteImport.parseText('a.md', '---\ntitle: true\n---\nx').title).toBeUndefined();
+            expect(NoteImport.parseText('a.md', '---\ntitle: [uno]\n---\nx').title).toBeUndefined();
+            expect(NoteImport.parseText('a.md', '---\ntitle: { a: 1 }\n---\nx').title).toBeUndefined();
+            expect(NoteImport.parseText('a.md', '---\ntitle: 2024\n---\nx').title).toBe('2024');
+        });
+
+        test('etiquetas como texto separado por comas', () => {
+            const data = NoteImport.parseText('a.md', '---\ntags: casa, compras\n---\nx');
+
+            expect(data.tags).toEqual(['casa', ' compras']);
+        });
+
+        test('front-matter inválido y extensiones no admitidas deben dar error', () => {
+            const entries = NoteImport.read([
+                file('mal.md', '---\ntitle: [\n---\n'),
+                file('foto.png', 'x')
+            ], LIMITS);
+
+            expect(entries).toEqual([
+                { file: 'mal.md', error: 'INVALID_FRONT_MATTER' },
+                { file: 'foto.png', error: 'UNSUPPORTED_FILE_TYPE' }
+            ]);
+        });
+    });
+
+    // ============================================
+    // TESTS: JSON de exportación
+    // ============================================
+
+    describe('JSON de exportación', () => {
+        test('debe devolver una entrada por nota con su posición', () => {
+            const json = JSON.stringify({ format: 'flashnotes', notes: [
+                { title: 'A', content: 'a', tags: ['x'], status: 'trashed' },
+                { title: 7, content: 'b' }
+            ] });
+
+            expect(NoteImport.read([file('export.json', json)], LIMITS)).toEqual([
+                { file: 'export.json', index: 0, data: { title: 'A', content: 'a', tags: ['x'], format: undefined } },
+                { file: 'export.json', index: 1, data: { title: undefined, content: 'b', tags: undefined, format: undefined } }
+            ]);
+        });
+
+        test('debe aceptar una nota suelta', () => {
+            const [entry] = NoteImport.read([file('nota.json', '{"title":"A","content":"a"}')], LIMITS);
+
+            expect(entry.data.title).toBe('A');
+        });
+
+        test('JSON inválido o sin formato de exportación debe dar error', () => {
+            const entries = NoteImport.read([file('a.json', '{'), file('b.json', '{"notes":[1]}')], LIMITS);
+
+            expect(entries.map(entry => entry.error)).toEqual(['INVALID_JSON', 'INVALID_EXPORT']);
+        });
+    });
+
+    // ============================================
+    // TESTS: Zip
+    // ============================================
+
+    describe('Archivos zip', () => {
+        test('debe leer cada archivo con su ruta e ignorar los ocultos', () => {
+            const archive = zip({
+                'notas/a.md': 'A',
+                'notas/.DS_Store': 'x',
+                '__MACOSX/notas/._a.md': 'x',
+                'b.txt': 'B'
+            });
+
+            const entries = NoteImport.read([{ name: 'backup.zip', buffer: archive }], LIMITS);
+
+            expect(entries.map(entry => [entry.file, entry.data.content]).sort()).toEqual([
+                ['backup.zip/b.txt', 'B'],
+                ['backup.zip/notas/a.md', 'A']
+            ]);
+        });
+
+        test('debe rechazar zips que superan los límites o no son válidos', () => {
+            const big = zip({ 'a.md': 'x'.repeat(2048) });
+
+            expect(NoteImport.read([{ name: 'big.zip', buffer: big }], LIMITS))
+                .toEqual([{ file: 'big.zip', error: 'ARCHIVE_TOO_LARGE' }]);
+            expect(NoteImport.read([file('roto.zip', 'no es un zip')], LIMITS))
+                .toEqual([{ file: 'roto.zip', error: 'INVALID_ARCHIVE' }]);
+        });
+
+        test('el límite debe contar lo descomprimido, no el tamaño declarado', () => {
+            const archive = new AdmZip();
+            archive.addFile('a.md', Buffer.from('x'.repeat(2048)));
+            archive.getEntry('a.md').header.method = 0;
+            const forged = patchHeaders(archive.toBuffer(), 'a.md', { local: 22, central: 24 }, 10);
+
+            expect(NoteImport.read([{ name: 'forjado.zip', buffer: forged }], LIMITS))
+                .toEqual([{ file: 'forjado.zip', error: 'ARCHIVE_TOO_LARGE' }]);
+        });
+
+        test('una entrada dañada debe fallar sola', () => {
+            const damaged = patchHeaders(zip({ 'a.md': 'A', 'b.md': 'B' }), 'a.md', { local: 14, central: 16 }, 0);
+
+            expect(NoteImport.read([{ name: 'backup.zip', buffer: damaged }], LIMITS)).toEqual([
+                { file: 'backup.zip/a.md', error: 'INVALID_ARCHIVE_ENTRY' },
+                expect.objectContaining({ file: 'backup.zip/b.md', data: expect.objectContaining({ content: 'B' }) })
+            ]);
+        });
+
+        test('no debe abrir zips dentro de zips', () => {
+            const archive = zip({ 'otro.zip': 'x' });
+
+            expect(NoteImport.read([{ name: 'a.zip', buffer: archive }], LIMITS))
+                .toEqual([{ file: 'a.zip/otro.zip', error: 'UNSUPPORTED_FILE_TYPE' }]);
+        });
+    });
+});
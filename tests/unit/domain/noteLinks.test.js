@@ -0,0 +1,84 @@
+// tests/unit/domain/noteLinks.test.js
+
+const NoteLinks = require('../../../src/domain/noteLinks');
+
+const ID = '507f1f77bcf86cd799439011';
+
+describe('NoteLinks - Lógica Pura', () => {
+
+    // ============================================
+    // TESTS: parse
+    // ============================================
+
+    describe('parse()', () => {
+        test('debe devolver las claves únicas en orden de aparición', () => {
+            const content = `Ver [[Receta  Tortilla]], [[receta tortilla|la receta]] y [[${ID.toUpperCase()}]]`;
+
+            expect(NoteLinks.parse(content)).toEqual(['receta tortilla', ID]);
+        });
+
+        test('debe ignorar enlaces vacíos, multilínea y dentro de código', () => {
+            const content = [
+                '[[]] [[ ]] [[a',
+                'b]]',
+                '`[[En línea]]`',
+                '```md',
+                '[[En bloque]]',
+                '```',
+                '[[Fuera]]'
+            ].join('\n');
+
+            expect(NoteLinks.parse(content)).toEqual(['fuera']);
+        });
+
+        test('debe limitar el número de enlaces', () => {
+            const content = Array.from({ length: 300 }, (_, i) => `[[Nota ${i}]]`).join(' ');
+
+            expect(NoteLinks.parse(content)).toHaveLength(NoteLinks.MAX_LINKS);
+        });
+    });
+
+    // ============================================
+    // TESTS: keysOf / resolve
+    // ============================================
+
+    describe('keysOf() / resolve()', () => {
+        test('una nota se enlaza por su ID o por su título normalizado', () => {
+            expect(NoteLinks.keysOf({ _id: ID, title: ' Lista  Compra ' })).toEqual([ID, 'lista compra']);
+        });
+
+        test('debe resolver cada clave y dejar a null las que no llevan a ninguna nota', () => {
+            const older = { _id: '507f1f77bcf86cd799439012', title: 'Receta' };
+            const newer = { _id: '507f1f77bcf86cd799439013', title: 'RECETA' };
+
+            expect(NoteLinks.resolve(['receta', ID, '507f1f77bcf86cd799439013'], [older, newer])).toEqual([
+                { target: 'receta', note: older },
+                { target: ID, note: null },
+                { target: '507f1f77bcf86cd799439013', note: newer }
+            ]);
+        });
+    });
+
+    // ============================================
+    // TESTS: rewrite
+    // ============================================
+
+    describe('rewrite()', () => {
+        test('debe sustituir los enlaces por título conservando el texto alternativo', () => {
+            const content = 'Ver [[receta  tortilla]] y [[Receta Tortilla|la receta]] pero no [[Receta]]';
+
+            expect(NoteLinks.rewrite(content, 'Receta Tortilla', 'Tortilla (patatas)'))
+                .toBe('Ver [[Tortilla (patatas)]] y [[Tortilla (patatas)|la receta]] pero no [[Receta]]');
+        });
+
+        test('no debe tocar los enlaces dentro de código', () => {
+            const content = '`[[Vieja]]`\n```\n[[Vieja]]\n```\n[[Vieja]]';
+
+            expect(NoteLinks.rewrite(content, 'Vieja', 'Nueva')).toBe('`[[Vieja]]`\n```\n[[Vieja]]\n```\n[[Nueva]]');
+        });
+
+        test('debe escapar los caracteres especiales del título', () => {
+            expect(NoteLinks.rewrite('[[a.b (c)]] [[aXb (c)]]', 'a.b (c)', 'd')).toBe('[[d]] [[aXb (c)]]');
+        });
+    });
+});
@@ -0,0 +1,151 @@
+// tests/unit/domain/noteMerge.test.js
+
+const NoteMerge = require('../../../src/domain/noteMerge');
+
+describe('NoteMerge - Lógica Pura', () => {
+
+    const base = {
+        title: 'Lista',
+        content: 'pan\nleche\nhuevos\nfruta',
+        tags: ['casa']
+    };
+
+    // ============================================
+    // TESTS: stateAt
+    // ============================================
+
+    describe('stateAt()', () => {
+        const note = { title: 'Actual', content: 'C3', tags: ['x'], revision: 6, stateRevision: 5 };
+        const history = {
+            undo: [
+                { title: 'V1', content: 'C1', sinceRevision: 1, revision: 2 },
+                { title: 'V2', content: 'C2', sinceRevision: 3, revision: 4 }
+            ],
+            redo: []
+        };
+
+        test('debe devolver el estado actual si sigue vigente en esa revisión', () => {
+            expect(NoteMerge.stateAt(note, history, 5).content).toBe('C3');
+        });
+
+        test('debe localizar el snapshot vigente en esa revisión', () => {
+            expect(NoteMerge.stateAt(note, history, 2).content).toBe('C1');
+            expect(NoteMerge.stateAt(note, history, 3).content).toBe('C2');
+        });
+
+        test('debe devolver null si el estado ya no está en el historial', () => {
+            const pruned = { undo: [history.undo[1]], redo: [] };
+
+            expect(NoteMerge.stateAt(note, pruned, 1)).toBeNull();
+        });
+
+        test('debe devolver null para revisiones futuras', () => {
+            expect(NoteMerge.stateAt(note, history, 7)).toBeNull();
+        });
+    });
+
+    // ============================================
+    // TESTS: mergeText
+    // ============================================
+
+    describe('mergeText()', () => {
+        test('debe combinar cambios en líneas distintas', () => {
+            const server = 'pan\nLECHE\nhuevos\nfruta';
+            const client = 'pan\nleche\nhuevos\nFRUTA';
+
+            const result = NoteMerge.mergeText(base.content, server, client);
+
+            expect(result.clean).toBe(true);
+            expect(result.text).toBe('pan\nLECHE\nhuevos\nFRUTA');
+        });
+
+        test('cambios idénticos en ambos lados no son conflicto', () => {
+            const edited = 'pan\nleche entera\nhuevos\nfruta';
+
+            expect(NoteMerge.mergeText(base.content, edited, edited).clean).toBe(true);
+        });
+
+        test('debe marcar los hunks solapados', () => {
+            const server = 'pan\nleche entera\nhuevos\nfruta';
+            const client = 'pan\nleche desnatada\nhuevos\nfruta';
+
+            const result = NoteMerge.mergeText(base.content, server, client);
+
+            expect(result.clean).toBe(false);
+            expect(result.conflicts).toEqual([
+                { line: 2, base: 'leche', server: 'leche entera', client: 'leche desnatada' }
+            ]);
+            expect(result.text).toBe([
+                'pan',
+                NoteMerge.MARKERS.server,
+                'leche entera',
+                NoteMerge.MARKERS.separator,
+                'leche desnatada',
+                NoteMerge.MARKERS.client,
+                'huevos',
+                'fruta'
+            ].join('\n'));
+        });
+    });
+
+    // ============================================
+    // TESTS: mergeTitle / mergeTags
+    // ============================================
+
+    describe('mergeTitle()', () => {
+        test('debe quedarse con el lado que cambió', () => {
+            expect(NoteMerge.mergeTitle('A', 'B', 'A').value).toBe('B');
+            expect(NoteMerge.mergeTitle('A', 'A', 'C').value).toBe('C');
+        });
+
+        test('cambios distintos en ambos lados son conflicto', () => {
+            const result = NoteMerge.mergeTitle('A', 'B', 'C');
+
+            expect(result.clean).toBe(false);
+            expect(result.conflict).toEqual({ base: 'A', server: 'B', client: 'C' });
+        });
+    });
+
+    describe('mergeTags()', () => {
+        test('debe aplicar altas y bajas del cliente sobre las del servidor', () => {
+            const tags = NoteMerge.mergeTags(['casa', 'viejo'], ['casa', 'viejo', 'servidor'], ['casa', 'cliente']);
+
+            expect(tags).toEqual(['casa', 'servidor', 'cliente']);
+        });
+    });
+
+    // ============================================
+    // TESTS: merge
+    // ============================================
+
+    describe('merge()', () => {
+        test('debe fusionar sin conflictos y tomar de la base los campos no enviados', () => {
+            const server = { ...base, title: 'Lista del súper', content: 'pan\nleche\nhuevos\nfruta\nagua' };
+
+            const result = NoteMerge.merge(base, server, { content: 'PAN\nleche\nhuevos\nfruta' });
+
+            expect(result.clean).toBe(true);
+            expect(result.merged).toEqual({
+                title: 'Lista del súper',
+                content: 'PAN\nleche\nhuevos\nfruta\nagua',
+                tags: ['casa']
+            });
+        });
+
+        test('con conflictos debe devolver ambos lados y el texto con marcadores', () => {
+            const server = { ...base, title: 'Servidor', content: 'pan\nleche entera\nhuevos\nfruta' };
+
+            const result = NoteMerge.merge(base, server, {
+                title: 'Cliente',
+                content: 'pan\nleche desnatada\nhuevos\nfruta'
+            });
+
+            expect(result.clean).toBe(false);
+            expect(result.server.title).toBe('Servidor');
+            expect(result.client.title).toBe('Cliente');
+            expect(result.conflicts.title).toEqual({ base: 'Lista', server: 'Servidor', client: 'Cliente' });
+            expect(result.conflicts.content).toHaveLength(1);
+            expect(result.marked.content).toContain(NoteMerge.MARKERS.server);
+        });
+    });
+});
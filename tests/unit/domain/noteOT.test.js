@@ -0,0 +1,168 @@
+// tests/unit/domain/noteOT.test.js
+
+const NoteOT = require('../../../src/domain/noteOT');
+
+describe('NoteOT - Lógica Pura', () => {
+
+    /**
+     * Generador determinista para las pruebas aleatorias
+     */
+    function random(seed) {
+        return () => {
+            seed = (seed * 1103515245 + 12345) % 2147483648;
+            return seed / 2147483648;
+        };
+    }
+
+    /**
+     * Operación aleatoria válida sobre un texto
+     */
+    function randomOp(text, rand) {
+        const op = [];
+        let cursor = 0;
+
+        while (cursor < text.length) {
+            const n = 1 + Math.floor(rand() * Math.min(4, text.length - cursor));
+            const kind = rand();
+
+            if (kind < 0.4) {
+                op.push(n);
+                cursor += n;
+            } else if (kind < 0.7) {
+                op.push(-n);
+                cursor += n;
+            } else {
+                op.push('xyz'.slice(0, n));
+            }
+        }
+
+        if (rand() < 0.5) op.push('fin');
+        return NoteOT.normalize(op);
+    }
+
+    // ============================================
+    // TESTS: apply / normalize
+    // ============================================
+
+    describe('apply()', () => {
+        test('debe conservar, borrar e insertar en orden', () => {
+            expect(NoteOT.apply('hola mundo', [5, -5, 'gente'])).toBe('hola gente');
+        });
+
+        test('debe fallar si la operación no cubre el documento', () => {
+            expect(() => NoteOT.apply('hola', [2, 'x'])).toThrow('INVALID_OPERATION');
+        });
+    });
+
+    describe('normalize()', () => {
+        test('debe fusionar componentes contiguos y poner la inserción antes del borrado', () => {
+            expect(NoteOT.normalize([2, 3, -1, 'a', -2, 'b'])).toEqual([5, 'ab', -3]);
+        });
+    });
+
+    describe('isValid()', () => {
+        test('debe aceptar enteros distintos de cero y textos no vacíos', () => {
+            expect(NoteOT.isValid([3, -2, 'x'])).toBe(true);
+        });
+
+        test('debe rechazar cualquier otra forma', () => {
+            expect(NoteOT.isValid('x')).toBe(false);
+            expect(NoteOT.isValid([0])).toBe(false);
+            expect(NoteOT.isValid([''])).toBe(false);
+            expect(NoteOT.isValid([1.5])).toBe(false);
+            expect(NoteOT.isValid([{ insert: 'x' }])).toBe(false);
+        });
+    });
+
+    // ============================================
+    // TESTS: invert / compose
+    // ============================================
+
+    describe('invert()', () => {
+        test('aplicar la inversa debe recuperar el texto original', () => {
+            const text = 'hola mundo';
+            const op = [5, -5, 'gente'];
+
+            const inverse = NoteOT.invert(op, text);
+
+            expect(NoteOT.apply(NoteOT.apply(text, op), inverse)).toBe(text);
+        });
+    });
+
+    describe('compose()', () => {
+        test('debe equivaler a aplicar ambas operaciones seguidas', () => {
+            const text = 'pan y leche';
+            const a = [4, -1, 'o', 6];
+            const b = [11, ' y huevos'];
+
+            const composed = NoteOT.compose(a, b);
+
+            expect(NoteOT.apply(text, composed)).toBe(NoteOT.apply(NoteOT.apply(text, a), b));
+        });
+
+        test('debe fallar si las longitudes no encajan', () => {
+            expect(() => NoteOT.compose([3], [4])).toThrow('INVALID_OPERATION');
+        });
+    });
+
+    // ============================================
+    // TESTS: transform
+    // ============================================
+
+    describe('transform()', () => {
+        test('ediciones concurrentes deben converger', () => {
+            const text = 'pan y leche';
+            const a = ['comprar ', 11];
+            const b = [6, -5, 'fruta'];
+
+            const [aPrime, bPrime] = NoteOT.transform(a, b);
+
+            const viaA = NoteOT.apply(NoteOT.apply(text, a), bPrime);
+            const viaB = NoteOT.apply(NoteOT.apply(text, b), aPrime);
+
+            expect(viaA).toBe('comprar pan y fruta');
+            expect(viaB).toBe(viaA);
+        });
+
+        test('con inserciones en la misma posición, el texto de a va delante', () => {
+            const [aPrime] = NoteOT.transform([2, 'A'], [2, 'B']);
+
+            expect(NoteOT.apply('xyB', aPrime)).toBe('xyAB');
+        });
+
+        test('borrar lo mismo en ambos lados no debe duplicar el borrado', () => {
+            const [aPrime, bPrime] = NoteOT.transform([1, -2, 1], [1, -2, 1]);
+
+            // 'xaby' → 'xy' en ambos lados
+            expect(NoteOT.apply('xy', aPrime)).toBe('xy');
+            expect(NoteOT.isNoop(bPrime)).toBe(true);
+        });
+
+        test('debe converger con operaciones aleatorias', () => {
+            const rand = random(42);
+
+            for (let round = 0; round < 200; round++) {
+                const text = 'el veloz murciélago hindú'.slice(0, 5 + Math.floor(rand() * 20));
+                const a = randomOp(text, rand);
+                const b = randomOp(text, rand);
+
+                const [aPrime, bPrime] = NoteOT.transform(a, b);
+
+                expect(NoteOT.apply(NoteOT.apply(text, b), aPrime))
+                    .toBe(NoteOT.apply(NoteOT.apply(text, a), bPrime));
+            }
+        });
+    });
+
+    // ============================================
+    // TESTS: fromDiff
+    // ============================================
+
+    describe('fromDiff()', () => {
+        test('debe producir la operación que convierte un texto en otro', () => {
+            const op = NoteOT.fromDiff('pan y leche', 'pan, leche y huevos');
+
+            expect(NoteOT.apply('pan y leche', op)).toBe('pan, leche y huevos');
+        });
+    });
+});
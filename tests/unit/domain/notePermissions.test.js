@@ -0,0 +1,76 @@
+// tests/unit/domain/notePermissions.test.js
+
+const NotePermissions = require('../../../src/domain/notePermissions');
+
+describe('NotePermissions - Lógica Pura', () => {
+
+    const OWNER = '507f1f77bcf86cd799439001';
+    const EDITOR = '507f1f77bcf86cd799439002';
+    const VIEWER = '507f1f77bcf86cd799439003';
+    const STRANGER = '507f1f77bcf86cd799439004';
+
+    const note = {
+        owner: OWNER,
+        shares: [
+            { user: EDITOR, role: 'editor' },
+            { user: VIEWER, role: 'viewer' }
+        ]
+    };
+
+    // ============================================
+    // TESTS: roleOf
+    // ============================================
+
+    describe('roleOf()', () => {
+        test('debe reconocer al propietario', () => {
+            expect(NotePermissions.roleOf(note, OWNER)).toBe('owner');
+        });
+
+        test('debe devolver el rol compartido', () => {
+            expect(NotePermissions.roleOf(note, EDITOR)).toBe('editor');
+            expect(NotePermissions.roleOf(note, VIEWER)).toBe('viewer');
+        });
+
+        test('debe devolver null sin acceso', () => {
+            expect(NotePermissions.roleOf(note, STRANGER)).toBe(null);
+        });
+
+        test('debe devolver null sin usuario', () => {
+            expect(NotePermissions.roleOf(note, undefined)).toBe(null);
+        });
+
+        test('debe aceptar propietario poblado', () => {
+            const populated = { ...note, owner: { _id: OWNER, email: 'a@b.c' } };
+
+            expect(NotePermissions.roleOf(populated, OWNER)).toBe('owner');
+        });
+    });
+
+    // ============================================
+    // TESTS: can*
+    // ============================================
+
+    describe('canRead / canEdit / canDelete / canShare', () => {
+        test('viewer solo puede leer', () => {
+            expect(NotePermissions.canRead(note, VIEWER)).toBe(true);
+            expect(NotePermissions.canEdit(note, VIEWER)).toBe(false);
+            expect(NotePermissions.canDelete(note, VIEWER)).toBe(false);
+        });
+
+        test('editor puede editar pero no eliminar ni compartir', () => {
+            expect(NotePermissions.canEdit(note, EDITOR)).toBe(true);
+            expect(NotePermissions.canDelete(note, EDITOR)).toBe(false);
+            expect(NotePermissions.canShare(note, EDITOR)).toBe(false);
+        });
+
+        test('propietario puede todo', () => {
+            expect(NotePermissions.canEdit(note, OWNER)).toBe(true);
+            expect(NotePermissions.canDelete(note, OWNER)).toBe(true);
+            expect(NotePermissions.canShare(note, OWNER)).toBe(true);
+        });
+
+        test('sin acceso no puede leer', () => {
+            expect(NotePermissions.canRead(note, STRANGER)).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,77 @@
+// tests/unit/domain/noteRender.test.js
+
+const NoteRender = require('../../../src/domain/noteRender');
+
+describe('NoteRender - Lógica Pura', () => {
+
+    // ============================================
+    // TESTS: Markdown
+    // ============================================
+
+    describe('toHtml() - markdown', () => {
+        test('debe renderizar Markdown por defecto', () => {
+            expect(NoteRender.toHtml('# Título\n\n**negrita** y ~~tachado~~'))
+                .toBe('<h1>Título</h1>\n<p><strong>negrita</strong> y <del>tachado</del></p>\n');
+        });
+
+        test('debe renderizar listas de tareas con casillas de solo lectura', () => {
+            const html = NoteRender.toHtml('- [x] hecha\n- [ ] pendiente', 'markdown');
+
+            expect(html).toContain('<input checked disabled type="checkbox" /> hecha');
+            expect(html).toContain('<input disabled type="checkbox" /> pendiente');
+        });
+
+        test('debe renderizar tablas con su alineación', () => {
+            const html = NoteRender.toHtml('| a | b |\n|:--|--:|\n| 1 | 2 |');
+
+            expect(html).toContain('<th align="left">a</th>');
+            expect(html).toContain('<td align="right">2</td>');
+        });
+
+        test('los bloques de código deben llevar la clase del lenguaje', () => {
+            expect(NoteRender.toHtml('```js\nconst a = 1 < 2;\n```'))
+                .toBe('<pre><code class="language-js">const a = 1 &lt; 2;\n</code></pre>\n');
+        });
+    });
+
+    // ============================================
+    // TESTS: Saneado
+    // ============================================
+
+    describe('toHtml() - saneado', () => {
+        test('debe eliminar scripts y atributos de eventos', () => {
+            const html = NoteRender.toHtml('<script>alert(1)</script>\n\n<img src="https://x.test/a.png" onerror="alert(1)">');
+
+            expect(html).not.toContain('<script');
+            expect(html).not.toContain('onerror');
+            expect(html).toContain('<img src="https://x.test/a.png" />');
+        });
+
+        test('debe quitar enlaces javascript: y marcar los externos', () => {
+            const html = NoteRender.toHtml('[malo](javascript:alert(1)) [bueno](https://example.com)');
+
+            expect(html).not.toContain('javascript:');
+            expect(html).toContain('<a href="https://example.com" rel="nofollow noopener noreferrer">bueno</a>');
+        });
+
+        test('solo debe admitir casillas y clases de lenguaje válidas', () => {
+            expect(NoteRender.toHtml('<input type="text" value="x">')).not.toContain('<input');
+            expect(NoteRender.toHtml('```"><b>\nx\n```')).toBe('<pre><code>x\n</code></pre>\n');
+        });
+    });
+
+    // ============================================
+    // TESTS: Texto plano
+    // ============================================
+
+    describe('toHtml() - plain', () => {
+        test('debe escapar el texto y no interpretar Markdown', () => {
+            expect(NoteRender.toHtml('**a** <b>b</b>', 'plain')).toBe('<p>**a** &lt;b&gt;b&lt;/b&gt;</p>');
+        });
+
+        test('debe separar párrafos por líneas en blanco y respetar los saltos', () => {
+            expect(NoteRender.toHtml('uno\r\ndos\n\n\ntres', 'plain'))
+                .toBe('<p>uno<br />\ndos</p>\n<p>tres</p>');
+        });
+    });
+});
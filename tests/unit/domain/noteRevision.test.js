@@ -0,0 +1,88 @@
+// tests/unit/domain/noteRevision.test.js
+
+const NoteRevision = require('../../../src/domain/noteRevision');
+
+describe('NoteRevision - Lógica Pura', () => {
+
+    // ============================================
+    // TESTS: etag
+    // ============================================
+
+    describe('etag()', () => {
+        test('debe ser la revisión entre comillas', () => {
+            expect(NoteRevision.etag(7)).toBe('"7"');
+        });
+    });
+
+    // ============================================
+    // TESTS: parseIfMatch
+    // ============================================
+
+    describe('parseIfMatch()', () => {
+        test('debe aceptar * como cualquier revisión', () => {
+            expect(NoteRevision.parseIfMatch(' * ')).toBe('*');
+        });
+
+        test('debe leer una lista de ETag', () => {
+            expect(NoteRevision.parseIfMatch('"3", "4"')).toEqual([3, 4]);
+        });
+
+        test('debe ignorar ETag débiles', () => {
+            expect(NoteRevision.parseIfMatch('W/"3", "5"')).toEqual([5]);
+        });
+
+        test('debe rechazar valores que no son ETag de revisión', () => {
+            expect(NoteRevision.parseIfMatch('3')).toBeNull();
+            expect(NoteRevision.parseIfMatch('"abc"')).toBeNull();
+            expect(NoteRevision.parseIfMatch('"3",')).toBeNull();
+        });
+    });
+
+    // ============================================
+    // TESTS: matches
+    // ============================================
+
+    describe('matches()', () => {
+        test('sin If-Match o con * siempre coincide', () => {
+            expect(NoteRevision.matches(3, null)).toBe(true);
+            expect(NoteRevision.matches(3, '*')).toBe(true);
+        });
+
+        test('debe comprobar la revisión contra la lista', () => {
+            expect(NoteRevision.matches(3, [2, 3])).toBe(true);
+            expect(NoteRevision.matches(3, [4])).toBe(false);
+            expect(NoteRevision.matches(3, [])).toBe(false);
+        });
+    });
+
+    // ============================================
+    // TESTS: retryOnStale
+    // ============================================
+
+    describe('retryOnStale()', () => {
+        const stale = () => new Error('STALE_REVISION');
+
+        test('debe repetir fn mientras el guardado quede obsoleto', async () => {
+            const fn = jest.fn()
+                .mockRejectedValueOnce(stale())
+                .mockResolvedValueOnce('guardada');
+
+            await expect(NoteRevision.retryOnStale(fn, 3)).resolves.toBe('guardada');
+            expect(fn).toHaveBeenCalledTimes(2);
+        });
+
+        test('agotados los intentos debe lanzar CONFLICT', async () => {
+            const fn = jest.fn().mockRejectedValue(stale());
+
+            await expect(NoteRevision.retryOnStale(fn, 3)).rejects.toMatchObject({ code: 'CONFLICT' });
+            expect(fn).toHaveBeenCalledTimes(3);
+        });
+
+        test('otros errores no deben reintentarse', async () => {
+            const fn = jest.fn().mockRejectedValue(new Error('NOTE_NOT_FOUND'));
+
+            await expect(NoteRevision.retryOnStale(fn, 3)).rejects.toThrow('NOTE_NOT_FOUND');
+            expect(fn).toHaveBeenCalledTimes(1);
+        });
+    });
+});
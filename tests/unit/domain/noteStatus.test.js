@@ -0,0 +1,82 @@
+// tests/unit/domain/noteStatus.test.js
+
+const NoteStatus = require('../../../src/domain/noteStatus');
+
+describe('NoteStatus - Lógica Pura', () => {
+
+    const now = new Date('2024-03-01T10:00:00.000Z');
+
+    const note = (fields = {}) => ({
+        status: 'active',
+        previousStatus: null,
+        archivedAt: null,
+        deletedAt: null,
+        ...fields
+    });
+
+    // ============================================
+    // TESTS: canTransition
+    // ============================================
+
+    describe('canTransition()', () => {
+        test.each([
+            ['active', 'archived', true],
+            ['active', 'trashed', true],
+            ['archived', 'active', true],
+            ['archived', 'trashed', true],
+            ['active', 'active', false],
+            ['archived', 'archived', false],
+            ['trashed', 'trashed', false]
+        ])('%s → %s: %s', (from, to, allowed) => {
+            expect(NoteStatus.canTransition(note({ status: from }), to)).toBe(allowed);
+        });
+
+        test('desde la papelera solo se puede volver al estado previo', () => {
+            const fromArchive = note({ status: 'trashed', previousStatus: 'archived' });
+
+            expect(NoteStatus.canTransition(fromArchive, 'archived')).toBe(true);
+            expect(NoteStatus.canTransition(fromArchive, 'active')).toBe(false);
+        });
+
+        test('las notas sin estado cuentan como activas', () => {
+            expect(NoteStatus.of({})).toBe('active');
+            expect(NoteStatus.restoreTarget({ status: 'trashed' })).toBe('active');
+        });
+    });
+
+    // ============================================
+    // TESTS: transition
+    // ============================================
+
+    describe('transition()', () => {
+        test('archivar debe fechar el archivo y desarchivar quitar la fecha', () => {
+            const archived = NoteStatus.transition(note(), 'archived', now);
+            expect(archived).toMatchObject({ status: 'archived', archivedAt: now });
+
+            expect(NoteStatus.transition(archived, 'active', now)).toMatchObject({ status: 'active', archivedAt: null });
+        });
+
+        test('enviar a la papelera debe recordar el estado previo', () => {
+            const trashed = NoteStatus.transition(note({ status: 'archived', archivedAt: now }), 'trashed', now);
+
+            expect(trashed).toMatchObject({ status: 'trashed', previousStatus: 'archived', deletedAt: now });
+        });
+
+        test('restaurar una archivada debe devolverla al archivo con su fecha', () => {
+            const archivedAt = new Date('2024-01-01T10:00:00.000Z');
+            const trashed = note({ status: 'trashed', previousStatus: 'archived', archivedAt, deletedAt: now });
+
+            const restored = NoteStatus.transition(trashed, NoteStatus.restoreTarget(trashed), now);
+
+            expect(restored).toEqual({ status: 'archived', previousStatus: null, archivedAt, deletedAt: null });
+        });
+
+        test('debe lanzar INVALID_STATUS_TRANSITION sin tocar la nota', () => {
+            const archived = note({ status: 'archived', archivedAt: now });
+
+            expect(() => NoteStatus.transition(archived, 'archived'))
+                .toThrow(expect.objectContaining({ code: 'INVALID_STATUS_TRANSITION' }));
+            expect(archived).toMatchObject({ status: 'archived', archivedAt: now });
+        });
+    });
+});
@@ -0,0 +1,106 @@
+// tests/unit/domain/notebookTree.test.js
+
+const NotebookTree = require('../../../src/domain/notebookTree');
+
+describe('NotebookTree - Lógica Pura', () => {
+
+    // raiz
+    // ├── trabajo
+    // │   └── proyectos
+    // │       └── clientes
+    // └── personal
+    const notebooks = [
+        { _id: 'raiz', parent: null, name: 'Notas' },
+        { _id: 'trabajo', parent: 'raiz', name: 'Trabajo' },
+        { _id: 'proyectos', parent: 'trabajo', name: 'Proyectos' },
+        { _id: 'clientes', parent: 'proyectos', name: 'Clientes' },
+        { _id: 'personal', parent: 'raiz', name: 'Personal' }
+    ];
+
+    // ============================================
+    // TESTS: subtreeIds
+    // ============================================
+
+    describe('subtreeIds()', () => {
+        test('debe incluir la libreta y todas sus descendientes', () => {
+            const ids = NotebookTree.subtreeIds(notebooks, 'trabajo');
+
+            expect(ids.sort()).toEqual(['clientes', 'proyectos', 'trabajo']);
+        });
+
+        test('una hoja solo se incluye a sí misma', () => {
+            expect(NotebookTree.subtreeIds(notebooks, 'personal')).toEqual(['personal']);
+        });
+    });
+
+    // ============================================
+    // TESTS: depthOf / heightOf
+    // ============================================
+
+    describe('depthOf() / heightOf()', () => {
+        test('debe medir la profundidad desde la raíz', () => {
+            expect(NotebookTree.depthOf(notebooks, 'raiz')).toBe(0);
+            expect(NotebookTree.depthOf(notebooks, 'clientes')).toBe(3);
+        });
+
+        test('debe medir la altura del subárbol', () => {
+            expect(NotebookTree.heightOf(notebooks, 'trabajo')).toBe(2);
+            expect(NotebookTree.heightOf(notebooks, 'personal')).toBe(0);
+        });
+    });
+
+    // ============================================
+    // TESTS: validateMove
+    // ============================================
+
+    describe('validateMove()', () => {
+        test('debe permitir mover a otra rama', () => {
+            expect(NotebookTree.validateMove(notebooks, 'proyectos', 'personal')).toBe(null);
+        });
+
+        test('debe rechazar mover una libreta dentro de sí misma', () => {
+            expect(NotebookTree.validateMove(notebooks, 'trabajo', 'trabajo')).toBe('NOTEBOOK_CYCLE');
+        });
+
+        test('debe rechazar mover una libreta dentro de una descendiente', () => {
+            expect(NotebookTree.validateMove(notebooks, 'trabajo', 'clientes')).toBe('NOTEBOOK_CYCLE');
+        });
+
+        test('debe rechazar superar la profundidad máxima', () => {
+            // Cadena lineal de MAX_DEPTH niveles bajo la raíz
+            const chain = [{ _id: 'n0', parent: null }];
+            for (let i = 1; i <= NotebookTree.MAX_DEPTH; i++) {
+                chain.push({ _id: `n${i}`, parent: `n${i - 1}` });
+            }
+            chain.push({ _id: 'suelta', parent: 'n0' });
+
+            expect(NotebookTree.validateMove(chain, 'suelta', `n${NotebookTree.MAX_DEPTH}`))
+                .toBe('NOTEBOOK_TOO_DEEP');
+        });
+    });
+
+    // ============================================
+    // TESTS: buildTree
+    // ============================================
+
+    describe('buildTree()', () => {
+        test('debe anidar las libretas bajo su padre', () => {
+            const [root] = NotebookTree.buildTree(notebooks);
+
+            expect(root._id).toBe('raiz');
+            expect(root.children.map(nb => nb._id)).toEqual(['trabajo', 'personal']);
+            expect(root.children[0].children[0].children[0]._id).toBe('clientes');
+        });
+
+        test('debe aceptar ObjectId o string indistintamente', () => {
+            const mixed = [
+                { _id: { toString: () => 'a' }, parent: null },
+                { _id: 'b', parent: { toString: () => 'a' } }
+            ];
+
+            const [root] = NotebookTree.buildTree(mixed);
+
+            expect(root.children[0]._id).toBe('b');
+        });
+    });
+});
@@ -0,0 +1,159 @@
+// tests/unit/domain/pagination.test.js
+
+const Pagination = require('../../../src/domain/pagination');
+
+describe('Pagination - Lógica Pura', () => {
+
+    const doc = {
+        _id: '507f1f77bcf86cd799439011',
+        title: 'Nota',
+        createdAt: new Date('2024-01-01T10:00:00Z')
+    };
+
+    // ============================================
+    // TESTS: encodeCursor / decodeCursor
+    // ============================================
+
+    describe('encodeCursor() / decodeCursor()', () => {
+        test('debe ida y vuelta conservando fecha e id', () => {
+            const cursor = Pagination.encodeCursor(doc, 'createdAt', 'desc');
+            const position = Pagination.decodeCursor(cursor, 'createdAt', 'desc');
+
+            expect(position.id).toBe(doc._id);
+            expect(position.value).toEqual(doc.createdAt);
+        });
+
+        test('debe conservar valores de texto', () => {
+            const cursor = Pagination.encodeCursor(doc, 'title', 'asc');
+
+            expect(Pagination.decodeCursor(cursor, 'title', 'asc').value).toBe('Nota');
+        });
+
+        test('debe rechazar cursor de otro orden', () => {
+            const cursor = Pagination.encodeCursor(doc, 'createdAt', 'desc');
+
+            expect(Pagination.decodeCursor(cursor, 'createdAt', 'asc')).toBe(null);
+            expect(Pagination.decodeCursor(cursor, 'title', 'desc')).toBe(null);
+        });
+
+        test('debe rechazar cursor corrupto', () => {
+            expect(Pagination.decodeCursor('no-es-un-cursor', 'createdAt', 'desc')).toBe(null);
+        });
+    });
+
+    // ============================================
+    // TESTS: filtros
+    // ============================================
+
+    describe('afterCursorFilter()', () => {
+        test('desc debe usar $lt con desempate por _id', () => {
+            const filter = Pagination.afterCursorFilter({ value: 5, id: 'x' }, 'title', 'desc');
+
+            expect(filter).toEqual({
+                $or: [
+                    { title: { $lt: 5 } },
+                    { title: 5, _id: { $lt: 'x' } }
+                ]
+            });
+        });
+
+        test('asc debe usar $gt', () => {
+            const filter = Pagination.afterCursorFilter({ value: 5, id: 'x' }, 'title', 'asc');
+
+            expect(filter.$or[0]).toEqual({ title: { $gt: 5 } });
+        });
+    });
+
+    // ============================================
+    // TESTS: fijadas primero
+    // ============================================
+
+    describe('pinnedFirst', () => {
+        const pinnedFirst = { pinnedFirst: true };
+        const after = {
+            $or: [
+                { title: { $gt: 't' } },
+                { title: 't', _id: { $gt: 'x' } }
+            ]
+        };
+
+        test('sortSpec debe poner las fijadas delante por su posición', () => {
+            expect(Object.entries(Pagination.sortSpec('title', 'asc', pinnedFirst)))
+                .toEqual([['isPinned', -1], ['pinPosition', 1], ['title', 1], ['_id', 1]]);
+        });
+
+        test('el cursor debe llevar si la nota estaba fijada y su posición', () => {
+            const cursor = Pagination.encodeCursor({ ...doc, isPinned: true, pinPosition: 2 }, 'createdAt', 'desc', pinnedFirst);
+
+            expect(Pagination.decodeCursor(cursor, 'createdAt', 'desc', pinnedFirst))
+                .toEqual({ value: doc.createdAt, id: doc._id, pinned: true, pinPosition: 2 });
+        });
+
+        test('debe rechazar un cursor de un listado sin fijadas', () => {
+            const cursor = Pagination.encodeCursor(doc, 'createdAt', 'desc');
+
+            expect(Pagination.decodeCursor(cursor, 'createdAt', 'desc', pinnedFirst)).toBe(null);
+        });
+
+        test('tras una no fijada solo deben seguir no fijadas', () => {
+            const filter = Pagination.afterCursorFilter({ value: 't', id: 'x', pinned: false, pinPosition: null }, 'title', 'asc', pinnedFirst);
+
+            expect(filter).toEqual({ $and: [{ isPinned: { $ne: true } }, after] });
+        });
+
+        test('tras una fijada deben seguir las de posiciones posteriores y todas las no fijadas', () => {
+            const filter = Pagination.afterCursorFilter({ value: 't', id: 'x', pinned: true, pinPosition: 1 }, 'title', 'asc', pinnedFirst);
+
+            expect(filter).toEqual({
+                $or: [
+                    { $and: [{ isPinned: true, pinPosition: 1 }, after] },
+                    { isPinned: true, pinPosition: { $gt: 1 } },
+                    { isPinned: { $ne: true } }
+                ]
+            });
+        });
+
+        test('una fijada sin posición va antes que las numeradas', () => {
+            const filter = Pagination.afterCursorFilter({ value: 't', id: 'x', pinned: true, pinPosition: null }, 'title', 'asc', pinnedFirst);
+
+            expect(filter.$or[1]).toEqual({ isPinned: true, pinPosition: { $ne: null } });
+        });
+    });
+
+    describe('dateRangeFilter()', () => {
+        test('debe combinar límites inferior y superior', () => {
+            const from = new Date('2024-01-01');
+            const to = new Date('2024-02-01');
+
+            expect(Pagination.dateRangeFilter({ createdAt: { from, to } }))
+                .toEqual({ createdAt: { $gte: from, $lte: to } });
+        });
+
+        test('debe ignorar rangos vacíos', () => {
+            expect(Pagination.dateRangeFilter({ updatedAt: {} })).toEqual({});
+        });
+    });
+
+    // ============================================
+    // TESTS: buildPage
+    // ============================================
+
+    describe('buildPage()', () => {
+        const docs = [1, 2, 3].map(n => ({ _id: `id${n}`, title: `t${n}` }));
+
+        test('debe devolver nextCursor si hay más resultados', () => {
+            const page = Pagination.buildPage(docs, { limit: 2, sort: 'title', order: 'asc' });
+
+            expect(page.data).toHaveLength(2);
+            expect(Pagination.decodeCursor(page.nextCursor, 'title', 'asc'))
+                .toEqual({ value: 't2', id: 'id2' });
+        });
+
+        test('debe devolver nextCursor null en la última página', () => {
+            const page = Pagination.buildPage(docs, { limit: 3, sort: 'title', order: 'asc' });
+
+            expect(page.data).toHaveLength(3);
+            expect(page.nextCursor).toBe(null);
+        });
+    });
+});
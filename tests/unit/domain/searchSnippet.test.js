@@ -0,0 +1,72 @@
+// tests/unit/domain/searchSnippet.test.js
+
+const SearchSnippet = require('../../../src/domain/searchSnippet');
+
+describe('SearchSnippet - Lógica Pura', () => {
+
+    // ============================================
+    // TESTS: terms
+    // ============================================
+
+    describe('terms()', () => {
+        test('debe separar palabras y plegar mayúsculas y tildes', () => {
+            expect(SearchSnippet.terms('Canción FOO')).toEqual(['cancion', 'foo']);
+        });
+
+        test('debe tratar frases entre comillas como un término', () => {
+            expect(SearchSnippet.terms('"hola mundo" x')).toEqual(['hola mundo', 'x']);
+        });
+
+        test('debe ignorar términos negados', () => {
+            expect(SearchSnippet.terms('bueno -malo -"muy malo"')).toEqual(['bueno']);
+        });
+    });
+
+    // ============================================
+    // TESTS: highlight
+    // ============================================
+
+    describe('highlight()', () => {
+        test('debe marcar coincidencias sin distinguir tildes ni mayúsculas', () => {
+            const html = SearchSnippet.highlight('La CANCIÓN del año', ['cancion']);
+
+            expect(html).toBe('La <mark>CANCIÓN</mark> del año');
+        });
+
+        test('debe escapar HTML del texto original', () => {
+            const html = SearchSnippet.highlight('<b>foo</b>', ['foo']);
+
+            expect(html).toBe('&lt;b&gt;<mark>foo</mark>&lt;/b&gt;');
+        });
+
+        test('debe fusionar coincidencias solapadas', () => {
+            const html = SearchSnippet.highlight('abcd', ['abc', 'bcd']);
+
+            expect(html).toBe('<mark>abcd</mark>');
+        });
+    });
+
+    // ============================================
+    // TESTS: snippet
+    // ============================================
+
+    describe('snippet()', () => {
+        test('debe recortar alrededor de la primera coincidencia', () => {
+            const text = 'inicio '.repeat(30) + 'objetivo' + ' final'.repeat(30);
+            const snippet = SearchSnippet.snippet(text, ['objetivo'], 20);
+
+            expect(snippet.startsWith('…')).toBe(true);
+            expect(snippet.endsWith('…')).toBe(true);
+            expect(snippet).toContain('<mark>objetivo</mark>');
+            expect(snippet.length).toBeLessThan(80);
+        });
+
+        test('no debe añadir puntos suspensivos si cabe entero', () => {
+            expect(SearchSnippet.snippet('solo foo', ['foo'])).toBe('solo <mark>foo</mark>');
+        });
+
+        test('debe devolver null si no hay coincidencias', () => {
+            expect(SearchSnippet.snippet('nada aquí', ['foo'])).toBe(null);
+        });
+    });
+});
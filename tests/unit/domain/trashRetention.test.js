@@ -0,0 +1,43 @@
+// tests/unit/domain/trashRetention.test.js
+
+const TrashRetention = require('../../../src/domain/trashRetention');
+
+describe('TrashRetention - Lógica Pura', () => {
+
+    const deletedAt = new Date('2024-03-01T10:00:00.000Z');
+
+    // ============================================
+    // TESTS: purgeDate
+    // ============================================
+
+    describe('purgeDate()', () => {
+        test('debe sumar los días de retención a deletedAt', () => {
+            expect(TrashRetention.purgeDate(deletedAt, 30)).toEqual(new Date('2024-03-31T10:00:00.000Z'));
+        });
+
+        test('debe aceptar la fecha como texto', () => {
+            expect(TrashRetention.purgeDate(deletedAt.toISOString(), 1)).toEqual(new Date('2024-03-02T10:00:00.000Z'));
+        });
+
+        test('debe ser null sin retención o sin fecha de borrado', () => {
+            expect(TrashRetention.purgeDate(deletedAt, 0)).toBeNull();
+            expect(TrashRetention.purgeDate(null, 30)).toBeNull();
+        });
+    });
+
+    // ============================================
+    // TESTS: cutoff
+    // ============================================
+
+    describe('cutoff()', () => {
+        test('debe restar los días de retención a ahora', () => {
+            const now = new Date('2024-03-31T10:00:00.000Z');
+
+            expect(TrashRetention.cutoff(now, 30)).toEqual(deletedAt);
+        });
+
+        test('debe ser null sin retención', () => {
+            expect(TrashRetention.cutoff(new Date(), 0)).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,359 @@
+// tests/unit/services/collab.service.test.js
+
+const collabService = require('../../../src/services/collab.service');
+const noteRepository = require('../../../src/repositories/note.repository');
+const noteVersionRepository = require('../../../src/repositories/noteVersion.repository');
+const noteEventsService = require('../../../src/services/noteEvents.service');
+const noteService = require('../../../src/services/note.service');
+const historyConfig = require('../../../src/config/history');
+
+// Mock de los repositories
+jest.mock('../../../src/repositories/note.repository');
+jest.mock('../../../src/repositories/noteVersion.repository');
+
+const NOTE_ID = '507f1f77bcf86cd799439011';
+const OWNER_ID = '507f1f77bcf86cd799439099';
+const EDITOR_ID = '507f1f77bcf86cd799439097';
+const VIEWER_ID = '507f1f77bcf86cd799439096';
+
+describe('CollabService - Sesiones colaborativas', () => {
+
+    let stored;
+
+    /**
+     * Nota tal como está guardada (cada lectura devuelve una copia)
+     */
+    function storedNote(overrides = {}) {
+        stored = {
+            _id: NOTE_ID,
+            owner: OWNER_ID,
+            shares: [
+                { user: EDITOR_ID, role: 'editor' },
+                { user: VIEWER_ID, role: 'viewer' }
+            ],
+            title: 'Compartida',
+            content: 'pan',
+            tags: [],
+            status: 'active',
+            revision: 1,
+            stateRevision: 1,
+            ...overrides
+        };
+
+        noteRepository.findLiveById.mockImplementation(async () => ({ ...stored }));
+        noteRepository.findById.mockImplementation(async () => ({ ...stored }));
+        noteRepository.save.mockImplementation(async note => {
+            stored = { ...note, revision: note.revision + 1 };
+            return { ...stored };
+        });
+    }
+
+    /**
+     * Cliente en memoria: guarda los mensajes recibidos
+     */
+    function fakeClient() {
+        return { messages: [], send(message) { this.messages.push(message); }, close: jest.fn() };
+    }
+
+    const received = (client, type) => client.messages.filter(message => message.type === type);
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        storedNote();
+        noteVersionRepository.hasAny.mockResolvedValue(true);
+        noteVersionRepository.push.mockResolvedValue();
+        noteVersionRepository.clear.mockResolvedValue();
+        noteVersionRepository.prune.mockResolvedValue(0);
+    });
+
+    afterEach(() => {
+        for (const session of [...collabService.sessions.values()]) {
+            collabService.close(session, 'TEST_END');
+        }
+    });
+
+    // ============================================
+    // TESTS: join
+    // ============================================
+
+    describe('join()', () => {
+        test('debe devolver el estado inicial de la sesión', async () => {
+            const init = await collabService.join(NOTE_ID, OWNER_ID, fakeClient());
+
+            expect(init).toEqual({
+                noteId: NOTE_ID,
+                revision: 0,
+                content: 'pan',
+                canEdit: true,
+                users: [OWNER_ID],
+                history: { undo: 0, redo: 0 }
+            });
+        });
+
+        test('debe avisar al resto y compartir la misma sesión', async () => {
+            const owner = fakeClient();
+            await collabService.join(NOTE_ID, OWNER_ID, owner);
+
+            const init = await collabService.join(NOTE_ID, VIEWER_ID, fakeClient());
+
+            expect(init.canEdit).toBe(false);
+            expect(init.users).toEqual([OWNER_ID, VIEWER_ID]);
+            expect(received(owner, 'join')).toEqual([{ type: 'join', userId: VIEWER_ID }]);
+            expect(collabService.sessions.size).toBe(1);
+        });
+
+        test('debe lanzar error si la nota no es accesible', async () => {
+            noteRepository.findLiveById.mockResolvedValueOnce(null);
+
+            await expect(collabService.join(NOTE_ID, OWNER_ID, fakeClient()))
+                .rejects.toThrow('NOTE_NOT_FOUND');
+        });
+    });
+
+    // ============================================
+    // TESTS: receive / undo / redo
+    // ============================================
+
+    describe('receive()', () => {
+        test('debe aplicar la operación y reenviarla solo a los demás', async () => {
+            const owner = fakeClient();
+            const editor = fakeClient();
+            await collabService.join(NOTE_ID, OWNER_ID, owner);
+            await collabService.join(NOTE_ID, EDITOR_ID, editor);
+
+            const ack = collabService.receive(owner, { revision: 0, op: [3, ' y leche'] });
+
+            expect(ack).toEqual({ revision: 1, history: { undo: 1, redo: 0 } });
+            expect(received(editor, 'op')).toEqual([
+                { type: 'op', revision: 1, op: [3, ' y leche'], userId: OWNER_ID }
+            ]);
+            expect(received(owner, 'op')).toHaveLength(0);
+        });
+
+        test('debe transformar una operación hecha sobre una revisión anterior', async () => {
+            const owner = fakeClient();
+            const editor = fakeClient();
+            await collabService.join(NOTE_ID, OWNER_ID, owner);
+            await collabService.join(NOTE_ID, EDITOR_ID, editor);
+
+            collabService.receive(owner, { revision: 0, op: ['comprar ', 3] });
+            collabService.receive(editor, { revision: 0, op: [3, ' y leche'] });
+
+            expect(received(owner, 'op')[0].op).toEqual([11, ' y leche']);
+            expect(collabService.sessions.get(NOTE_ID).content).toBe('comprar pan y leche');
+        });
+
+        test('un viewer no debe poder editar', async () => {
+            const viewer = fakeClient();
+            await collabService.join(NOTE_ID, VIEWER_ID, viewer);
+
+            expect(() => collabService.receive(viewer, { revision: 0, op: ['x', 3] }))
+                .toThrow('You do not have permission to edit this note');
+        });
+
+        test('debe rechazar la operación si deja la nota vacía o demasiado larga', async () => {
+            const owner = fakeClient();
+            const editor = fakeClient();
+            await collabService.join(NOTE_ID, OWNER_ID, owner);
+            await collabService.join(NOTE_ID, EDITOR_ID, editor);
+
+            expect(() => collabService.receive(owner, { revision: 0, op: [-3, '  '] }))
+                .toThrow(expect.objectContaining({ code: 'INVALID_CONTENT', details: ['content cannot be empty'] }));
+            expect(() => collabService.receive(owner, { revision: 0, op: [3, 'x'.repeat(10000)] }))
+                .toThrow(expect.objectContaining({ details: ['content cannot exceed 10000 characters'] }));
+
+            const session = collabService.sessions.get(NOTE_ID);
+            expect(session).toMatchObject({ content: 'pan', revision: 0 });
+            expect(received(editor, 'op')).toHaveLength(0);
+        });
+
+        test('un cliente que no se unió debe recibir NOT_JOINED', () => {
+            expect(() => collabService.receive(fakeClient(), { revision: 0, op: [3] })).toThrow('NOT_JOINED');
+        });
+    });
+
+    describe('undo() / redo()', () => {
+        test('debe deshacer solo lo propio y enviarlo a todos', async () => {
+            const owner = fakeClient();
+            const editor = fakeClient();
+            await collabService.join(NOTE_ID, OWNER_ID, owner);
+            await collabService.join(NOTE_ID, EDITOR_ID, editor);
+
+            collabService.receive(owner, { revision: 0, op: [3, ' y leche'] });
+            collabService.receive(editor, { revision: 1, op: ['comprar ', 11] });
+
+            const result = collabService.undo(owner);
+
+            expect(result.history).toEqual({ undo: 0, redo: 1 });
+            expect(collabService.sessions.get(NOTE_ID).content).toBe('comprar pan');
+            expect(received(owner, 'op')).toContainEqual(expect.objectContaining({ userId: OWNER_ID, source: 'undo' }));
+            expect(received(editor, 'op')).toContainEqual(expect.objectContaining({ userId: OWNER_ID, source: 'undo' }));
+        });
+
+        test('no debe deshacer si la nota quedaría vacía', async () => {
+            const owner = fakeClient();
+            const editor = fakeClient();
+            await collabService.join(NOTE_ID, OWNER_ID, owner);
+            await collabService.join(NOTE_ID, EDITOR_ID, editor);
+
+            collabService.receive(owner, { revision: 0, op: [3, ' y leche'] });
+            collabService.receive(editor, { revision: 1, op: [-3, 8] });
+
+            expect(() => collabService.undo(owner)).toThrow(expect.objectContaining({ code: 'INVALID_CONTENT' }));
+            expect(collabService.sessions.get(NOTE_ID).content).toBe(' y leche');
+            expect(collabService.undo(editor).history).toEqual({ undo: 0, redo: 1 });
+        });
+
+        test('sin nada que deshacer debe lanzar NO_HISTORY', async () => {
+            const owner = fakeClient();
+            await collabService.join(NOTE_ID, OWNER_ID, owner);
+
+            expect(() => collabService.undo(owner)).toThrow('No history available to undo');
+            expect(() => collabService.redo(owner)).toThrow('No actions available to redo');
+        });
+    });
+
+    // ============================================
+    // TESTS: Persistencia
+    // ============================================
+
+    describe('Persistencia', () => {
+        test('al irse el último cliente debe guardar la nota con snapshot de undo', async () => {
+            const owner = fakeClient();
+            const publish = jest.spyOn(noteEventsService, 'publish');
+            await collabService.join(NOTE_ID, OWNER_ID, owner);
+            collabService.receive(owner, { revision: 0, op: [3, ' y leche'] });
+
+            await collabService.leave(owner);
+
+            expect(noteRepository.save).toHaveBeenCalledWith(expect.objectContaining({
+                content: 'pan y leche',
+                stateRevision: 2
+            }));
+            expect(noteVersionRepository.push).toHaveBeenCalledWith(NOTE_ID, 'undo', [
+                expect.objectContaining({ content: 'pan' })
+            ]);
+            expect(noteVersionRepository.clear).toHaveBeenCalledWith(NOTE_ID, 'redo');
+            expect(publish).toHaveBeenCalledWith('note.updated', expect.objectContaining({ revision: 2 }), OWNER_ID);
+            expect(collabService.sessions.size).toBe(0);
+
+            publish.mockRestore();
+        });
+
+        test('debe guardar por el mismo camino que la API, con su retención', async () => {
+            const owner = fakeClient();
+            const saveEdit = jest.spyOn(noteService, 'saveEdit');
+            await collabService.join(NOTE_ID, OWNER_ID, owner);
+            collabService.receive(owner, { revision: 0, op: [3, ' y leche'] });
+
+            await collabService.leave(owner);
+
+            expect(saveEdit).toHaveBeenCalledWith(
+                expect.objectContaining({ _id: NOTE_ID }),
+                expect.objectContaining({ modified: true })
+            );
+            expect(noteVersionRepository.prune).toHaveBeenCalledWith(NOTE_ID, historyConfig);
+
+            saveEdit.mockRestore();
+        });
+
+        test('sin cambios no debe guardar', async () => {
+            const owner = fakeClient();
+            await collabService.join(NOTE_ID, OWNER_ID, owner);
+
+            await collabService.leave(owner);
+
+            expect(noteRepository.save).not.toHaveBeenCalled();
+        });
+
+        test('no debe quitar el espacio final que el guardado recorta', async () => {
+            const owner = fakeClient();
+            await collabService.join(NOTE_ID, OWNER_ID, owner);
+            collabService.receive(owner, { revision: 0, op: [3, ' y '] });
+
+            await collabService.saveAll();
+            await collabService.saveAll();
+
+            expect(stored.content).toBe('pan y');
+            expect(noteRepository.save).toHaveBeenCalledTimes(1);
+            expect(received(owner, 'op')).toHaveLength(0);
+            expect(collabService.sessions.get(NOTE_ID).content).toBe('pan y ');
+        });
+
+        test('si el último guardado falla debe cerrar la sesión igualmente', async () => {
+            const owner = fakeClient();
+            await collabService.join(NOTE_ID, OWNER_ID, owner);
+            collabService.receive(owner, { revision: 0, op: [3, '!'] });
+            noteRepository.save.mockRejectedValueOnce(new Error('DB down'));
+
+            await expect(collabService.leave(owner)).rejects.toThrow('DB down');
+
+            expect(collabService.sessions.size).toBe(0);
+        });
+
+        test('debe avisar a los clientes de cada guardado', async () => {
+            const owner = fakeClient();
+            await collabService.join(NOTE_ID, OWNER_ID, owner);
+            collabService.receive(owner, { revision: 0, op: [3, '!'] });
+
+            await collabService.saveAll();
+
+            expect(received(owner, 'saved')).toEqual([{ type: 'saved', revision: 1, noteRevision: 2 }]);
+        });
+
+        test('debe incorporar los cambios guardados por la API entretanto', async () => {
+            storedNote({ content: 'uno\ndos\ntres' });
+            const owner = fakeClient();
+            await collabService.join(NOTE_ID, OWNER_ID, owner);
+            collabService.receive(owner, { revision: 0, op: ['UNO', -3, 9] });
+
+            stored = { ...stored, content: 'uno\ndos\nTRES', revision: 2 };
+            await collabService.saveAll();
+
+            const [external] = received(owner, 'op');
+            expect(external.userId).toBeNull();
+            expect(collabService.sessions.get(NOTE_ID).content).toBe('UNO\ndos\nTRES');
+            expect(stored.content).toBe('UNO\ndos\nTRES');
+        });
+
+        test('si otra escritura se adelanta debe reintentarlo en el siguiente guardado', async () => {
+            const owner = fakeClient();
+            await collabService.join(NOTE_ID, OWNER_ID, owner);
+            collabService.receive(owner, { revision: 0, op: [3, '!'] });
+
+            noteRepository.save.mockRejectedValueOnce(new Error('STALE_REVISION'));
+            await collabService.saveAll();
+
+            expect(received(owner, 'saved')).toHaveLength(0);
+
+            await collabService.saveAll();
+
+            expect(stored.content).toBe('pan!');
+        });
+
+        test('si la nota se envió a la papelera debe cerrar la sesión', async () => {
+            const owner = fakeClient();
+            await collabService.join(NOTE_ID, OWNER_ID, owner);
+            stored = { ...stored, status: 'trashed' };
+
+            await collabService.saveAll();
+
+            expect(received(owner, 'closed')).toEqual([{ type: 'closed', reason: 'NOTE_NOT_FOUND' }]);
+            expect(owner.close).toHaveBeenCalled();
+            expect(collabService.sessions.size).toBe(0);
+        });
+
+        test('debe expulsar a quien dejó de tener acceso', async () => {
+            const owner = fakeClient();
+            const editor = fakeClient();
+            await collabService.join(NOTE_ID, OWNER_ID, owner);
+            await collabService.join(NOTE_ID, EDITOR_ID, editor);
+            stored = { ...stored, shares: [] };
+
+            await collabService.saveAll();
+
+            expect(received(editor, 'closed')).toEqual([{ type: 'closed', reason: 'FORBIDDEN' }]);
+            expect(received(owner, 'closed')).toHaveLength(0);
+        });
+    });
+});
@@ -2,15 +2,85 @@
 
 const noteService = require('../../../src/services/note.service');
 const noteRepository = require('../../../src/repositories/note.repository');
+const notebookRepository = require('../../../src/repositories/notebook.repository');
+const noteVersionRepository = require('../../../src/repositories/noteVersion.repository');
+const attachmentRepository = require('../../../src/repositories/attachment.repository');
+const attachmentStorage = require('../../../src/storage/attachmentStorage');
+const noteEventsService = require('../../../src/services/noteEvents.service');
 const NoteHistoryDomain = require('../../../src/domain/noteHistory');
+const Pagination = require('../../../src/domain/pagination');
 
-// Mock del repository
+// Mock de los repositories
 jest.mock('../../../src/repositories/note.repository');
+jest.mock('../../../src/repositories/notebook.repository');
+jest.mock('../../../src/repositories/noteVersion.repository');
+jest.mock('../../../src/repositories/attachment.repository');
+jest.mock('../../../src/storage/attachmentStorage');
+
+const OWNER_ID = '507f1f77bcf86cd799439099';
+const ROOT_NOTEBOOK_ID = '507f1f77bcf86cd799439050';
+
+/**
+ * Historial en memoria detrás del mock de noteVersionRepository
+ * undo / redo: pilas con la cima al final
+ */
+function useHistory({ undo = [], redo = [] } = {}) {
+    let nextId = 1;
+    const stacks = {
+        undo: undo.map(snapshot => ({ _id: `v${nextId++}`, ...snapshot })),
+        redo: redo.map(snapshot => ({ _id: `v${nextId++}`, ...snapshot }))
+    };
+
+    noteVersionRepository.hasAny.mockImplementation(async (noteId, stack) => stacks[stack].length > 0);
+    noteVersionRepository.peek.mockImplementation(async (noteId, stack) => stacks[stack][stacks[stack].length - 1] ?? null);
+    noteVersionRepository.push.mockImplementation(async (noteId, stack, snapshots) => {
+        stacks[stack].push(...snapshots.map(snapshot => ({ _id: `v${nextId++}`, ...snapshot })));
+    });
+    noteVersionRepository.remove.mockImplementation(async version => {
+        for (const stack of Object.values(stacks)) {
+            const index = stack.findIndex(v => v._id === version._id);
+            if (index !== -1) stack.splice(index, 1);
+        }
+    });
+    noteVersionRepository.replaceFrom.mockImplementation(async (version, snapshots) => {
+        for (const stack of Object.values(stacks)) {
+            const index = stack.findIndex(v => v._id === version._id);
+            if (index !== -1) {
+                stack.splice(index, stack.length - index, ...snapshots.map(snapshot => ({ _id: `v${nextId++}`, ...snapshot })));
+            }
+        }
+    });
+    noteVersionRepository.clear.mockImplementation(async (noteId, stack) => {
+        stacks[stack] = [];
+    });
+    noteVersionRepository.list.mockImplementation(async () => ({
+        undo: [...stacks.undo],
+        redo: [...stacks.redo].reverse()
+    }));
+    noteVersionRepository.count.mockImplementation(async (noteId, stack) => stacks[stack].length);
+    noteVersionRepository.findAt.mockImplementation(async (noteId, stack, depth) =>
+        stacks[stack][stacks[stack].length - 1 - depth] ?? null
+    );
+    noteVersionRepository.findByRevision.mockImplementation(async (noteId, revision) =>
+        [...stacks.undo, ...stacks.redo].find(v =>
+            (v.sinceRevision ?? v.revision) <= revision && revision <= v.revision
+        ) ?? null
+    );
+    noteVersionRepository.prune.mockResolvedValue(0);
+
+    return stacks;
+}
 
 describe('NoteService - Casos de Uso', () => {
 
     beforeEach(() => {
         jest.clearAllMocks();
+        notebookRepository.findOrCreateRoot.mockResolvedValue({ _id: ROOT_NOTEBOOK_ID, isRoot: true });
+        notebookRepository.existsForOwner.mockResolvedValue(true);
+        noteRepository.findLinking.mockResolvedValue([]);
+        noteRepository.afterCommit.mockImplementation(async task => task());
+        attachmentRepository.deleteAllForNote.mockResolvedValue([]);
+        useHistory();
     });
 
     // ============================================
@@ -20,11 +90,10 @@ describe('NoteService - Casos de Uso', () => {
     describe('createNote()', () => {
         test('debe crear nota con datos válidos', async () => {
             const mockNote = {
+                owner: OWNER_ID,
                 _id: '507f1f77bcf86cd799439011',
                 title: 'Test',
-                content: 'Content',
-                versions: [],
-                redoStack: []
+                content: 'Content'
             };
 
             noteRepository.create.mockResolvedValue(mockNote);
@@ -32,14 +101,204 @@ describe('NoteService - Casos de Uso', () => {
             const result = await noteService.createNote({
                 title: 'Test',
                 content: 'Content'
-            });
+            }, OWNER_ID);
 
             expect(noteRepository.create).toHaveBeenCalledWith({
+                owner: OWNER_ID,
+                notebookId: ROOT_NOTEBOOK_ID,
                 title: 'Test',
-                content: 'Content'
+                content: 'Content',
+                tags: [],
+                links: []
             });
             expect(result).toEqual(mockNote);
         });
+
+        test('debe crear la nota en la libreta indicada', async () => {
+            const NOTEBOOK_ID = '507f1f77bcf86cd799439051';
+            noteRepository.create.mockImplementation(data => Promise.resolve(data));
+
+            const result = await noteService.createNote({
+                title: 'Test',
+                content: 'Content',
+                notebookId: NOTEBOOK_ID
+            }, OWNER_ID);
+
+            expect(notebookRepository.existsForOwner).toHaveBeenCalledWith(NOTEBOOK_ID, OWNER_ID);
+            expect(result.notebookId).toBe(NOTEBOOK_ID);
+        });
+
+        test('debe lanzar NOTEBOOK_NOT_FOUND si la libreta no es del usuario', async () => {
+            notebookRepository.existsForOwner.mockResolvedValue(false);
+
+            await expect(
+                noteService.createNote({ title: 'Test', content: 'Content', notebookId: 'ajena' }, OWNER_ID)
+            ).rejects.toThrow('NOTEBOOK_NOT_FOUND');
+
+            expect(noteRepository.create).not.toHaveBeenCalled();
+        });
+    });
+
+    // ============================================
+    // TESTS: importNotes
+    // ============================================
+
+    describe('importNotes()', () => {
+        test('debe crear las válidas y pasar los fallos con su archivo', async () => {
+            noteRepository.create.mockImplementation(async data => ({ _id: 'n1', ...data }));
+
+            const results = await noteService.importNotes([
+                { file: 'a.md', note: { title: 'A', content: 'a' } },
+                { file: 'b.json', index: 0, error: 'Validation failed', details: ['content cannot be empty'] }
+            ], OWNER_ID);
+
+            expect(results).toEqual([
+                { file: 'a.md', ok: true, note: { _id: 'n1', title: 'A' } },
+                { file: 'b.json', index: 0, ok: false, error: 'Validation failed', details: ['content cannot be empty'] }
+            ]);
+            expect(noteRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+                owner: OWNER_ID,
+                notebookId: ROOT_NOTEBOOK_ID
+            }));
+        });
+
+        test('debe informar de las reglas del modelo como fallo de validación', async () => {
+            const error = new Error('Note validation failed');
+            error.name = 'ValidationError';
+            error.errors = { title: { message: 'El título debe tener al menos 3 caracteres' } };
+            noteRepository.create.mockRejectedValueOnce(error);
+
+            const [result] = await noteService.importNotes([{ file: 'a.md', note: { title: 'A', content: 'a' } }], OWNER_ID);
+
+            expect(result).toEqual({
+                file: 'a.md',
+                ok: false,
+                error: 'Validation failed',
+                details: ['El título debe tener al menos 3 caracteres']
+            });
+        });
+
+        test('con una libreta inexistente no debe crear nada', async () => {
+            notebookRepository.existsForOwner.mockResolvedValue(false);
+
+            await expect(noteService.importNotes(
+                [{ file: 'a.md', note: { title: 'A', content: 'a' } }],
+                OWNER_ID,
+                { notebookId: '507f1f77bcf86cd799439051' }
+            )).rejects.toThrow('NOTEBOOK_NOT_FOUND');
+
+            expect(noteRepository.create).not.toHaveBeenCalled();
+        });
+    });
+
+    // ============================================
+    // TESTS: exportNotes / exportNote
+    // ============================================
+
+    describe('exportNotes() / exportNote()', () => {
+        const note = { _id: '123', owner: OWNER_ID, title: 'Actual', content: 'Contenido actual', tags: [] };
+
+        beforeEach(() => {
+            useHistory({ undo: [{ title: 'Antigua', content: 'Contenido antiguo', tags: [], editedAt: new Date() }] });
+        });
+
+        test('sin history no debe leer el historial', async () => {
+            noteRepository.findAllOwned.mockResolvedValue([note]);
+
+            const items = await noteService.exportNotes(OWNER_ID);
+
+            expect(items).toEqual([{ note, versions: null }]);
+            expect(noteRepository.findAllOwned).toHaveBeenCalledWith(OWNER_ID);
+            expect(noteVersionRepository.list).not.toHaveBeenCalled();
+        });
+
+        test('con history debe incluir la línea temporal con contenido', async () => {
+            noteRepository.findAllOwned.mockResolvedValue([note]);
+
+            const [{ versions }] = await noteService.exportNotes(OWNER_ID, { history: true });
+
+            expect(versions.map(v => [v.version, v.content, v.current])).toEqual([
+                [1, 'Contenido antiguo', false],
+                [2, 'Contenido actual', true]
+            ]);
+        });
+
+        test('exportNote debe lanzar NOTE_NOT_FOUND si la nota no es accesible', async () => {
+            noteRepository.findAccessibleById.mockResolvedValue(null);
+
+            await expect(noteService.exportNote('123', OWNER_ID)).rejects.toThrow('NOTE_NOT_FOUND');
+        });
+
+        test('exportNote debe admitir notas de la papelera', async () => {
+            const trashed = { ...note, status: 'trashed', deletedAt: new Date() };
+            noteRepository.findAccessibleById.mockResolvedValue(trashed);
+
+            expect(await noteService.exportNote('123', OWNER_ID)).toEqual({ note: trashed, versions: null });
+            expect(noteRepository.findAccessibleById).toHaveBeenCalledWith('123', OWNER_ID);
+        });
+    });
+
+    // ============================================
+    // TESTS: listActiveNotes / listTrash - Paginación
+    // ============================================
+
+    describe('listActiveNotes() / listTrash()', () => {
+        test('debe devolver sobre con data, nextCursor, limit y total', async () => {
+            noteRepository.findAllActive.mockResolvedValue({ data: [], nextCursor: null });
+            noteRepository.countActive.mockResolvedValue(0);
+
+            const result = await noteService.listActiveNotes(OWNER_ID);
+
+            expect(result).toEqual({ data: [], nextCursor: null, limit: 20, total: 0 });
+            expect(noteRepository.findAllActive).toHaveBeenCalledWith(OWNER_ID, expect.objectContaining({
+                sort: 'createdAt',
+                order: 'desc',
+                after: null
+            }));
+        });
+
+        test('el cursor de notas activas debe reflejar las fijadas', async () => {
+            noteRepository.findAllActive.mockResolvedValue({ data: [], nextCursor: null });
+            noteRepository.countActive.mockResolvedValue(0);
+            const note = { _id: '507f1f77bcf86cd799439011', createdAt: new Date(), isPinned: true, pinPosition: 0 };
+            const cursor = Pagination.encodeCursor(note, 'createdAt', 'desc', { pinnedFirst: true });
+
+            await noteService.listActiveNotes(OWNER_ID, { cursor, favorite: true });
+
+            expect(noteRepository.findAllActive).toHaveBeenCalledWith(OWNER_ID, expect.objectContaining({
+                after: expect.objectContaining({ pinned: true, pinPosition: 0 }),
+                favorite: true
+            }));
+        });
+
+        test('archivo debe ordenar por archivedAt por defecto', async () => {
+            noteRepository.findAllArchived.mockResolvedValue({ data: [], nextCursor: null });
+            noteRepository.countArchived.mockResolvedValue(0);
+
+            const result = await noteService.listArchive(OWNER_ID);
+
+            expect(result).toEqual({ data: [], nextCursor: null, limit: 20, total: 0 });
+            expect(noteRepository.findAllArchived).toHaveBeenCalledWith(OWNER_ID, expect.objectContaining({
+                sort: 'archivedAt'
+            }));
+        });
+
+        test('papelera debe ordenar por deletedAt por defecto', async () => {
+            noteRepository.findAllDeleted.mockResolvedValue({ data: [], nextCursor: null });
+            noteRepository.countDeleted.mockResolvedValue(0);
+
+            await noteService.listTrash(OWNER_ID);
+
+            expect(noteRepository.findAllDeleted).toHaveBeenCalledWith(OWNER_ID, expect.objectContaining({
+                sort: 'deletedAt'
+            }));
+        });
+
+        test('debe lanzar INVALID_CURSOR con cursor corrupto', async () => {
+            await expect(
+                noteService.listActiveNotes(OWNER_ID, { cursor: 'basura' })
+            ).rejects.toMatchObject({ code: 'INVALID_CURSOR' });
+        });
     });
 
     // ============================================
@@ -49,320 +308,1546 @@ describe('NoteService - Casos de Uso', () => {
     describe('updateNote() - Protección Optimista', () => {
         test('debe lanzar CONFLICT si timestamps no coinciden', async () => {
             const mockNote = {
+                owner: OWNER_ID,
                 _id: '507f1f77bcf86cd799439011',
                 title: 'Current',
                 content: 'Content',
-                editedAt: new Date('2024-01-01T10:00:00Z'),
-                versions: [],
-                redoStack: []
+                updatedAt: new Date('2024-01-01T10:00:00Z')
             };
 
-            noteRepository.findActiveById.mockResolvedValue(mockNote);
+            noteRepository.findLiveById.mockResolvedValue(mockNote);
 
             await expect(
                 noteService.updateNote('507f1f77bcf86cd799439011', {
                     title: 'New',
                     lastKnownUpdate: '2024-01-01T09:00:00Z' // Timestamp antiguo
-                })
+                }, OWNER_ID)
             ).rejects.toThrow('CONFLICT: Note was modified by another session');
         });
 
         test('debe actualizar si timestamps coinciden', async () => {
-            const editedAt = new Date('2024-01-01T10:00:00Z');
+            const updatedAt = new Date('2024-01-01T10:00:00Z');
             const mockNote = {
+                owner: OWNER_ID,
                 _id: '507f1f77bcf86cd799439011',
                 title: 'Current',
                 content: 'Content',
-                editedAt,
-                versions: [],
-                redoStack: [],
+                updatedAt,
                 save: jest.fn().mockResolvedValue(true)
             };
 
-            noteRepository.findActiveById.mockResolvedValue(mockNote);
+            noteRepository.findLiveById.mockResolvedValue(mockNote);
             noteRepository.save.mockResolvedValue(mockNote);
 
             await noteService.updateNote('507f1f77bcf86cd799439011', {
                 title: 'Updated',
-                lastKnownUpdate: editedAt.toISOString()
-            });
+                lastKnownUpdate: updatedAt.toISOString()
+            }, OWNER_ID);
 
             expect(noteRepository.save).toHaveBeenCalled();
         });
 
         test('debe actualizar sin validación si no se envía lastKnownUpdate', async () => {
             const mockNote = {
+                owner: OWNER_ID,
                 _id: '507f1f77bcf86cd799439011',
                 title: 'Current',
                 content: 'Content',
-                editedAt: new Date(),
-                versions: [],
-                redoStack: []
+                editedAt: new Date()
             };
 
-            noteRepository.findActiveById.mockResolvedValue(mockNote);
+            noteRepository.findLiveById.mockResolvedValue(mockNote);
             noteRepository.save.mockResolvedValue(mockNote);
 
             await noteService.updateNote('507f1f77bcf86cd799439011', {
                 title: 'Updated'
-            });
+            }, OWNER_ID);
 
             expect(noteRepository.save).toHaveBeenCalled();
         });
     });
 
     // ============================================
-    // TESTS: updateNote - Edición Parcial
+    // TESTS: If-Match sobre la revisión
     // ============================================
 
-    describe('updateNote() - Edición Parcial', () => {
-        test('debe actualizar solo title', async () => {
-            const mockNote = {
-                title: 'Old Title',
-                content: 'Original Content',
-                versions: [],
-                redoStack: [],
-                editedAt: new Date()
-            };
+    describe('If-Match / revisión', () => {
+        const NOTE_ID = '507f1f77bcf86cd799439011';
 
-            noteRepository.findActiveById.mockResolvedValue(mockNote);
-            noteRepository.save.mockImplementation(note => Promise.resolve(note));
+        const activeNote = () => ({
+            owner: OWNER_ID,
+            _id: NOTE_ID,
+            title: 'Current',
+            content: 'Content',
+            revision: 3
+        });
 
-            const result = await noteService.updateNote('123', {
-                title: 'New Title'
-            });
+        test('debe lanzar PRECONDITION_FAILED con el estado actual si la revisión no coincide', async () => {
+            const mockNote = activeNote();
+            noteRepository.findLiveById.mockResolvedValue(mockNote);
 
-            expect(result.title).toBe('New Title');
-            expect(result.content).toBe('Original Content');
-        });
+            const error = await noteService
+                .updateNote(NOTE_ID, { title: 'New' }, OWNER_ID, { ifMatch: [2] })
+                .catch(e => e);
 
-        test('debe actualizar solo content', async () => {
-            const mockNote = {
-                title: 'Original Title',
-                content: 'Old Content',
-                versions: [],
-                redoStack: [],
-                editedAt: new Date()
-            };
+            expect(error.code).toBe('PRECONDITION_FAILED');
+            expect(error.current).toBe(mockNote);
+            expect(noteRepository.save).not.toHaveBeenCalled();
+        });
 
-            noteRepository.findActiveById.mockResolvedValue(mockNote);
+        test('debe actualizar si la revisión coincide', async () => {
+            noteRepository.findLiveById.mockResolvedValue(activeNote());
             noteRepository.save.mockImplementation(note => Promise.resolve(note));
 
-            const result = await noteService.updateNote('123', {
-                content: 'New Content'
-            });
+            const result = await noteService.updateNote(NOTE_ID, { title: 'New' }, OWNER_ID, { ifMatch: [3] });
 
-            expect(result.title).toBe('Original Title');
-            expect(result.content).toBe('New Content');
+            expect(result.title).toBe('New');
         });
-    });
 
-    // ============================================
-    // TESTS: undoNote
-    // ============================================
+        test('If-Match * debe aceptar cualquier revisión', async () => {
+            noteRepository.findLiveById.mockResolvedValue(activeNote());
+            noteRepository.save.mockImplementation(note => Promise.resolve(note));
 
-    describe('undoNote()', () => {
-        test('debe lanzar NOTE_NOT_FOUND si nota no existe', async () => {
-            noteRepository.findActiveById.mockResolvedValue(null);
+            await noteService.moveToTrash(NOTE_ID, OWNER_ID, { ifMatch: '*' });
 
-            await expect(
-                noteService.undoNote('507f1f77bcf86cd799439011')
-            ).rejects.toThrow('NOTE_NOT_FOUND');
+            expect(noteRepository.save).toHaveBeenCalled();
         });
 
-        test('debe lanzar error si no hay historial', async () => {
-            const mockNote = {
-                title: 'Current',
-                content: 'Content',
-                versions: [],
-                redoStack: [],
-                editedAt: new Date()
-            };
+        test('undo, redo, papelera y restaurar deben comprobar la revisión', async () => {
+            noteRepository.findLiveById.mockResolvedValue(activeNote());
+            noteRepository.findDeletedById.mockResolvedValue({ ...activeNote(), status: 'trashed' });
+            const options = { ifMatch: [1] };
+
+            for (const run of [
+                () => noteService.undoNote(NOTE_ID, OWNER_ID, options),
+                () => noteService.redoNote(NOTE_ID, OWNER_ID, options),
+                () => noteService.moveToTrash(NOTE_ID, OWNER_ID, options),
+                () => noteService.restoreFromTrash(NOTE_ID, OWNER_ID, options),
+                () => noteService.deletePermanently(NOTE_ID, OWNER_ID, options)
+            ]) {
+                await expect(run()).rejects.toMatchObject({ code: 'PRECONDITION_FAILED' });
+            }
+
+            expect(noteRepository.save).not.toHaveBeenCalled();
+            expect(noteRepository.deletePermanently).not.toHaveBeenCalled();
+        });
 
-            noteRepository.findActiveById.mockResolvedValue(mockNote);
+        test('una escritura concurrente con If-Match debe dar PRECONDITION_FAILED con la nota recargada', async () => {
+            const reloaded = { ...activeNote(), revision: 4, title: 'Otra sesión' };
+            noteRepository.findLiveById.mockResolvedValue(activeNote());
+            noteRepository.save.mockRejectedValueOnce(new Error('STALE_REVISION'));
+            noteRepository.findById.mockResolvedValueOnce(reloaded);
 
-            await expect(
-                noteService.undoNote('507f1f77bcf86cd799439011')
-            ).rejects.toThrow('No history available to undo');
+            const error = await noteService
+                .updateNote(NOTE_ID, { title: 'New' }, OWNER_ID, { ifMatch: [3] })
+                .catch(e => e);
+
+            expect(error.code).toBe('PRECONDITION_FAILED');
+            expect(error.current).toBe(reloaded);
+            expect(noteVersionRepository.push).not.toHaveBeenCalled();
         });
 
-        test('debe ejecutar undo correctamente', async () => {
-            const mockNote = {
-                title: 'Current',
-                content: 'Current',
-                versions: [
-                    { title: 'Previous', content: 'Previous', editedAt: new Date() }
-                ],
-                redoStack: [],
-                editedAt: new Date()
-            };
+        test('una escritura concurrente sin If-Match debe dar CONFLICT', async () => {
+            noteRepository.findLiveById.mockResolvedValue(activeNote());
+            noteRepository.save.mockRejectedValueOnce(new Error('STALE_REVISION'));
 
-            noteRepository.findActiveById.mockResolvedValue(mockNote);
-            noteRepository.save.mockImplementation(note => Promise.resolve(note));
+            await expect(
+                noteService.updateNote(NOTE_ID, { title: 'New' }, OWNER_ID)
+            ).rejects.toMatchObject({ code: 'CONFLICT' });
+        });
 
-            const result = await noteService.undoNote('123');
+        test('el borrado permanente con If-Match debe condicionarse a la revisión leída', async () => {
+            noteRepository.findDeletedById.mockResolvedValue({ ...activeNote(), status: 'trashed' });
+            noteRepository.deletePermanently.mockResolvedValueOnce(null);
+            noteRepository.findById.mockResolvedValueOnce(null);
 
-            expect(result.title).toBe('Previous');
-            expect(result.redoStack).toHaveLength(1);
+            const error = await noteService
+                .deletePermanently(NOTE_ID, OWNER_ID, { ifMatch: [3] })
+                .catch(e => e);
+
+            expect(noteRepository.deletePermanently).toHaveBeenCalledWith(NOTE_ID, OWNER_ID, 3);
+            expect(error.code).toBe('PRECONDITION_FAILED');
+            expect(noteVersionRepository.deleteAllForNote).not.toHaveBeenCalled();
         });
     });
 
     // ============================================
-    // TESTS: redoNote
+    // TESTS: Fusión a tres bandas (baseRevision)
     // ============================================
 
-    describe('redoNote()', () => {
-        test('debe lanzar error si no hay acciones para rehacer', async () => {
-            const mockNote = {
-                title: 'Current',
-                content: 'Content',
-                versions: [],
-                redoStack: [],
-                editedAt: new Date()
-            };
+    describe('updateNote() - Fusión a tres bandas', () => {
+        const NOTE_ID = '507f1f77bcf86cd799439011';
+
+        // Revisión 2: el servidor cambió la última línea; el cliente editó sobre la 1
+        const serverNote = () => ({
+            owner: OWNER_ID,
+            _id: NOTE_ID,
+            title: 'Lista',
+            content: 'pan\nleche\nhuevos\nagua',
+            tags: [],
+            revision: 2,
+            stateRevision: 2
+        });
 
-            noteRepository.findActiveById.mockResolvedValue(mockNote);
+        beforeEach(() => {
+            useHistory({
+                undo: [{ title: 'Lista', content: 'pan\nleche\nhuevos\nfruta', tags: [], sinceRevision: 1, revision: 1 }]
+            });
+        });
 
-            await expect(
-                noteService.redoNote('507f1f77bcf86cd799439011')
-            ).rejects.toThrow('No actions available to redo');
+        test('debe aplicar la fusión si los cambios no se solapan', async () => {
+            noteRepository.findLiveById.mockResolvedValue(serverNote());
+            noteRepository.save.mockImplementation(note => Promise.resolve(note));
+
+            const result = await noteService.updateNote(NOTE_ID, {
+                content: 'PAN\nleche\nhuevos\nfruta',
+                baseRevision: 1
+            }, OWNER_ID);
+
+            expect(result.content).toBe('PAN\nleche\nhuevos\nagua');
+            expect(result.stateRevision).toBe(3);
         });
 
-        test('debe ejecutar redo correctamente', async () => {
-            const mockNote = {
-                title: 'Current',
-                content: 'Current',
-                versions: [],
-                redoStack: [
-                    { title: 'Redone', content: 'Redone', editedAt: new Date() }
-                ],
-                editedAt: new Date()
-            };
+        test('debe lanzar MERGE_CONFLICT con el documento de conflicto si se solapan', async () => {
+            noteRepository.findLiveById.mockResolvedValue(serverNote());
+
+            const error = await noteService.updateNote(NOTE_ID, {
+                content: 'pan\nleche\nhuevos\nzumo',
+                baseRevision: 1
+            }, OWNER_ID).catch(e => e);
+
+            expect(error.code).toBe('MERGE_CONFLICT');
+            expect(error.conflict.baseRevision).toBe(1);
+            expect(error.conflict.revision).toBe(2);
+            expect(error.conflict.conflicts.content[0]).toMatchObject({ server: 'agua', client: 'zumo' });
+            expect(noteRepository.save).not.toHaveBeenCalled();
+        });
+
+        test('debe lanzar CONFLICT si la revisión base ya no está en el historial', async () => {
+            useHistory();
+            noteRepository.findLiveById.mockResolvedValue(serverNote());
+
+            await expect(
+                noteService.updateNote(NOTE_ID, { content: 'Otra', baseRevision: 1 }, OWNER_ID)
+            ).rejects.toMatchObject({ code: 'CONFLICT' });
+        });
 
-            noteRepository.findActiveById.mockResolvedValue(mockNote);
+        test('con baseRevision igual a la actual debe ser una edición normal', async () => {
+            noteRepository.findLiveById.mockResolvedValue(serverNote());
             noteRepository.save.mockImplementation(note => Promise.resolve(note));
 
-            const result = await noteService.redoNote('123');
+            const result = await noteService.updateNote(NOTE_ID, { content: 'Nuevo', baseRevision: 2 }, OWNER_ID);
 
-            expect(result.title).toBe('Redone');
-            expect(result.redoStack).toHaveLength(0);
+            expect(result.content).toBe('Nuevo');
+            expect(noteVersionRepository.list).not.toHaveBeenCalled();
         });
     });
 
     // ============================================
-    // TESTS: Papelera
+    // TESTS: Eventos en tiempo real
     // ============================================
 
-    describe('moveToTrash()', () => {
-        test('debe mover nota a papelera', async () => {
-            const mockNote = {
-                _id: '123',
-                title: 'Note',
-                content: 'Content',
-                isDeleted: false,
-                deletedAt: null
-            };
+    describe('Eventos en tiempo real', () => {
+        const NOTE_ID = '507f1f77bcf86cd799439011';
+        let events;
+        let unsubscribe;
+
+        const activeNote = () => ({
+            owner: OWNER_ID,
+            _id: NOTE_ID,
+            title: 'Title',
+            content: 'Content',
+            tags: [],
+            revision: 1
+        });
 
-            noteRepository.findActiveById.mockResolvedValue(mockNote);
+        beforeEach(() => {
+            events = [];
+            unsubscribe = noteEventsService.subscribe(OWNER_ID, event => events.push(event));
             noteRepository.save.mockImplementation(note => Promise.resolve(note));
+        });
 
-            const result = await noteService.moveToTrash('123');
+        afterEach(() => unsubscribe());
 
-            expect(result.isDeleted).toBe(true);
-            expect(result.deletedAt).toBeInstanceOf(Date);
+        test('crear, editar, deshacer y rehacer deben publicar su evento', async () => {
+            noteRepository.create.mockResolvedValue(activeNote());
+            await noteService.createNote({ title: 'Title', content: 'Content' }, OWNER_ID);
+
+            noteRepository.findLiveById.mockResolvedValue(activeNote());
+            await noteService.updateNote(NOTE_ID, { title: 'Nuevo' }, OWNER_ID);
+
+            noteRepository.findLiveById.mockResolvedValue(activeNote());
+            await noteService.undoNote(NOTE_ID, OWNER_ID);
+
+            noteRepository.findLiveById.mockResolvedValue(activeNote());
+            await noteService.redoNote(NOTE_ID, OWNER_ID);
+
+            expect(events.map(e => e.type)).toEqual(['note.created', 'note.updated', 'note.undone', 'note.redone']);
+            expect(events[1].actor).toBe(OWNER_ID);
         });
 
-        test('debe lanzar error si nota no existe', async () => {
-            noteRepository.findActiveById.mockResolvedValue(null);
+        test('papelera, restaurar y borrado permanente deben publicar su evento', async () => {
+            noteRepository.findLiveById.mockResolvedValue(activeNote());
+            await noteService.moveToTrash(NOTE_ID, OWNER_ID);
+
+            noteRepository.findDeletedById.mockResolvedValue({ ...activeNote(), status: 'trashed' });
+            await noteService.restoreFromTrash(NOTE_ID, OWNER_ID);
 
+            noteRepository.findDeletedById.mockResolvedValue({ ...activeNote(), status: 'trashed' });
+            noteRepository.deletePermanently.mockResolvedValue(true);
+            await noteService.deletePermanently(NOTE_ID, OWNER_ID);
+
+            expect(events.map(e => e.type)).toEqual(['note.trashed', 'note.restored', 'note.deleted']);
+            expect(events[2].note).toBeNull();
+        });
+
+        test('no debe publicar si la edición no cambia nada o falla', async () => {
+            noteRepository.findLiveById.mockResolvedValue(activeNote());
+            await noteService.updateNote(NOTE_ID, { title: 'Title' }, OWNER_ID);
+
+            noteRepository.findLiveById.mockResolvedValue(activeNote());
             await expect(
-                noteService.moveToTrash('123')
-            ).rejects.toThrow('NOTE_NOT_FOUND');
+                noteService.updateNote(NOTE_ID, { title: 'Otro' }, OWNER_ID, { ifMatch: [9] })
+            ).rejects.toMatchObject({ code: 'PRECONDITION_FAILED' });
+
+            expect(events).toHaveLength(0);
         });
     });
 
-    describe('restoreFromTrash()', () => {
-        test('debe restaurar nota de papelera', async () => {
+    // ============================================
+    // TESTS: updateNote - Edición Parcial
+    // ============================================
+
+    describe('updateNote() - Edición Parcial', () => {
+        test('debe actualizar solo title', async () => {
             const mockNote = {
-                _id: '123',
-                title: 'Note',
-                content: 'Content',
-                isDeleted: true,
-                deletedAt: new Date()
+                owner: OWNER_ID,
+                title: 'Old Title',
+                content: 'Original Content',
+                editedAt: new Date()
             };
 
-            noteRepository.findDeletedById.mockResolvedValue(mockNote);
+            noteRepository.findLiveById.mockResolvedValue(mockNote);
             noteRepository.save.mockImplementation(note => Promise.resolve(note));
 
-            const result = await noteService.restoreFromTrash('123');
+            const result = await noteService.updateNote('123', {
+                title: 'New Title'
+            }, OWNER_ID);
 
-            expect(result.isDeleted).toBe(false);
-            expect(result.deletedAt).toBe(null);
+            expect(result.title).toBe('New Title');
+            expect(result.content).toBe('Original Content');
         });
 
-        test('debe lanzar error si nota no está en papelera', async () => {
-            noteRepository.findDeletedById.mockResolvedValue(null);
+        test('debe actualizar solo content', async () => {
+            const mockNote = {
+                owner: OWNER_ID,
+                title: 'Original Title',
+                content: 'Old Content',
+                editedAt: new Date()
+            };
 
-            await expect(
-                noteService.restoreFromTrash('123')
-            ).rejects.toThrow('NOTE_NOT_IN_TRASH');
+            noteRepository.findLiveById.mockResolvedValue(mockNote);
+            noteRepository.save.mockImplementation(note => Promise.resolve(note));
+
+            const result = await noteService.updateNote('123', {
+                content: 'New Content'
+            }, OWNER_ID);
+
+            expect(result.title).toBe('Original Title');
+            expect(result.content).toBe('New Content');
         });
-    });
 
-    describe('deletePermanently()', () => {
-        test('debe eliminar permanentemente solo de papelera', async () => {
+        test('cambiar solo el formato no debe generar versión', async () => {
             const mockNote = {
-                _id: '123',
-                isDeleted: true
+                owner: OWNER_ID,
+                title: 'Original Title',
+                content: 'Texto',
+                format: 'markdown',
+                editedAt: new Date()
             };
 
-            noteRepository.findDeletedById.mockResolvedValue(mockNote);
-            noteRepository.deletePermanently.mockResolvedValue(true);
+            noteRepository.findLiveById.mockResolvedValue(mockNote);
+            noteRepository.save.mockImplementation(note => Promise.resolve(note));
 
-            await noteService.deletePermanently('123');
+            const result = await noteService.updateNote('123', { format: 'plain' }, OWNER_ID);
 
-            expect(noteRepository.deletePermanently).toHaveBeenCalledWith('123');
+            expect(result.format).toBe('plain');
+            expect(noteRepository.save).toHaveBeenCalled();
+            expect(noteVersionRepository.push).not.toHaveBeenCalled();
         });
 
-        test('debe lanzar error si nota no está en papelera', async () => {
-            noteRepository.findDeletedById.mockResolvedValue(null);
+        test('el mismo formato sin otros cambios no debe guardar', async () => {
+            const mockNote = { owner: OWNER_ID, title: 'Título', content: 'Texto', format: 'plain' };
 
-            await expect(
-                noteService.deletePermanently('123')
-            ).rejects.toThrow('NOTE_NOT_IN_TRASH');
+            noteRepository.findLiveById.mockResolvedValue(mockNote);
+
+            await noteService.updateNote('123', { format: 'plain' }, OWNER_ID);
+
+            expect(noteRepository.save).not.toHaveBeenCalled();
         });
     });
 
     // ============================================
-    // TESTS: Flujo undo → edit → redo
+    // TESTS: renderNote
     // ============================================
 
-    describe('Flujo completo: undo → edit → redo', () => {
-        test('undo seguido de edit debe invalidar redo', async () => {
+    describe('renderNote()', () => {
+        test('debe renderizar según el formato de la nota', async () => {
+            const note = { owner: OWNER_ID, title: 'Título', content: '**hola**', format: 'plain' };
+            noteRepository.findLiveById.mockResolvedValue(note);
+
+            expect(await noteService.renderNote('123', OWNER_ID)).toEqual({ note, html: '<p>**hola**</p>' });
+        });
+
+        test('debe lanzar NOTE_NOT_FOUND si la nota no es accesible', async () => {
+            noteRepository.findLiveById.mockResolvedValue(null);
+
+            await expect(noteService.renderNote('123', OWNER_ID)).rejects.toThrow('NOTE_NOT_FOUND');
+        });
+    });
+
+    // ============================================
+    // TESTS: Enlaces wiki
+    // ============================================
+
+    describe('Enlaces wiki', () => {
+        const LINKING_ID = '507f1f77bcf86cd799439012';
+
+        test('createNote y updateNote deben guardar las claves de los enlaces', async () => {
+            noteRepository.create.mockImplementation(async data => data);
+            await noteService.createNote({ title: 'A', content: 'Ver [[Receta]]' }, OWNER_ID);
+            expect(noteRepository.create).toHaveBeenCalledWith(expect.objectContaining({ links: ['receta'] }));
+
+            noteRepository.findLiveById.mockResolvedValue({ owner: OWNER_ID, title: 'A', content: 'x', links: [] });
+            noteRepository.save.mockImplementation(note => Promise.resolve(note));
+            const updated = await noteService.updateNote('123', { content: 'Ver [[Compra]]' }, OWNER_ID);
+            expect(updated.links).toEqual(['compra']);
+        });
+
+        test('renombrar con notas enlazadas por título debe pedir rewriteLinks', async () => {
+            const backlinks = [{ _id: LINKING_ID, title: 'Índice' }];
+            noteRepository.findLiveById.mockResolvedValue({ _id: '123', owner: OWNER_ID, title: 'Vieja', content: 'x' });
+            noteRepository.findLinking.mockResolvedValue(backlinks);
+
+            await expect(noteService.updateNote('123', { title: 'Nueva' }, OWNER_ID))
+                .rejects.toMatchObject({ code: 'LINKS_AFFECTED', backlinks });
+
+            expect(noteRepository.findLinking).toHaveBeenCalledWith(OWNER_ID, ['vieja'], { userId: OWNER_ID, excludeId: '123' });
+            expect(noteRepository.save).not.toHaveBeenCalled();
+        });
+
+        test('con rewriteLinks debe reescribir los enlaces de las otras notas', async () => {
+            const renamed = { _id: '123', owner: OWNER_ID, title: 'Vieja', content: 'x' };
+            const linking = { _id: LINKING_ID, owner: OWNER_ID, title: 'Índice', content: 'Ver [[vieja|aquí]]' };
+            noteRepository.findLiveById.mockImplementation(async id => (id === '123' ? renamed : linking));
+            noteRepository.findLinking.mockImplementation(async (owner, keys) => (keys[0] === 'vieja' ? [{ _id: LINKING_ID }] : []));
+            noteRepository.save.mockImplementation(note => Promise.resolve(note));
+
+            const result = await noteService.updateNote('123', { title: 'Nueva', rewriteLinks: true }, OWNER_ID);
+
+            expect(result.title).toBe('Nueva');
+            expect(linking.content).toBe('Ver [[Nueva|aquí]]');
+            expect(linking.links).toEqual(['nueva']);
+        });
+
+        test('con rewriteLinks false debe renombrar sin tocar las otras notas', async () => {
+            noteRepository.findLiveById.mockResolvedValue({ _id: '123', owner: OWNER_ID, title: 'Vieja', content: 'x' });
+            noteRepository.findLinking.mockResolvedValue([{ _id: LINKING_ID }]);
+            noteRepository.save.mockImplementation(note => Promise.resolve(note));
+
+            await noteService.updateNote('123', { title: 'Nueva', rewriteLinks: false }, OWNER_ID);
+
+            expect(noteRepository.save).toHaveBeenCalledTimes(1);
+        });
+
+        test('un cambio de mayúsculas no afecta a los enlaces', async () => {
+            noteRepository.findLiveById.mockResolvedValue({ _id: '123', owner: OWNER_ID, title: 'Vieja', content: 'x' });
+            noteRepository.save.mockImplementation(note => Promise.resolve(note));
+
+            await noteService.updateNote('123', { title: 'VIEJA' }, OWNER_ID);
+
+            expect(noteRepository.findLinking).not.toHaveBeenCalled();
+        });
+
+        test('listLinks debe resolver los enlaces entre las notas accesibles', async () => {
+            const target = { _id: LINKING_ID, title: 'Receta' };
+            noteRepository.findLiveById.mockResolvedValue({ _id: '123', owner: OWNER_ID, links: ['receta', 'falta'] });
+            noteRepository.findLinkTargets.mockResolvedValue([target]);
+
+            expect(await noteService.listLinks('123', OWNER_ID)).toEqual([
+                { target: 'receta', note: target },
+                { target: 'falta', note: null }
+            ]);
+            expect(noteRepository.findLinkTargets).toHaveBeenCalledWith(OWNER_ID, ['receta', 'falta'], { userId: OWNER_ID });
+        });
+
+        test('listBacklinks debe buscar por ID y por título', async () => {
+            noteRepository.findLiveById.mockResolvedValue({ _id: '123', owner: OWNER_ID, title: 'Receta' });
+
+            await noteService.listBacklinks('123', OWNER_ID);
+
+            expect(noteRepository.findLinking).toHaveBeenCalledWith(OWNER_ID, ['123', 'receta'], { userId: OWNER_ID, excludeId: '123' });
+        });
+    });
+
+    // ============================================
+    // TESTS: Etiquetas
+    // ============================================
+
+    describe('Etiquetas', () => {
+        test('updateNote debe aplicar tags y guardarlas en el snapshot', async () => {
+            const mockNote = {
+                owner: OWNER_ID,
+                title: 'Title',
+                content: 'Content',
+                tags: ['old']
+            };
+
+            noteRepository.findLiveById.mockResolvedValue(mockNote);
+            noteRepository.save.mockImplementation(note => Promise.resolve(note));
+
+            const history = useHistory();
+
+            const result = await noteService.updateNote('123', { tags: ['new'] }, OWNER_ID);
+
+            expect(result.tags).toEqual(['new']);
+            expect(history.undo[history.undo.length - 1].tags).toEqual(['old']);
+        });
+
+        test('undo debe restaurar las tags anteriores', async () => {
+            const mockNote = {
+                owner: OWNER_ID,
+                title: 'Title',
+                content: 'Content',
+                tags: ['new']
+            };
+
+            useHistory({ undo: [{ title: 'Title', content: 'Content', tags: ['old'], editedAt: new Date() }] });
+
+            noteRepository.findLiveById.mockResolvedValue(mockNote);
+            noteRepository.save.mockImplementation(note => Promise.resolve(note));
+
+            const result = await noteService.undoNote('123', OWNER_ID);
+
+            expect(result.tags).toEqual(['old']);
+        });
+
+        test('renameTag debe lanzar TAG_NOT_FOUND si ninguna nota la tiene', async () => {
+            noteRepository.findIdsWithTag.mockResolvedValue([]);
+
+            await expect(
+                noteService.renameTag(OWNER_ID, 'nope', 'otra')
+            ).rejects.toThrow('TAG_NOT_FOUND');
+        });
+
+        test('renameTag debe renombrar como una edición que se puede deshacer', async () => {
+            const note = {
+                _id: '123',
+                owner: OWNER_ID,
+                title: 'Title',
+                content: 'Content',
+                tags: ['b', 'a'],
+                revision: 3,
+                stateRevision: 2
+            };
+            noteRepository.findIdsWithTag.mockResolvedValue(['123']);
+            noteRepository.findById.mockResolvedValue(note);
+            noteRepository.save.mockImplementation(async saved => ({ ...saved, revision: saved.revision + 1 }));
+            const history = useHistory();
+
+            const result = await noteService.renameTag(OWNER_ID, 'b', 'a');
+
+            expect(result).toEqual({ tag: 'a', modified: 1 });
+            expect(noteRepository.save).toHaveBeenCalledWith(expect.objectContaining({ tags: ['a'], stateRevision: 4 }));
+            expect(history.undo[history.undo.length - 1]).toMatchObject({ tags: ['b', 'a'], revision: 3 });
+
+            noteRepository.findLiveById.mockResolvedValue({ ...note });
+            noteRepository.save.mockImplementation(async saved => saved);
+            const undone = await noteService.undoNote('123', OWNER_ID);
+
+            expect(undone.tags).toEqual(['b', 'a']);
+        });
+
+        test('renameTag debe volver a leer la nota si otra escritura se adelantó', async () => {
+            noteRepository.findIdsWithTag.mockResolvedValue(['123']);
+            noteRepository.findById.mockImplementation(async () => ({
+                _id: '123', owner: OWNER_ID, title: 'T', content: 'C', tags: ['b'], revision: 1
+            }));
+            noteRepository.save
+                .mockRejectedValueOnce(new Error('STALE_REVISION'))
+                .mockImplementation(async saved => saved);
+            useHistory();
+
+            const result = await noteService.renameTag(OWNER_ID, 'b', 'c');
+
+            expect(result.modified).toBe(1);
+            expect(noteRepository.findById).toHaveBeenCalledTimes(2);
+            expect(noteVersionRepository.push).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    // ============================================
+    // TESTS: Fijadas y favoritas
+    // ============================================
+
+    describe('pinNote() / favoriteNote()', () => {
+        const ID = '507f1f77bcf86cd799439011';
+        const PINNED_A = '507f1f77bcf86cd799439012';
+        const PINNED_B = '507f1f77bcf86cd799439013';
+
+        const note = (fields = {}) => ({
+            _id: ID,
+            owner: OWNER_ID,
+            title: 'Title',
+            content: 'Content',
+            isPinned: false,
+            pinPosition: null,
+            isFavorite: false,
+            ...fields
+        });
+
+        beforeEach(() => {
+            noteRepository.save.mockImplementation(async saved => saved);
+            noteRepository.findPinnedIds.mockResolvedValue([PINNED_A, PINNED_B]);
+        });
+
+        test('fijar debe poner la nota al final de las fijadas sin crear versión', async () => {
+            noteRepository.findLiveById.mockResolvedValue(note());
+            const history = useHistory();
+
+            const result = await noteService.pinNote(ID, { pinned: true }, OWNER_ID);
+
+            expect(result).toMatchObject({ isPinned: true, pinPosition: 2 });
+            expect(noteRepository.setPinPositions).toHaveBeenCalledWith([PINNED_A, PINNED_B, ID]);
+            expect(noteVersionRepository.push).not.toHaveBeenCalled();
+            expect(history.undo).toHaveLength(0);
+        });
+
+        test('con position debe reordenar las fijadas sin guardar la nota', async () => {
+            noteRepository.findLiveById.mockResolvedValue(note({ isPinned: true, pinPosition: 2 }));
+            noteRepository.findPinnedIds.mockResolvedValue([PINNED_A, PINNED_B, ID]);
+
+            const result = await noteService.pinNote(ID, { pinned: true, position: 0 }, OWNER_ID);
+
+            expect(result.pinPosition).toBe(0);
+            expect(noteRepository.setPinPositions).toHaveBeenCalledWith([ID, PINNED_A, PINNED_B]);
+            expect(noteRepository.save).not.toHaveBeenCalled();
+        });
+
+        test('una posición mayor que las fijadas debe dejarla la última', async () => {
+            noteRepository.findLiveById.mockResolvedValue(note());
+
+            const result = await noteService.pinNote(ID, { pinned: true, position: 99 }, OWNER_ID);
+
+            expect(result.pinPosition).toBe(2);
+        });
+
+        test('volver a fijar sin position no debe cambiar nada', async () => {
+            noteRepository.findLiveById.mockResolvedValue(note({ isPinned: true, pinPosition: 1 }));
+
+            await noteService.pinNote(ID, { pinned: true }, OWNER_ID);
+
+            expect(noteRepository.save).not.toHaveBeenCalled();
+            expect(noteRepository.setPinPositions).not.toHaveBeenCalled();
+        });
+
+        test('soltar debe quitar la posición', async () => {
+            noteRepository.findLiveById.mockResolvedValue(note({ isPinned: true, pinPosition: 1 }));
+
+            const result = await noteService.pinNote(ID, { pinned: false }, OWNER_ID);
+
+            expect(result).toMatchObject({ isPinned: false, pinPosition: null });
+            expect(noteRepository.setPinPositions).not.toHaveBeenCalled();
+        });
+
+        test('favoriteNote debe marcar la nota sin crear versión', async () => {
+            noteRepository.findLiveById.mockResolvedValue(note());
+
+            const result = await noteService.favoriteNote(ID, { favorite: true }, OWNER_ID);
+
+            expect(result.isFavorite).toBe(true);
+            expect(noteRepository.save).toHaveBeenCalledTimes(1);
+            expect(noteVersionRepository.push).not.toHaveBeenCalled();
+        });
+
+        test('solo el propietario puede fijar o marcar como favorita', async () => {
+            const EDITOR_ID = '507f1f77bcf86cd799439097';
+            noteRepository.findLiveById.mockResolvedValue(note({ shares: [{ user: EDITOR_ID, role: 'editor' }] }));
+
+            await expect(
+                noteService.pinNote(ID, { pinned: true }, EDITOR_ID)
+            ).rejects.toMatchObject({ code: 'FORBIDDEN' });
+            await expect(
+                noteService.favoriteNote(ID, { favorite: true }, EDITOR_ID)
+            ).rejects.toMatchObject({ code: 'FORBIDDEN' });
+        });
+    });
+
+    // ============================================
+    // TESTS: undoNote
+    // ============================================
+
+    describe('undoNote()', () => {
+        test('debe lanzar NOTE_NOT_FOUND si nota no existe', async () => {
+            noteRepository.findLiveById.mockResolvedValue(null);
+
+            await expect(
+                noteService.undoNote('507f1f77bcf86cd799439011', OWNER_ID)
+            ).rejects.toThrow('NOTE_NOT_FOUND');
+
+            expect(noteRepository.findLiveById)
+                .toHaveBeenCalledWith('507f1f77bcf86cd799439011', OWNER_ID);
+        });
+
+        test('debe lanzar error si no hay historial', async () => {
+            const mockNote = {
+                owner: OWNER_ID,
+                title: 'Current',
+                content: 'Content',
+                editedAt: new Date()
+            };
+
+            noteRepository.findLiveById.mockResolvedValue(mockNote);
+
+            await expect(
+                noteService.undoNote('507f1f77bcf86cd799439011', OWNER_ID)
+            ).rejects.toThrow('No history available to undo');
+        });
+
+        test('debe ejecutar undo correctamente', async () => {
+            const mockNote = {
+                owner: OWNER_ID,
+                title: 'Current',
+                content: 'Current',
+                editedAt: new Date()
+            };
+
+            const history = useHistory({
+                undo: [{ title: 'Previous', content: 'Previous', editedAt: new Date() }]
+            });
+
+            noteRepository.findLiveById.mockResolvedValue(mockNote);
+            noteRepository.save.mockImplementation(note => Promise.resolve(note));
+
+            const result = await noteService.undoNote('123', OWNER_ID);
+
+            expect(result.title).toBe('Previous');
+            expect(history.undo).toHaveLength(0);
+            expect(history.redo).toHaveLength(1);
+            expect(history.redo[0].title).toBe('Current');
+        });
+    });
+
+    // ============================================
+    // TESTS: redoNote
+    // ============================================
+
+    describe('redoNote()', () => {
+        test('debe lanzar error si no hay acciones para rehacer', async () => {
+            const mockNote = {
+                owner: OWNER_ID,
+                title: 'Current',
+                content: 'Content',
+                editedAt: new Date()
+            };
+
+            noteRepository.findLiveById.mockResolvedValue(mockNote);
+
+            await expect(
+                noteService.redoNote('507f1f77bcf86cd799439011', OWNER_ID)
+            ).rejects.toThrow('No actions available to redo');
+        });
+
+        test('debe ejecutar redo correctamente', async () => {
+            const mockNote = {
+                owner: OWNER_ID,
+                title: 'Current',
+                content: 'Current',
+                editedAt: new Date()
+            };
+
+            const history = useHistory({
+                redo: [{ title: 'Redone', content: 'Redone', editedAt: new Date() }]
+            });
+
+            noteRepository.findLiveById.mockResolvedValue(mockNote);
+            noteRepository.save.mockImplementation(note => Promise.resolve(note));
+
+            const result = await noteService.redoNote('123', OWNER_ID);
+
+            expect(result.title).toBe('Redone');
+            expect(history.redo).toHaveLength(0);
+            expect(history.undo[0].title).toBe('Current');
+        });
+    });
+
+    // ============================================
+    // TESTS: Undo / redo por usuario
+    // ============================================
+
+    describe('Undo / redo por usuario', () => {
+        const EDITOR_ID = '507f1f77bcf86cd799439097';
+
+        const sharedNote = content => ({
+            _id: '123',
+            owner: OWNER_ID,
+            shares: [{ user: EDITOR_ID, role: 'editor' }],
+            title: 'Shared',
+            content,
+            tags: [],
+            status: 'active'
+        });
+
+        const entry = (author, content) => ({ title: 'Shared', content, tags: [], author, editedAt: new Date() });
+
+        beforeEach(() => {
+            noteRepository.save.mockImplementation(note => Promise.resolve(note));
+        });
+
+        test('undo debe deshacer la última edición propia aunque otro editara después', async () => {
+            const history = useHistory({
+                undo: [entry(OWNER_ID, 'uno\ndos\ntres'), entry(EDITOR_ID, 'UNO\ndos\ntres')]
+            });
+            noteRepository.findLiveById.mockResolvedValue(sharedNote('UNO\ndos\nTRES'));
+
+            const result = await noteService.undoNote('123', OWNER_ID);
+
+            expect(result.content).toBe('uno\ndos\nTRES');
+            // La edición del otro usuario queda rebasada y sigue siendo suya
+            expect(history.undo).toEqual([
+                expect.objectContaining({ author: EDITOR_ID, content: 'uno\ndos\ntres', revision: null })
+            ]);
+            expect(history.redo).toEqual([
+                expect.objectContaining({ author: OWNER_ID, content: 'UNO\ndos\nTRES' })
+            ]);
+        });
+
+        test('undo del otro usuario después debe deshacer solo lo suyo', async () => {
+            useHistory({
+                undo: [entry(OWNER_ID, 'uno\ndos\ntres'), entry(EDITOR_ID, 'UNO\ndos\ntres')]
+            });
+            noteRepository.findLiveById.mockResolvedValue(sharedNote('UNO\ndos\nTRES'));
+            const afterOwner = await noteService.undoNote('123', OWNER_ID);
+
+            noteRepository.findLiveById.mockResolvedValue({ ...afterOwner });
+            const result = await noteService.undoNote('123', EDITOR_ID);
+
+            expect(result.content).toBe('uno\ndos\ntres');
+        });
+
+        test('redo debe rehacer lo propio aunque otro deshiciera después', async () => {
+            const history = useHistory({
+                redo: [entry(OWNER_ID, 'UNO\ndos\nTRES'), entry(EDITOR_ID, 'uno\ndos\nTRES')]
+            });
+            noteRepository.findLiveById.mockResolvedValue(sharedNote('uno\ndos\ntres'));
+
+            const result = await noteService.redoNote('123', OWNER_ID);
+
+            expect(result.content).toBe('UNO\ndos\ntres');
+            expect(history.redo).toEqual([
+                expect.objectContaining({ author: EDITOR_ID, content: 'UNO\ndos\nTRES' })
+            ]);
+            expect(history.undo).toEqual([
+                expect.objectContaining({ author: OWNER_ID, content: 'uno\ndos\ntres' })
+            ]);
+        });
+
+        test('si la edición posterior se solapa debe lanzar CONFLICT sin guardar', async () => {
+            useHistory({
+                undo: [entry(OWNER_ID, 'uno'), entry(EDITOR_ID, 'UNO')]
+            });
+            noteRepository.findLiveById.mockResolvedValue(sharedNote('Uno'));
+
+            await expect(
+                noteService.undoNote('123', OWNER_ID)
+            ).rejects.toMatchObject({ code: 'CONFLICT', conflicts: { title: null } });
+
+            expect(noteRepository.save).not.toHaveBeenCalled();
+        });
+
+        test('sin ediciones propias debe lanzar NO_HISTORY', async () => {
+            useHistory({ undo: [entry(OWNER_ID, 'uno')] });
+            noteRepository.findLiveById.mockResolvedValue(sharedNote('UNO'));
+
+            await expect(
+                noteService.undoNote('123', EDITOR_ID)
+            ).rejects.toMatchObject({ code: 'NO_HISTORY' });
+        });
+
+        test('la edición debe apilar snapshots con su autor', async () => {
+            const history = useHistory({ undo: [entry(OWNER_ID, 'uno')] });
+            noteRepository.findLiveById.mockResolvedValue(sharedNote('UNO'));
+
+            await noteService.updateNote('123', { content: 'Uno' }, EDITOR_ID);
+
+            expect(history.undo[1]).toMatchObject({ author: EDITOR_ID, content: 'UNO' });
+        });
+    });
+
+    // ============================================
+    // TESTS: Historial persistido (NoteVersion)
+    // ============================================
+
+    describe('Historial persistido', () => {
+        const plainNote = () => ({
+            owner: OWNER_ID,
+            _id: '123',
+            title: 'Title',
+            content: 'Content'
+        });
+
+        test('la primera edición debe apilar el estado original dos veces', async () => {
+            const history = useHistory();
+            noteRepository.findLiveById.mockResolvedValue(plainNote());
+            noteRepository.save.mockImplementation(note => Promise.resolve(note));
+
+            await noteService.updateNote('123', { title: 'Nuevo' }, OWNER_ID);
+
+            expect(history.undo.map(v => v.title)).toEqual(['Title', 'Title']);
+        });
+
+        test('cada edición debe aplicar la retención configurada', async () => {
+            noteRepository.findLiveById.mockResolvedValue(plainNote());
+            noteRepository.save.mockImplementation(note => Promise.resolve(note));
+
+            await noteService.updateNote('123', { title: 'Nuevo' }, OWNER_ID);
+
+            expect(noteVersionRepository.prune).toHaveBeenCalledWith('123', expect.objectContaining({
+                retention: expect.any(String)
+            }));
+        });
+
+        test('no debe haber límite de 20 versiones', async () => {
+            const undo = Array(30).fill(null).map((_, i) => ({ title: `V${i}`, content: 'C', editedAt: new Date() }));
+            const history = useHistory({ undo });
+            noteRepository.findLiveById.mockResolvedValue(plainNote());
+            noteRepository.save.mockImplementation(note => Promise.resolve(note));
+
+            await noteService.updateNote('123', { title: 'Nuevo' }, OWNER_ID);
+
+            expect(history.undo).toHaveLength(31);
+        });
+    });
+
+    // ============================================
+    // TESTS: Historial de versiones
+    // ============================================
+
+    describe('Historial de versiones', () => {
+        const noteWithHistory = () => ({
+            owner: OWNER_ID,
+            _id: '123',
+            title: 'Actual',
+            content: 'Contenido actual',
+            tags: []
+        });
+
+        beforeEach(() => {
+            useHistory({ undo: [{ title: 'Antigua', content: 'Contenido antiguo', tags: [], editedAt: new Date() }] });
+        });
+
+        test('listVersions no debe incluir el contenido', async () => {
+            noteRepository.findLiveById.mockResolvedValue(noteWithHistory());
+
+            const versions = await noteService.listVersions('123', OWNER_ID);
+
+            expect(versions.map(v => v.title)).toEqual(['Antigua', 'Actual']);
+            expect(versions[0]).not.toHaveProperty('content');
+        });
+
+        test('getVersion debe leer solo el snapshot pedido, no el historial completo', async () => {
+            noteRepository.findLiveById.mockResolvedValue(noteWithHistory());
+            useHistory({
+                undo: ['V1', 'V2', 'V3'].map(title => ({ title, content: title, tags: [], editedAt: new Date() })),
+                redo: [{ title: 'Rehecha', content: 'Rehecha', tags: [], editedAt: new Date() }]
+            });
+
+            const oldest = await noteService.getVersion('123', 1, OWNER_ID);
+            const next = await noteService.getVersion('123', 5, OWNER_ID);
+
+            expect(oldest).toMatchObject({ version: 1, title: 'V1', current: false });
+            expect(next).toMatchObject({ version: 5, title: 'Rehecha', current: false });
+            expect(noteVersionRepository.findAt.mock.calls).toEqual([
+                ['123', 'undo', 2],
+                ['123', 'redo', 0]
+            ]);
+            expect(noteVersionRepository.list).not.toHaveBeenCalled();
+        });
+
+        test('getVersion debe lanzar VERSION_NOT_FOUND fuera de rango', async () => {
+            noteRepository.findLiveById.mockResolvedValue(noteWithHistory());
+
+            await expect(
+                noteService.getVersion('123', 3, OWNER_ID)
+            ).rejects.toThrow('VERSION_NOT_FOUND');
+        });
+
+        test('diffVersions debe comparar contra la versión actual por defecto', async () => {
+            noteRepository.findLiveById.mockResolvedValue(noteWithHistory());
+
+            const diff = await noteService.diffVersions('123', { from: 1 }, OWNER_ID);
+
+            expect(diff.from).toBe(1);
+            expect(diff.to).toBe(2);
+            expect(diff.title).toMatchObject({ changed: true, from: 'Antigua', to: 'Actual' });
+            expect(diff.stats).toEqual({ additions: 1, deletions: 1 });
+        });
+
+        test('diffVersions debe devolver texto unificado si se pide', async () => {
+            noteRepository.findLiveById.mockResolvedValue(noteWithHistory());
+
+            const text = await noteService.diffVersions('123', { from: 1, to: 2, format: 'unified' }, OWNER_ID);
+
+            expect(text).toContain('--- v1\tAntigua');
+            expect(text).toContain('+Contenido actual');
+        });
+
+        test('diffVersions debe lanzar VERSION_NOT_FOUND fuera de rango', async () => {
+            noteRepository.findLiveById.mockResolvedValue(noteWithHistory());
+
+            await expect(
+                noteService.diffVersions('123', { from: 1, to: 5 }, OWNER_ID)
+            ).rejects.toThrow('VERSION_NOT_FOUND');
+        });
+
+        test('restoreVersion debe guardar el salto como nuevo paso de undo', async () => {
+            noteRepository.findLiveById.mockResolvedValue(noteWithHistory());
+            noteRepository.save.mockImplementation(note => Promise.resolve(note));
+
+            const history = useHistory({
+                undo: [{ title: 'Antigua', content: 'Contenido antiguo', tags: [], editedAt: new Date() }]
+            });
+
+            const result = await noteService.restoreVersion('123', 1, OWNER_ID);
+
+            expect(result.title).toBe('Antigua');
+            expect(history.undo[history.undo.length - 1].title).toBe('Actual');
+            expect(noteRepository.save).toHaveBeenCalled();
+        });
+
+        test('viewer NO puede restaurar versiones', async () => {
+            noteRepository.findLiveById.mockResolvedValue({
+                ...noteWithHistory(),
+                owner: '507f1f77bcf86cd799439001',
+                shares: [{ user: OWNER_ID, role: 'viewer' }]
+            });
+
+            await expect(
+                noteService.restoreVersion('123', 1, OWNER_ID)
+            ).rejects.toMatchObject({ code: 'FORBIDDEN' });
+
+            expect(noteRepository.save).not.toHaveBeenCalled();
+        });
+    });
+
+    // ============================================
+    // TESTS: Papelera
+    // ============================================
+
+    describe('archiveNote() / unarchiveNote()', () => {
+        const note = (fields = {}) => ({
+            owner: OWNER_ID,
+            _id: '123',
+            title: 'Note',
+            content: 'Content',
+            status: 'active',
+            archivedAt: null,
+            ...fields
+        });
+
+        beforeEach(() => {
+            noteRepository.save.mockImplementation(async saved => saved);
+        });
+
+        test('archivar debe cambiar el estado sin crear versión y publicar el evento', async () => {
+            noteRepository.findLiveById.mockResolvedValue(note());
+            const publish = jest.spyOn(noteEventsService, 'publish');
+
+            const result = await noteService.archiveNote('123', OWNER_ID);
+
+            expect(result.status).toBe('archived');
+            expect(result.archivedAt).toBeInstanceOf(Date);
+            expect(noteVersionRepository.push).not.toHaveBeenCalled();
+            expect(publish).toHaveBeenCalledWith(noteEventsService.EVENT_TYPES.ARCHIVED, result, OWNER_ID);
+
+            publish.mockRestore();
+        });
+
+        test('desarchivar debe devolverla a activa', async () => {
+            noteRepository.findLiveById.mockResolvedValue(note({ status: 'archived', archivedAt: new Date() }));
+
+            const result = await noteService.unarchiveNote('123', OWNER_ID);
+
+            expect(result).toMatchObject({ status: 'active', archivedAt: null });
+        });
+
+        test('debe lanzar INVALID_STATUS_TRANSITION si ya está en ese estado', async () => {
+            noteRepository.findLiveById.mockResolvedValue(note());
+
+            await expect(
+                noteService.unarchiveNote('123', OWNER_ID)
+            ).rejects.toMatchObject({ code: 'INVALID_STATUS_TRANSITION' });
+            expect(noteRepository.save).not.toHaveBeenCalled();
+        });
+
+        test('solo el propietario puede archivar', async () => {
+            const EDITOR_ID = '507f1f77bcf86cd799439097';
+            noteRepository.findLiveById.mockResolvedValue(note({ shares: [{ user: EDITOR_ID, role: 'editor' }] }));
+
+            await expect(
+                noteService.archiveNote('123', EDITOR_ID)
+            ).rejects.toMatchObject({ code: 'FORBIDDEN' });
+        });
+
+        test('una nota archivada debe poder ir a la papelera recordando su estado', async () => {
+            noteRepository.findLiveById.mockResolvedValue(note({ status: 'archived' }));
+
+            const result = await noteService.moveToTrash('123', OWNER_ID);
+
+            expect(result).toMatchObject({ status: 'trashed', previousStatus: 'archived' });
+        });
+    });
+
+    describe('moveToTrash()', () => {
+        test('debe mover nota a papelera', async () => {
+            const mockNote = {
+                owner: OWNER_ID,
+                _id: '123',
+                title: 'Note',
+                content: 'Content',
+                status: 'active',
+                deletedAt: null
+            };
+
+            noteRepository.findLiveById.mockResolvedValue(mockNote);
+            noteRepository.save.mockImplementation(note => Promise.resolve(note));
+
+            const result = await noteService.moveToTrash('123', OWNER_ID);
+
+            expect(result.status).toBe('trashed');
+            expect(result.deletedAt).toBeInstanceOf(Date);
+            expect(attachmentRepository.deleteAllForNote).not.toHaveBeenCalled();
+        });
+
+        test('debe lanzar error si nota no existe', async () => {
+            noteRepository.findLiveById.mockResolvedValue(null);
+
+            await expect(
+                noteService.moveToTrash('123', OWNER_ID)
+            ).rejects.toThrow('NOTE_NOT_FOUND');
+        });
+    });
+
+    describe('restoreFromTrash()', () => {
+        test('debe restaurar nota de papelera', async () => {
+            const mockNote = {
+                owner: OWNER_ID,
+                _id: '123',
+                title: 'Note',
+                content: 'Content',
+                status: 'trashed',
+                deletedAt: new Date()
+            };
+
+            noteRepository.findDeletedById.mockResolvedValue(mockNote);
+            noteRepository.save.mockImplementation(note => Promise.resolve(note));
+
+            const result = await noteService.restoreFromTrash('123', OWNER_ID);
+
+            expect(result.status).toBe('active');
+            expect(result.deletedAt).toBe(null);
+        });
+
+        test('una nota archivada debe volver al archivo', async () => {
+            noteRepository.findDeletedById.mockResolvedValue({
+                owner: OWNER_ID,
+                _id: '123',
+                status: 'trashed',
+                previousStatus: 'archived',
+                deletedAt: new Date()
+            });
+            noteRepository.save.mockImplementation(note => Promise.resolve(note));
+
+            const result = await noteService.restoreFromTrash('123', OWNER_ID);
+
+            expect(result).toMatchObject({ status: 'archived', previousStatus: null, deletedAt: null });
+        });
+
+        test('debe volver a la libreta raíz si su libreta ya no existe', async () => {
+            const mockNote = {
+                owner: OWNER_ID,
+                _id: '123',
+                notebookId: '507f1f77bcf86cd799439051',
+                status: 'trashed',
+                deletedAt: new Date()
+            };
+
+            noteRepository.findDeletedById.mockResolvedValue(mockNote);
+            noteRepository.save.mockImplementation(note => Promise.resolve(note));
+            notebookRepository.existsForOwner.mockResolvedValue(false);
+
+            const result = await noteService.restoreFromTrash('123', OWNER_ID);
+
+            expect(notebookRepository.findOrCreateRoot).toHaveBeenCalledWith(OWNER_ID);
+            expect(result.notebookId).toBe(ROOT_NOTEBOOK_ID);
+        });
+
+        test('debe conservar su libreta si todavía existe', async () => {
+            const NOTEBOOK_ID = '507f1f77bcf86cd799439051';
+
+            noteRepository.findDeletedById.mockResolvedValue({
+                owner: OWNER_ID,
+                _id: '123',
+                notebookId: NOTEBOOK_ID,
+                status: 'trashed',
+                deletedAt: new Date()
+            });
+            noteRepository.save.mockImplementation(note => Promise.resolve(note));
+
+            const result = await noteService.restoreFromTrash('123', OWNER_ID);
+
+            expect(result.notebookId).toBe(NOTEBOOK_ID);
+            expect(notebookRepository.findOrCreateRoot).not.toHaveBeenCalled();
+        });
+
+        test('debe lanzar error si nota no está en papelera', async () => {
+            noteRepository.findDeletedById.mockResolvedValue(null);
+
+            await expect(
+                noteService.restoreFromTrash('123', OWNER_ID)
+            ).rejects.toThrow('NOTE_NOT_IN_TRASH');
+        });
+    });
+
+    describe('deletePermanently()', () => {
+        test('debe eliminar permanentemente solo de papelera', async () => {
+            const mockNote = {
+                owner: OWNER_ID,
+                _id: '123',
+                status: 'trashed'
+            };
+
+            noteRepository.findDeletedById.mockResolvedValue(mockNote);
+            noteRepository.deletePermanently.mockResolvedValue(true);
+
+            await noteService.deletePermanently('123', OWNER_ID);
+
+            expect(noteRepository.findDeletedById).toHaveBeenCalledWith('123', OWNER_ID);
+            expect(noteRepository.deletePermanently).toHaveBeenCalledWith('123', OWNER_ID, null);
+            expect(noteVersionRepository.deleteAllForNote).toHaveBeenCalledWith('123');
+        });
+
+        test('debe eliminar los adjuntos y sus archivos una vez confirmado el borrado', async () => {
+            noteRepository.findDeletedById.mockResolvedValue({ owner: OWNER_ID, _id: '123', status: 'trashed' });
+            noteRepository.deletePermanently.mockResolvedValue(true);
+            attachmentRepository.deleteAllForNote.mockResolvedValue(['123/a', '123/b']);
+
+            await noteService.deletePermanently('123', OWNER_ID);
+
+            expect(attachmentRepository.deleteAllForNote).toHaveBeenCalledWith('123');
+            expect(noteRepository.afterCommit).toHaveBeenCalledTimes(1);
+            expect(attachmentStorage.remove).toHaveBeenCalledWith('123/a');
+            expect(attachmentStorage.remove).toHaveBeenCalledWith('123/b');
+        });
+
+        test('sin adjuntos no debe tocar el almacenamiento', async () => {
+            noteRepository.findDeletedById.mockResolvedValue({ owner: OWNER_ID, _id: '123', status: 'trashed' });
+            noteRepository.deletePermanently.mockResolvedValue(true);
+
+            await noteService.deletePermanently('123', OWNER_ID);
+
+            expect(noteRepository.afterCommit).not.toHaveBeenCalled();
+            expect(attachmentStorage.remove).not.toHaveBeenCalled();
+        });
+
+        test('debe lanzar error si nota no está en papelera', async () => {
+            noteRepository.findDeletedById.mockResolvedValue(null);
+
+            await expect(
+                noteService.deletePermanently('123', OWNER_ID)
+            ).rejects.toThrow('NOTE_NOT_IN_TRASH');
+        });
+    });
+
+    // ============================================
+    // TESTS: Permisos sobre notas compartidas
+    // ============================================
+
+    describe('Permisos de notas compartidas', () => {
+        const VIEWER_ID = '507f1f77bcf86cd799439098';
+        const EDITOR_ID = '507f1f77bcf86cd799439097';
+
+        const sharedNote = () => ({
+            _id: '123',
+            owner: OWNER_ID,
+            shares: [
+                { user: VIEWER_ID, role: 'viewer' },
+                { user: EDITOR_ID, role: 'editor' }
+            ],
+            title: 'Shared',
+            content: 'Content',
+            status: 'active'
+        });
+
+        test('viewer debe recibir FORBIDDEN al editar', async () => {
+            noteRepository.findLiveById.mockResolvedValue(sharedNote());
+
+            await expect(
+                noteService.updateNote('123', { title: 'Hack' }, VIEWER_ID)
+            ).rejects.toMatchObject({ code: 'FORBIDDEN' });
+
+            expect(noteRepository.save).not.toHaveBeenCalled();
+        });
+
+        test('viewer debe recibir FORBIDDEN al enviar a papelera', async () => {
+            noteRepository.findLiveById.mockResolvedValue(sharedNote());
+
+            await expect(
+                noteService.moveToTrash('123', VIEWER_ID)
+            ).rejects.toMatchObject({ code: 'FORBIDDEN' });
+        });
+
+        test('editor puede editar', async () => {
+            noteRepository.findLiveById.mockResolvedValue(sharedNote());
+            noteRepository.save.mockImplementation(note => Promise.resolve(note));
+
+            const result = await noteService.updateNote('123', { title: 'Edited' }, EDITOR_ID);
+
+            expect(result.title).toBe('Edited');
+        });
+
+        test('editor NO puede mover la nota de libreta', async () => {
+            noteRepository.findLiveById.mockResolvedValue(sharedNote());
+
+            await expect(
+                noteService.moveNote('123', { notebookId: ROOT_NOTEBOOK_ID }, EDITOR_ID)
+            ).rejects.toMatchObject({ code: 'FORBIDDEN' });
+
+            expect(noteRepository.save).not.toHaveBeenCalled();
+        });
+
+        test('editor NO puede eliminar permanentemente', async () => {
+            noteRepository.findDeletedById.mockResolvedValue({ ...sharedNote(), status: 'trashed' });
+
+            await expect(
+                noteService.deletePermanently('123', EDITOR_ID)
+            ).rejects.toMatchObject({ code: 'FORBIDDEN' });
+
+            expect(noteRepository.deletePermanently).not.toHaveBeenCalled();
+        });
+    });
+
+    // ============================================
+    // TESTS: Vaciar papelera y retención
+    // ============================================
+
+    describe('emptyTrash() / purgeExpiredTrash()', () => {
+        const trashed = _id => ({ _id, owner: OWNER_ID, title: 'Title', status: 'trashed', revision: 2 });
+
+        test('emptyTrash debe borrar cada nota de la papelera con su historial', async () => {
+            noteRepository.findDeletedIds.mockResolvedValue(['a', 'b']);
+            noteRepository.deleteFromTrash.mockImplementation(async id => trashed(id));
+
+            const result = await noteService.emptyTrash(OWNER_ID);
+
+            expect(result).toEqual({ deleted: 2 });
+            expect(noteRepository.findDeletedIds).toHaveBeenCalledWith(OWNER_ID);
+            expect(noteVersionRepository.deleteAllForNote).toHaveBeenCalledWith('a');
+            expect(noteVersionRepository.deleteAllForNote).toHaveBeenCalledWith('b');
+        });
+
+        test('emptyTrash debe borrar también los archivos adjuntos', async () => {
+            noteRepository.findDeletedIds.mockResolvedValue(['a']);
+            noteRepository.deleteFromTrash.mockImplementation(async id => trashed(id));
+            attachmentRepository.deleteAllForNote.mockResolvedValue(['a/1']);
+
+            await noteService.emptyTrash(OWNER_ID);
+
+            expect(attachmentRepository.deleteAllForNote).toHaveBeenCalledWith('a');
+            expect(attachmentStorage.remove).toHaveBeenCalledWith('a/1');
+        });
+
+        test('una nota restaurada entretanto no debe borrarse', async () => {
+            noteRepository.findDeletedIds.mockResolvedValue(['a', 'b']);
+            noteRepository.deleteFromTrash.mockImplementation(async id => (id === 'a' ? trashed(id) : null));
+
+            const result = await noteService.emptyTrash(OWNER_ID);
+
+            expect(result).toEqual({ deleted: 1 });
+            expect(noteVersionRepository.deleteAllForNote).not.toHaveBeenCalledWith('b');
+        });
+
+        test('purgeExpiredTrash debe borrar solo lo caducado según la retención', async () => {
+            const now = new Date('2024-03-31T10:00:00.000Z');
+            const cutoff = new Date('2024-03-01T10:00:00.000Z');
+            noteRepository.findExpiredIds.mockResolvedValueOnce(['a']);
+            noteRepository.deleteFromTrash.mockImplementation(async id => trashed(id));
+
+            const purged = await noteService.purgeExpiredTrash(now);
+
+            expect(purged).toBe(1);
+            expect(noteRepository.findExpiredIds).toHaveBeenCalledWith(cutoff, expect.any(Number));
+            expect(noteRepository.deleteFromTrash).toHaveBeenCalledWith('a', { deletedBefore: cutoff });
+        });
+
+        test('purgeExpiredTrash debe seguir por lotes hasta agotar las caducadas', async () => {
+            const batch = Array.from({ length: 100 }, (_, i) => `n${i}`);
+            noteRepository.findExpiredIds
+                .mockResolvedValueOnce(batch)
+                .mockResolvedValueOnce(['last']);
+            noteRepository.deleteFromTrash.mockImplementation(async id => trashed(id));
+
+            const purged = await noteService.purgeExpiredTrash();
+
+            expect(purged).toBe(101);
+            expect(noteRepository.findExpiredIds).toHaveBeenCalledTimes(2);
+        });
+    });
+
+    // ============================================
+    // TESTS: Operaciones masivas
+    // ============================================
+
+    describe('bulk()', () => {
+        const ID_A = '507f1f77bcf86cd799439011';
+        const ID_B = '507f1f77bcf86cd799439012';
+        let events;
+        let unsubscribe;
+
+        const activeNote = (_id, extra = {}) => ({
+            _id,
+            owner: OWNER_ID,
+            title: 'Title',
+            content: 'Content',
+            tags: ['a'],
+            status: 'active',
+            revision: 1,
+            ...extra
+        });
+
+        beforeEach(() => {
+            events = [];
+            unsubscribe = noteEventsService.subscribe(OWNER_ID, event => events.push(event));
+            noteRepository.save.mockImplementation(note => Promise.resolve({ ...note, revision: note.revision + 1 }));
+            noteRepository.findLiveById.mockImplementation(async id => (id === ID_A ? activeNote(ID_A) : null));
+            noteRepository.transaction.mockImplementation(work => work());
+        });
+
+        afterEach(() => unsubscribe());
+
+        test('debe devolver un resultado por nota sin detenerse en los fallos', async () => {
+            const result = await noteService.bulk({
+                actions: [{ action: 'trash', ids: [ID_A, ID_B] }]
+            }, OWNER_ID);
+
+            expect(result).toEqual({
+                atomic: false,
+                results: [
+                    { action: 'trash', id: ID_A, ok: true, revision: 2 },
+                    { action: 'trash', id: ID_B, ok: false, error: 'NOTE_NOT_FOUND', message: 'NOTE_NOT_FOUND' }
+                ]
+            });
+            expect(noteRepository.transaction).not.toHaveBeenCalled();
+            expect(events.map(e => e.type)).toEqual(['note.trashed']);
+        });
+
+        test('tag debe añadir y quitar etiquetas como una edición', async () => {
+            const result = await noteService.bulk({
+                actions: [{ action: 'tag', ids: [ID_A], add: ['b'], remove: ['a'] }]
+            }, OWNER_ID);
+
+            expect(result.results[0].ok).toBe(true);
+            expect(noteRepository.save).toHaveBeenCalledWith(expect.objectContaining({ tags: ['b'] }));
+            expect(noteVersionRepository.push).toHaveBeenCalled();
+        });
+
+        test('pin debe fijar la nota sin generar snapshot de undo', async () => {
+            await noteService.bulk({
+                actions: [{ action: 'pin', ids: [ID_A], pinned: true }]
+            }, OWNER_ID);
+
+            expect(noteRepository.save).toHaveBeenCalledWith(expect.objectContaining({ isPinned: true }));
+            expect(noteVersionRepository.push).not.toHaveBeenCalled();
+        });
+
+        test('un fallo inesperado debe quedar como INTERNAL_ERROR', async () => {
+            noteRepository.save.mockRejectedValueOnce(new Error('connection lost'));
+
+            const { results } = await noteService.bulk({
+                actions: [{ action: 'trash', ids: [ID_A] }]
+            }, OWNER_ID);
+
+            expect(results[0]).toMatchObject({ ok: false, error: 'INTERNAL_ERROR' });
+        });
+
+        test('atomic debe emitir los eventos solo tras confirmar la transacción', async () => {
+            noteRepository.transaction.mockImplementation(async work => {
+                const result = await work();
+                expect(events).toHaveLength(0);
+                return result;
+            });
+
+            const result = await noteService.bulk({
+                actions: [{ action: 'trash', ids: [ID_A] }],
+                atomic: true
+            }, OWNER_ID);
+
+            expect(result.atomic).toBe(true);
+            expect(result.results[0].ok).toBe(true);
+            expect(events.map(e => e.type)).toEqual(['note.trashed']);
+        });
+
+        test('atomic debe revertir todo al primer fallo sin emitir eventos', async () => {
+            await expect(noteService.bulk({
+                actions: [
+                    { action: 'trash', ids: [ID_A, ID_B] },
+                    { action: 'pin', ids: [ID_A], pinned: true }
+                ],
+                atomic: true
+            }, OWNER_ID)).rejects.toMatchObject({
+                code: 'BULK_ABORTED',
+                results: [
+                    { action: 'trash', id: ID_A, ok: false, error: 'ROLLED_BACK' },
+                    { action: 'trash', id: ID_B, ok: false, error: 'NOTE_NOT_FOUND' },
+                    { action: 'pin', id: ID_A, ok: false, error: 'SKIPPED' }
+                ]
+            });
+
+            expect(events).toHaveLength(0);
+        });
+    });
+
+    // ============================================
+    // TESTS: Flujo undo → edit → redo
+    // ============================================
+
+    describe('Flujo completo: undo → edit → redo', () => {
+        test('undo seguido de edit debe invalidar redo', async () => {
             // Estado inicial
             let mockNote = {
+                owner: OWNER_ID,
                 title: 'V2',
                 content: 'C2',
-                versions: [
-                    { title: 'V1', content: 'C1', editedAt: new Date() }
-                ],
-                redoStack: [],
                 editedAt: new Date()
             };
 
+            const history = useHistory({
+                undo: [{ title: 'V1', content: 'C1', editedAt: new Date() }]
+            });
+
             // Simular undo
-            noteRepository.findActiveById.mockResolvedValue(mockNote);
+            noteRepository.findLiveById.mockResolvedValue(mockNote);
             noteRepository.save.mockImplementation(note => Promise.resolve(note));
 
-            let result = await noteService.undoNote('123');
-            expect(result.redoStack).toHaveLength(1);
+            const result = await noteService.undoNote('123', OWNER_ID);
+            expect(history.redo).toHaveLength(1);
 
             // Simular edit (esto debe invalidar redo)
             mockNote = result;
-            noteRepository.findActiveById.mockResolvedValue(mockNote);
+            noteRepository.findLiveById.mockResolvedValue(mockNote);
 
-            result = await noteService.updateNote('123', { title: 'V3' });
-            expect(result.redoStack).toHaveLength(0);
+            await noteService.updateNote('123', { title: 'V3' }, OWNER_ID);
+            expect(history.redo).toHaveLength(0);
         });
     });
 
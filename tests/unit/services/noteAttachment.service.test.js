@@ -0,0 +1,150 @@
+// tests/unit/services/noteAttachment.service.test.js
+
+const noteAttachmentService = require('../../../src/services/noteAttachment.service');
+const noteRepository = require('../../../src/repositories/note.repository');
+const attachmentRepository = require('../../../src/repositories/attachment.repository');
+const attachmentStorage = require('../../../src/storage/attachmentStorage');
+
+jest.mock('../../../src/repositories/note.repository');
+jest.mock('../../../src/repositories/attachment.repository');
+jest.mock('../../../src/storage/attachmentStorage');
+
+const OWNER_ID = '507f1f77bcf86cd799439099';
+const VIEWER_ID = '507f1f77bcf86cd799439098';
+const NOTE_ID = '507f1f77bcf86cd799439011';
+
+describe('NoteAttachmentService - Casos de Uso', () => {
+
+    const note = {
+        _id: NOTE_ID,
+        owner: OWNER_ID,
+        shares: [{ user: VIEWER_ID, role: 'viewer' }]
+    };
+
+    const file = (originalname, mimetype = 'text/plain') => ({
+        originalname,
+        mimetype,
+        buffer: Buffer.from(`contenido de ${originalname}`)
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        noteRepository.findLiveById.mockResolvedValue(note);
+        attachmentRepository.create.mockImplementation(async data => ({ _id: 'a1', ...data }));
+    });
+
+    // ============================================
+    // TESTS: assertCanAttach
+    // ============================================
+
+    describe('assertCanAttach()', () => {
+        test('debe devolver la nota al propietario', async () => {
+            await expect(noteAttachmentService.assertCanAttach(NOTE_ID, OWNER_ID)).resolves.toBe(note);
+        });
+
+        test('un lector no debe poder adjuntar', async () => {
+            await expect(
+                noteAttachmentService.assertCanAttach(NOTE_ID, VIEWER_ID)
+            ).rejects.toMatchObject({ code: 'FORBIDDEN' });
+        });
+    });
+
+    // ============================================
+    // TESTS: addAttachments
+    // ============================================
+
+    describe('addAttachments()', () => {
+        test('debe guardar cada archivo con una clave propia de la nota', async () => {
+            const result = await noteAttachmentService.addAttachments(NOTE_ID, [file('a.txt'), file('b.png', '')], OWNER_ID);
+
+            expect(result).toHaveLength(2);
+            expect(result[0]).toMatchObject({
+                note: NOTE_ID,
+                uploadedBy: OWNER_ID,
+                name: 'a.txt',
+                contentType: 'text/plain',
+                size: Buffer.byteLength('contenido de a.txt')
+            });
+            expect(result[1].contentType).toBe('application/octet-stream');
+            expect(result[0].key).toMatch(new RegExp(`^${NOTE_ID}/[0-9a-f-]{36}$`));
+            expect(result[0].key).not.toBe(result[1].key);
+            expect(attachmentStorage.put).toHaveBeenCalledWith(result[0].key, expect.any(Buffer), { contentType: 'text/plain' });
+        });
+
+        test('debe quedarse solo con el nombre del archivo, sin rutas', async () => {
+            const [attachment] = await noteAttachmentService.addAttachments(NOTE_ID, [file('../../etc/passwd')], OWNER_ID);
+
+            expect(attachment.name).toBe('passwd');
+        });
+
+        test('si falla el documento debe borrar el archivo ya guardado', async () => {
+            attachmentRepository.create.mockRejectedValue(new Error('DB down'));
+
+            await expect(
+                noteAttachmentService.addAttachments(NOTE_ID, [file('a.txt')], OWNER_ID)
+            ).rejects.toThrow('DB down');
+
+            const [[key]] = attachmentStorage.put.mock.calls;
+            expect(attachmentStorage.remove).toHaveBeenCalledWith(key);
+        });
+
+        test('un lector no debe poder adjuntar', async () => {
+            await expect(
+                noteAttachmentService.addAttachments(NOTE_ID, [file('a.txt')], VIEWER_ID)
+            ).rejects.toMatchObject({ code: 'FORBIDDEN' });
+
+            expect(attachmentStorage.put).not.toHaveBeenCalled();
+        });
+
+        test('debe lanzar NOTE_NOT_FOUND si la nota no está accesible', async () => {
+            noteRepository.findLiveById.mockResolvedValue(null);
+
+            await expect(
+                noteAttachmentService.addAttachments(NOTE_ID, [file('a.txt')], OWNER_ID)
+            ).rejects.toThrow('NOTE_NOT_FOUND');
+        });
+    });
+
+    // ============================================
+    // TESTS: openAttachment / removeAttachment
+    // ============================================
+
+    describe('openAttachment() / removeAttachment()', () => {
+        test('un lector debe poder descargar', async () => {
+            const attachment = { _id: 'a1', name: 'a.txt', key: `${NOTE_ID}/k` };
+            attachmentRepository.findForNote.mockResolvedValue(attachment);
+            attachmentStorage.get.mockResolvedValue('stream');
+
+            const result = await noteAttachmentService.openAttachment(NOTE_ID, 'a1', VIEWER_ID);
+
+            expect(result).toEqual({ attachment, stream: 'stream' });
+            expect(attachmentRepository.findForNote).toHaveBeenCalledWith(NOTE_ID, 'a1');
+            expect(attachmentStorage.get).toHaveBeenCalledWith(`${NOTE_ID}/k`);
+        });
+
+        test('debe lanzar ATTACHMENT_NOT_FOUND si el adjunto no es de la nota', async () => {
+            attachmentRepository.findForNote.mockResolvedValue(null);
+
+            await expect(
+                noteAttachmentService.openAttachment(NOTE_ID, 'a1', OWNER_ID)
+            ).rejects.toThrow('ATTACHMENT_NOT_FOUND');
+        });
+
+        test('debe borrar el documento y después el archivo', async () => {
+            attachmentRepository.deleteForNote.mockResolvedValue({ _id: 'a1', key: `${NOTE_ID}/k` });
+
+            await noteAttachmentService.removeAttachment(NOTE_ID, 'a1', OWNER_ID);
+
+            expect(attachmentRepository.deleteForNote).toHaveBeenCalledWith(NOTE_ID, 'a1');
+            expect(attachmentStorage.remove).toHaveBeenCalledWith(`${NOTE_ID}/k`);
+        });
+
+        test('un lector no debe poder borrar', async () => {
+            await expect(
+                noteAttachmentService.removeAttachment(NOTE_ID, 'a1', VIEWER_ID)
+            ).rejects.toMatchObject({ code: 'FORBIDDEN' });
+
+            expect(attachmentRepository.deleteForNote).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,118 @@
+// tests/unit/services/noteEvents.service.test.js
+
+const noteEventsService = require('../../../src/services/noteEvents.service');
+
+const { EVENT_TYPES } = noteEventsService;
+
+describe('NoteEventsService - Bus de cambios', () => {
+
+    const OWNER_ID = '507f1f77bcf86cd799439099';
+    const EDITOR_ID = '507f1f77bcf86cd799439097';
+    const STRANGER_ID = '507f1f77bcf86cd799439096';
+
+    const note = {
+        _id: '507f1f77bcf86cd799439011',
+        owner: OWNER_ID,
+        shares: [{ user: EDITOR_ID, role: 'editor' }],
+        title: 'Compartida',
+        revision: 3
+    };
+
+    const unsubscribers = [];
+
+    const listen = (userId, options) => {
+        const events = [];
+        unsubscribers.push(noteEventsService.subscribe(userId, event => events.push(event), options));
+        return events;
+    };
+
+    afterEach(() => {
+        unsubscribers.splice(0).forEach(unsubscribe => unsubscribe());
+    });
+
+    test('debe entregar el evento al propietario y a los usuarios compartidos', () => {
+        const owner = listen(OWNER_ID);
+        const editor = listen(EDITOR_ID);
+        const stranger = listen(STRANGER_ID);
+
+        noteEventsService.publish(EVENT_TYPES.UPDATED, note, EDITOR_ID);
+
+        expect(owner).toHaveLength(1);
+        expect(editor).toHaveLength(1);
+        expect(stranger).toHaveLength(0);
+        expect(owner[0]).toMatchObject({
+            type: 'note.updated',
+            noteId: note._id,
+            revision: 3,
+            actor: EDITOR_ID,
+            note
+        });
+    });
+
+    test('la suscripción a una nota debe filtrar las demás', () => {
+        const events = listen(OWNER_ID, { noteId: note._id });
+
+        noteEventsService.publish(EVENT_TYPES.CREATED, { ...note, _id: '507f1f77bcf86cd799439012' }, OWNER_ID);
+        noteEventsService.publish(EVENT_TYPES.TRASHED, note, OWNER_ID);
+
+        expect(events.map(e => e.type)).toEqual(['note.trashed']);
+    });
+
+    test('el borrado permanente solo debe enviar el ID', () => {
+        const events = listen(OWNER_ID);
+
+        noteEventsService.publish(EVENT_TYPES.DELETED, note, OWNER_ID);
+
+        expect(events[0].noteId).toBe(note._id);
+        expect(events[0].note).toBeNull();
+    });
+
+    test('los IDs de evento deben ser crecientes', () => {
+        const events = listen(OWNER_ID);
+
+        noteEventsService.publish(EVENT_TYPES.UPDATED, note, OWNER_ID);
+        noteEventsService.publish(EVENT_TYPES.UNDONE, note, OWNER_ID);
+
+        expect(events[1].id).toBeGreaterThan(events[0].id);
+    });
+
+    test('cancelar la suscripción debe dejar de entregar eventos', () => {
+        const events = [];
+        const unsubscribe = noteEventsService.subscribe(OWNER_ID, event => events.push(event));
+
+        unsubscribe();
+        noteEventsService.publish(EVENT_TYPES.UPDATED, note, OWNER_ID);
+
+        expect(events).toHaveLength(0);
+        expect(noteEventsService.listenerCount(OWNER_ID)).toBe(0);
+    });
+
+    test('hold debe retener los eventos hasta release', async () => {
+        const events = listen(OWNER_ID);
+
+        const { result, events: held } = await noteEventsService.hold(async () => {
+            noteEventsService.publish(EVENT_TYPES.TRASHED, note, OWNER_ID);
+            return 'hecho';
+        });
+
+        expect(result).toBe('hecho');
+        expect(events).toHaveLength(0);
+
+        noteEventsService.release(held);
+
+        expect(events.map(e => e.type)).toEqual(['note.trashed']);
+    });
+
+    test('si hold falla los eventos retenidos no deben emitirse', async () => {
+        const events = listen(OWNER_ID);
+
+        await expect(noteEventsService.hold(async () => {
+            noteEventsService.publish(EVENT_TYPES.TRASHED, note, OWNER_ID);
+            throw new Error('ROLLBACK');
+        })).rejects.toThrow('ROLLBACK');
+
+        noteEventsService.publish(EVENT_TYPES.UPDATED, note, OWNER_ID);
+
+        expect(events.map(e => e.type)).toEqual(['note.updated']);
+    });
+});
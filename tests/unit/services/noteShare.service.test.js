@@ -0,0 +1,73 @@
+// tests/unit/services/noteShare.service.test.js
+
+const noteShareService = require('../../../src/services/noteShare.service');
+const noteRepository = require('../../../src/repositories/note.repository');
+const userRepository = require('../../../src/repositories/user.repository');
+
+jest.mock('../../../src/repositories/note.repository');
+jest.mock('../../../src/repositories/user.repository');
+
+const OWNER_ID = '507f1f77bcf86cd799439099';
+const EDITOR_ID = '507f1f77bcf86cd799439098';
+const NOTE_ID = '507f1f77bcf86cd799439011';
+
+describe('NoteShareService - Casos de Uso', () => {
+
+    // Cada lectura devuelve una copia nueva, como Mongoose
+    const note = () => ({
+        _id: NOTE_ID,
+        owner: OWNER_ID,
+        shares: [{ user: EDITOR_ID, role: 'viewer' }]
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        noteRepository.findLiveById.mockImplementation(async () => note());
+        noteRepository.save.mockImplementation(async saved => saved);
+        noteRepository.populateShares.mockResolvedValue();
+        userRepository.findByEmail.mockResolvedValue({ _id: EDITOR_ID });
+    });
+
+    // ============================================
+    // TESTS: shareNote / revokeShare
+    // ============================================
+
+    describe('Escrituras concurrentes', () => {
+        test('compartir debe reintentar sobre la nota recién leída si otra escritura se adelantó', async () => {
+            noteRepository.save.mockRejectedValueOnce(new Error('STALE_REVISION'));
+
+            const shares = await noteShareService.shareNote(NOTE_ID, OWNER_ID, { email: 'editor@example.com', role: 'editor' });
+
+            expect(shares).toEqual([{ user: EDITOR_ID, role: 'editor' }]);
+            expect(noteRepository.findLiveById).toHaveBeenCalledTimes(2);
+            expect(noteRepository.save).toHaveBeenCalledTimes(2);
+            expect(userRepository.findByEmail).toHaveBeenCalledTimes(1);
+        });
+
+        test('retirar acceso debe reintentar igualmente', async () => {
+            noteRepository.save.mockRejectedValueOnce(new Error('STALE_REVISION'));
+
+            const saved = await noteShareService.revokeShare(NOTE_ID, OWNER_ID, EDITOR_ID);
+
+            expect(saved.shares).toEqual([]);
+            expect(noteRepository.save).toHaveBeenCalledTimes(2);
+        });
+
+        test('agotados los intentos debe lanzar CONFLICT', async () => {
+            noteRepository.save.mockRejectedValue(new Error('STALE_REVISION'));
+
+            await expect(
+                noteShareService.revokeShare(NOTE_ID, OWNER_ID, EDITOR_ID)
+            ).rejects.toMatchObject({ code: 'CONFLICT' });
+            expect(noteRepository.save).toHaveBeenCalledTimes(3);
+        });
+
+        test('otros errores no deben reintentarse', async () => {
+            await expect(
+                noteShareService.revokeShare(NOTE_ID, EDITOR_ID, OWNER_ID)
+            ).rejects.toMatchObject({ code: 'FORBIDDEN' });
+            expect(noteRepository.findLiveById).toHaveBeenCalledTimes(1);
+            expect(noteRepository.save).not.toHaveBeenCalled();
+        });
+    });
+});
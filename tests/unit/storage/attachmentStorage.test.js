@@ -0,0 +1,129 @@
+// tests/unit/storage/attachmentStorage.test.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const LocalStorage = require('../../../src/storage/localStorage');
+const S3Storage = require('../../../src/storage/s3Storage');
+
+/**
+ * Sustituto local de S3Client: un bucket en memoria que atiende los mismos
+ * comandos (PutObject, GetObject, DeleteObject) con las respuestas de S3
+ */
+function fakeS3Client() {
+    const objects = new Map();
+
+    const handlers = {
+        PutObjectCommand: ({ Key, Body, ContentType }) => {
+            objects.set(Key, { body: Buffer.from(Body), contentType: ContentType });
+            return {};
+        },
+        GetObjectCommand: ({ Key }) => {
+            if (!objects.has(Key)) {
+                throw Object.assign(new Error('The specified key does not exist.'), {
+                    name: 'NoSuchKey',
+                    $metadata: { httpStatusCode: 404 }
+                });
+            }
+            return { Body: Readable.from([objects.get(Key).body]) };
+        },
+        DeleteObjectCommand: ({ Key }) => {
+            objects.delete(Key);
+            return {};
+        }
+    };
+
+    return {
+        objects,
+        send: jest.fn(async command => handlers[command.constructor.name](command.input))
+    };
+}
+
+async function read(stream) {
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString();
+}
+
+const backends = {
+    local: () => new LocalStorage({ root: fs.mkdtempSync(path.join(os.tmpdir(), 'attachments-')) }),
+    s3: () => new S3Storage({ bucket: 'flashnotes', client: fakeS3Client() })
+};
+
+describe.each(Object.keys(backends))('Almacenamiento de adjuntos (%s)', name => {
+
+    let storage;
+
+    beforeEach(() => {
+        storage = backends[name]();
+    });
+
+    afterEach(async () => {
+        if (storage instanceof LocalStorage) {
+            await fs.promises.rm(storage.root, { recursive: true, force: true });
+        }
+    });
+
+    test('debe guardar y devolver el archivo', async () => {
+        await storage.put('nota/a', Buffer.from('hola'), { contentType: 'text/plain' });
+
+        expect(await read(await storage.get('nota/a'))).toBe('hola');
+    });
+
+    test('debe lanzar ATTACHMENT_FILE_NOT_FOUND con claves inexistentes', async () => {
+        await expect(storage.get('nota/nada')).rejects.toThrow('ATTACHMENT_FILE_NOT_FOUND');
+    });
+
+    test('remove debe borrar el archivo y no fallar si ya no existe', async () => {
+        await storage.put('nota/a', Buffer.from('hola'), { contentType: 'text/plain' });
+
+        await storage.remove('nota/a');
+        await storage.remove('nota/a');
+
+        await expect(storage.get('nota/a')).rejects.toThrow('ATTACHMENT_FILE_NOT_FOUND');
+    });
+});
+
+describe('LocalStorage', () => {
+    test('no debe admitir claves fuera de la carpeta raíz', () => {
+        const storage = new LocalStorage({ root: path.join(os.tmpdir(), 'attachments') });
+
+        expect(() => storage.pathOf('../fuera')).toThrow('INVALID_STORAGE_KEY');
+        expect(() => storage.pathOf('')).toThrow('INVALID_STORAGE_KEY');
+    });
+});
+
+describe('S3Storage', () => {
+    test('debe enviar bucket, clave y tipo de contenido', async () => {
+        const client = fakeS3Client();
+        const storage = new S3Storage({ bucket: 'flashnotes', client });
+
+        await storage.put('nota/a', Buffer.from('hola'), { contentType: 'image/png' });
+
+        expect(client.send.mock.calls[0][0].input).toMatchObject({ Bucket: 'flashnotes', Key: 'nota/a', ContentType: 'image/png' });
+        expect(client.objects.get('nota/a').contentType).toBe('image/png');
+    });
+
+    test('otros errores del servicio no deben confundirse con un archivo inexistente', async () => {
+        const client = { send: jest.fn().mockRejectedValue(Object.assign(new Error('Access Denied'), { name: 'AccessDenied' })) };
+        const storage = new S3Storage({ bucket: 'flashnotes', client });
+
+        await expect(storage.get('nota/a')).rejects.toThrow('Access Denied');
+    });
+
+    test('fromConfig debe usar rutas path-style con un endpoint propio', async () => {
+        const storage = S3Storage.fromConfig({
+            bucket: 'flashnotes',
+            region: 'us-east-1',
+            endpoint: 'http://localhost:9000',
+            accessKeyId: 'key',
+            secretAccessKey: 'secret'
+        });
+
+        expect(storage.bucket).toBe('flashnotes');
+        expect(storage.client.config.forcePathStyle).toBe(true);
+    });
+});